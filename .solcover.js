@@ -0,0 +1,6 @@
+module.exports = {
+  // Test helpers, not deployed
+  skipFiles: ["MockAggregator.sol", "MockDAI.sol", "MockFeeOnTransferToken.sol", "MockRequestIdSet.sol", "MockUSDC.sol", "RevertingReceiver.sol"],
+  // The contracts are compiled with viaIR; instrumented builds need the Yul optimizer to avoid stack-too-deep
+  configureYulOptimizer: true
+};
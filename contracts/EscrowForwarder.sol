@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// ERC-2771 forwarder that lets a relayer submit PaymentEscrow calls signed by users without ETH for gas
+contract EscrowForwarder is EIP712 {
+    struct ForwardRequest {
+        address from;               // Signer the call is made on behalf of
+        address to;                 // Target contract (must trust this forwarder)
+        uint256 value;              // ETH forwarded with the call
+        uint256 gas;                // Gas made available to the call
+        uint256 nonce;              // Must equal the signer's current nonce
+        uint256 deadline;           // Last timestamp the request can be executed at
+        bytes data;                 // Calldata for the target
+    }
+    
+    bytes32 private constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+    
+    // Next nonce per signer; each executed request consumes one
+    mapping(address => uint256) private nonces;
+    
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, address relayer);
+    
+    constructor() EIP712("FullOnCrypto EscrowForwarder", "1") {}
+    
+    /**
+     * @dev Get the nonce the next request from a signer must use
+     * @param _from The signer
+     */
+    function getNonce(address _from) external view returns (uint256) {
+        return nonces[_from];
+    }
+    
+    /**
+     * @dev Check a request is signed by its sender, uses the current nonce and has not passed its deadline
+     * @param _request The forward request
+     * @param _signature EIP-712 signature of `_request.from`
+     */
+    function verify(ForwardRequest calldata _request, bytes calldata _signature) public view returns (bool) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(hashRequest(_request), _signature);
+        
+        return error == ECDSA.RecoverError.NoError
+            && signer == _request.from
+            && nonces[_request.from] == _request.nonce
+            && block.timestamp <= _request.deadline;
+    }
+    
+    /**
+     * @dev Execute a signed request, appending the signer to the calldata as ERC-2771 expects.
+     * Reverts with the target's revert reason if the call fails, leaving the nonce unused.
+     * @param _request The forward request
+     * @param _signature EIP-712 signature of `_request.from`
+     */
+    function execute(ForwardRequest calldata _request, bytes calldata _signature) external payable returns (bytes memory) {
+        require(block.timestamp <= _request.deadline, "Forward request expired");
+        require(nonces[_request.from] == _request.nonce, "Invalid nonce");
+        require(msg.value == _request.value, "Value does not match request");
+        
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(hashRequest(_request), _signature);
+        require(error == ECDSA.RecoverError.NoError && signer == _request.from, "Signature does not match request");
+        
+        nonces[_request.from] = _request.nonce + 1;
+        
+        (bool success, bytes memory returndata) = _request.to.call{gas: _request.gas, value: _request.value}(
+            abi.encodePacked(_request.data, _request.from)
+        );
+        
+        // Make sure the relayer forwarded enough gas for the call (see EIP-150)
+        if (gasleft() <= _request.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+        
+        emit RequestExecuted(_request.from, _request.to, _request.nonce, msg.sender);
+        
+        return returndata;
+    }
+    
+    /**
+     * @dev EIP-712 digest the sender signs for a request
+     * @param _request The forward request
+     */
+    function hashRequest(ForwardRequest calldata _request) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            _request.from,
+            _request.to,
+            _request.value,
+            _request.gas,
+            _request.nonce,
+            _request.deadline,
+            keccak256(_request.data)
+        )));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+import "./interfaces/IINRRateOracle.sol";
+
+contract INRRateOracle is IINRRateOracle, Ownable {
+    struct PushedRate {
+        uint256 rate;               // INR per whole token (8 decimals)
+        uint256 updatedAt;          // When the owner pushed the rate
+    }
+    
+    // All rates are normalized to 8 decimals
+    uint8 public constant RATE_DECIMALS = 8;
+    
+    // Chainlink-style feed per token; takes precedence over pushed rates
+    mapping(address => address) public feeds;
+    
+    // Owner-pushed rates for tokens without a feed
+    mapping(address => PushedRate) public pushedRates;
+    
+    event FeedSet(address indexed tokenAddress, address indexed feed);
+    
+    event RatePushed(address indexed tokenAddress, uint256 rate, uint256 updatedAt);
+    
+    /**
+     * @dev Use a Chainlink-style aggregator as the rate source for a token
+     * @param _tokenAddress The settlement token
+     * @param _feed Aggregator quoting INR per token (zero address to fall back to pushed rates)
+     */
+    function setFeed(address _tokenAddress, address _feed) external onlyOwner {
+        feeds[_tokenAddress] = _feed;
+        emit FeedSet(_tokenAddress, _feed);
+    }
+    
+    /**
+     * @dev Push a reference rate for a token that has no feed
+     * @param _tokenAddress The settlement token
+     * @param _rate INR per whole token (8 decimals)
+     */
+    function pushRate(address _tokenAddress, uint256 _rate) external onlyOwner {
+        require(_rate > 0, "Rate must be greater than 0");
+        
+        pushedRates[_tokenAddress] = PushedRate({
+            rate: _rate,
+            updatedAt: block.timestamp
+        });
+        
+        emit RatePushed(_tokenAddress, _rate, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the reference rate for a token from its feed, or the last pushed rate
+     * @param _tokenAddress The settlement token
+     */
+    function getRate(address _tokenAddress) external view override returns (uint256 rate, uint256 updatedAt) {
+        address feed = feeds[_tokenAddress];
+        
+        if (feed == address(0)) {
+            PushedRate memory pushed = pushedRates[_tokenAddress];
+            return (pushed.rate, pushed.updatedAt);
+        }
+        
+        (, int256 answer, , uint256 feedUpdatedAt, ) = AggregatorV3Interface(feed).latestRoundData();
+        if (answer <= 0) {
+            return (0, feedUpdatedAt);
+        }
+        
+        uint8 feedDecimals = AggregatorV3Interface(feed).decimals();
+        if (feedDecimals > RATE_DECIMALS) {
+            rate = uint256(answer) / 10**(feedDecimals - RATE_DECIMALS);
+        } else {
+            rate = uint256(answer) * 10**(RATE_DECIMALS - feedDecimals);
+        }
+        
+        return (rate, feedUpdatedAt);
+    }
+}
\ No newline at end of file
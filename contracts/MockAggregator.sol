@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/AggregatorV3Interface.sol";
+
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    int256 public answer;
+    uint256 public updatedAt;
+    uint80 public roundId;
+    
+    constructor(uint8 _decimals) {
+        decimals = _decimals;
+    }
+    
+    // Set the latest answer; pass 0 as timestamp to use the current block time
+    function setAnswer(int256 _answer, uint256 _updatedAt) external {
+        answer = _answer;
+        updatedAt = _updatedAt == 0 ? block.timestamp : _updatedAt;
+        roundId++;
+    }
+    
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
\ No newline at end of file
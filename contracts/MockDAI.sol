@@ -2,9 +2,11 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockDAI is ERC20 {
-    constructor() ERC20("Mock DAI", "DAI") {
+// Supports EIP-2612 permit like DAI on Base, so permit-based request creation can be tested locally
+contract MockDAI is ERC20, ERC20Permit {
+    constructor() ERC20("Mock DAI", "DAI") ERC20Permit("Mock DAI") {
         // Mint 1 million DAI to the deployer for testing
         _mint(msg.sender, 1000000 * 10**18);
     }
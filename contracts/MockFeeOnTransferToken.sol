@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockFeeOnTransferToken is ERC20 {
+    // 1% of every transfer is burned
+    uint256 public constant TRANSFER_FEE_BPS = 100;
+    
+    constructor() ERC20("Mock Fee Token", "FEE") {
+        _mint(msg.sender, 1000000 * 10**18);
+    }
+    
+    // Allow anyone to mint tokens for testing purposes
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * TRANSFER_FEE_BPS) / 10000;
+        _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
\ No newline at end of file
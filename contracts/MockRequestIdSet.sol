@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./libraries/RequestIdSet.sol";
+
+// Test helper: exposes a RequestIdSet so tests can exercise IDs far apart without creating that many requests
+contract MockRequestIdSet {
+    using RequestIdSet for RequestIdSet.Set;
+    
+    RequestIdSet.Set private set;
+    
+    function add(uint256 id) external returns (bool) {
+        return set.add(id);
+    }
+    
+    function remove(uint256 id) external returns (bool) {
+        return set.remove(id);
+    }
+    
+    function contains(uint256 id) external view returns (bool) {
+        return set.contains(id);
+    }
+    
+    function length() external view returns (uint256) {
+        return set.length();
+    }
+    
+    function next(uint256 afterId, uint256 end) external view returns (uint256) {
+        return set.next(afterId, end);
+    }
+}
\ No newline at end of file
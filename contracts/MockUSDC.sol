@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockUSDC is ERC20 {
+    constructor() ERC20("Mock USDC", "USDC") {
+        // Mint 1 million USDC to the deployer for testing
+        _mint(msg.sender, 1000000 * 10**6);
+    }
+    
+    // USDC uses 6 decimals instead of the ERC20 default of 18
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+    
+    // Allow anyone to mint USDC for testing purposes
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    // Faucet function - gives 1000 USDC to anyone who calls it
+    function faucet() external {
+        _mint(msg.sender, 1000 * 10**6);
+    }
+}
\ No newline at end of file
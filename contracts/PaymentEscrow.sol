@@ -1,192 +1,313 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PaymentEscrowBase.sol";
+import "./PaymentEscrowExtension.sol";
 
-contract PaymentEscrow is ReentrancyGuard, Ownable {
+/**
+ * @dev Implementation deployed behind a TransparentUpgradeableProxy, initialized through the extension's initialize()
+ */
+contract PaymentEscrow is PaymentEscrowBase {
     using SafeERC20 for IERC20;
+    using RequestIdSet for RequestIdSet.Set;
     
-    enum PaymentStatus {
-        PENDING,
-        COMMITTED,
-        FULFILLED, 
-        CANCELLED,
-        EXPIRED
-    }
-    
-    struct PaymentRequest {
-        uint256 requestId;          // Numeric identifier linking to MongoDB
-        address requester;          // Who created the payment request
-        address payer;              // Who will fulfill the payment (set when committed)
-        uint256 amountINR;          // Amount in INR (wei equivalent for precision)
-        address tokenAddress;       // Always DAI token address
-        uint256 daiAmount;          // Amount of DAI deposited
-        uint256 payerFee;           // ETH payer fee (excluding platform fee)
-        PaymentStatus status;       // Current status
-        uint256 createdAt;          // Timestamp when request was created
-        uint256 committedAt;        // Timestamp when request was committed
-        uint256 expiresAt;          // When the request expires
-        string transactionNumber;   // 12-digit UPI transaction number
-    }
-    
-    mapping(uint256 => PaymentRequest) public paymentRequests;
-    mapping(address => uint256[]) public userRequests; // Track user's requests
-    
-    uint256[] public allRequestIds; // Track all requests for enumeration
-    uint256 public nextRequestId = 1; // Auto-incrementing request ID counter
-    
-    // Platform fee configuration
-    uint256 public constant PLATFORM_FEE = 10000; // Flat 10,000 wei platform fee
-    // Fee recipient is always the contract owner (creator)
-    
-    event PaymentRequestCreated(
-        uint256 indexed requestId,
-        address indexed requester,
-        uint256 amountINR,
-        address tokenAddress,
-        uint256 tokenAmount,
-        uint256 payerFee,
-        uint256 expiresAt
-    );
-    
-    event PaymentCommitted(
-        uint256 indexed requestId,
-        address indexed payer,
-        uint256 commitmentExpiry
-    );
-    
-    event PaymentFulfilled(
-        uint256 indexed requestId,
-        address indexed payer,
-        address tokenAddress,
-        uint256 tokenAmount,
-        string transactionNumber
-    );
-    
-    event PaymentCancelled(
-        uint256 indexed requestId,
-        address indexed requester,
-        address tokenAddress,
-        uint256 tokenRefund,
-        uint256 ethRefund
-    );
-    
-    event PaymentExpired(
-        uint256 indexed requestId,
-        address tokenAddress,
-        uint256 tokenRefund,
-        uint256 ethRefund
-    );
-    
-    
-    // Duration for payment request expiry (24 hours)
-    uint256 public constant REQUEST_EXPIRY_DURATION = 24 hours;
-    
-    // Duration for commitment timeout (5 minutes)
-    uint256 public constant COMMITMENT_TIMEOUT = 5 minutes;
-    
-    // DAI token address (configurable during deployment)
-    address public immutable DAI_TOKEN;
-    
-    constructor(address _daiToken) Ownable() {
-        require(_daiToken != address(0), "DAI token address cannot be zero");
-        DAI_TOKEN = _daiToken;
-        // Contract creator becomes the owner and fee recipient
-    }
-    
-    /**
-     * @dev Create a payment request with DAI deposit + ETH fee
+    // Owner configuration and views, run against this contract's storage through fallback()
+    address public immutable extension;
+    
+    /**
+     * @param _trustedForwarder ERC-2771 forwarder relaying calls signed by users without ETH for gas
+     * (zero address disables relayed calls)
+     * @param _extension PaymentEscrowExtension deployed with the same trusted forwarder
+     */
+    constructor(address _trustedForwarder, address _extension) PaymentEscrowBase(_trustedForwarder) {
+        require(
+            PaymentEscrowExtension(_extension).isTrustedForwarder(_trustedForwarder),
+            "Extension forwarder mismatch"
+        );
+        extension = _extension;
+    }
+    
+    /**
+     * @dev Delegate functions this contract does not implement to the extension
+     */
+    fallback() external {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+    
+    /**
+     * @dev Create a payment request with a settlement token deposit + ETH fee
      * @param _amountINR Amount in INR (with precision handling)
-     * @param _daiAmount Amount of DAI to deposit
+     * @param _tokenAddress Allowlisted settlement token to deposit
+     * @param _tokenAmount Amount of the token to deposit
      * @return requestId The auto-generated request ID
      */
     function createPaymentRequest(
         uint256 _amountINR,
-        uint256 _daiAmount
-    ) external payable nonReentrant returns (uint256) {
-        require(_amountINR > 0, "Amount must be greater than 0");
-        require(_daiAmount > 0, "DAI amount must be greater than 0");
-        require(msg.value >= PLATFORM_FEE, "Must pay atleast equal to platform fee");
-        
-        uint256 requestId = nextRequestId;
-        nextRequestId++;
+        address _tokenAddress,
+        uint256 _tokenAmount
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createPaymentRequest(_amountINR, _tokenAddress, _tokenAmount, 0, 0, msg.value);
+    }
+    
+    /**
+     * @dev Create a payment request with its own expiry and commitment window
+     * @param _amountINR Amount in INR (for reference)
+     * @param _tokenAddress Allowlisted settlement token to deposit
+     * @param _tokenAmount Amount of the token to deposit
+     * @param _expiryDuration Request lifetime in seconds (0 for REQUEST_EXPIRY_DURATION)
+     * @param _commitmentWindow Time a payer has to fulfill after committing, in seconds (0 for COMMITMENT_TIMEOUT)
+     * @return requestId The auto-generated request ID
+     */
+    function createPaymentRequestWithWindows(
+        uint256 _amountINR,
+        address _tokenAddress,
+        uint256 _tokenAmount,
+        uint256 _expiryDuration,
+        uint256 _commitmentWindow
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createPaymentRequest(_amountINR, _tokenAddress, _tokenAmount, _expiryDuration, _commitmentWindow, msg.value);
+    }
+    
+    /**
+     * @dev Create a payment request, approving the token deposit with an EIP-2612 permit in the same transaction
+     * @param _amountINR Amount in INR (for reference)
+     * @param _tokenAddress Supported settlement token that implements permit
+     * @param _tokenAmount Amount of tokens to deposit (also the permitted allowance)
+     * @param _deadline Permit deadline
+     * @param _v Permit signature v
+     * @param _r Permit signature r
+     * @param _s Permit signature s
+     */
+    function createPaymentRequestWithPermit(
+        uint256 _amountINR,
+        address _tokenAddress,
+        uint256 _tokenAmount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        // Anyone can submit a seen permit first, so a failed permit is fine as long as the allowance is there
+        try IERC20Permit(_tokenAddress).permit(_msgSender(), address(this), _tokenAmount, _deadline, _v, _r, _s) {} catch {
+            require(
+                IERC20(_tokenAddress).allowance(_msgSender(), address(this)) >= _tokenAmount,
+                "Permit failed"
+            );
+        }
         
-        // Calculate payer fee (total ETH sent minus platform fee)
-        uint256 payerFee = msg.value - PLATFORM_FEE;
+        return _createPaymentRequest(_amountINR, _tokenAddress, _tokenAmount, 0, 0, msg.value);
+    }
+    
+    /**
+     * @dev Create several payment requests in one token at once, e.g. a ladder of INR amounts.
+     * Every request must be valid or the whole batch reverts.
+     * @param _amountsINR Amount in INR of each request
+     * @param _tokenAddress Allowlisted settlement token to deposit for all requests
+     * @param _tokenAmounts Token deposit of each request
+     * @param _payerFees Payer fee of each request, in wei
+     * @return requestIds The IDs of the new requests, in input order
+     */
+    function createPaymentRequests(
+        uint256[] calldata _amountsINR,
+        address _tokenAddress,
+        uint256[] calldata _tokenAmounts,
+        uint256[] calldata _payerFees
+    ) external payable nonReentrant whenNotPaused returns (uint256[] memory requestIds) {
+        require(_amountsINR.length > 0, "Empty batch");
+        require(_amountsINR.length == _tokenAmounts.length && _amountsINR.length == _payerFees.length, "Batch length mismatch");
+        
+        // msg.value must be split exactly: the platform fee per request plus each request's payer fee
+        uint256 totalValue = platformFee * _amountsINR.length;
+        for (uint256 i = 0; i < _payerFees.length; i++) {
+            totalValue += _payerFees[i];
+        }
+        require(msg.value == totalValue, "ETH does not match batch fees");
+        
+        requestIds = new uint256[](_amountsINR.length);
+        for (uint256 i = 0; i < _amountsINR.length; i++) {
+            requestIds[i] = _createPaymentRequest(
+                _amountsINR[i],
+                _tokenAddress,
+                _tokenAmounts[i],
+                0,
+                0,
+                platformFee + _payerFees[i]
+            );
+        }
+    }
+    
+    /**
+     * @dev Commit to pay for a payment request (prevents double payments).
+     * Must send exactly `commitmentBond`, returned on fulfilment (to the relayer, if it sponsored the bond of a
+     * relayed call) and forfeited to the requester on timeout.
+     * @param _requestId The request to commit to
+     */
+    function commitToPay(uint256 _requestId) external payable nonReentrant whenNotPaused {
+        _commit(paymentRequests[_requestId]);
+    }
+    
+    /**
+     * @dev Commit to pay only if the request still has the terms the payer saw, so an amendment mined just
+     * before the commitment cannot make the payer owe more INR or receive fewer tokens
+     * @param _requestId The request to commit to
+     * @param _maxAmountINR Most INR the payer agreed to pay
+     * @param _minTokenAmount Fewest tokens the payer agreed to receive
+     */
+    function commitToPayWithTerms(
+        uint256 _requestId,
+        uint256 _maxAmountINR,
+        uint256 _minTokenAmount
+    ) external payable nonReentrant whenNotPaused {
+        PaymentRequest storage request = paymentRequests[_requestId];
+        _commit(request);
+        require(request.amountINR <= _maxAmountINR && request.daiAmount >= _minTokenAmount, "Request terms changed");
+    }
+    
+    /**
+     * @dev Push back the expiry of a pending request
+     * @param _requestId The request to extend
+     * @param _expiresAt New expiry timestamp (at most maxExpiryDuration from now)
+     */
+    function extendRequestExpiry(uint256 _requestId, uint256 _expiresAt) external {
+        PaymentRequest storage request = paymentRequests[_requestId];
         
-        // Transfer platform fee immediately to contract owner
-        (bool success, ) = payable(owner()).call{value: PLATFORM_FEE}("");
-        require(success, "Platform fee transfer failed");
+        require(request.requestId != 0, "Request does not exist");
+        require(request.requester == _msgSender(), "Only requester can extend");
+        require(request.status == PaymentStatus.PENDING, "Request not pending");
+        require(block.timestamp <= request.expiresAt, "Request expired");
+        require(_expiresAt > request.expiresAt, "Expiry must be later");
+        require(_expiresAt <= block.timestamp + maxExpiryDuration, "Expiry beyond maximum");
         
-        // Transfer DAI tokens to contract
-        IERC20(DAI_TOKEN).safeTransferFrom(msg.sender, address(this), _daiAmount);
+        request.expiresAt = _expiresAt;
         
-        uint256 expiresAt = block.timestamp + REQUEST_EXPIRY_DURATION;
+        emit RequestExpiryExtended(_requestId, _expiresAt);
+    }
+    
+    /**
+     * @dev Amend a pending request in place, keeping its ID: revise the INR amount, top up the token deposit
+     * and/or raise the payer fee by the ETH sent. Not possible once a payer has committed.
+     * @param _requestId The request to amend
+     * @param _amountINR New INR amount (the current amount to leave it unchanged)
+     * @param _tokenTopUp Tokens to add to the deposit
+     */
+    function amendPaymentRequest(
+        uint256 _requestId,
+        uint256 _amountINR,
+        uint256 _tokenTopUp
+    ) external payable nonReentrant whenNotPaused {
+        PaymentRequest storage request = paymentRequests[_requestId];
         
-        PaymentRequest memory newRequest = PaymentRequest({
-            requestId: requestId,
-            requester: msg.sender,
-            payer: address(0),
-            amountINR: _amountINR,
-            tokenAddress: DAI_TOKEN,
-            daiAmount: _daiAmount,
-            payerFee: payerFee,
-            status: PaymentStatus.PENDING,
-            createdAt: block.timestamp,
-            committedAt: 0,
-            expiresAt: expiresAt,
-            transactionNumber: ""
-        });
+        require(request.requestId != 0, "Request does not exist");
+        require(request.requester == _msgSender(), "Only requester can amend");
+        require(request.status == PaymentStatus.PENDING, "Request not pending");
+        require(block.timestamp <= request.expiresAt, "Request expired");
+        require(_amountINR > 0, "Amount must be greater than 0");
+        require(_amountINR != request.amountINR || _tokenTopUp > 0 || msg.value > 0, "Nothing to amend");
+        require(minSliceINR[_requestId] < _amountINR, "Minimum slice must be below request amount");
+        
+        address token = request.tokenAddress;
+        uint256 oldAmountINR = request.amountINR;
+        uint256 oldTokenAmount = request.daiAmount;
+        uint256 oldPayerFee = request.payerFee;
+        uint256 newTokenAmount = oldTokenAmount + _tokenTopUp;
+        
+        if (_tokenTopUp > 0) {
+            TokenConfig memory tokenConfig = tokenConfigs[token];
+            require(tokenConfig.allowed, "Token not supported");
+            require(newTokenAmount <= tokenConfig.maxAmount, "Token amount above maximum");
+        }
+        if (address(rateOracle) != address(0) && (_amountINR != oldAmountINR || _tokenTopUp > 0)) {
+            _checkRate(_amountINR, token, newTokenAmount);
+        }
         
-        paymentRequests[requestId] = newRequest;
-        userRequests[msg.sender].push(requestId);
-        allRequestIds.push(requestId);
+        if (_tokenTopUp > 0) {
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(_msgSender(), address(this), _tokenTopUp);
+            require(
+                IERC20(token).balanceOf(address(this)) - balanceBefore == _tokenTopUp,
+                "Fee-on-transfer tokens not supported"
+            );
+            escrowedTokens[token] += _tokenTopUp;
+            
+            // Keep the token fee rate the request was created with
+            request.platformTokenFee = (request.platformTokenFee * newTokenAmount) / oldTokenAmount;
+            request.daiAmount = newTokenAmount;
+        }
+        request.amountINR = _amountINR;
+        request.payerFee = oldPayerFee + msg.value;
         
-        emit PaymentRequestCreated(
-            requestId,
-            msg.sender,
+        emit PaymentRequestAmended(
+            _requestId,
+            oldAmountINR,
             _amountINR,
-            DAI_TOKEN,
-            _daiAmount,
-            payerFee,
-            expiresAt
+            oldTokenAmount,
+            newTokenAmount,
+            oldPayerFee,
+            request.payerFee
         );
-        
-        return requestId;
     }
     
     /**
-     * @dev Commit to pay for a payment request (prevents double payments)
-     * @param _requestId The request to commit to
+     * @dev Let payers fill a pending request in slices instead of paying it in one go
+     * @param _requestId The request to make splittable
+     * @param _minSliceINR Smallest slice in INR a payer can commit to (0 makes the request unsplittable again)
      */
-    function commitToPay(uint256 _requestId) external nonReentrant {
+    function setRequestSplittable(uint256 _requestId, uint256 _minSliceINR) external {
         PaymentRequest storage request = paymentRequests[_requestId];
         
         require(request.requestId != 0, "Request does not exist");
-        require(block.timestamp <= request.expiresAt, "Request expired");
-        require(msg.sender != request.requester, "Cannot commit to own request");
-        
-        // Check if request is available for commitment
-        if (request.status == PaymentStatus.PENDING) {
-            // Fresh request, can be committed
-        } else if (request.status == PaymentStatus.COMMITTED) {
-            // Check if commitment has timed out (5 minutes)
-            require(block.timestamp > request.committedAt + COMMITMENT_TIMEOUT, "Commitment still active");
-            require(msg.sender != request.payer, "Already committed by this payer");
-        } else {
-            revert("Request not available for commitment");
-        }
-        
-        uint256 commitmentExpiry = block.timestamp + COMMITMENT_TIMEOUT;
+        require(request.requester == _msgSender(), "Only requester can set splitting");
+        require(parentRequestOf[_requestId] == 0, "Fills cannot be split");
+        require(request.status == PaymentStatus.PENDING, "Request not pending");
+        require(_minSliceINR < request.amountINR, "Minimum slice must be below request amount");
         
-        request.status = PaymentStatus.COMMITTED;
-        request.payer = msg.sender;
-        request.committedAt = block.timestamp;
+        minSliceINR[_requestId] = _minSliceINR;
         
-        emit PaymentCommitted(_requestId, msg.sender, commitmentExpiry);
+        emit RequestSplittableSet(_requestId, _minSliceINR);
+    }
+    
+    /**
+     * @dev Commit to pay a slice of a splittable request. The slice is split off into a new fill request
+     * with a pro-rata share of the tokens and payer fee, committed to the caller like commitToPay.
+     * Committing to the whole remainder commits the request itself.
+     * @param _requestId The splittable request
+     * @param _sliceINR INR amount the caller will pay (at least the minimum slice, and leaving at least one more)
+     * @return fillRequestId The request to fulfill for this slice
+     */
+    function commitToSlice(uint256 _requestId, uint256 _sliceINR) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _commitToSlice(_requestId, _sliceINR).requestId;
+    }
+    
+    /**
+     * @dev Commit to pay a slice only if it gets at least the token rate of the terms the payer saw, so an
+     * amendment mined just before the commitment cannot shrink the tokens the slice is worth
+     * @param _requestId The splittable request
+     * @param _sliceINR INR amount the caller will pay
+     * @param _maxAmountINR Request amount the payer saw
+     * @param _minTokenAmount Request deposit the payer saw; the slice must get at least its pro-rata share
+     * @return fillRequestId The request to fulfill for this slice
+     */
+    function commitToSliceWithTerms(
+        uint256 _requestId,
+        uint256 _sliceINR,
+        uint256 _maxAmountINR,
+        uint256 _minTokenAmount
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        require(_maxAmountINR > 0, "Invalid terms");
+        PaymentRequest storage committed = _commitToSlice(_requestId, _sliceINR);
+        require(committed.daiAmount >= (_minTokenAmount * _sliceINR) / _maxAmountINR, "Request terms changed");
+        return committed.requestId;
     }
     
     /**
@@ -194,32 +315,95 @@ contract PaymentEscrow is ReentrancyGuard, Ownable {
      * @param _requestId The request to fulfill
      * @param _transactionNumber 12-digit UPI transaction number
      */
-    function fulfillPayment(uint256 _requestId, string memory _transactionNumber) external nonReentrant {
+    function fulfillPayment(uint256 _requestId, string calldata _transactionNumber) external nonReentrant {
+        require(address(attestationVerifier) == address(0), "Attestation required");
+        
+        _fulfill(_requestId, _transactionNumber);
+    }
+    
+    /**
+     * @dev Fulfill a committed request with an attestation of the UPI payment signed by a trusted verifier
+     * @param _requestId The request being fulfilled
+     * @param _transactionNumber UPI transaction reference number (UTR)
+     * @param _signature EIP-712 attestation over the request ID, payer, UTR and INR amount
+     */
+    function fulfillPaymentWithAttestation(
+        uint256 _requestId,
+        string calldata _transactionNumber,
+        bytes calldata _signature
+    ) external nonReentrant {
+        require(address(attestationVerifier) != address(0), "Attestation verifier not set");
+        require(
+            attestationVerifier.verifyAttestation(
+                _requestId,
+                _msgSender(),
+                _transactionNumber,
+                paymentRequests[_requestId].amountINR,
+                _signature
+            ),
+            "Invalid attestation"
+        );
+        
+        _fulfill(_requestId, _transactionNumber);
+    }
+    
+    /**
+     * @dev Claim funds of a fulfilled request once its challenge period closed without a dispute
+     * @param _requestId The fulfilled request
+     */
+    function claimPayment(uint256 _requestId) external nonReentrant {
         PaymentRequest storage request = paymentRequests[_requestId];
         
         require(request.requestId != 0, "Request does not exist");
-        require(request.status == PaymentStatus.COMMITTED, "Request not committed");
-        require(block.timestamp <= request.expiresAt, "Request expired");
-        require(msg.sender == request.payer, "Only committed payer can fulfill");
-        require(block.timestamp <= request.committedAt + COMMITMENT_TIMEOUT, "Commitment timed out");
-
-        // Mocking the UPI transaction status validation because it requires Payment Gateway license
-        require(bytes(_transactionNumber).length == 12, "Transaction number must be exactly 12 digits");
-        require(isNumericString(_transactionNumber), "Transaction number must contain only digits");
+        require(request.status == PaymentStatus.FULFILLED && request.disputeDeadline != 0, "Nothing to claim");
+        require(block.timestamp > request.disputeDeadline, "Dispute window still open");
         
-        request.status = PaymentStatus.FULFILLED;
-        request.transactionNumber = _transactionNumber;
+        _releaseToPayer(request);
+    }
+    
+    /**
+     * @dev Dispute a fulfilment during the challenge period, freezing the funds for arbitration
+     * @param _requestId The fulfilled request
+     */
+    function raiseDispute(uint256 _requestId) external nonReentrant {
+        PaymentRequest storage request = paymentRequests[_requestId];
+        
+        require(request.requestId != 0, "Request does not exist");
+        require(request.requester == _msgSender(), "Only requester can dispute");
+        require(request.status == PaymentStatus.FULFILLED && request.disputeDeadline != 0, "Request not disputable");
+        require(block.timestamp <= request.disputeDeadline, "Dispute window closed");
         
-        // Transfer full DAI amount to payer (no platform fee deducted from DAI)
-        IERC20(DAI_TOKEN).safeTransfer(msg.sender, request.daiAmount);
+        _setStatus(request, PaymentStatus.DISPUTED);
         
-        // Transfer payer fee to payer (platform fee was already transferred during creation)
-        if (request.payerFee > 0) {
-            (bool success, ) = payable(msg.sender).call{value: request.payerFee}("");
-            require(success, "Payer fee transfer failed");
-        }
+        emit PaymentDisputed(_requestId, _msgSender());
+    }
+    
+    /**
+     * @dev Resolve a dispute, releasing the funds to the payer or refunding the requester
+     * @param _requestId The disputed request
+     * @param _inFavorOfPayer True to pay out to the payer, false to refund the requester
+     */
+    function resolveDispute(uint256 _requestId, bool _inFavorOfPayer) external nonReentrant {
+        PaymentRequest storage request = paymentRequests[_requestId];
+        
+        require(_msgSender() == arbitrator, "Only arbitrator can resolve");
+        require(request.requestId != 0, "Request does not exist");
+        require(request.status == PaymentStatus.DISPUTED, "Request not disputed");
         
-        emit PaymentFulfilled(_requestId, msg.sender, DAI_TOKEN, request.daiAmount, _transactionNumber);
+        emit DisputeResolved(_requestId, _msgSender(), _inFavorOfPayer);
+        
+        if (_inFavorOfPayer) {
+            _setStatus(request, PaymentStatus.FULFILLED);
+            _releaseToPayer(request);
+        } else {
+            _setStatus(request, PaymentStatus.REFUNDED);
+            request.disputeDeadline = 0;
+            
+            // Refund tokens and payer fee to requester (no token platform fee is taken)
+            escrowedTokens[request.tokenAddress] -= request.daiAmount;
+            IERC20(request.tokenAddress).safeTransfer(request.requester, request.daiAmount);
+            _creditEth(request.requester, request.payerFee);
+        }
     }
     
     /**
@@ -230,21 +414,25 @@ contract PaymentEscrow is ReentrancyGuard, Ownable {
         PaymentRequest storage request = paymentRequests[_requestId];
         
         require(request.requestId != 0, "Request does not exist");
-        require(request.requester == msg.sender, "Only requester can cancel");
-        require(request.status == PaymentStatus.PENDING || request.status == PaymentStatus.COMMITTED, "Request not cancellable");
+        require(request.requester == _msgSender(), "Only requester can cancel");
+        require(_isOpen(request), "Request not cancellable");
         
-        request.status = PaymentStatus.CANCELLED;
-        
-        // Refund DAI to requester
-        IERC20(DAI_TOKEN).safeTransfer(request.requester, request.daiAmount);
-        
-        // Refund payer fee to requester (platform fee was already taken during creation)
-        if (request.payerFee > 0) {
-            (bool success, ) = payable(request.requester).call{value: request.payerFee}("");
-            require(success, "Payer fee refund failed");
+        _refund(request, PaymentStatus.CANCELLED);
+    }
+    
+    /**
+     * @dev Cancel several of the caller's requests, skipping IDs that are not the caller's open requests
+     * @param _requestIds The requests to cancel
+     * @return cancelled Number of requests cancelled
+     */
+    function cancelPaymentRequests(uint256[] calldata _requestIds) external nonReentrant returns (uint256 cancelled) {
+        for (uint256 i = 0; i < _requestIds.length; i++) {
+            PaymentRequest storage request = paymentRequests[_requestIds[i]];
+            if (request.requestId != 0 && request.requester == _msgSender() && _isOpen(request)) {
+                _refund(request, PaymentStatus.CANCELLED);
+                cancelled++;
+            }
         }
-        
-        emit PaymentCancelled(_requestId, request.requester, DAI_TOKEN, request.daiAmount, request.payerFee);
     }
     
     /**
@@ -255,237 +443,362 @@ contract PaymentEscrow is ReentrancyGuard, Ownable {
         PaymentRequest storage request = paymentRequests[_requestId];
         
         require(request.requestId != 0, "Request does not exist");
-        require(request.status == PaymentStatus.PENDING || request.status == PaymentStatus.COMMITTED, "Request not expirable");
+        require(_isOpen(request), "Request not expirable");
         require(block.timestamp > request.expiresAt, "Request not yet expired");
         
-        request.status = PaymentStatus.EXPIRED;
-        
-        // Refund DAI to requester
-        IERC20(DAI_TOKEN).safeTransfer(request.requester, request.daiAmount);
-        
-        // Refund payer fee for expired requests (platform fee was already taken during creation)
-        if (request.payerFee > 0) {
-            (bool success, ) = payable(request.requester).call{value: request.payerFee}("");
-            require(success, "Payer fee refund failed");
-        }
-        
-        emit PaymentExpired(_requestId, DAI_TOKEN, request.daiAmount, request.payerFee);
+        _refund(request, PaymentStatus.EXPIRED);
     }
     
     /**
-     * @dev Get payment request details
-     * @param _requestId The request ID to query
+     * @dev Expire several requests, skipping IDs that do not exist, are settled or have not expired yet
+     * @param _requestIds The requests to expire
+     * @return expired Number of requests expired
      */
-    function getPaymentRequest(uint256 _requestId) 
-        external 
-        view 
-        returns (PaymentRequest memory) 
-    {
-        require(paymentRequests[_requestId].requestId != 0, "Request does not exist");
-        return paymentRequests[_requestId];
+    function expirePaymentRequests(uint256[] calldata _requestIds) external nonReentrant returns (uint256 expired) {
+        for (uint256 i = 0; i < _requestIds.length; i++) {
+            PaymentRequest storage request = paymentRequests[_requestIds[i]];
+            if (request.requestId != 0 && _isOpen(request) && block.timestamp > request.expiresAt) {
+                _refund(request, PaymentStatus.EXPIRED);
+                expired++;
+            }
+        }
     }
     
     /**
-     * @dev Get all available payment requests (pending and timed-out commitments)
+     * @dev Withdraw all ETH credited to the caller (payer fees, refunds, platform fees)
      */
-    function getAvailableRequests() 
-        external 
-        view 
-        returns (PaymentRequest[] memory) 
-    {
-        uint256 availableCount = 0;
-        
-        // Count available requests (PENDING or COMMITTED with timeout)
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            bool isAvailable = false;
-            
-            if (block.timestamp <= request.expiresAt) {
-                if (request.status == PaymentStatus.PENDING) {
-                    isAvailable = true;
-                } else if (request.status == PaymentStatus.COMMITTED && 
-                          block.timestamp > request.committedAt + COMMITMENT_TIMEOUT) {
-                    isAvailable = true;
-                }
-            }
-            
-            if (isAvailable) {
-                availableCount++;
-            }
-        }
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[_msgSender()];
+        require(amount > 0, "Nothing to withdraw");
         
-        // Create array of available requests
-        PaymentRequest[] memory available = new PaymentRequest[](availableCount);
-        uint256 index = 0;
+        pendingWithdrawals[_msgSender()] = 0;
+        totalPendingWithdrawals -= amount;
         
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            bool isAvailable = false;
-            
-            if (block.timestamp <= request.expiresAt) {
-                if (request.status == PaymentStatus.PENDING) {
-                    isAvailable = true;
-                } else if (request.status == PaymentStatus.COMMITTED && 
-                          block.timestamp > request.committedAt + COMMITMENT_TIMEOUT) {
-                    isAvailable = true;
-                }
-            }
-            
-            if (isAvailable) {
-                available[index] = request;
-                index++;
-            }
-        }
+        (bool success, ) = payable(_msgSender()).call{value: amount}("");
+        require(success, "Withdrawal failed");
         
-        return available;
+        emit Withdrawn(_msgSender(), amount);
     }
     
     /**
-     * @dev Get all committed payment requests (active commitments only)
+     * @dev Reject requests whose implied INR rate is outside the tolerance band around a fresh reference rate
      */
-    function getCommittedRequests() 
-        external 
-        view 
-        returns (PaymentRequest[] memory) 
-    {
-        uint256 committedCount = 0;
-        
-        // Count active committed requests
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            if (request.status == PaymentStatus.COMMITTED && 
-                block.timestamp <= request.expiresAt &&
-                block.timestamp <= request.committedAt + COMMITMENT_TIMEOUT) {
-                committedCount++;
-            }
-        }
-        
-        // Create array of committed requests
-        PaymentRequest[] memory committed = new PaymentRequest[](committedCount);
-        uint256 index = 0;
-        
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            if (request.status == PaymentStatus.COMMITTED && 
-                block.timestamp <= request.expiresAt &&
-                block.timestamp <= request.committedAt + COMMITMENT_TIMEOUT) {
-                committed[index] = request;
-                index++;
-            }
-        }
-        
-        return committed;
+    function _checkRate(uint256 _amountINR, address _tokenAddress, uint256 _tokenAmount) internal view {
+        (uint256 referenceRate, uint256 updatedAt) = rateOracle.getRate(_tokenAddress);
+        require(referenceRate > 0, "Reference rate unavailable");
+        require(updatedAt + rateMaxAge >= block.timestamp, "Reference rate stale");
+        
+        uint256 impliedRate = _impliedRate(_amountINR, _tokenAddress, _tokenAmount);
+        uint256 deviation = impliedRate > referenceRate ? impliedRate - referenceRate : referenceRate - impliedRate;
+        require(deviation * BPS_DENOMINATOR <= referenceRate * rateToleranceBps, "Rate outside tolerance band");
     }
     
     /**
-     * @dev Get user's payment requests
-     * @param _user The user address to query
+     * @dev Validate a new request, take the platform fee and pull the token deposit from the caller
+     * @param _amountINR Amount in INR (for reference)
+     * @param _tokenAddress Supported settlement token
+     * @param _tokenAmount Amount of tokens to deposit
+     * @param _expiryDuration Request lifetime in seconds (0 for the default, otherwise within the owner-set bounds)
+     * @param _commitmentWindow Commitment window in seconds (0 for the default, otherwise within the owner-set bounds)
+     * @param _value ETH paid for this request: the platform fee plus the payer fee
      */
-    function getUserRequests(address _user) 
-        external 
-        view 
-        returns (PaymentRequest[] memory) 
-    {
-        uint256[] memory userRequestIds = userRequests[_user];
-        PaymentRequest[] memory requests = new PaymentRequest[](userRequestIds.length);
+    function _createPaymentRequest(
+        uint256 _amountINR,
+        address _tokenAddress,
+        uint256 _tokenAmount,
+        uint256 _expiryDuration,
+        uint256 _commitmentWindow,
+        uint256 _value
+    ) internal returns (uint256) {
+        if (_expiryDuration == 0) {
+            _expiryDuration = REQUEST_EXPIRY_DURATION;
+        } else {
+            require(
+                _expiryDuration >= minExpiryDuration && _expiryDuration <= maxExpiryDuration,
+                "Expiry duration out of bounds"
+            );
+        }
+        if (_commitmentWindow == 0) {
+            _commitmentWindow = COMMITMENT_TIMEOUT;
+        } else {
+            require(
+                _commitmentWindow >= minCommitmentWindow && _commitmentWindow <= maxCommitmentWindow,
+                "Commitment window out of bounds"
+            );
+        }
         
-        for (uint256 i = 0; i < userRequestIds.length; i++) {
-            requests[i] = paymentRequests[userRequestIds[i]];
+        TokenConfig memory tokenConfig = tokenConfigs[_tokenAddress];
+        
+        require(_amountINR > 0, "Amount must be greater than 0");
+        require(tokenConfig.allowed, "Token not supported");
+        require(_tokenAmount >= tokenConfig.minAmount, "Token amount below minimum");
+        require(_tokenAmount <= tokenConfig.maxAmount, "Token amount above maximum");
+        require(_value >= platformFee, "Must pay atleast equal to platform fee");
+        
+        if (address(rateOracle) != address(0)) {
+            _checkRate(_amountINR, _tokenAddress, _tokenAmount);
         }
         
-        return requests;
+        uint256 requestId = nextRequestId;
+        nextRequestId++;
+        
+        // Calculate payer fee (ETH paid for the request minus platform fee)
+        uint256 payerFee = _value - platformFee;
+        
+        // Credit platform fee to fee recipient immediately
+        _creditEth(feeRecipient, platformFee);
+        
+        // Transfer tokens to contract, rejecting tokens that deliver less than the amount sent
+        uint256 balanceBefore = IERC20(_tokenAddress).balanceOf(address(this));
+        IERC20(_tokenAddress).safeTransferFrom(_msgSender(), address(this), _tokenAmount);
+        require(
+            IERC20(_tokenAddress).balanceOf(address(this)) - balanceBefore == _tokenAmount,
+            "Fee-on-transfer tokens not supported"
+        );
+        escrowedTokens[_tokenAddress] += _tokenAmount;
+        
+        uint256 expiresAt = block.timestamp + _expiryDuration;
+        
+        PaymentRequest memory newRequest = PaymentRequest({
+            requestId: requestId,
+            requester: _msgSender(),
+            payer: address(0),
+            amountINR: _amountINR,
+            tokenAddress: _tokenAddress,
+            daiAmount: _tokenAmount,
+            payerFee: payerFee,
+            platformTokenFee: (_tokenAmount * platformFeeBps) / BPS_DENOMINATOR,
+            status: PaymentStatus.PENDING,
+            createdAt: block.timestamp,
+            committedAt: 0,
+            expiresAt: expiresAt,
+            transactionNumber: "",
+            disputeDeadline: 0
+        });
+        
+        paymentRequests[requestId] = newRequest;
+        commitmentWindows[requestId] = _commitmentWindow;
+        userRequests[_msgSender()].push(requestId);
+        allRequestIds.push(requestId);
+        requestsByStatus[PaymentStatus.PENDING].add(requestId);
+        
+        emit PaymentRequestCreated(
+            requestId,
+            _msgSender(),
+            _amountINR,
+            _tokenAddress,
+            _tokenAmount,
+            payerFee,
+            expiresAt
+        );
+        
+        return requestId;
     }
     
     /**
-     * @dev Get requests committed by a specific payer
-     * @param _payer The payer address to query
+     * @dev Commit the caller to a request, taking over a timed-out commitment if there is one
+     * @param request The request to commit to
      */
-    function getPayerCommittedRequests(address _payer) 
-        external 
-        view 
-        returns (PaymentRequest[] memory) 
-    {
-        uint256 payerCommittedCount = 0;
+    function _commit(PaymentRequest storage request) internal {
+        uint256 requestId = request.requestId;
         
-        // Count committed requests by this payer
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            if (request.status == PaymentStatus.COMMITTED && request.payer == _payer) {
-                payerCommittedCount++;
-            }
+        require(requestId != 0, "Request does not exist");
+        require(block.timestamp <= request.expiresAt, "Request expired");
+        require(_msgSender() != request.requester, "Cannot commit to own request");
+        
+        // Check if request is available for commitment
+        if (request.status == PaymentStatus.PENDING) {
+            // Fresh request, can be committed
+        } else if (request.status == PaymentStatus.COMMITTED) {
+            // Check if commitment has timed out (5 minutes)
+            require(block.timestamp > request.committedAt + commitmentWindows[request.requestId], "Commitment still active");
+            require(_msgSender() != request.payer, "Already committed by this payer");
+        } else {
+            revert("Request not available for commitment");
         }
         
-        // Create array of payer's committed requests
-        PaymentRequest[] memory payerCommitted = new PaymentRequest[](payerCommittedCount);
-        uint256 index = 0;
+        require(msg.value == commitmentBond, "Incorrect commitment bond");
+        if (maxActiveCommitments > 0) {
+            require(_activeCommitmentCount(_msgSender()) < maxActiveCommitments, "Too many active commitments");
+        }
         
-        for (uint256 i = 0; i < allRequestIds.length; i++) {
-            PaymentRequest memory request = paymentRequests[allRequestIds[i]];
-            if (request.status == PaymentStatus.COMMITTED && request.payer == _payer) {
-                payerCommitted[index] = request;
-                index++;
-            }
+        uint256 commitmentExpiry = block.timestamp + commitmentWindows[request.requestId];
+        
+        // Hand a timed-out commitment over from the previous payer
+        if (request.status == PaymentStatus.COMMITTED) {
+            _endCommitment(request);
+            payerCommittedRequests[request.payer].remove(requestId);
+        }
+        _setStatus(request, PaymentStatus.COMMITTED);
+        payerCommittedRequests[_msgSender()].add(requestId);
+        request.payer = _msgSender();
+        request.committedAt = block.timestamp;
+        commitmentBonds[requestId] = msg.value;
+        // A relayed call's ETH comes from the relayer that sent the transaction to the forwarder, not the payer
+        if (msg.value > 0 && isTrustedForwarder(msg.sender)) {
+            bondSponsors[requestId] = tx.origin;
         }
+        payerStats[_msgSender()].commits++;
         
-        return payerCommitted;
+        emit PaymentCommitted(requestId, _msgSender(), commitmentExpiry);
     }
     
     /**
-     * @dev Get total number of requests
+     * @dev Settle a committed request for its payer with a validated UTR
+     * @param _requestId The request being fulfilled
+     * @param _transactionNumber UPI transaction reference number (UTR)
      */
-    function getTotalRequests() external view returns (uint256) {
-        return allRequestIds.length;
+    function _fulfill(uint256 _requestId, string calldata _transactionNumber) internal {
+        PaymentRequest storage request = paymentRequests[_requestId];
+        
+        require(request.requestId != 0, "Request does not exist");
+        require(request.status == PaymentStatus.COMMITTED, "Request not committed");
+        require(block.timestamp <= request.expiresAt, "Request expired");
+        require(_msgSender() == request.payer, "Only committed payer can fulfill");
+        require(block.timestamp <= request.committedAt + commitmentWindows[request.requestId], "Commitment timed out");
+
+        // Mocking the UPI transaction status validation because it requires Payment Gateway license
+        require(bytes(_transactionNumber).length == 12, "Transaction number must be exactly 12 digits");
+        require(isNumericString(_transactionNumber), "Transaction number must contain only digits");
+        
+        // A UTR identifies a single UPI payment, so it can only settle one request
+        bytes32 utrHash = keccak256(bytes(_transactionNumber));
+        require(!usedTransactionNumbers[utrHash], "Transaction number already used");
+        usedTransactionNumbers[utrHash] = true;
+        
+        _setStatus(request, PaymentStatus.FULFILLED);
+        request.transactionNumber = _transactionNumber;
+        payerStats[request.payer].fulfilments++;
+        
+        // Return the commitment bond right away, the dispute window only holds the payment itself
+        _returnBond(request);
+        
+        uint256 payerAmount = request.daiAmount - request.platformTokenFee;
+        emit PaymentFulfilled(_requestId, _msgSender(), request.tokenAddress, payerAmount, _transactionNumber);
+        
+        // Hold the funds through the challenge period, if one is configured
+        if (disputeWindow > 0) {
+            request.disputeDeadline = block.timestamp + disputeWindow;
+        } else {
+            _releaseToPayer(request);
+        }
     }
     
     /**
-     * @dev Check if request has expired
-     * @param _requestId The request ID to check
+     * @dev Pay a fulfilled request out to its payer, taking the percentage platform fee if any
+     * @param request The fulfilled request
      */
-    function isRequestExpired(uint256 _requestId) external view returns (bool) {
-        PaymentRequest memory request = paymentRequests[_requestId];
-        require(request.requestId != 0, "Request does not exist");
-        return block.timestamp > request.expiresAt;
+    function _releaseToPayer(PaymentRequest storage request) internal {
+        request.disputeDeadline = 0;
+        
+        escrowedTokens[request.tokenAddress] -= request.daiAmount;
+        uint256 payerAmount = request.daiAmount - request.platformTokenFee;
+        IERC20(request.tokenAddress).safeTransfer(request.payer, payerAmount);
+        
+        if (request.platformTokenFee > 0) {
+            IERC20(request.tokenAddress).safeTransfer(feeRecipient, request.platformTokenFee);
+        }
+        
+        // Credit payer fee to payer (platform fee was already credited during creation)
+        _creditEth(request.payer, request.payerFee);
+        
+        emit PaymentReleased(request.requestId, request.payer, request.tokenAddress, payerAmount);
     }
     
     /**
-     * @dev Check if commitment has timed out
-     * @param _requestId The request ID to check
+     * @dev Split a slice off a splittable request (or take the whole remainder) and commit the caller to it
+     * @return committed The fill request, or the request itself when the slice is the whole remainder
      */
-    function isCommitmentTimedOut(uint256 _requestId) external view returns (bool) {
-        PaymentRequest memory request = paymentRequests[_requestId];
-        require(request.requestId != 0, "Request does not exist");
+    function _commitToSlice(uint256 _requestId, uint256 _sliceINR) internal returns (PaymentRequest storage committed) {
+        PaymentRequest storage request = paymentRequests[_requestId];
+        uint256 minSlice = minSliceINR[_requestId];
+        
+        require(minSlice != 0, "Request not splittable");
         
-        if (request.status != PaymentStatus.COMMITTED) {
-            return false;
+        if (_sliceINR == request.amountINR) {
+            _commit(request);
+            return request;
         }
         
-        return block.timestamp > request.committedAt + COMMITMENT_TIMEOUT;
+        require(request.status == PaymentStatus.PENDING, "Request not available for commitment");
+        require(_sliceINR >= minSlice && _sliceINR + minSlice <= request.amountINR, "Invalid slice amount");
+        
+        committed = _splitRequest(request, _sliceINR);
+        _commit(committed);
     }
     
     /**
-     * @dev Get commitment expiry time
-     * @param _requestId The request ID to check
+     * @dev Move a slice of a pending request into a new fill request with a pro-rata share of its
+     * tokens, payer fee and token platform fee. Rounding leaves any dust on the parent.
+     * @param parent The splittable request
+     * @param _sliceINR INR amount of the slice
      */
-    function getCommitmentExpiry(uint256 _requestId) external view returns (uint256) {
-        PaymentRequest memory request = paymentRequests[_requestId];
-        require(request.requestId != 0, "Request does not exist");
-        require(request.status == PaymentStatus.COMMITTED, "Request not committed");
+    function _splitRequest(PaymentRequest storage parent, uint256 _sliceINR) internal returns (PaymentRequest storage fill) {
+        uint256 tokenAmount = (parent.daiAmount * _sliceINR) / parent.amountINR;
+        uint256 payerFee = (parent.payerFee * _sliceINR) / parent.amountINR;
+        uint256 platformTokenFee = (parent.platformTokenFee * _sliceINR) / parent.amountINR;
+        
+        parent.amountINR -= _sliceINR;
+        parent.daiAmount -= tokenAmount;
+        parent.payerFee -= payerFee;
+        parent.platformTokenFee -= platformTokenFee;
         
-        return request.committedAt + COMMITMENT_TIMEOUT;
+        uint256 fillId = nextRequestId;
+        nextRequestId++;
+        
+        fill = paymentRequests[fillId];
+        fill.requestId = fillId;
+        fill.requester = parent.requester;
+        fill.amountINR = _sliceINR;
+        fill.tokenAddress = parent.tokenAddress;
+        fill.daiAmount = tokenAmount;
+        fill.payerFee = payerFee;
+        fill.platformTokenFee = platformTokenFee;
+        fill.createdAt = block.timestamp;
+        fill.expiresAt = parent.expiresAt;
+        commitmentWindows[fillId] = commitmentWindows[parent.requestId];
+        
+        userRequests[parent.requester].push(fillId);
+        allRequestIds.push(fillId);
+        requestsByStatus[PaymentStatus.PENDING].add(fillId);
+        parentRequestOf[fillId] = parent.requestId;
+        requestFills[parent.requestId].push(fillId);
+        
+        emit PaymentRequestCreated(fillId, parent.requester, _sliceINR, parent.tokenAddress, tokenAmount, payerFee, parent.expiresAt);
+        emit PaymentRequestSplit(parent.requestId, fillId, _sliceINR, tokenAmount);
     }
     
     /**
-     * @dev Get platform fee amount (constant 10,000 wei)
+     * @dev Whether a request can still be cancelled or expired
+     * @param request The request to check
      */
-    function getPlatformFee() external pure returns (uint256) {
-        return PLATFORM_FEE;
+    function _isOpen(PaymentRequest storage request) internal view returns (bool) {
+        return request.status == PaymentStatus.PENDING || request.status == PaymentStatus.COMMITTED;
     }
     
     /**
-     * @dev Get the next request ID that will be assigned
+     * @dev Cancel or expire an open request: end any commitment, return the deposit and credit the payer fee back
+     * to the requester (the platform fee was already taken during creation)
+     * @param request The open request
+     * @param _status CANCELLED or EXPIRED
      */
-    function getNextRequestId() external view returns (uint256) {
-        return nextRequestId;
+    function _refund(PaymentRequest storage request, PaymentStatus _status) internal {
+        if (request.status == PaymentStatus.COMMITTED) {
+            _endCommitment(request);
+        }
+        _setStatus(request, _status);
+        
+        // Refund tokens to requester
+        escrowedTokens[request.tokenAddress] -= request.daiAmount;
+        IERC20(request.tokenAddress).safeTransfer(request.requester, request.daiAmount);
+        
+        _creditEth(request.requester, request.payerFee);
+        
+        if (_status == PaymentStatus.CANCELLED) {
+            emit PaymentCancelled(request.requestId, request.requester, request.tokenAddress, request.daiAmount, request.payerFee);
+        } else {
+            emit PaymentExpired(request.requestId, request.tokenAddress, request.daiAmount, request.payerFee);
+        }
     }
     
     /**
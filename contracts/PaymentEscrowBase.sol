@@ -0,0 +1,372 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./interfaces/IINRRateOracle.sol";
+import "./interfaces/IUPIAttestationVerifier.sol";
+import "./libraries/RequestIdSet.sol";
+
+/**
+ * @dev Storage, types and events shared by PaymentEscrow and PaymentEscrowExtension.
+ * Both contracts inherit this layout, so extension code delegatecalled by the escrow reads and writes the escrow's state.
+ * The escrow runs behind a transparent proxy: state lives in the proxy and is set up by initialize() rather than
+ * constructors or initial values. Only ever append state variables, below the last one.
+ */
+abstract contract PaymentEscrowBase is Initializable, ReentrancyGuard, ERC2771Context, Ownable, Pausable {
+    using RequestIdSet for RequestIdSet.Set;
+    
+    enum PaymentStatus {
+        PENDING,
+        COMMITTED,
+        FULFILLED, 
+        CANCELLED,
+        EXPIRED,
+        DISPUTED,                   // Requester challenged the fulfilment, funds frozen until arbitration
+        REFUNDED                    // Dispute resolved for the requester, funds returned
+    }
+    
+    struct PaymentRequest {
+        uint256 requestId;          // Numeric identifier linking to MongoDB
+        address requester;          // Who created the payment request
+        address payer;              // Who will fulfill the payment (set when committed)
+        uint256 amountINR;          // Amount in INR (wei equivalent for precision)
+        address tokenAddress;       // Settlement token deposited for this request
+        uint256 daiAmount;          // Amount of settlement token deposited (named from when DAI was the only token)
+        uint256 payerFee;           // ETH payer fee (excluding platform fee)
+        uint256 platformTokenFee;   // Token fee kept by the platform on fulfilment (fixed at creation)
+        PaymentStatus status;       // Current status
+        uint256 createdAt;          // Timestamp when request was created
+        uint256 committedAt;        // Timestamp when request was committed
+        uint256 expiresAt;          // When the request expires
+        string transactionNumber;   // 12-digit UPI transaction number
+        uint256 disputeDeadline;    // End of the challenge period after fulfilment (0 once funds are released)
+    }
+    
+    mapping(uint256 => PaymentRequest) public paymentRequests;
+    mapping(address => uint256[]) public userRequests; // Track user's requests
+    
+    uint256[] public allRequestIds; // Track all requests for enumeration
+    uint256 public nextRequestId; // Auto-incrementing request ID counter (starts at 1)
+    
+    // Index sets kept in sync on every status change so queries scale with the result size,
+    // iterated in request ID order
+    mapping(PaymentStatus => RequestIdSet.Set) internal requestsByStatus;
+    mapping(address => RequestIdSet.Set) internal payerCommittedRequests; // COMMITTED requests per payer
+    
+    // Optional partial fills: each slice a payer commits to is split off into its own fill request,
+    // while the unfilled remainder stays on the original request
+    mapping(uint256 => uint256) public minSliceINR; // Smallest slice a request can be split into (0 = not splittable)
+    mapping(uint256 => uint256) public parentRequestOf; // Request a fill was split off from (0 for regular requests)
+    mapping(uint256 => uint256[]) internal requestFills; // Fill requests split off each request
+    
+    struct TokenConfig {
+        bool allowed;               // Whether new requests can be created in this token
+        uint256 minAmount;          // Minimum deposit per request (token base units)
+        uint256 maxAmount;          // Maximum deposit per request (token base units)
+    }
+    
+    // Settlement token allowlist managed by the owner
+    mapping(address => TokenConfig) public tokenConfigs;
+    address[] public supportedTokens;
+    
+    // Platform fee configuration
+    uint256 public platformFee; // Flat ETH fee taken at creation (defaults to 10,000 wei)
+    uint256 public platformFeeBps; // Fee in basis points of the token amount, taken at fulfilment
+    address public feeRecipient; // Receives both the ETH and token platform fees
+    
+    // Hard caps the owner can never exceed
+    uint256 public constant MAX_PLATFORM_FEE = 0.01 ether;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 500; // 5%
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+    
+    // Optional INR rate check at request creation (disabled while the oracle is unset)
+    IINRRateOracle public rateOracle;
+    uint256 public rateToleranceBps; // Allowed deviation of a request's implied rate from the reference rate
+    uint256 public rateMaxAge; // Oldest reference rate accepted, in seconds
+    uint256 internal constant RATE_PRECISION = 1e8; // Oracle rates use 8 decimals
+    
+    // Optional challenge period after fulfilment (0 releases funds to the payer immediately)
+    uint256 public disputeWindow;
+    uint256 public constant MAX_DISPUTE_WINDOW = 7 days;
+    address public arbitrator; // Resolves disputes raised during the challenge period
+    
+    // Optional signed UPI attestation required at fulfilment (disabled while unset)
+    IUPIAttestationVerifier public attestationVerifier;
+    
+    // UTRs already used to fulfil a request, keyed by keccak256 of the transaction number
+    mapping(bytes32 => bool) public usedTransactionNumbers;
+    
+    // ETH owed to users and the fee recipient, claimed with withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+    
+    // Per-payer track record, updated as commitments are made, fulfilled or left to time out
+    struct PayerStats {
+        uint256 commits;            // Commitments made
+        uint256 fulfilments;        // Commitments fulfilled
+        uint256 timeouts;           // Commitments left to time out
+    }
+    
+    mapping(address => PayerStats) internal payerStats;
+    
+    // Anti-griefing limits on commitments (both disabled while 0)
+    uint256 public maxActiveCommitments; // Most unexpired commitments one payer can hold at once
+    uint256 public commitmentBond; // ETH a payer locks per commitment, forfeited to the requester on timeout
+    uint256 public constant MAX_COMMITMENT_BOND = 0.1 ether;
+    
+    // Bond held for the current commitment of each request
+    mapping(uint256 => uint256) public commitmentBonds;
+    
+    event PaymentRequestCreated(
+        uint256 indexed requestId,
+        address indexed requester,
+        uint256 amountINR,
+        address tokenAddress,
+        uint256 tokenAmount,
+        uint256 payerFee,
+        uint256 expiresAt
+    );
+    
+    event PaymentCommitted(
+        uint256 indexed requestId,
+        address indexed payer,
+        uint256 commitmentExpiry
+    );
+    
+    event PaymentFulfilled(
+        uint256 indexed requestId,
+        address indexed payer,
+        address tokenAddress,
+        uint256 tokenAmount,
+        string transactionNumber
+    );
+    
+    event PaymentCancelled(
+        uint256 indexed requestId,
+        address indexed requester,
+        address tokenAddress,
+        uint256 tokenRefund,
+        uint256 ethRefund
+    );
+    
+    event PaymentExpired(
+        uint256 indexed requestId,
+        address tokenAddress,
+        uint256 tokenRefund,
+        uint256 ethRefund
+    );
+    
+    event RequestSplittableSet(uint256 indexed requestId, uint256 minSliceINR);
+    
+    event PaymentRequestSplit(
+        uint256 indexed parentRequestId,
+        uint256 indexed fillRequestId,
+        uint256 amountINR,
+        uint256 tokenAmount
+    );
+    
+    event SupportedTokenSet(
+        address indexed tokenAddress,
+        uint256 minAmount,
+        uint256 maxAmount
+    );
+    
+    event SupportedTokenRemoved(address indexed tokenAddress);
+    
+    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
+    
+    event PlatformFeeBpsUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+    
+    event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+    
+    event Withdrawn(address indexed account, uint256 amount);
+    
+    event CommitmentLimitsUpdated(uint256 maxActiveCommitments, uint256 commitmentBond);
+    
+    event CommitmentTimedOut(uint256 indexed requestId, address indexed payer, uint256 bondForfeited);
+    
+    event RateCheckUpdated(address indexed rateOracle, uint256 toleranceBps, uint256 maxAge);
+    
+    event AttestationVerifierUpdated(address indexed oldVerifier, address indexed newVerifier);
+    
+    event DisputeWindowUpdated(uint256 oldWindow, uint256 newWindow);
+    
+    event ArbitratorUpdated(address indexed oldArbitrator, address indexed newArbitrator);
+    
+    event PaymentDisputed(uint256 indexed requestId, address indexed requester);
+    
+    event DisputeResolved(uint256 indexed requestId, address indexed arbitrator, bool inFavorOfPayer);
+    
+    event WindowBoundsUpdated(
+        uint256 minExpiryDuration,
+        uint256 maxExpiryDuration,
+        uint256 minCommitmentWindow,
+        uint256 maxCommitmentWindow
+    );
+    
+    event RequestExpiryExtended(uint256 indexed requestId, uint256 expiresAt);
+    
+    event PaymentRequestAmended(
+        uint256 indexed requestId,
+        uint256 oldAmountINR,
+        uint256 newAmountINR,
+        uint256 oldTokenAmount,
+        uint256 newTokenAmount,
+        uint256 oldPayerFee,
+        uint256 newPayerFee
+    );
+    
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    
+    event TokensRescued(address indexed tokenAddress, address indexed to, uint256 amount);
+    
+    event PaymentReleased(
+        uint256 indexed requestId,
+        address indexed payer,
+        address tokenAddress,
+        uint256 tokenAmount
+    );
+    
+    
+    // Duration for payment request expiry (24 hours), used when the requester does not choose one
+    uint256 public constant REQUEST_EXPIRY_DURATION = 24 hours;
+    
+    // Duration for commitment timeout (5 minutes), used when the requester does not choose one
+    uint256 public constant COMMITMENT_TIMEOUT = 5 minutes;
+    
+    // Owner-set bounds for requester-chosen expiry durations and commitment windows
+    // (defaults: expiry 1 hour to 7 days, commitment window 5 minutes to 1 hour)
+    uint256 public minExpiryDuration;
+    uint256 public maxExpiryDuration;
+    uint256 public minCommitmentWindow;
+    uint256 public maxCommitmentWindow;
+    
+    // How long a commitment to each request stays exclusive
+    mapping(uint256 => uint256) public commitmentWindows;
+    
+    // Account allowed to pause request creation and commitments in an emergency (besides the owner)
+    address public guardian;
+    
+    // Tokens held for requests not yet paid out or refunded; anything above this balance is rescuable
+    mapping(address => uint256) public escrowedTokens;
+    
+    // Relayer that sponsored the bond of each request's current commitment (zero when the payer posted it)
+    mapping(uint256 => address) public bondSponsors;
+    
+    /**
+     * @param _trustedForwarder ERC-2771 forwarder relaying calls signed by users without ETH for gas
+     * (zero address disables relayed calls)
+     */
+    constructor(address _trustedForwarder) ERC2771Context(_trustedForwarder) Ownable() {
+        // Implementations are only used through the proxy
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev INR per whole token offered by a request, with 8 decimals like oracle rates
+     */
+    function _impliedRate(uint256 _amountINR, address _tokenAddress, uint256 _tokenAmount) internal view returns (uint256) {
+        uint256 tokenUnit = 10**IERC20Metadata(_tokenAddress).decimals();
+        return (_amountINR * tokenUnit * RATE_PRECISION) / _tokenAmount;
+    }
+    
+    /**
+     * @dev Caller of the current call, or the signer of a request relayed by the trusted forwarder
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+    
+    /**
+     * @dev Close the current commitment of a request that is leaving COMMITTED without being fulfilled.
+     * A timed-out commitment counts against the payer and forfeits its bond to the requester,
+     * otherwise the bond goes back to whoever posted it.
+     * @param request The committed request
+     */
+    function _endCommitment(PaymentRequest storage request) internal {
+        if (block.timestamp > request.committedAt + commitmentWindows[request.requestId]) {
+            uint256 bond = commitmentBonds[request.requestId];
+            commitmentBonds[request.requestId] = 0;
+            delete bondSponsors[request.requestId];
+            
+            payerStats[request.payer].timeouts++;
+            _creditEth(request.requester, bond);
+            emit CommitmentTimedOut(request.requestId, request.payer, bond);
+        } else {
+            _returnBond(request);
+        }
+    }
+    
+    /**
+     * @dev Credit the bond of a request's current commitment back to the relayer that sponsored it,
+     * or to the payer if they posted it themselves
+     * @param request The committed request
+     */
+    function _returnBond(PaymentRequest storage request) internal {
+        uint256 requestId = request.requestId;
+        address sponsor = bondSponsors[requestId];
+        
+        _creditEth(sponsor == address(0) ? request.payer : sponsor, commitmentBonds[requestId]);
+        commitmentBonds[requestId] = 0;
+        delete bondSponsors[requestId];
+    }
+    
+    /**
+     * @dev Move a request to a new status and keep the index sets in sync
+     * @param request The request to update
+     * @param _status The new status
+     */
+    function _setStatus(PaymentRequest storage request, PaymentStatus _status) internal {
+        if (request.status == _status) {
+            return;
+        }
+        if (request.status == PaymentStatus.COMMITTED) {
+            payerCommittedRequests[request.payer].remove(request.requestId);
+        }
+        requestsByStatus[request.status].remove(request.requestId);
+        requestsByStatus[_status].add(request.requestId);
+        request.status = _status;
+    }
+    
+    /**
+     * @dev Credit ETH to an account instead of pushing it, so a reverting receiver cannot block settlement
+     * @param _account The account to credit
+     * @param _amount Amount of ETH in wei
+     */
+    function _creditEth(address _account, uint256 _amount) internal {
+        if (_amount == 0) {
+            return;
+        }
+        pendingWithdrawals[_account] += _amount;
+        totalPendingWithdrawals += _amount;
+    }
+    
+    /**
+     * @dev Number of a payer's commitments still within their timeout and request expiry
+     * @param _payer The payer to count for
+     */
+    function _activeCommitmentCount(address _payer) internal view returns (uint256 count) {
+        RequestIdSet.Set storage committed = payerCommittedRequests[_payer];
+        
+        for (uint256 id = committed.next(0, nextRequestId); id != 0; id = committed.next(id, nextRequestId)) {
+            PaymentRequest storage request = paymentRequests[id];
+            if (block.timestamp <= request.expiresAt && block.timestamp <= request.committedAt + commitmentWindows[request.requestId]) {
+                count++;
+            }
+        }
+    }
+    
+}
\ No newline at end of file
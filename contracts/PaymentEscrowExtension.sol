@@ -0,0 +1,728 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PaymentEscrowBase.sol";
+
+/**
+ * @dev Owner configuration, read-only functions and commitment housekeeping of PaymentEscrow, split off to keep
+ * the escrow under the contract size limit. PaymentEscrow delegatecalls this contract for every function it does not implement itself,
+ * so these run against the escrow's storage. Clients call them on the escrow address with both ABIs combined.
+ */
+contract PaymentEscrowExtension is PaymentEscrowBase {
+    using SafeERC20 for IERC20;
+    using RequestIdSet for RequestIdSet.Set;
+    
+    /**
+     * @param _trustedForwarder Must match the forwarder of the PaymentEscrow using this extension
+     */
+    constructor(address _trustedForwarder) PaymentEscrowBase(_trustedForwarder) {}
+    
+    /**
+     * @dev Set up the proxy's state in place of a constructor. Called once, by the proxy deployment.
+     * Settlement tokens are added afterwards with setSupportedToken.
+     * @param _owner Owner and initial fee recipient
+     */
+    function initialize(address _owner) external initializer {
+        require(_owner != address(0), "Owner cannot be zero");
+        
+        _transferOwnership(_owner);
+        feeRecipient = _owner;
+        platformFee = 10000;
+        nextRequestId = 1;
+        
+        minExpiryDuration = 1 hours;
+        maxExpiryDuration = 7 days;
+        minCommitmentWindow = 5 minutes;
+        maxCommitmentWindow = 1 hours;
+    }
+    
+    /**
+     * @dev Set the flat ETH platform fee charged at request creation
+     * @param _platformFee New fee in wei (at most MAX_PLATFORM_FEE)
+     */
+    function setPlatformFee(uint256 _platformFee) external onlyOwner {
+        require(_platformFee <= MAX_PLATFORM_FEE, "Platform fee above cap");
+        
+        emit PlatformFeeUpdated(platformFee, _platformFee);
+        platformFee = _platformFee;
+    }
+    
+    /**
+     * @dev Set the percentage fee taken from the token amount at fulfilment
+     * Only applies to requests created after the change
+     * @param _platformFeeBps New fee in basis points (at most MAX_PLATFORM_FEE_BPS)
+     */
+    function setPlatformFeeBps(uint256 _platformFeeBps) external onlyOwner {
+        require(_platformFeeBps <= MAX_PLATFORM_FEE_BPS, "Platform fee bps above cap");
+        
+        emit PlatformFeeBpsUpdated(platformFeeBps, _platformFeeBps);
+        platformFeeBps = _platformFeeBps;
+    }
+    
+    /**
+     * @dev Set the address receiving platform fees
+     * @param _feeRecipient New fee recipient
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "Fee recipient cannot be zero");
+        
+        emit FeeRecipientUpdated(feeRecipient, _feeRecipient);
+        feeRecipient = _feeRecipient;
+    }
+    
+    /**
+     * @dev Configure the INR rate check applied at request creation
+     * @param _rateOracle Reference rate source (zero address disables the check)
+     * @param _toleranceBps Allowed deviation from the reference rate in basis points
+     * @param _maxAge Oldest reference rate accepted, in seconds
+     */
+    function setRateCheck(address _rateOracle, uint256 _toleranceBps, uint256 _maxAge) external onlyOwner {
+        if (_rateOracle != address(0)) {
+            require(_toleranceBps > 0 && _toleranceBps < BPS_DENOMINATOR, "Invalid rate tolerance");
+            require(_maxAge > 0, "Max age must be greater than 0");
+        }
+        
+        rateOracle = IINRRateOracle(_rateOracle);
+        rateToleranceBps = _toleranceBps;
+        rateMaxAge = _maxAge;
+        
+        emit RateCheckUpdated(_rateOracle, _toleranceBps, _maxAge);
+    }
+    
+    /**
+     * @dev Configure the limits that stop payers from locking requests without paying
+     * @param _maxActiveCommitments Most unexpired commitments per payer (0 for no cap)
+     * @param _commitmentBond ETH bond per commitment in wei (0 for no bond, at most MAX_COMMITMENT_BOND)
+     */
+    function setCommitmentLimits(uint256 _maxActiveCommitments, uint256 _commitmentBond) external onlyOwner {
+        require(_commitmentBond <= MAX_COMMITMENT_BOND, "Commitment bond above cap");
+        
+        maxActiveCommitments = _maxActiveCommitments;
+        commitmentBond = _commitmentBond;
+        
+        emit CommitmentLimitsUpdated(_maxActiveCommitments, _commitmentBond);
+    }
+    
+    /**
+     * @dev Set the bounds requesters can choose expiry durations and commitment windows in
+     * @param _minExpiryDuration Shortest request lifetime in seconds
+     * @param _maxExpiryDuration Longest request lifetime in seconds, also caps expiry extensions
+     * @param _minCommitmentWindow Shortest commitment window in seconds
+     * @param _maxCommitmentWindow Longest commitment window in seconds
+     */
+    function setWindowBounds(
+        uint256 _minExpiryDuration,
+        uint256 _maxExpiryDuration,
+        uint256 _minCommitmentWindow,
+        uint256 _maxCommitmentWindow
+    ) external onlyOwner {
+        require(_minExpiryDuration > 0 && _minExpiryDuration <= _maxExpiryDuration, "Invalid expiry bounds");
+        require(_minCommitmentWindow > 0 && _minCommitmentWindow <= _maxCommitmentWindow, "Invalid commitment window bounds");
+        
+        minExpiryDuration = _minExpiryDuration;
+        maxExpiryDuration = _maxExpiryDuration;
+        minCommitmentWindow = _minCommitmentWindow;
+        maxCommitmentWindow = _maxCommitmentWindow;
+        
+        emit WindowBoundsUpdated(_minExpiryDuration, _maxExpiryDuration, _minCommitmentWindow, _maxCommitmentWindow);
+    }
+    
+    /**
+     * @dev Require a signed UPI attestation at fulfilment
+     * @param _attestationVerifier Verifier contract (zero address allows fulfilment without attestation)
+     */
+    function setAttestationVerifier(address _attestationVerifier) external onlyOwner {
+        emit AttestationVerifierUpdated(address(attestationVerifier), _attestationVerifier);
+        attestationVerifier = IUPIAttestationVerifier(_attestationVerifier);
+    }
+    
+    /**
+     * @dev Set the challenge period applied to requests fulfilled from now on
+     * @param _disputeWindow Challenge period in seconds (0 disables disputes)
+     */
+    function setDisputeWindow(uint256 _disputeWindow) external onlyOwner {
+        require(_disputeWindow <= MAX_DISPUTE_WINDOW, "Dispute window above cap");
+        
+        emit DisputeWindowUpdated(disputeWindow, _disputeWindow);
+        disputeWindow = _disputeWindow;
+    }
+    
+    /**
+     * @dev Appoint the arbitrator that resolves disputes
+     * @param _arbitrator New arbitrator
+     */
+    function setArbitrator(address _arbitrator) external onlyOwner {
+        require(_arbitrator != address(0), "Arbitrator cannot be zero");
+        
+        emit ArbitratorUpdated(arbitrator, _arbitrator);
+        arbitrator = _arbitrator;
+    }
+    
+    /**
+     * @dev Add a settlement token or update its deposit limits
+     * @param _tokenAddress ERC20 token to accept
+     * @param _minAmount Minimum deposit per request (token base units)
+     * @param _maxAmount Maximum deposit per request (token base units)
+     */
+    function setSupportedToken(
+        address _tokenAddress,
+        uint256 _minAmount,
+        uint256 _maxAmount
+    ) external onlyOwner {
+        require(_tokenAddress != address(0), "Token address cannot be zero");
+        require(_minAmount > 0, "Min amount must be greater than 0");
+        require(_maxAmount >= _minAmount, "Max amount below min amount");
+        
+        TokenConfig storage config = tokenConfigs[_tokenAddress];
+        if (!config.allowed) {
+            supportedTokens.push(_tokenAddress);
+        }
+        
+        config.allowed = true;
+        config.minAmount = _minAmount;
+        config.maxAmount = _maxAmount;
+        
+        emit SupportedTokenSet(_tokenAddress, _minAmount, _maxAmount);
+    }
+    
+    /**
+     * @dev Stop accepting a settlement token for new requests
+     * Open requests in this token still settle and refund in it
+     * @param _tokenAddress Token to remove from the allowlist
+     */
+    function removeSupportedToken(address _tokenAddress) external onlyOwner {
+        require(tokenConfigs[_tokenAddress].allowed, "Token not supported");
+        
+        delete tokenConfigs[_tokenAddress];
+        
+        for (uint256 i = 0; i < supportedTokens.length; i++) {
+            if (supportedTokens[i] == _tokenAddress) {
+                supportedTokens[i] = supportedTokens[supportedTokens.length - 1];
+                supportedTokens.pop();
+                break;
+            }
+        }
+        
+        emit SupportedTokenRemoved(_tokenAddress);
+    }
+    
+    /**
+     * @dev Appoint the guardian that can pause the escrow alongside the owner
+     * @param _guardian New guardian (zero address leaves pausing to the owner)
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        emit GuardianUpdated(guardian, _guardian);
+        guardian = _guardian;
+    }
+    
+    /**
+     * @dev Stop new requests and commitments. Fulfilment, disputes, cancellation, expiry and
+     * withdrawals keep working so funds already escrowed can always leave.
+     */
+    function pause() external {
+        require(_msgSender() == guardian || _msgSender() == owner(), "Only guardian or owner can pause");
+        _pause();
+    }
+    
+    /**
+     * @dev Resume new requests and commitments
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+    
+    /**
+     * @dev Get the tokens held beyond what open requests are owed (e.g. sent to the escrow by mistake)
+     * @param _tokenAddress Token to check
+     */
+    function getRescuableTokens(address _tokenAddress) public view returns (uint256) {
+        uint256 balance = IERC20(_tokenAddress).balanceOf(address(this));
+        uint256 escrowed = escrowedTokens[_tokenAddress];
+        return balance > escrowed ? balance - escrowed : 0;
+    }
+    
+    /**
+     * @dev Send surplus tokens out of the escrow. Tokens escrowed for requests cannot be rescued.
+     * @param _tokenAddress Token to rescue
+     * @param _to Recipient
+     * @param _amount Amount to send (at most getRescuableTokens)
+     */
+    function rescueTokens(address _tokenAddress, address _to, uint256 _amount) external onlyOwner nonReentrant {
+        require(_to != address(0), "Recipient cannot be zero");
+        require(_amount <= getRescuableTokens(_tokenAddress), "Amount exceeds surplus");
+        
+        IERC20(_tokenAddress).safeTransfer(_to, _amount);
+        
+        emit TokensRescued(_tokenAddress, _to, _amount);
+    }
+    
+    /**
+     * @dev Release commitments that timed out, putting their requests back to PENDING for any payer.
+     * The timeout counts against the payer and the bond goes to the requester right away, instead of only when
+     * another payer takes the request over or it is cancelled or expired. Anyone can call this (the keeper does
+     * every round). Requests that are not committed, whose commitment is still active or that have expired (left
+     * to expirePaymentRequests) are skipped.
+     * @param _requestIds Requests to release
+     * @return released Number of commitments released
+     */
+    function releaseTimedOutCommitments(uint256[] calldata _requestIds) external nonReentrant returns (uint256 released) {
+        for (uint256 i = 0; i < _requestIds.length; i++) {
+            PaymentRequest storage request = paymentRequests[_requestIds[i]];
+            if (request.status != PaymentStatus.COMMITTED || block.timestamp > request.expiresAt || block.timestamp <= request.committedAt + commitmentWindows[request.requestId]) {
+                continue;
+            }
+            
+            _endCommitment(request);
+            _setStatus(request, PaymentStatus.PENDING);
+            request.payer = address(0);
+            request.committedAt = 0;
+            released++;
+        }
+    }
+    
+    /**
+     * @dev Get all settlement tokens currently accepted
+     */
+    function getSupportedTokens() external view returns (address[] memory) {
+        return supportedTokens;
+    }
+    
+    /**
+     * @dev Get ETH waiting to be withdrawn by an account
+     * @param _account The account to query
+     */
+    function getPendingWithdrawal(address _account) external view returns (uint256) {
+        return pendingWithdrawals[_account];
+    }
+    
+    /**
+     * @dev Get a payer's commitment track record
+     * @param _payer The payer to query
+     * @return commits Commitments made
+     * @return fulfilments Commitments fulfilled
+     * @return timeouts Commitments left to time out
+     * @return activeCommitments Commitments currently within their timeout
+     */
+    function getPayerStats(address _payer) external view returns (
+        uint256 commits,
+        uint256 fulfilments,
+        uint256 timeouts,
+        uint256 activeCommitments
+    ) {
+        PayerStats memory stats = payerStats[_payer];
+        return (stats.commits, stats.fulfilments, stats.timeouts, _activeCommitmentCount(_payer));
+    }
+    
+    /**
+     * @dev Get payment request details
+     * @param _requestId The request ID to query
+     */
+    function getPaymentRequest(uint256 _requestId) 
+        external 
+        view 
+        returns (PaymentRequest memory) 
+    {
+        require(paymentRequests[_requestId].requestId != 0, "Request does not exist");
+        return paymentRequests[_requestId];
+    }
+    
+    /**
+     * @dev Get the fill requests split off a request, in the order they were committed to
+     * @param _requestId The splittable request (its own remainder is settled on the request itself)
+     */
+    function getRequestFills(uint256 _requestId) external view returns (PaymentRequest[] memory fills) {
+        uint256[] storage fillIds = requestFills[_requestId];
+        fills = new PaymentRequest[](fillIds.length);
+        
+        for (uint256 i = 0; i < fillIds.length; i++) {
+            fills[i] = paymentRequests[fillIds[i]];
+        }
+    }
+    
+    /**
+     * @dev Get all available payment requests (pending and timed-out commitments)
+     */
+    function getAvailableRequests() 
+        external 
+        view 
+        returns (PaymentRequest[] memory) 
+    {
+        (PaymentRequest[] memory available, ) = getAvailableRequestsPage(0, _openRequestCount());
+        return available;
+    }
+    
+    /**
+     * @dev Get all committed payment requests (active commitments only)
+     */
+    function getCommittedRequests() 
+        external 
+        view 
+        returns (PaymentRequest[] memory) 
+    {
+        (PaymentRequest[] memory committed, ) = getCommittedRequestsPage(0, requestsByStatus[PaymentStatus.COMMITTED].length());
+        return committed;
+    }
+    
+    /**
+     * @dev Get user's payment requests
+     * @param _user The user address to query
+     */
+    function getUserRequests(address _user) 
+        external 
+        view 
+        returns (PaymentRequest[] memory) 
+    {
+        (PaymentRequest[] memory requests, ) = getUserRequestsPage(_user, 0, userRequests[_user].length);
+        return requests;
+    }
+    
+    /**
+     * @dev Get requests committed by a specific payer
+     * @param _payer The payer address to query
+     */
+    function getPayerCommittedRequests(address _payer) 
+        external 
+        view 
+        returns (PaymentRequest[] memory) 
+    {
+        (PaymentRequest[] memory payerCommitted, ) = getPayerCommittedRequestsPage(_payer, 0, payerCommittedRequests[_payer].length());
+        return payerCommitted;
+    }
+    
+    /**
+     * @dev Page through available requests (pending and timed-out commitments) in request ID order
+     * Scans the `_limit` lowest open request IDs above `_cursor`, so a page can hold fewer than `_limit` results
+     * @param _cursor Request ID to continue after (0 for the first page)
+     * @param _limit Number of open requests to scan
+     * @return available Available requests in the scanned window
+     * @return nextCursor Cursor for the next page, 0 when there are no more
+     */
+    function getAvailableRequestsPage(uint256 _cursor, uint256 _limit) 
+        public 
+        view 
+        returns (PaymentRequest[] memory available, uint256 nextCursor) 
+    {
+        uint256[] memory ids;
+        (ids, nextCursor) = _openRequestPageIds(_cursor, _limit);
+        
+        uint256 availableCount = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (_isAvailable(paymentRequests[ids[i]])) {
+                ids[availableCount] = ids[i];
+                availableCount++;
+            }
+        }
+        
+        available = new PaymentRequest[](availableCount);
+        for (uint256 i = 0; i < availableCount; i++) {
+            available[i] = paymentRequests[ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Page through actively committed requests in request ID order
+     * Scans the `_limit` lowest COMMITTED request IDs above `_cursor`, skipping timed-out commitments
+     * @param _cursor Request ID to continue after (0 for the first page)
+     * @param _limit Number of COMMITTED requests to scan
+     * @return committed Active commitments in the scanned window
+     * @return nextCursor Cursor for the next page, 0 when there are no more
+     */
+    function getCommittedRequestsPage(uint256 _cursor, uint256 _limit) 
+        public 
+        view 
+        returns (PaymentRequest[] memory committed, uint256 nextCursor) 
+    {
+        uint256[] memory ids;
+        (ids, nextCursor) = _pageIds(requestsByStatus[PaymentStatus.COMMITTED], _cursor, _limit);
+        
+        uint256 committedCount = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (_isActivelyCommitted(paymentRequests[ids[i]])) {
+                ids[committedCount] = ids[i];
+                committedCount++;
+            }
+        }
+        
+        committed = new PaymentRequest[](committedCount);
+        for (uint256 i = 0; i < committedCount; i++) {
+            committed[i] = paymentRequests[ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Page through requests in a given status in request ID order
+     * @param _status The status to query
+     * @param _cursor Request ID to continue after (0 for the first page)
+     * @param _limit Maximum number of requests to return
+     * @return requests Requests in this page
+     * @return nextCursor Cursor for the next page, 0 when there are no more
+     */
+    function getRequestsByStatus(PaymentStatus _status, uint256 _cursor, uint256 _limit) 
+        external 
+        view 
+        returns (PaymentRequest[] memory requests, uint256 nextCursor) 
+    {
+        uint256[] memory ids;
+        (ids, nextCursor) = _pageIds(requestsByStatus[_status], _cursor, _limit);
+        requests = _toRequests(ids);
+    }
+    
+    /**
+     * @dev Page through a user's payment requests in creation order
+     * @param _user The user address to query
+     * @param _cursor Position to start from (0 for the first page)
+     * @param _limit Maximum number of requests to return
+     * @return requests Requests in this page
+     * @return nextCursor Cursor for the next page, 0 when there are no more
+     */
+    function getUserRequestsPage(address _user, uint256 _cursor, uint256 _limit) 
+        public 
+        view 
+        returns (PaymentRequest[] memory requests, uint256 nextCursor) 
+    {
+        uint256[] storage ids = userRequests[_user];
+        uint256 end;
+        (end, nextCursor) = _pageBounds(_cursor, _limit, ids.length);
+        
+        requests = new PaymentRequest[](end - _cursor);
+        for (uint256 i = _cursor; i < end; i++) {
+            requests[i - _cursor] = paymentRequests[ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Page through requests currently committed by a payer (including timed-out commitments) in request ID order
+     * @param _payer The payer address to query
+     * @param _cursor Request ID to continue after (0 for the first page)
+     * @param _limit Maximum number of requests to return
+     * @return requests Requests in this page
+     * @return nextCursor Cursor for the next page, 0 when there are no more
+     */
+    function getPayerCommittedRequestsPage(address _payer, uint256 _cursor, uint256 _limit) 
+        public 
+        view 
+        returns (PaymentRequest[] memory requests, uint256 nextCursor) 
+    {
+        uint256[] memory ids;
+        (ids, nextCursor) = _pageIds(payerCommittedRequests[_payer], _cursor, _limit);
+        requests = _toRequests(ids);
+    }
+    
+    /**
+     * @dev Get number of requests in a given status
+     * @param _status The status to count
+     */
+    function getRequestCountByStatus(PaymentStatus _status) external view returns (uint256) {
+        return requestsByStatus[_status].length();
+    }
+    
+    /**
+     * @dev Get total number of requests
+     */
+    function getTotalRequests() external view returns (uint256) {
+        return allRequestIds.length;
+    }
+    
+    /**
+     * @dev Check if request has expired
+     * @param _requestId The request ID to check
+     */
+    function isRequestExpired(uint256 _requestId) external view returns (bool) {
+        PaymentRequest memory request = paymentRequests[_requestId];
+        require(request.requestId != 0, "Request does not exist");
+        return block.timestamp > request.expiresAt;
+    }
+    
+    /**
+     * @dev Check if commitment has timed out
+     * @param _requestId The request ID to check
+     */
+    function isCommitmentTimedOut(uint256 _requestId) external view returns (bool) {
+        PaymentRequest memory request = paymentRequests[_requestId];
+        require(request.requestId != 0, "Request does not exist");
+        
+        if (request.status != PaymentStatus.COMMITTED) {
+            return false;
+        }
+        
+        return block.timestamp > request.committedAt + commitmentWindows[request.requestId];
+    }
+    
+    /**
+     * @dev Get commitment expiry time
+     * @param _requestId The request ID to check
+     */
+    function getCommitmentExpiry(uint256 _requestId) external view returns (uint256) {
+        PaymentRequest memory request = paymentRequests[_requestId];
+        require(request.requestId != 0, "Request does not exist");
+        require(request.status == PaymentStatus.COMMITTED, "Request not committed");
+        
+        return request.committedAt + commitmentWindows[request.requestId];
+    }
+    
+    /**
+     * @dev Quote the platform fees for a request of the given size
+     * @param _tokenAmount Token amount the request would deposit
+     * @return ethFee Flat ETH fee due at creation
+     * @return tokenFee Token fee taken from the deposit at fulfilment
+     */
+    function getPlatformFee(uint256 _tokenAmount) external view returns (uint256 ethFee, uint256 tokenFee) {
+        return (platformFee, (_tokenAmount * platformFeeBps) / BPS_DENOMINATOR);
+    }
+    
+    /**
+     * @dev Compare a request's pricing with the current reference rate
+     * Positive premium means the payer receives more tokens per INR than the reference rate implies
+     * @param _requestId The request ID to check
+     * @return premiumBps Premium (positive) or discount (negative) in basis points
+     * @return referenceRate Current reference rate (INR per whole token, 8 decimals)
+     * @return impliedRate Rate implied by the request (INR per whole token, 8 decimals)
+     */
+    function getRequestRatePremium(uint256 _requestId) 
+        external 
+        view 
+        returns (int256 premiumBps, uint256 referenceRate, uint256 impliedRate) 
+    {
+        PaymentRequest memory request = paymentRequests[_requestId];
+        require(request.requestId != 0, "Request does not exist");
+        require(address(rateOracle) != address(0), "Rate oracle not set");
+        
+        (referenceRate, ) = rateOracle.getRate(request.tokenAddress);
+        require(referenceRate > 0, "Reference rate unavailable");
+        
+        impliedRate = _impliedRate(request.amountINR, request.tokenAddress, request.daiAmount);
+        premiumBps = ((int256(referenceRate) - int256(impliedRate)) * int256(BPS_DENOMINATOR)) / int256(impliedRate);
+    }
+    
+    /**
+     * @dev Get the next request ID that will be assigned
+     */
+    function getNextRequestId() external view returns (uint256) {
+        return nextRequestId;
+    }
+    
+    /**
+     * @dev Check if a request can be committed to right now
+     */
+    function _isAvailable(PaymentRequest memory request) internal view returns (bool) {
+        if (block.timestamp > request.expiresAt) {
+            return false;
+        }
+        return request.status == PaymentStatus.PENDING ||
+            (request.status == PaymentStatus.COMMITTED && block.timestamp > request.committedAt + commitmentWindows[request.requestId]);
+    }
+    
+    /**
+     * @dev Check if a request holds a commitment that has not timed out
+     */
+    function _isActivelyCommitted(PaymentRequest memory request) internal view returns (bool) {
+        return request.status == PaymentStatus.COMMITTED &&
+            block.timestamp <= request.expiresAt &&
+            block.timestamp <= request.committedAt + commitmentWindows[request.requestId];
+    }
+    
+    /**
+     * @dev Number of PENDING plus COMMITTED requests
+     */
+    function _openRequestCount() internal view returns (uint256) {
+        return requestsByStatus[PaymentStatus.PENDING].length() + requestsByStatus[PaymentStatus.COMMITTED].length();
+    }
+    
+    /**
+     * @dev The `_limit` lowest request IDs above `_cursor` in an index set, in ascending order.
+     * Pages follow request IDs, so IDs that stay in the set between two calls are never skipped or repeated,
+     * whatever else changes. Each ID costs a few storage reads, however large the set is.
+     * @return ids The page
+     * @return nextCursor Last ID of the page if higher IDs remain, 0 otherwise
+     */
+    function _pageIds(RequestIdSet.Set storage _set, uint256 _cursor, uint256 _limit) 
+        internal 
+        view 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        ids = new uint256[](_limit < _set.length() ? _limit : _set.length());
+        uint256 end = nextRequestId;
+        uint256 count = 0;
+        uint256 id = _set.next(_cursor, end);
+        
+        while (id != 0 && count < ids.length) {
+            ids[count++] = id;
+            id = _set.next(id, end);
+        }
+        return _trimPage(ids, count, id != 0);
+    }
+    
+    /**
+     * @dev Same as _pageIds over the open (PENDING plus COMMITTED) requests, merging both sets by ID
+     */
+    function _openRequestPageIds(uint256 _cursor, uint256 _limit) 
+        internal 
+        view 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        RequestIdSet.Set storage pending = requestsByStatus[PaymentStatus.PENDING];
+        RequestIdSet.Set storage committed = requestsByStatus[PaymentStatus.COMMITTED];
+        uint256 total = pending.length() + committed.length();
+        ids = new uint256[](_limit < total ? _limit : total);
+        
+        uint256 end = nextRequestId;
+        uint256 count = 0;
+        uint256 nextPending = pending.next(_cursor, end);
+        uint256 nextCommitted = committed.next(_cursor, end);
+        
+        while ((nextPending != 0 || nextCommitted != 0) && count < ids.length) {
+            if (nextCommitted == 0 || (nextPending != 0 && nextPending < nextCommitted)) {
+                ids[count++] = nextPending;
+                nextPending = pending.next(nextPending, end);
+            } else {
+                ids[count++] = nextCommitted;
+                nextCommitted = committed.next(nextCommitted, end);
+            }
+        }
+        return _trimPage(ids, count, nextPending != 0 || nextCommitted != 0);
+    }
+    
+    /**
+     * @dev Shorten a page to the IDs collected and work out the next cursor
+     */
+    function _trimPage(uint256[] memory _ids, uint256 _count, bool _more) 
+        internal 
+        pure 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        ids = _ids;
+        if (_count < _ids.length) {
+            ids = new uint256[](_count);
+            for (uint256 i = 0; i < _count; i++) {
+                ids[i] = _ids[i];
+            }
+        }
+        nextCursor = _more && _count > 0 ? ids[_count - 1] : 0;
+    }
+    
+    /**
+     * @dev Load the requests of a page of IDs
+     */
+    function _toRequests(uint256[] memory _ids) internal view returns (PaymentRequest[] memory requests) {
+        requests = new PaymentRequest[](_ids.length);
+        for (uint256 i = 0; i < _ids.length; i++) {
+            requests[i] = paymentRequests[_ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Clamp a page to the collection size
+     * @return end Exclusive end position of the page
+     * @return nextCursor Start of the following page, 0 when this is the last one
+     */
+    function _pageBounds(uint256 _cursor, uint256 _limit, uint256 _total) internal pure returns (uint256 end, uint256 nextCursor) {
+        if (_cursor >= _total) {
+            return (_cursor, 0);
+        }
+        end = _limit > _total - _cursor ? _total : _cursor + _limit;
+        nextCursor = end < _total ? end : 0;
+    }
+    
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Test helper: a contract account that rejects ETH unless explicitly allowed
+contract RevertingReceiver {
+    bool public acceptEther;
+    
+    function setAcceptEther(bool _acceptEther) external {
+        acceptEther = _acceptEther;
+    }
+    
+    // Forward an arbitrary call so this contract can act as requester or payer
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+    
+    receive() external payable {
+        require(acceptEther, "RevertingReceiver: ETH rejected");
+    }
+}
\ No newline at end of file
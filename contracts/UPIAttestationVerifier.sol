@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IUPIAttestationVerifier.sol";
+
+contract UPIAttestationVerifier is IUPIAttestationVerifier, EIP712, Ownable {
+    // The escrow is part of the signed data so an attestation cannot be replayed on another deployment
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "UPIAttestation(address escrow,uint256 requestId,address payer,string transactionNumber,uint256 amountINR)"
+    );
+    
+    // Payment-gateway keys trusted to sign attestations
+    mapping(address => bool) public isVerifier;
+    
+    event VerifierSet(address indexed verifier, bool trusted);
+    
+    constructor() EIP712("FullOnCrypto UPI Attestation", "1") Ownable() {}
+    
+    /**
+     * @dev Add or remove a trusted verifier key
+     * @param _verifier Signing key of the payment-gateway backend
+     * @param _trusted Whether attestations signed by the key are accepted
+     */
+    function setVerifier(address _verifier, bool _trusted) external onlyOwner {
+        require(_verifier != address(0), "Verifier cannot be zero");
+        
+        isVerifier[_verifier] = _trusted;
+        emit VerifierSet(_verifier, _trusted);
+    }
+    
+    /**
+     * @dev Recover the signer of an attestation for the calling escrow and check it is a verifier
+     */
+    function verifyAttestation(
+        uint256 _requestId,
+        address _payer,
+        string calldata _transactionNumber,
+        uint256 _amountINR,
+        bytes calldata _signature
+    ) external view override returns (bool) {
+        bytes32 digest = hashAttestation(msg.sender, _requestId, _payer, _transactionNumber, _amountINR);
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(digest, _signature);
+        
+        return error == ECDSA.RecoverError.NoError && isVerifier[signer];
+    }
+    
+    /**
+     * @dev EIP-712 digest a verifier signs for an attestation
+     * @param _escrow The PaymentEscrow the attestation is for
+     * @param _requestId The request being fulfilled
+     * @param _payer The payer fulfilling the request
+     * @param _transactionNumber UPI transaction reference number (UTR)
+     * @param _amountINR INR amount of the request
+     */
+    function hashAttestation(
+        address _escrow,
+        uint256 _requestId,
+        address _payer,
+        string calldata _transactionNumber,
+        uint256 _amountINR
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ATTESTATION_TYPEHASH,
+            _escrow,
+            _requestId,
+            _payer,
+            keccak256(bytes(_transactionNumber)),
+            _amountINR
+        )));
+    }
+    
+    /**
+     * @dev EIP-712 domain separator, for signers that build the digest themselves
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Reference INR rate source used by PaymentEscrow to sanity-check request pricing
+interface IINRRateOracle {
+    /**
+     * @dev Get the reference rate for a settlement token
+     * @param _tokenAddress The settlement token
+     * @return rate INR (in amountINR units) per whole token, with 8 decimals; 0 if no rate is available
+     * @return updatedAt Timestamp of the last rate update
+     */
+    function getRate(address _tokenAddress) external view returns (uint256 rate, uint256 updatedAt);
+}
\ No newline at end of file
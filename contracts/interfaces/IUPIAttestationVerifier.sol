@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Checks payment-gateway attestations that a UPI payment for a request really happened
+interface IUPIAttestationVerifier {
+    /**
+     * @dev Check an attestation signed for the calling escrow by a trusted verifier
+     * @param _requestId The request being fulfilled
+     * @param _payer The payer fulfilling the request
+     * @param _transactionNumber UPI transaction reference number (UTR)
+     * @param _amountINR INR amount of the request
+     * @param _signature EIP-712 signature over the attestation
+     * @return True if the signer is a current verifier
+     */
+    function verifyAttestation(
+        uint256 _requestId,
+        address _payer,
+        string calldata _transactionNumber,
+        uint256 _amountINR,
+        bytes calldata _signature
+    ) external view returns (bool);
+}
\ No newline at end of file
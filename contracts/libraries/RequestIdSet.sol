@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @dev Set of request IDs stored as a two-level bitmap, iterated in ascending ID order.
+ * Each word holds the bits of 256 consecutive IDs and each summary word flags the non-empty words among 256
+ * consecutive words. Adding and removing an ID touch one or two slots, and finding the next ID above any cursor
+ * reads a few slots plus one summary word per 65,536 IDs skipped, so paging costs about the size of the page
+ * however many IDs the set holds.
+ */
+library RequestIdSet {
+    struct Set {
+        mapping(uint256 => uint256) words;
+        mapping(uint256 => uint256) summary;
+        uint256 size;
+    }
+    
+    /**
+     * @dev Add an ID to the set
+     * @return Whether the ID was not already in the set
+     */
+    function add(Set storage set, uint256 id) internal returns (bool) {
+        uint256 word = id >> 8;
+        uint256 bits = set.words[word];
+        uint256 bit = 1 << (id & 255);
+        if (bits & bit != 0) {
+            return false;
+        }
+        
+        if (bits == 0) {
+            set.summary[word >> 8] |= 1 << (word & 255);
+        }
+        set.words[word] = bits | bit;
+        set.size++;
+        return true;
+    }
+    
+    /**
+     * @dev Remove an ID from the set
+     * @return Whether the ID was in the set
+     */
+    function remove(Set storage set, uint256 id) internal returns (bool) {
+        uint256 word = id >> 8;
+        uint256 bits = set.words[word];
+        uint256 bit = 1 << (id & 255);
+        if (bits & bit == 0) {
+            return false;
+        }
+        
+        bits &= ~bit;
+        set.words[word] = bits;
+        if (bits == 0) {
+            set.summary[word >> 8] &= ~(1 << (word & 255));
+        }
+        set.size--;
+        return true;
+    }
+    
+    function contains(Set storage set, uint256 id) internal view returns (bool) {
+        return set.words[id >> 8] & (1 << (id & 255)) != 0;
+    }
+    
+    function length(Set storage set) internal view returns (uint256) {
+        return set.size;
+    }
+    
+    /**
+     * @dev Lowest ID in the set above `_after`
+     * @param _end Exclusive upper bound on the IDs in the set (e.g. the next request ID), which ends the search
+     * @return The ID, or 0 if there is none
+     */
+    function next(Set storage set, uint256 _after, uint256 _end) internal view returns (uint256) {
+        if (_after >= _end || _after + 1 == _end) {
+            return 0;
+        }
+        
+        uint256 id = _after + 1;
+        uint256 bits = set.words[id >> 8] >> (id & 255);
+        if (bits != 0) {
+            return id + _lowestBit(bits);
+        }
+        
+        // Find the next non-empty word, one summary word at a time
+        uint256 word = (id >> 8) + 1;
+        uint256 flags = set.summary[word >> 8] >> (word & 255);
+        while (flags == 0) {
+            word = ((word >> 8) + 1) << 8;
+            if (word << 8 >= _end) {
+                return 0;
+            }
+            flags = set.summary[word >> 8];
+        }
+        word += _lowestBit(flags);
+        return (word << 8) + _lowestBit(set.words[word]);
+    }
+    
+    /**
+     * @dev Position of the lowest set bit of a non-zero value
+     */
+    function _lowestBit(uint256 _bits) private pure returns (uint256) {
+        unchecked {
+            return Math.log2(_bits & (~_bits + 1));
+        }
+    }
+}
\ No newline at end of file
@@ -1,42 +1,82 @@
 #!/bin/bash
 
 # Deployment script for MockDAI and PaymentEscrow contracts
-# Usage: ./deploy.sh <chainId> <privateKey> [daiTokenAddress]
+# Usage: ./deploy.sh <chainId> [tokenList] [--platform-fee wei] [--fee-bps bps] [--fee-recipient address] [--guardian address] [--keystore file] [--dry-run]
+#        ./deploy.sh upgrade <chainId> [--deployment file] [--keystore file] [--dry-run]
+# The deployer key comes from --keystore, or PRIVATE_KEY / MNEMONIC in the environment or .env - never the command line
 
 set -e  # Exit on any error
 
+# Upgrade mode deploys a new implementation behind an existing PaymentEscrow proxy
+MODE=""
+if [ "$1" = "upgrade" ]; then
+    MODE="upgrade"
+    shift
+fi
+
 # Check if arguments are provided
-if [ $# -lt 2 ]; then
-    echo "Usage: ./deploy.sh <chainId> <privateKey> [daiTokenAddress]"
+if [ $# -lt 1 ]; then
+    echo "Usage: ./deploy.sh <chainId> [tokenList] [--platform-fee wei] [--fee-bps bps] [--fee-recipient address] [--guardian address] [key options] [--dry-run]"
+    echo "       ./deploy.sh upgrade <chainId> [--deployment file] [key options] [--dry-run]"
+    echo ""
+    echo "tokenList: comma-separated settlement tokens, each address[:min:max] in whole token units"
+    echo "Fee options default to 10,000 wei flat fee, 0 bps and the deployer as fee recipient"
+    echo "upgrade points the proxy of the current (or given) deployment at a new implementation"
+    echo "--dry-run prints the planned transactions with estimated gas and cost without broadcasting"
+    echo ""
+    echo "Deployer key, one of:"
+    echo "  --keystore file       Encrypted JSON keystore (password from KEYSTORE_PASSWORD or a prompt)"
+    echo "  PRIVATE_KEY=0x...     Environment variable or .env entry"
+    echo "  MNEMONIC=\"...\"        Environment variable or .env entry, with --derivation-path path (default m/44'/60'/0'/0/0)"
     echo ""
     echo "Supported Chain IDs:"
     echo "  1337    - Localhost (Hardhat network) - deploys MockDAI"
     echo "  84532   - Base Sepolia Testnet - deploys MockDAI"
-    echo "  8453    - Base Mainnet - uses real DAI (0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb)"
+    echo "  8453    - Base Mainnet - uses real DAI, USDC and USDT"
     echo ""
     echo "Examples:"
-    echo "  ./deploy.sh 1337 0x123...def                    # Uses MockDAI on localhost"
-    echo "  ./deploy.sh 8453 0x123...def                    # Uses real DAI on Base mainnet"
-    echo "  ./deploy.sh 1337 0x123...def 0xCustomDAIAddress # Uses custom DAI address"
+    echo "  PRIVATE_KEY=0x... ./deploy.sh 1337                      # Uses MockDAI on localhost"
+    echo "  ./deploy.sh 8453 --keystore ~/keys/deployer.json --dry-run # Shows what a Base mainnet deployment would send"
+    echo "  ./deploy.sh 8453 --keystore ~/keys/deployer.json        # Uses real DAI/USDC/USDT on Base mainnet"
+    echo "  ./deploy.sh 1337 0xTokenA,0xTokenB:1:500                # Uses custom settlement tokens"
+    echo "  ./deploy.sh 8453 --fee-bps 50 --fee-recipient 0xTreasury"
+    echo "  ./deploy.sh upgrade 8453 --keystore ~/keys/deployer.json # Upgrades the current Base mainnet deployment"
     exit 1
 fi
 
 CHAIN_ID=$1
-PRIVATE_KEY=$2
-DAI_ADDRESS=$3
+shift
+
+# Older invocations pass the private key next: still forwarded (the script warns), but never echoed
+KEY_ARGS=()
+if [[ "$1" =~ ^0x[0-9a-fA-F]{64}$ ]]; then
+    KEY_ARGS=("$1")
+    shift
+fi
+
+# Optional token list comes before any --options
+TOKEN_LIST=""
+if [ -z "$MODE" ] && [ $# -gt 0 ] && [ "${1:0:2}" != "--" ]; then
+    TOKEN_LIST=$1
+    shift
+fi
 
 echo "🚀 Starting deployment process..."
 echo "📋 Chain ID: $CHAIN_ID"
-echo "🔑 Private Key: ${PRIVATE_KEY:0:10}...${PRIVATE_KEY: -4}"
-if [ -n "$DAI_ADDRESS" ]; then
-    echo "💰 DAI Address: $DAI_ADDRESS"
+if [ -n "$MODE" ]; then
+    echo "🔁 Mode: upgrade the existing PaymentEscrow proxy"
+elif [ -n "$TOKEN_LIST" ]; then
+    echo "💰 Settlement Tokens: $TOKEN_LIST"
 else
     if [ "$CHAIN_ID" = "8453" ]; then
-        echo "💰 DAI Strategy: Using Base mainnet DAI"
+        echo "💰 Token Strategy: Using Base mainnet DAI, USDC and USDT"
     else
-        echo "💰 DAI Strategy: Deploy MockDAI for testing"
+        echo "💰 Token Strategy: Deploy MockDAI for testing"
     fi
 fi
+if [ $# -gt 0 ]; then
+    echo "⚙️  Options: $*"
+fi
 echo ""
 
 # Change to the contract directory
@@ -54,10 +94,12 @@ npx hardhat compile
 
 # Run deployment
 echo "🚀 Deploying contracts..."
-if [ -n "$DAI_ADDRESS" ]; then
-    node scripts/deploy-with-params.js "$CHAIN_ID" "$PRIVATE_KEY" "$DAI_ADDRESS"
+if [ -n "$MODE" ]; then
+    node scripts/deploy-with-params.js "$MODE" "$CHAIN_ID" "${KEY_ARGS[@]}" "$@"
+elif [ -n "$TOKEN_LIST" ]; then
+    node scripts/deploy-with-params.js "$CHAIN_ID" "${KEY_ARGS[@]}" "$TOKEN_LIST" "$@"
 else
-    node scripts/deploy-with-params.js "$CHAIN_ID" "$PRIVATE_KEY"
+    node scripts/deploy-with-params.js "$CHAIN_ID" "${KEY_ARGS[@]}" "$@"
 fi
 
 echo "✅ Deployment process completed!"
\ No newline at end of file
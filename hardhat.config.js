@@ -1,5 +1,23 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("hardhat-gas-reporter");
+require("solidity-coverage");
+const { NETWORKS } = require("./networks");
+const { loadEnv } = require("./scripts/env");
+
+// PRIVATE_KEY, MNEMONIC, KEYSTORE_PASSWORD, ... from .env, for every script and task that loads Hardhat
+loadEnv();
+
+// escrow:* tasks for inspecting and operating a deployed escrow (npx hardhat help)
+require("./tasks/escrow");
+
+// Every compilation also rewrites the combined PaymentEscrow ABI in sdk/abi, which the SDK and the off-chain services read
+task("compile", async (taskArgs, hre, runSuper) => {
+  const result = await runSuper(taskArgs);
+  const { writeSdkAbi } = require("./scripts/build-sdk-abi");
+  await writeSdkAbi();
+  return result;
+});
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -24,6 +42,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 1000 // Increase optimizer runs to reduce deployment gas cost
+      },
+      viaIR: true, // IR pipeline keeps PaymentEscrow under the 24KB contract size limit
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"] // Checked by deploy-with-params.js before upgrading the proxy
+        }
       }
     }
   },
@@ -31,22 +55,18 @@ module.exports = {
     hardhat: {
       chainId: 1337
     },
-    localhost: {
-      url: "http://127.0.0.1:8545",
-      chainId: 1337
-    },
-    "base-sepolia": {
-      url: "https://sepolia.base.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 84532
-    },
-    base: {
-      url: "https://mainnet.base.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 8453,
-      gasPrice: 10000000, // 0.01 gwei - Base has low gas fees but needs minimum
-      gas: 6000000 // Increase gas limit for contract deployment
-    }
+    // Deployment targets come from networks.js; tasks on live ones send from PRIVATE_KEY once it holds a real key
+    ...Object.fromEntries(Object.entries(NETWORKS).map(([name, { live, mainnet, ...network }]) => [
+      name,
+      live ? { ...network, accounts: /^0x[0-9a-fA-F]{64}$/.test(process.env.PRIVATE_KEY || "") ? [process.env.PRIVATE_KEY] : [] } : network
+    ]))
+  },
+  // Per-function gas of the test suite, including eth_call views, so growth in the O(n) getters shows up (REPORT_GAS=true)
+  gasReporter: {
+    enabled: process.env.REPORT_GAS === "true",
+    reportPureAndViewMethods: true,
+    excludeContracts: ["MockAggregator", "MockDAI", "MockFeeOnTransferToken", "MockRequestIdSet", "MockUSDC", "RevertingReceiver"],
+    outputFile: process.env.REPORT_GAS_FILE
   },
   paths: {
     sources: "./contracts",
@@ -0,0 +1,39 @@
+// Networks the contracts are deployed to. hardhat.config.js, the deploy script, the deployment registry and the
+// off-chain services all read this table, so each chain's RPC URL and settings are defined once.
+// `live` networks deploy from PRIVATE_KEY and get their contracts verified on the block explorer.
+const NETWORKS = {
+  localhost: {
+    chainId: 1337,
+    url: "http://127.0.0.1:8545",
+    maxGasPrice: 100000000000 // 100 gwei - keeper gas price cap
+  },
+  "base-sepolia": {
+    chainId: 84532,
+    url: "https://sepolia.base.org",
+    maxGasPrice: 1000000000, // 1 gwei - keeper gas price cap
+    live: true
+  },
+  base: {
+    chainId: 8453,
+    url: "https://mainnet.base.org",
+    gasPrice: 10000000, // 0.01 gwei - Base has low gas fees but needs minimum
+    gas: 6000000, // Increase gas limit for contract deployment
+    maxGasPrice: 100000000, // 0.1 gwei - keeper gas price cap
+    live: true,
+    mainnet: true
+  }
+};
+
+/**
+ * Look up a network by chain ID
+ * @return { name, chainId, url, ... } or null for an unknown chain
+ */
+function getNetworkByChainId(chainId) {
+  const name = Object.keys(NETWORKS).find(key => NETWORKS[key].chainId === Number(chainId));
+  return name ? { name, ...NETWORKS[name] } : null;
+}
+
+module.exports = {
+  NETWORKS,
+  getNetworkByChainId
+};
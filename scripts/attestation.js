@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+
+// Must match the EIP712 constructor arguments of UPIAttestationVerifier
+const DOMAIN_NAME = "FullOnCrypto UPI Attestation";
+const DOMAIN_VERSION = "1";
+
+const ATTESTATION_TYPES = {
+  UPIAttestation: [
+    { name: "escrow", type: "address" },
+    { name: "requestId", type: "uint256" },
+    { name: "payer", type: "address" },
+    { name: "transactionNumber", type: "string" },
+    { name: "amountINR", type: "uint256" }
+  ]
+};
+
+/**
+ * EIP-712 domain of a deployed UPIAttestationVerifier
+ */
+function buildDomain(chainId, verifierAddress) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: verifierAddress
+  };
+}
+
+/**
+ * Normalize attestation fields and check the UTR has the format fulfillPayment accepts
+ * @param fields { escrow, requestId, payer, transactionNumber, amountINR }
+ */
+function buildAttestation(fields) {
+  const transactionNumber = String(fields.transactionNumber);
+  if (!/^[0-9]{12}$/.test(transactionNumber)) {
+    throw new Error(`Transaction number must be exactly 12 digits, got "${transactionNumber}"`);
+  }
+
+  return {
+    escrow: ethers.utils.getAddress(fields.escrow),
+    requestId: ethers.BigNumber.from(fields.requestId).toString(),
+    payer: ethers.utils.getAddress(fields.payer),
+    transactionNumber,
+    amountINR: ethers.BigNumber.from(fields.amountINR).toString()
+  };
+}
+
+/**
+ * Sign an attestation with a verifier key
+ * @param signer ethers Signer holding a key registered with UPIAttestationVerifier.setVerifier
+ * @param domain Domain from buildDomain()
+ * @param fields { escrow, requestId, payer, transactionNumber, amountINR }
+ * @return Signature to pass to fulfillPaymentWithAttestation
+ */
+async function signAttestation(signer, domain, fields) {
+  return signer._signTypedData(domain, ATTESTATION_TYPES, buildAttestation(fields));
+}
+
+/**
+ * EIP-712 digest of an attestation, as computed by UPIAttestationVerifier.hashAttestation
+ */
+function hashAttestation(domain, fields) {
+  return ethers.utils._TypedDataEncoder.hash(domain, ATTESTATION_TYPES, buildAttestation(fields));
+}
+
+/**
+ * Address that signed an attestation
+ */
+function recoverAttestationSigner(domain, fields, signature) {
+  return ethers.utils.verifyTypedData(domain, ATTESTATION_TYPES, buildAttestation(fields), signature);
+}
+
+module.exports = {
+  ATTESTATION_TYPES,
+  buildDomain,
+  buildAttestation,
+  signAttestation,
+  hashAttestation,
+  recoverAttestationSigner
+};
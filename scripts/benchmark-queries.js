@@ -0,0 +1,83 @@
+const hre = require("hardhat");
+const { deployPaymentEscrow } = require("./escrow");
+
+// Request counts to measure at; override with BENCHMARK_SIZES=100,1000
+const SIZES = (process.env.BENCHMARK_SIZES || "100,1000,10000").split(",").map(size => parseInt(size));
+const PAGE_SIZE = 50;
+// Requests created per transaction while filling the escrow
+const BATCH_SIZE = 50;
+
+/**
+ * Gas an eth_call would use, or null if it does not fit in the block gas limit
+ */
+async function callGas(contract, method, args) {
+  try {
+    return (await contract.estimateGas[method](...args)).toNumber();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Page queries are measured both at the start of their set and just below its highest ID, so a cost that
+ * grows with the set size or with the cursor shows up in the table
+ */
+async function measure(paymentEscrow, requester, size) {
+  const lastPage = Math.max(size - 2 * PAGE_SIZE, 0);
+  return {
+    "getAvailableRequests()": await callGas(paymentEscrow, "getAvailableRequests", []),
+    "getUserRequests()": await callGas(paymentEscrow, "getUserRequests", [requester.address]),
+    [`getAvailableRequestsPage(0, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getAvailableRequestsPage", [0, PAGE_SIZE]),
+    [`getAvailableRequestsPage(last, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getAvailableRequestsPage", [lastPage, PAGE_SIZE]),
+    [`getUserRequestsPage(0, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getUserRequestsPage", [requester.address, 0, PAGE_SIZE]),
+    [`getRequestsByStatus(PENDING, 0, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getRequestsByStatus", [0, 0, PAGE_SIZE]),
+    [`getRequestsByStatus(CANCELLED, 0, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getRequestsByStatus", [3, 0, PAGE_SIZE]),
+    [`getRequestsByStatus(CANCELLED, last, ${PAGE_SIZE})`]: await callGas(paymentEscrow, "getRequestsByStatus", [3, lastPage, PAGE_SIZE])
+  };
+}
+
+async function main() {
+  const [owner, requester] = await hre.ethers.getSigners();
+
+  const MockDAI = await hre.ethers.getContractFactory("MockDAI");
+  const mockDAI = await MockDAI.deploy();
+  await mockDAI.deployed();
+
+  const paymentEscrow = await deployPaymentEscrow(hre.ethers.constants.AddressZero);
+  await paymentEscrow.connect(owner).setSupportedToken(mockDAI.address, 1, hre.ethers.utils.parseUnits("100000", 18));
+
+  const maxSize = Math.max(...SIZES);
+  const daiAmount = hre.ethers.utils.parseUnits("1", 18);
+  const platformFee = await paymentEscrow.platformFee();
+  await mockDAI.mint(requester.address, daiAmount.mul(maxSize));
+  await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(maxSize));
+
+  const results = [];
+  let created = 0;
+
+  for (const size of SIZES.sort((a, b) => a - b)) {
+    console.log(`Creating requests ${created + 1}-${size}, cancelling every other one...`);
+    while (created < size) {
+      const count = Math.min(BATCH_SIZE, size - created);
+      await paymentEscrow.connect(requester).createPaymentRequests(
+        Array(count).fill(1000), mockDAI.address, Array(count).fill(daiAmount), Array(count).fill(0), { value: platformFee.mul(count) }
+      );
+      // Half of the requests end up CANCELLED, interleaved with the PENDING half
+      const ids = Array.from({ length: count }, (_, i) => created + 1 + i).filter(id => id % 2 === 0);
+      await paymentEscrow.connect(requester).cancelPaymentRequests(ids);
+      created += count;
+    }
+
+    results.push({ requests: size, ...(await measure(paymentEscrow, requester, size)) });
+  }
+
+  console.log("\nEstimated eth_call gas (null = exceeds the block gas limit)");
+  console.table(results);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Benchmark failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const path = require("path");
+const { getPaymentEscrowAbi } = require("./escrow");
+
+// Combined PaymentEscrow ABI shipped with the SDK. It is build output and not kept in git: `hardhat compile`
+// rewrites it after every compilation (see hardhat.config.js) and the SDK's prepack script builds it before packing.
+const SDK_ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "PaymentEscrow.json");
+
+/**
+ * Write the combined PaymentEscrow ABI of the current artifacts to the SDK
+ * @return Number of ABI entries written
+ */
+async function writeSdkAbi() {
+  const abi = await getPaymentEscrowAbi();
+  fs.mkdirSync(path.dirname(SDK_ABI_FILE), { recursive: true });
+  fs.writeFileSync(SDK_ABI_FILE, JSON.stringify(abi, null, 2) + "\n");
+  return abi.length;
+}
+
+module.exports = {
+  SDK_ABI_FILE,
+  writeSdkAbi
+};
@@ -1,103 +1,182 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { NETWORKS, getNetworkByChainId } = require("../networks");
+const {
+  getPaymentEscrowAbi,
+  getPaymentEscrowFactory,
+  getPaymentEscrowAt,
+  getProxyAdmin,
+  upgradePaymentEscrow
+} = require("./escrow");
+const { getStorageLayout, compareStorageLayouts } = require("./storage-layout");
+const {
+  getDeployment,
+  recordDeployment,
+  updateDeployment,
+  getGitCommit,
+  hashAbi
+} = require("./deployments");
+const { describeContract } = require("./deployments-hardhat");
+const { isPrivateKey, loadDeployerWallet } = require("./keys");
+const { startDryRun, finishDryRun, printDryRunReport } = require("./dry-run");
+
+// Settlement tokens registered on each chain when no token list is passed
+// min/max are per-request deposit limits in whole token units
+const DEFAULT_SETTLEMENT_TOKENS = {
+  8453: [
+    { symbol: "DAI", address: "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb", min: "1", max: "100000" },
+    { symbol: "USDC", address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", min: "1", max: "100000" },
+    { symbol: "USDT", address: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2", min: "1", max: "100000" }
+  ]
+};
+
+const DEFAULT_MIN_AMOUNT = "1";
+const DEFAULT_MAX_AMOUNT = "100000";
+
+/**
+ * Parse a comma-separated token list, each entry being address[:min:max]
+ */
+function parseTokenList(tokenList) {
+  return tokenList.split(",").map(entry => {
+    const [address, min, max] = entry.trim().split(":");
+    return {
+      address,
+      min: min || DEFAULT_MIN_AMOUNT,
+      max: max || DEFAULT_MAX_AMOUNT
+    };
+  });
+}
+
+// Options that take no value
+const FLAGS = ["dry-run"];
+
+/**
+ * Split command line arguments into positional arguments and --flag value options
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (FLAGS.includes(argv[i].slice(2))) {
+      options[argv[i].slice(2)] = true;
+    } else if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Signer for the deployer wallet, using Hardhat's built-in network on localhost
+ */
+async function getDeployer(chainId, wallet, rpcUrl) {
+  if (chainId === 1337) {
+    // For localhost, use Hardhat's built-in network and signers
+    const signers = await hre.ethers.getSigners();
+    
+    // Check if the address matches any of the default Hardhat accounts
+    const signer = signers.find(signer => signer.address.toLowerCase() === wallet.address.toLowerCase());
+    
+    // If not found in default accounts, create a custom wallet with Hardhat provider
+    return signer || wallet.connect(hre.ethers.provider);
+  }
+  
+  // For other networks, create custom provider and wallet
+  const provider = new hre.ethers.providers.JsonRpcProvider(rpcUrl);
+  return wallet.connect(provider);
+}
 
 async function main() {
   // Get command line arguments
-  const args = process.argv.slice(2);
+  const { positional: args, options } = parseArgs(process.argv.slice(2));
+  
+  // "upgrade" mode points an existing PaymentEscrow proxy at a new implementation
+  const upgradeMode = args[0] === "upgrade";
+  if (upgradeMode) {
+    args.shift();
+  }
   
-  if (args.length < 2) {
-    console.error("Usage: node scripts/deploy-with-params.js <chainId> <privateKey> [daiTokenAddress]");
-    console.error("Example: node scripts/deploy-with-params.js 1337 your_private_key_here");
-    console.error("Note: If daiTokenAddress is not provided, MockDAI will be deployed and used for non-mainnet chains");
+  if (args.length < 1) {
+    console.error("Usage: node scripts/deploy-with-params.js <chainId> [tokenList] [--platform-fee wei] [--fee-bps bps] [--fee-recipient address] [--guardian address] [key options] [--dry-run]");
+    console.error("       node scripts/deploy-with-params.js upgrade <chainId> [--deployment file] [key options] [--dry-run]");
+    console.error("Key options: --keystore file (password from KEYSTORE_PASSWORD or a prompt), or PRIVATE_KEY / MNEMONIC in the environment or .env");
+    console.error("             --derivation-path path for MNEMONIC (default m/44'/60'/0'/0/0, or DERIVATION_PATH)");
+    console.error("Example: PRIVATE_KEY=0x... node scripts/deploy-with-params.js 1337");
+    console.error("Example: node scripts/deploy-with-params.js 84532 0xToken1:1:5000,0xToken2 --keystore ~/keys/deployer.json");
+    console.error("Example: node scripts/deploy-with-params.js 8453 --keystore ~/keys/deployer.json --dry-run");
+    console.error("Note: tokenList entries are address[:min:max] in whole token units (default min 1, max 100000)");
+    console.error("Note: If tokenList is not provided, Base mainnet uses DAI/USDC/USDT and other chains deploy MockDAI");
+    console.error("Note: Fee options default to the contract defaults (10,000 wei flat fee, 0 bps, deployer as fee recipient)");
+    console.error("Note: --guardian sets the account that can pause the escrow in an emergency (default: deployer)");
+    console.error("Note: deployments are recorded in deployments/<network>.json; upgrade reads it unless --deployment is given, and aborts on storage layout conflicts");
+    console.error("Note: --dry-run prints the planned transactions with estimated gas and cost, without broadcasting anything");
     process.exit(1);
   }
 
   const chainId = parseInt(args[0]);
-  const privateKey = args[1];
-  const providedDaiAddress = args[2]; // Optional third argument
-
-  if (!chainId || !privateKey) {
-    console.error("Invalid chainId or privateKey provided");
+  if (!chainId) {
+    console.error("Invalid chainId provided");
     process.exit(1);
   }
 
-  // Validate private key format (should start with 0x and be 64 hex chars)
-  if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
-    console.error("Private key must be in format 0x followed by 64 hex characters");
-    process.exit(1);
+  // Older invocations pass the private key as the second argument; still accepted, but it leaks into shell history and ps
+  let privateKey;
+  if (isPrivateKey(args[1])) {
+    privateKey = args.splice(1, 1)[0];
+    console.warn("Warning: passing the private key as an argument is deprecated, use PRIVATE_KEY, MNEMONIC or --keystore instead");
   }
+  const providedTokenList = args[1]; // Optional token list
+
+  const { wallet, source } = await loadDeployerWallet({
+    keystore: options.keystore,
+    privateKey,
+    derivationPath: options["derivation-path"]
+  });
 
   console.log(`Deploying contracts with:`);
   console.log(`Chain ID: ${chainId}`);
-  console.log(`Private Key: ${privateKey.substring(0, 10)}...${privateKey.substring(privateKey.length - 4)}`);
+  console.log(`Deployer key: ${source} (${wallet.address})`);
 
-  // Create a provider and wallet
-  let rpcUrl;
-  let networkName;
-  
-  // Determine RPC URL and DAI strategy based on chain ID
-  let isMainnet = false;
-  switch (chainId) {
-    case 1337:
-      rpcUrl = "http://127.0.0.1:8545";
-      networkName = "localhost";
-      break;
-    case 84532:
-      rpcUrl = "https://sepolia.base.org";
-      networkName = "base-sepolia";
-      break;
-    case 8453:
-      rpcUrl = "https://mainnet.base.org";
-      networkName = "base";
-      isMainnet = true;
-      break;
-    default:
-      console.error(`Unsupported chain ID: ${chainId}`);
-      console.error("Supported chain IDs: 1337 (localhost), 84532 (base-sepolia), 8453 (base)");
-      process.exit(1);
+  const network = getNetworkByChainId(chainId);
+  if (!network) {
+    console.error(`Unsupported chain ID: ${chainId}`);
+    console.error(`Supported chain IDs: ${Object.entries(NETWORKS).map(([name, net]) => `${net.chainId} (${name})`).join(", ")}`);
+    process.exit(1);
+  }
+  const networkName = network.name;
+  const isMainnet = Boolean(network.mainnet);
+
+  // A dry run replays the flow on a snapshot or fork of the chain instead of sending anything
+  const dryRun = options["dry-run"] ? await startDryRun(chainId, network, wallet.address) : null;
+  if (dryRun) {
+    console.log("Dry run: transactions are simulated and not broadcast");
   }
 
-  // Determine DAI token address strategy
-  let daiTokenAddress;
+  if (upgradeMode) {
+    const deployer = dryRun ? dryRun.signer : await getDeployer(chainId, wallet, network.url);
+    return upgrade(chainId, network, deployer, options, dryRun);
+  }
+
+  // Determine settlement token strategy
+  let settlementTokens = [];
   let shouldDeployMockDAI = false;
 
-  if (providedDaiAddress) {
-    // Use provided DAI address
-    daiTokenAddress = providedDaiAddress;
-    console.log(`Using provided DAI token address: ${daiTokenAddress}`);
-  } else if (isMainnet) {
-    // Use real DAI address for mainnet
-    daiTokenAddress = "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb"; // Base mainnet DAI
-    console.log(`Using Base mainnet DAI address: ${daiTokenAddress}`);
+  if (providedTokenList) {
+    // Use provided token list
+    settlementTokens = parseTokenList(providedTokenList);
+    console.log(`Using provided settlement tokens: ${settlementTokens.map(token => token.address).join(", ")}`);
+  } else if (DEFAULT_SETTLEMENT_TOKENS[chainId]) {
+    // Use real stablecoins for mainnet
+    settlementTokens = DEFAULT_SETTLEMENT_TOKENS[chainId];
+    console.log(`Using ${networkName} settlement tokens: ${settlementTokens.map(token => token.symbol).join(", ")}`);
   } else {
     // Deploy MockDAI for testnets and localhost
     shouldDeployMockDAI = true;
     console.log(`Will deploy MockDAI for testing on ${networkName}`);
   }
 
-  // Create deployer based on network type
-  let deployer;
-  
-  if (chainId === 1337) {
-    // For localhost, use Hardhat's built-in network and signers
-    const signers = await hre.ethers.getSigners();
-    // Find the signer that matches our private key
-    const wallet = new hre.ethers.Wallet(privateKey);
-    const targetAddress = wallet.address;
-    
-    // Check if the address matches any of the default Hardhat accounts
-    deployer = signers.find(signer => signer.address.toLowerCase() === targetAddress.toLowerCase());
-    
-    if (!deployer) {
-      // If not found in default accounts, create a custom wallet with Hardhat provider
-      deployer = wallet.connect(hre.ethers.provider);
-    }
-  } else {
-    // For other networks, create custom provider and wallet
-    const provider = new hre.ethers.providers.JsonRpcProvider(rpcUrl);
-    deployer = new hre.ethers.Wallet(privateKey, provider);
-  }
+  const deployer = dryRun ? dryRun.signer : await getDeployer(chainId, wallet, network.url);
   console.log("Deploying with account:", deployer.address);
   
   const balance = await deployer.getBalance();
@@ -119,7 +198,7 @@ async function main() {
     mockDAI = await MockDAI.deploy();
     await mockDAI.deployed();
     
-    daiTokenAddress = mockDAI.address;
+    settlementTokens = [{ symbol: "DAI", address: mockDAI.address, min: DEFAULT_MIN_AMOUNT, max: DEFAULT_MAX_AMOUNT }];
     console.log("MockDAI deployed to:", mockDAI.address);
     
     // Wait a bit for the contract to be properly deployed before calling methods
@@ -134,17 +213,30 @@ async function main() {
     }
   }
 
-  console.log("\n=== Deploying PaymentEscrow Contract ===");
+  console.log("\n=== Deploying EscrowForwarder Contract ===");
+  
+  const EscrowForwarder = await hre.ethers.getContractFactory("EscrowForwarder", deployer);
+  const forwarder = await EscrowForwarder.deploy();
+  await forwarder.deployed();
+  console.log("EscrowForwarder deployed to:", forwarder.address);
+
+  console.log("\n=== Deploying PaymentEscrowExtension Contract ===");
   
-  // Deploy PaymentEscrow with DAI token address
-  const PaymentEscrow = await hre.ethers.getContractFactory("PaymentEscrow", deployer);
-  console.log(`Deploying PaymentEscrow with DAI token: ${daiTokenAddress}`);
+  const PaymentEscrowExtension = await hre.ethers.getContractFactory("PaymentEscrowExtension", deployer);
+  const extension = await PaymentEscrowExtension.deploy(forwarder.address);
+  await extension.deployed();
+  console.log("PaymentEscrowExtension deployed to:", extension.address);
+
+  console.log("\n=== Deploying PaymentEscrow Implementation ===");
+  
+  const PaymentEscrow = await getPaymentEscrowFactory(deployer);
+  console.log("Deploying PaymentEscrow implementation...");
   
-  let paymentEscrow;
+  let implementation;
   
   // Estimate gas for deployment
   try {
-    const deployData = PaymentEscrow.getDeployTransaction(daiTokenAddress);
+    const deployData = PaymentEscrow.getDeployTransaction(forwarder.address, extension.address);
     const estimatedGas = await deployer.estimateGas(deployData);
     console.log(`Estimated gas for deployment: ${estimatedGas.toString()}`);
     
@@ -172,8 +264,8 @@ async function main() {
       console.log(`Using mainnet gas settings: gasLimit=${gasLimit.toString()}, gasPrice=${hre.ethers.utils.formatUnits(deployOptions.gasPrice, 'gwei')} gwei`);
     }
     
-    paymentEscrow = await PaymentEscrow.deploy(daiTokenAddress, deployOptions);
-    await paymentEscrow.deployed();
+    implementation = await PaymentEscrow.deploy(forwarder.address, extension.address, deployOptions);
+    await implementation.deployed();
   } catch (gasEstimationError) {
     console.log("Gas estimation failed, using default settings:", gasEstimationError.message);
     
@@ -187,10 +279,26 @@ async function main() {
       console.log(`Using fallback gas settings: gasLimit=${deployOptions.gasLimit}, gasPrice=${hre.ethers.utils.formatUnits(deployOptions.gasPrice, 'gwei')} gwei`);
     }
     
-    paymentEscrow = await PaymentEscrow.deploy(daiTokenAddress, deployOptions);
-    await paymentEscrow.deployed();
+    implementation = await PaymentEscrow.deploy(forwarder.address, extension.address, deployOptions);
+    await implementation.deployed();
   }
   
+  console.log("PaymentEscrow implementation deployed to:", implementation.address);
+
+  console.log("\n=== Deploying PaymentEscrow Proxy ===");
+  
+  const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin", deployer);
+  const proxyAdmin = await ProxyAdmin.deploy();
+  await proxyAdmin.deployed();
+  console.log("ProxyAdmin deployed to:", proxyAdmin.address);
+  
+  // The proxy runs initialize() in its constructor, so nobody can initialize it in between
+  const initData = implementation.interface.encodeFunctionData("initialize", [deployer.address]);
+  const TransparentUpgradeableProxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy", deployer);
+  const proxy = await TransparentUpgradeableProxy.deploy(implementation.address, proxyAdmin.address, initData);
+  await proxy.deployed();
+  
+  const paymentEscrow = await getPaymentEscrowAt(proxy.address, deployer);
   console.log("PaymentEscrow deployed to:", paymentEscrow.address);
   console.log("PaymentEscrow owner:", deployer.address);
   
@@ -198,45 +306,100 @@ async function main() {
   console.log("Waiting for PaymentEscrow deployment to be confirmed...");
   await new Promise(resolve => setTimeout(resolve, 2000));
   
-  try {
-    const daiTokenFromContract = await paymentEscrow.DAI_TOKEN();
-    console.log("PaymentEscrow DAI token:", daiTokenFromContract);
-  } catch (error) {
-    console.log("Note: Could not fetch DAI token address immediately after deployment (this is normal)");
+  console.log("\n=== Registering Settlement Tokens ===");
+  
+  for (const token of settlementTokens) {
+    const tokenContract = await hre.ethers.getContractAt("ERC20", token.address, deployer);
+    const decimals = await tokenContract.decimals();
+    token.symbol = token.symbol || await tokenContract.symbol();
+    token.decimals = decimals;
+    token.minAmount = hre.ethers.utils.parseUnits(token.min, decimals).toString();
+    token.maxAmount = hre.ethers.utils.parseUnits(token.max, decimals).toString();
+    
+    const tx = await paymentEscrow.setSupportedToken(token.address, token.minAmount, token.maxAmount);
+    await tx.wait();
+    console.log(`Registered ${token.symbol} (${token.address}): min ${token.min}, max ${token.max}`);
   }
 
+  console.log("\n=== Configuring Platform Fees ===");
+  
+  if (options["platform-fee"] !== undefined) {
+    const tx = await paymentEscrow.setPlatformFee(options["platform-fee"]);
+    await tx.wait();
+  }
+  if (options["fee-bps"] !== undefined) {
+    const tx = await paymentEscrow.setPlatformFeeBps(options["fee-bps"]);
+    await tx.wait();
+  }
+  if (options["fee-recipient"] !== undefined) {
+    const tx = await paymentEscrow.setFeeRecipient(options["fee-recipient"]);
+    await tx.wait();
+  }
+  
+  const feeSettings = {
+    platformFee: (await paymentEscrow.platformFee()).toString(),
+    platformFeeBps: (await paymentEscrow.platformFeeBps()).toNumber(),
+    feeRecipient: await paymentEscrow.feeRecipient()
+  };
+  console.log(`Platform fee: ${feeSettings.platformFee} wei + ${feeSettings.platformFeeBps} bps of token amount`);
+  console.log(`Fee recipient: ${feeSettings.feeRecipient}`);
+
+  console.log("\n=== Assigning Guardian ===");
+  
+  const guardian = options.guardian || deployer.address;
+  const guardianTx = await paymentEscrow.setGuardian(guardian);
+  await guardianTx.wait();
+  console.log(`Guardian: ${guardian}`);
+
   // Create deployment info object
   const deploymentInfo = {
     network: networkName,
     chainId: chainId,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
-    daiTokenAddress: daiTokenAddress,
+    gitCommit: getGitCommit(),
+    settlementTokens: settlementTokens.map(token => ({
+      symbol: token.symbol,
+      address: token.address,
+      decimals: token.decimals,
+      minAmount: token.minAmount,
+      maxAmount: token.maxAmount
+    })),
+    feeSettings: feeSettings,
+    guardian: guardian,
+    storageLayout: await getStorageLayout("PaymentEscrow"),
+    implementationHistory: [{
+      implementation: implementation.address,
+      extension: extension.address,
+      transactionHash: implementation.deployTransaction.hash,
+      timestamp: new Date().toISOString()
+    }],
     mockDAIDeployed: shouldDeployMockDAI,
     contracts: {
-      PaymentEscrow: {
-        address: paymentEscrow.address,
-        transactionHash: paymentEscrow.deployTransaction.hash,
-        daiToken: daiTokenAddress
-      }
+      PaymentEscrow: await describeContract(proxy, "TransparentUpgradeableProxy", [implementation.address, proxyAdmin.address, initData], await getPaymentEscrowAbi()),
+      PaymentEscrowImplementation: await describeContract(implementation, "PaymentEscrow", [forwarder.address, extension.address]),
+      ProxyAdmin: await describeContract(proxyAdmin, "ProxyAdmin"),
+      EscrowForwarder: await describeContract(forwarder, "EscrowForwarder"),
+      PaymentEscrowExtension: await describeContract(extension, "PaymentEscrowExtension", [forwarder.address])
     }
   };
 
   // Add MockDAI info if it was deployed
   if (mockDAI) {
-    deploymentInfo.contracts.MockDAI = {
-      address: mockDAI.address,
-      transactionHash: mockDAI.deployTransaction.hash
-    };
+    deploymentInfo.contracts.MockDAI = await describeContract(mockDAI, "MockDAI");
+  }
+
+  if (dryRun) {
+    printDryRunReport(await finishDryRun(dryRun));
+    return;
   }
 
-  // Save deployment info to file
-  const deploymentInfoPath = path.join(__dirname, '..', `deployment-${chainId}-${Date.now()}.json`);
-  fs.writeFileSync(deploymentInfoPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log(`\nDeployment info saved to: ${deploymentInfoPath}`);
+  // Make this the current deployment of the network, keeping the previous one in the registry
+  const registryPath = recordDeployment(chainId, deploymentInfo);
+  console.log(`\nDeployment recorded in: ${registryPath}`);
 
-  // Contract verification for supported networks
-  if (networkName === "base" || networkName === "base-sepolia") {
+  // Contract verification for live networks
+  if (network.live) {
     console.log("\n=== Contract Verification ===");
     console.log("Waiting for block confirmations...");
     
@@ -245,7 +408,10 @@ async function main() {
       if (mockDAI) {
         await mockDAI.deployTransaction.wait(6);
       }
-      await paymentEscrow.deployTransaction.wait(6);
+      await forwarder.deployTransaction.wait(6);
+      await extension.deployTransaction.wait(6);
+      await implementation.deployTransaction.wait(6);
+      await proxy.deployTransaction.wait(6);
       
       // Verify MockDAI if deployed
       if (mockDAI) {
@@ -261,15 +427,48 @@ async function main() {
         }
       }
 
-      console.log("Attempting to verify PaymentEscrow...");
+      console.log("Attempting to verify EscrowForwarder...");
+      try {
+        await hre.run("verify:verify", {
+          address: forwarder.address,
+          constructorArguments: []
+        });
+        console.log("EscrowForwarder verified successfully");
+      } catch (error) {
+        console.log("EscrowForwarder verification failed:", error.message);
+      }
+
+      console.log("Attempting to verify PaymentEscrowExtension...");
       try {
         await hre.run("verify:verify", {
-          address: paymentEscrow.address,
-          constructorArguments: [daiTokenAddress]
+          address: extension.address,
+          constructorArguments: [forwarder.address]
         });
-        console.log("PaymentEscrow verified successfully");
+        console.log("PaymentEscrowExtension verified successfully");
       } catch (error) {
-        console.log("PaymentEscrow verification failed:", error.message);
+        console.log("PaymentEscrowExtension verification failed:", error.message);
+      }
+
+      console.log("Attempting to verify PaymentEscrow implementation...");
+      try {
+        await hre.run("verify:verify", {
+          address: implementation.address,
+          constructorArguments: [forwarder.address, extension.address]
+        });
+        console.log("PaymentEscrow implementation verified successfully");
+      } catch (error) {
+        console.log("PaymentEscrow implementation verification failed:", error.message);
+      }
+
+      console.log("Attempting to verify PaymentEscrow proxy...");
+      try {
+        await hre.run("verify:verify", {
+          address: proxy.address,
+          constructorArguments: [implementation.address, proxyAdmin.address, initData]
+        });
+        console.log("PaymentEscrow proxy verified successfully");
+      } catch (error) {
+        console.log("PaymentEscrow proxy verification failed:", error.message);
       }
       
     } catch (error) {
@@ -280,13 +479,18 @@ async function main() {
   console.log("\n=== Deployment Summary ===");
   console.log(`Network: ${networkName} (Chain ID: ${chainId})`);
   console.log(`Deployer: ${deployer.address}`);
-  console.log(`DAI Token Address: ${daiTokenAddress}`);
+  for (const token of settlementTokens) {
+    console.log(`Settlement Token: ${token.symbol} ${token.address}`);
+  }
   if (mockDAI) {
     console.log(`MockDAI Address: ${mockDAI.address} (deployed for testing)`);
-  } else {
-    console.log(`Using existing DAI token: ${daiTokenAddress}`);
   }
-  console.log(`PaymentEscrow Address: ${paymentEscrow.address}`);
+  console.log(`EscrowForwarder Address: ${forwarder.address}`);
+  console.log(`PaymentEscrowExtension Address: ${extension.address}`);
+  console.log(`PaymentEscrow Implementation Address: ${implementation.address}`);
+  console.log(`ProxyAdmin Address: ${proxyAdmin.address}`);
+  console.log(`PaymentEscrow Address: ${paymentEscrow.address} (proxy)`);
+  console.log(`Guardian: ${guardian}`);
   console.log(`Deployment completed successfully!`);
 
   // Final balance check
@@ -296,6 +500,91 @@ async function main() {
   console.log(`Final balance: ${hre.ethers.utils.formatEther(finalBalance)} ETH`);
 }
 
+/**
+ * Deploy a new PaymentEscrow implementation and extension and point the proxy of an existing deployment at them.
+ * Aborts if the new storage layout is not compatible with the one recorded for the current implementation.
+ */
+async function upgrade(chainId, network, deployer, options, dryRun) {
+  const deployment = getDeployment(chainId, options.deployment);
+  console.log(`Upgrading ${network.name} deployment from ${deployment.timestamp}`);
+
+  if (!deployment.storageLayout || !deployment.contracts.ProxyAdmin) {
+    console.error("Deployment has no proxy or recorded storage layout; redeploy it behind a proxy first");
+    process.exit(1);
+  }
+
+  const proxyAddress = deployment.contracts.PaymentEscrow.address;
+  const forwarderAddress = deployment.contracts.EscrowForwarder.address;
+
+  console.log("\n=== Checking Storage Layout ===");
+  
+  const storageLayout = await getStorageLayout("PaymentEscrow");
+  const layoutErrors = compareStorageLayouts(deployment.storageLayout, storageLayout);
+  if (layoutErrors.length > 0) {
+    console.error("New implementation is not storage compatible with the deployed one:");
+    layoutErrors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+  }
+  console.log("Storage layout is compatible");
+
+  const proxyAdmin = await getProxyAdmin(proxyAddress, deployer);
+  const adminOwner = await proxyAdmin.owner();
+  if (adminOwner.toLowerCase() !== deployer.address.toLowerCase()) {
+    console.error(`ProxyAdmin ${proxyAdmin.address} is owned by ${adminOwner}, not ${deployer.address}`);
+    process.exit(1);
+  }
+
+  console.log("\n=== Upgrading PaymentEscrow ===");
+  
+  const { extension, implementation, transaction } = await upgradePaymentEscrow(proxyAddress, forwarderAddress, deployer);
+  console.log("PaymentEscrowExtension deployed to:", extension.address);
+  console.log("PaymentEscrow implementation deployed to:", implementation.address);
+  console.log(`Proxy ${proxyAddress} upgraded in ${transaction.hash}`);
+
+  deployment.storageLayout = storageLayout;
+  deployment.implementationHistory = deployment.implementationHistory || [];
+  deployment.implementationHistory.push({
+    implementation: implementation.address,
+    extension: extension.address,
+    transactionHash: implementation.deployTransaction.hash,
+    upgradeTransactionHash: transaction.hash,
+    gitCommit: getGitCommit(),
+    timestamp: new Date().toISOString()
+  });
+  deployment.contracts.PaymentEscrowImplementation = await describeContract(implementation, "PaymentEscrow", [forwarderAddress, extension.address]);
+  deployment.contracts.PaymentEscrowExtension = await describeContract(extension, "PaymentEscrowExtension", [forwarderAddress]);
+  deployment.contracts.PaymentEscrow.abiHash = hashAbi(await getPaymentEscrowAbi());
+
+  if (dryRun) {
+    printDryRunReport(await finishDryRun(dryRun, deployment.contracts));
+    return;
+  }
+
+  const registryPath = updateDeployment(chainId, deployment, options.deployment);
+  console.log(`\nDeployment updated in: ${registryPath}`);
+
+  if (network.live) {
+    console.log("\n=== Contract Verification ===");
+    await implementation.deployTransaction.wait(6);
+
+    const contracts = [
+      { name: "PaymentEscrowExtension", address: extension.address, constructorArguments: [forwarderAddress] },
+      { name: "PaymentEscrow implementation", address: implementation.address, constructorArguments: [forwarderAddress, extension.address] }
+    ];
+    for (const contract of contracts) {
+      console.log(`Attempting to verify ${contract.name}...`);
+      try {
+        await hre.run("verify:verify", { address: contract.address, constructorArguments: contract.constructorArguments });
+        console.log(`${contract.name} verified successfully`);
+      } catch (error) {
+        console.log(`${contract.name} verification failed:`, error.message);
+      }
+    }
+  }
+
+  console.log(`\nUpgrade completed successfully! ${deployment.implementationHistory.length} implementations deployed so far.`);
+}
+
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
 main()
@@ -0,0 +1,47 @@
+const hre = require("hardhat");
+const { getDeployment, getPaymentEscrow, getProvider, hashAbi } = require("./deployments");
+
+/**
+ * Registry entry for a deployed contract
+ * @param contract Contract returned by a factory deploy (with deployTransaction)
+ * @param artifact Artifact the contract was deployed from
+ * @param constructorArgs Constructor arguments, as passed to deploy
+ * @param abi ABI clients use for it (defaults to the artifact's)
+ */
+async function describeContract(contract, artifact, constructorArgs = [], abi) {
+  const receipt = await contract.deployTransaction.wait();
+  return {
+    artifact,
+    address: contract.address,
+    transactionHash: contract.deployTransaction.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs: constructorArgs.map(arg => (hre.ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg)),
+    abiHash: hashAbi(abi || (await hre.artifacts.readArtifact(artifact)).abi)
+  };
+}
+
+/**
+ * Any contract of a chain's current deployment by its registry name (EscrowForwarder, MockDAI, ...), with the
+ * ABI of the artifact it was deployed from
+ * @param signerOrProvider Defaults to a provider for the chain's RPC URL
+ * @param options Optional { file, dir } to read another registry
+ */
+async function getDeployedContract(chainId, name, signerOrProvider, options = {}) {
+  if (name === "PaymentEscrow") {
+    return getPaymentEscrow(chainId, signerOrProvider, options);
+  }
+
+  const deployment = getDeployment(chainId, options.file, options.dir);
+  const record = deployment.contracts[name];
+  if (!record) {
+    throw new Error(`Deployment on chain ID ${chainId} has no ${name}`);
+  }
+
+  const artifact = await hre.artifacts.readArtifact(record.artifact || name);
+  return new hre.ethers.Contract(record.address, artifact.abi, signerOrProvider || getProvider(chainId));
+}
+
+module.exports = {
+  describeContract,
+  getDeployedContract
+};
@@ -0,0 +1,158 @@
+// Deployment registry and contract lookups for the off-chain services, on plain ethers so they run without
+// Hardhat. Helpers that need compiled artifacts live in scripts/deployments-hardhat.js.
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { getNetworkByChainId } = require("../networks");
+
+// One registry per network: deployments/<network>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Combined PaymentEscrow ABI shipped with the SDK, written by `npm run compile`
+const PAYMENT_ESCROW_ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "PaymentEscrow.json");
+
+function requireNetwork(chainId) {
+  const network = getNetworkByChainId(chainId);
+  if (!network) {
+    throw new Error(`Unsupported chain ID ${chainId}, add it to networks.js`);
+  }
+  return network;
+}
+
+/**
+ * Path of the registry for a chain
+ */
+function getRegistryPath(chainId, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${requireNetwork(chainId).name}.json`);
+}
+
+/**
+ * Read the registry of a chain: { network, chainId, current, previous }
+ * @param file Registry file to read instead of deployments/<network>.json. A deployment file from before
+ * the registry existed is read as the current deployment.
+ * @return The registry, or null if nothing was deployed yet
+ */
+function loadRegistry(chainId, file, dir = DEPLOYMENTS_DIR) {
+  const registryPath = file || getRegistryPath(chainId, dir);
+  if (!fs.existsSync(registryPath)) {
+    return null;
+  }
+
+  const data = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  if (!data.current) {
+    return { network: data.network, chainId: data.chainId, current: data, previous: [] };
+  }
+  return data;
+}
+
+/**
+ * Current deployment of a chain, throwing if there is none
+ */
+function getDeployment(chainId, file, dir = DEPLOYMENTS_DIR) {
+  const registry = loadRegistry(chainId, file, dir);
+  if (!registry) {
+    throw new Error(`No deployment recorded for chain ID ${chainId} in ${file || getRegistryPath(chainId, dir)}`);
+  }
+  return registry.current;
+}
+
+function saveRegistry(registry, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const registryPath = getRegistryPath(registry.chainId, dir);
+  const tmpPath = `${registryPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(registry, null, 2));
+  fs.renameSync(tmpPath, registryPath);
+  return registryPath;
+}
+
+/**
+ * Make a new deployment the current one of its chain, keeping the one it replaces in `previous` (newest first)
+ * @return Path of the registry
+ */
+function recordDeployment(chainId, deployment, dir = DEPLOYMENTS_DIR) {
+  const network = requireNetwork(chainId);
+  const registry = loadRegistry(chainId, undefined, dir) || { network: network.name, chainId: network.chainId, current: null, previous: [] };
+
+  if (registry.current) {
+    registry.previous.unshift(registry.current);
+  }
+  registry.current = deployment;
+
+  return saveRegistry(registry, dir);
+}
+
+/**
+ * Replace the current deployment of a chain in place, e.g. after upgrading its proxy
+ * @param file Registry the deployment was read from; the result is always written to deployments/<network>.json
+ * @return Path of the registry
+ */
+function updateDeployment(chainId, deployment, file, dir = DEPLOYMENTS_DIR) {
+  const network = requireNetwork(chainId);
+  const registry = loadRegistry(chainId, file, dir) || { network: network.name, chainId: network.chainId, current: null, previous: [] };
+  registry.network = network.name;
+  registry.chainId = network.chainId;
+  registry.current = deployment;
+
+  return saveRegistry(registry, dir);
+}
+
+/**
+ * Commit the contracts were built from, or null outside a git checkout
+ */
+function getGitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { cwd: path.join(__dirname, ".."), stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint of an ABI, to tell whether clients built against a deployment need a new ABI
+ */
+function hashAbi(abi) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+/**
+ * Combined PaymentEscrow ABI from the SDK
+ */
+function loadPaymentEscrowAbi() {
+  if (!fs.existsSync(PAYMENT_ESCROW_ABI_FILE)) {
+    throw new Error(`${PAYMENT_ESCROW_ABI_FILE} not found, run npm run compile`);
+  }
+  return JSON.parse(fs.readFileSync(PAYMENT_ESCROW_ABI_FILE, "utf8"));
+}
+
+/**
+ * JSON-RPC provider for a chain from networks.js
+ */
+function getProvider(chainId) {
+  return new ethers.providers.JsonRpcProvider(requireNetwork(chainId).url);
+}
+
+/**
+ * PaymentEscrow of a chain's current deployment, with the combined ABI
+ * @param signerOrProvider Defaults to a provider for the chain's RPC URL
+ * @param options Optional { file, dir } to read another registry
+ */
+async function getPaymentEscrow(chainId, signerOrProvider, options = {}) {
+  const deployment = getDeployment(chainId, options.file, options.dir);
+  return new ethers.Contract(deployment.contracts.PaymentEscrow.address, loadPaymentEscrowAbi(), signerOrProvider || getProvider(chainId));
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getRegistryPath,
+  loadRegistry,
+  getDeployment,
+  recordDeployment,
+  updateDeployment,
+  getGitCommit,
+  hashAbi,
+  getProvider,
+  getPaymentEscrow
+};
@@ -0,0 +1,170 @@
+const hre = require("hardhat");
+const { getPaymentEscrowAbi } = require("./escrow");
+
+// Contracts the deploy flow creates, recognised in creation transactions by their bytecode
+const DEPLOYED_ARTIFACTS = [
+  "MockDAI",
+  "EscrowForwarder",
+  "PaymentEscrowExtension",
+  "PaymentEscrow",
+  "ProxyAdmin",
+  "TransparentUpgradeableProxy"
+];
+
+// How creations of these artifacts are listed, and the name calls to the created contract are listed under
+const CREATION_LABELS = {
+  PaymentEscrow: { description: "PaymentEscrow implementation", target: "PaymentEscrowImplementation" },
+  TransparentUpgradeableProxy: { description: "PaymentEscrow proxy", target: "PaymentEscrow" }
+};
+
+// Balance the deployer gets on a fork, so a dry run also works before the account is funded
+const FORK_BALANCE = hre.ethers.utils.parseEther("1000");
+
+/**
+ * Prepare Hardhat's in-process network for a dry run and return the signer to run the flow with.
+ * Local chains are snapshotted and reverted afterwards; live chains are forked at their latest block. The deployer
+ * is impersonated either way, so no key signs anything and nothing reaches the live network.
+ * @param chainId Chain the deployment is for
+ * @param network Entry from networks.js
+ * @param address Deployer address
+ * @return Dry run handle for finishDryRun
+ */
+async function startDryRun(chainId, network, address) {
+  const provider = hre.ethers.provider;
+  let liveProvider = provider;
+  let snapshot = null;
+
+  if (chainId === 1337) {
+    snapshot = await provider.send("evm_snapshot", []);
+  } else {
+    if (hre.network.name !== "hardhat") {
+      throw new Error(`Dry runs fork the chain into the in-process Hardhat network, unset HARDHAT_NETWORK (now ${hre.network.name})`);
+    }
+    liveProvider = new hre.ethers.providers.JsonRpcProvider(network.url);
+    const blockNumber = await liveProvider.getBlockNumber();
+    await provider.send("hardhat_reset", [{ forking: { jsonRpcUrl: network.url, blockNumber } }]);
+  }
+
+  const balance = await provider.getBalance(address);
+  if (snapshot === null) {
+    await provider.send("hardhat_setBalance", [address, hre.ethers.utils.hexValue(FORK_BALANCE)]);
+  }
+  const signer = await hre.ethers.getImpersonatedSigner(address);
+
+  // Priced like the real deployment: the network's fixed gas price if it has one, otherwise the current one
+  const gasPrice = network.gasPrice ? hre.ethers.BigNumber.from(network.gasPrice) : await liveProvider.getGasPrice();
+
+  return {
+    signer,
+    address,
+    balance,
+    gasPrice,
+    snapshot,
+    startBlock: await provider.getBlockNumber()
+  };
+}
+
+/**
+ * Name a transaction the deploy flow sent: "Deploy X" for creations, "Contract.method(args)" for calls
+ */
+function describeTransaction(tx, receipt, known, interfaces) {
+  if (!tx.to) {
+    const creation = interfaces.creations.find(({ bytecode }) => tx.data.startsWith(bytecode));
+    const name = creation ? creation.contractName : "contract";
+    const label = CREATION_LABELS[name] || { description: name, target: name };
+    known[receipt.contractAddress.toLowerCase()] = label.target;
+    return `Deploy ${label.description}`;
+  }
+
+  const target = known[tx.to.toLowerCase()] || tx.to;
+  for (const iface of interfaces.calls) {
+    try {
+      const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+      return `${target}.${parsed.name}(${parsed.args.map(arg => arg.toString()).join(", ")})`;
+    } catch (error) {
+      // Not this interface
+    }
+  }
+  return `Call ${target}`;
+}
+
+/**
+ * Collect the transactions sent during a dry run, then undo them
+ * @param contracts Already deployed contracts the flow calls, as in a deployment record: { name: { address } }
+ * @return { transactions: [{ description, gasUsed, cost }], totalGas, totalCost, gasPrice, balance, sufficient }
+ */
+async function finishDryRun(dryRun, contracts = {}) {
+  const provider = hre.ethers.provider;
+  const creations = [];
+  for (const contractName of DEPLOYED_ARTIFACTS) {
+    const { bytecode } = await hre.artifacts.readArtifact(contractName);
+    creations.push({ contractName, bytecode });
+  }
+  const interfaces = {
+    creations,
+    calls: [
+      new hre.ethers.utils.Interface(await getPaymentEscrowAbi()),
+      new hre.ethers.utils.Interface((await hre.artifacts.readArtifact("ProxyAdmin")).abi)
+    ]
+  };
+
+  const known = {};
+  for (const [name, { address }] of Object.entries(contracts)) {
+    known[address.toLowerCase()] = name;
+  }
+  const transactions = [];
+  const endBlock = await provider.getBlockNumber();
+  for (let number = dryRun.startBlock + 1; number <= endBlock; number++) {
+    const block = await provider.getBlockWithTransactions(number);
+    for (const tx of block.transactions) {
+      if (tx.from.toLowerCase() !== dryRun.address.toLowerCase()) {
+        continue;
+      }
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      transactions.push({
+        description: describeTransaction(tx, receipt, known, interfaces),
+        gasUsed: receipt.gasUsed,
+        cost: receipt.gasUsed.mul(dryRun.gasPrice)
+      });
+    }
+  }
+
+  if (dryRun.snapshot !== null) {
+    await provider.send("evm_revert", [dryRun.snapshot]);
+  } else {
+    await provider.send("hardhat_reset", []);
+  }
+
+  const totalGas = transactions.reduce((sum, tx) => sum.add(tx.gasUsed), hre.ethers.BigNumber.from(0));
+  const totalCost = totalGas.mul(dryRun.gasPrice);
+  return {
+    transactions,
+    totalGas,
+    totalCost,
+    gasPrice: dryRun.gasPrice,
+    balance: dryRun.balance,
+    sufficient: dryRun.balance.gte(totalCost)
+  };
+}
+
+/**
+ * Print the planned transactions of a finished dry run
+ */
+function printDryRunReport(report, log = console.log) {
+  const { formatEther, formatUnits } = hre.ethers.utils;
+
+  log("\n=== Dry Run: Planned Transactions ===");
+  report.transactions.forEach((tx, i) => {
+    log(`${String(i + 1).padStart(2)}. ${tx.description}`);
+    log(`    gas ${tx.gasUsed.toString()}, ~${formatEther(tx.cost)} ETH`);
+  });
+  log(`Total: ${report.transactions.length} transactions, ${report.totalGas.toString()} gas, ~${formatEther(report.totalCost)} ETH at ${formatUnits(report.gasPrice, "gwei")} gwei`);
+  log(`Deployer balance: ${formatEther(report.balance)} ETH${report.sufficient ? "" : " - NOT ENOUGH for this deployment"}`);
+  log("Dry run only: nothing was broadcast and no deployment was recorded.");
+}
+
+module.exports = {
+  startDryRun,
+  finishDryRun,
+  printDryRunReport
+};
@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+
+const ENV_FILE = path.join(__dirname, "..", ".env");
+
+/**
+ * Load KEY=VALUE lines from a .env file into process.env. Variables already set in the environment win,
+ * so `PRIVATE_KEY=0x... npm run keeper` still overrides the file.
+ * Kept dependency-free because hardhat.config.js loads it before the Hardhat runtime exists.
+ * @return Names of the variables that were set from the file
+ */
+function loadEnv(file = ENV_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const loaded = [];
+  for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue; // Blank line or comment
+    }
+
+    const [, name, rawValue] = match;
+    let value = rawValue;
+    if (/^(["']).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+      loaded.push(name);
+    }
+  }
+  return loaded;
+}
+
+module.exports = {
+  ENV_FILE,
+  loadEnv
+};
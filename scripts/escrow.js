@@ -0,0 +1,132 @@
+const hre = require("hardhat");
+
+/**
+ * Identify an ABI entry so fragments both contracts inherit from PaymentEscrowBase are only listed once
+ */
+function fragmentKey(fragment) {
+  const inputs = (fragment.inputs || []).map(input => input.type).join(",");
+  return `${fragment.type} ${fragment.name || ""}(${inputs})`;
+}
+
+/**
+ * ABI of PaymentEscrow combined with PaymentEscrowExtension.
+ * The escrow delegates every function it does not implement to the extension, so clients
+ * call both sets of functions on the escrow address.
+ */
+async function getPaymentEscrowAbi() {
+  const escrow = await hre.artifacts.readArtifact("PaymentEscrow");
+  const extension = await hre.artifacts.readArtifact("PaymentEscrowExtension");
+
+  const seen = new Set(escrow.abi.map(fragmentKey));
+  const extensionOnly = extension.abi.filter(fragment => fragment.type !== "constructor" && !seen.has(fragmentKey(fragment)));
+  return escrow.abi.concat(extensionOnly);
+}
+
+/**
+ * PaymentEscrow contract factory whose deployed contracts expose the combined ABI.
+ * Constructor arguments are (trustedForwarder, extension).
+ */
+async function getPaymentEscrowFactory(signer) {
+  const artifact = await hre.artifacts.readArtifact("PaymentEscrow");
+  return new hre.ethers.ContractFactory(await getPaymentEscrowAbi(), artifact.bytecode, signer || (await hre.ethers.getSigners())[0]);
+}
+
+// ERC-1967 slot holding the address of a proxy's admin
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/**
+ * Deploy a PaymentEscrowExtension and a PaymentEscrow implementation using it
+ * @param trustedForwarder ERC-2771 forwarder address (zero address disables relayed calls)
+ * @param signer Deployer, defaults to the first Hardhat signer
+ * @param overrides Transaction overrides for both deployments
+ * @return { extension, implementation }
+ */
+async function deployPaymentEscrowImplementation(trustedForwarder, signer, overrides = {}) {
+  signer = signer || (await hre.ethers.getSigners())[0];
+
+  const PaymentEscrowExtension = await hre.ethers.getContractFactory("PaymentEscrowExtension", signer);
+  const extension = await PaymentEscrowExtension.deploy(trustedForwarder, overrides);
+  await extension.deployed();
+
+  const PaymentEscrow = await getPaymentEscrowFactory(signer);
+  const implementation = await PaymentEscrow.deploy(trustedForwarder, extension.address, overrides);
+  await implementation.deployed();
+
+  return { extension, implementation };
+}
+
+/**
+ * Deploy PaymentEscrow behind a TransparentUpgradeableProxy, initialized with the signer as owner.
+ * The returned contract is the proxy with the combined ABI; its deployTransaction is the proxy deployment.
+ * @param trustedForwarder ERC-2771 forwarder address (zero address disables relayed calls)
+ * @param signer Deployer and owner, defaults to the first Hardhat signer
+ * @param overrides Transaction overrides for every deployment
+ */
+async function deployPaymentEscrow(trustedForwarder, signer, overrides = {}) {
+  signer = signer || (await hre.ethers.getSigners())[0];
+
+  const { implementation } = await deployPaymentEscrowImplementation(trustedForwarder, signer, overrides);
+
+  const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin", signer);
+  const proxyAdmin = await ProxyAdmin.deploy(overrides);
+  await proxyAdmin.deployed();
+
+  const initData = implementation.interface.encodeFunctionData("initialize", [await signer.getAddress()]);
+  const TransparentUpgradeableProxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy", signer);
+  const proxy = await TransparentUpgradeableProxy.deploy(implementation.address, proxyAdmin.address, initData, overrides);
+  await proxy.deployed();
+
+  const paymentEscrow = await getPaymentEscrowAt(proxy.address, signer);
+  hre.ethers.utils.defineReadOnly(paymentEscrow, "deployTransaction", proxy.deployTransaction);
+  return paymentEscrow;
+}
+
+/**
+ * Get the ProxyAdmin managing a PaymentEscrow proxy
+ */
+async function getProxyAdmin(proxyAddress, signerOrProvider) {
+  signerOrProvider = signerOrProvider || hre.ethers.provider;
+  const provider = hre.ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider.provider : signerOrProvider;
+  const slot = await provider.getStorageAt(proxyAddress, ADMIN_SLOT);
+  const address = hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(slot, 12));
+  const artifact = await hre.artifacts.readArtifact("ProxyAdmin");
+  return new hre.ethers.Contract(address, artifact.abi, signerOrProvider);
+}
+
+/**
+ * Point a PaymentEscrow proxy at a newly deployed implementation. State and the escrow address are kept.
+ * Check storage layout compatibility first (see storage-layout.js).
+ * @param proxyAddress PaymentEscrow proxy
+ * @param trustedForwarder ERC-2771 forwarder of the new implementation
+ * @param signer Owner of the ProxyAdmin
+ * @param overrides Transaction overrides for the deployments and the upgrade
+ * @return { extension, implementation, transaction }
+ */
+async function upgradePaymentEscrow(proxyAddress, trustedForwarder, signer, overrides = {}) {
+  signer = signer || (await hre.ethers.getSigners())[0];
+
+  const proxyAdmin = await getProxyAdmin(proxyAddress, signer);
+  const { extension, implementation } = await deployPaymentEscrowImplementation(trustedForwarder, signer, overrides);
+
+  const transaction = await proxyAdmin.upgrade(proxyAddress, implementation.address, overrides);
+  await transaction.wait();
+
+  return { extension, implementation, transaction };
+}
+
+/**
+ * Attach to a deployed PaymentEscrow with the combined ABI
+ */
+async function getPaymentEscrowAt(address, signerOrProvider) {
+  return new hre.ethers.Contract(address, await getPaymentEscrowAbi(), signerOrProvider || hre.ethers.provider);
+}
+
+module.exports = {
+  getPaymentEscrowAbi,
+  getPaymentEscrowFactory,
+  deployPaymentEscrowImplementation,
+  deployPaymentEscrow,
+  getProxyAdmin,
+  upgradePaymentEscrow,
+  getPaymentEscrowAt
+};
@@ -0,0 +1,106 @@
+const { ethers } = require("ethers");
+
+// Must match the EIP712 constructor arguments of EscrowForwarder
+const DOMAIN_NAME = "FullOnCrypto EscrowForwarder";
+const DOMAIN_VERSION = "1";
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+// Gas made available to the relayed call when the caller does not set it
+const DEFAULT_GAS = 500000;
+
+// How long a signed request stays valid when the caller does not set a deadline
+const DEFAULT_VALIDITY = 10 * 60;
+
+/**
+ * EIP-712 domain of a deployed EscrowForwarder
+ */
+function buildDomain(chainId, forwarderAddress) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: forwarderAddress
+  };
+}
+
+/**
+ * Build a forward request for a PaymentEscrow call, using the signer's current forwarder nonce
+ * @param forwarder EscrowForwarder contract
+ * @param fields { from, to, data, value?, gas?, deadline? }
+ */
+async function buildForwardRequest(forwarder, fields) {
+  const nonce = await forwarder.getNonce(fields.from);
+  const deadline = fields.deadline !== undefined
+    ? fields.deadline
+    : (await forwarder.provider.getBlock("latest")).timestamp + DEFAULT_VALIDITY;
+
+  return {
+    from: ethers.utils.getAddress(fields.from),
+    to: ethers.utils.getAddress(fields.to),
+    value: ethers.BigNumber.from(fields.value || 0).toString(),
+    gas: ethers.BigNumber.from(fields.gas || DEFAULT_GAS).toString(),
+    nonce: nonce.toString(),
+    deadline: ethers.BigNumber.from(deadline).toString(),
+    data: fields.data
+  };
+}
+
+/**
+ * Sign a forward request with the key of `request.from`
+ * @return Signature to submit to a relayer together with the request
+ */
+async function signForwardRequest(signer, domain, request) {
+  return signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * Address that signed a forward request
+ */
+function recoverForwardRequestSigner(domain, request, signature) {
+  return ethers.utils.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+}
+
+/**
+ * Build and sign a relayed PaymentEscrow call in one step
+ * @param signer Wallet of the user the call is made for
+ * @param forwarder EscrowForwarder contract
+ * @param paymentEscrow PaymentEscrow contract
+ * @param method Escrow function name, e.g. "commitToPay"
+ * @param args Function arguments
+ * @param options { value?, gas?, deadline? } where value is ETH the relayer forwards, e.g. a sponsored commitment bond
+ * @return { request, signature } payload for the relayer
+ */
+async function signEscrowCall(signer, forwarder, paymentEscrow, method, args, options = {}) {
+  const { chainId } = await forwarder.provider.getNetwork();
+  const request = await buildForwardRequest(forwarder, {
+    from: await signer.getAddress(),
+    to: paymentEscrow.address,
+    data: paymentEscrow.interface.encodeFunctionData(method, args),
+    value: options.value,
+    gas: options.gas,
+    deadline: options.deadline
+  });
+
+  const signature = await signForwardRequest(signer, buildDomain(chainId, forwarder.address), request);
+  return { request, signature };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  buildDomain,
+  buildForwardRequest,
+  signForwardRequest,
+  recoverForwardRequestSigner,
+  signEscrowCall
+};
@@ -0,0 +1,370 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getDeployment, getPaymentEscrow, getProvider } = require("./deployments");
+
+const TRACKED_EVENTS = [
+  "PaymentRequestCreated",
+  "PaymentRequestSplit",
+  "PaymentCommitted",
+  "CommitmentTimedOut",
+  "PaymentFulfilled",
+  "PaymentCancelled",
+  "PaymentExpired",
+  "RequestExpiryExtended",
+  "PaymentRequestAmended",
+  "PaymentDisputed",
+  "DisputeResolved"
+];
+
+// Number of sync checkpoints kept around to find a common ancestor after a reorg
+const MAX_CHECKPOINTS = 20;
+
+/**
+ * Local JSON file store holding the indexed events and the request state derived from them.
+ * Writes go through a temp file + rename so a crash never leaves a half-written store behind.
+ */
+class JsonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  load(defaults) {
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } else {
+      this.data = {
+        chainId: defaults.chainId,
+        contractAddress: defaults.contractAddress,
+        startBlock: defaults.startBlock,
+        lastBlock: defaults.startBlock - 1,
+        checkpoints: [],
+        events: [],
+        requests: {}
+      };
+    }
+
+    if (this.data.contractAddress.toLowerCase() !== defaults.contractAddress.toLowerCase()) {
+      throw new Error(`Store ${this.filePath} belongs to ${this.data.contractAddress}, not ${defaults.contractAddress}`);
+    }
+
+    return this.data;
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * Apply a single decoded escrow event to the request map
+ */
+function applyEvent(requests, event) {
+  if (event.name === "PaymentRequestSplit") {
+    // The fill itself was already added by its PaymentRequestCreated event
+    const parent = requests[event.args.parentRequestId];
+    const fill = requests[event.args.fillRequestId];
+    fill.parentRequestId = event.args.parentRequestId;
+    parent.amountINR = (BigInt(parent.amountINR) - BigInt(fill.amountINR)).toString();
+    parent.daiAmount = (BigInt(parent.daiAmount) - BigInt(fill.daiAmount)).toString();
+    parent.payerFee = (BigInt(parent.payerFee) - BigInt(fill.payerFee)).toString();
+    parent.updatedBlock = event.blockNumber;
+    return;
+  }
+
+  const id = event.args.requestId;
+  const request = requests[id];
+
+  switch (event.name) {
+    case "PaymentRequestCreated":
+      requests[id] = {
+        requestId: id,
+        requester: event.args.requester,
+        payer: null,
+        amountINR: event.args.amountINR,
+        tokenAddress: event.args.tokenAddress,
+        daiAmount: event.args.tokenAmount,
+        payerFee: event.args.payerFee,
+        parentRequestId: null,
+        status: "PENDING",
+        createdBlock: event.blockNumber,
+        expiresAt: Number(event.args.expiresAt),
+        commitmentExpiry: null,
+        transactionNumber: null,
+        updatedBlock: event.blockNumber
+      };
+      return;
+    case "PaymentCommitted":
+      request.status = "COMMITTED";
+      request.payer = event.args.payer;
+      request.commitmentExpiry = Number(event.args.commitmentExpiry);
+      break;
+    case "CommitmentTimedOut":
+      // Released back to PENDING; a takeover, expiry or cancellation in the same transaction follows with the final state
+      request.status = "PENDING";
+      request.payer = null;
+      request.commitmentExpiry = null;
+      break;
+    case "PaymentFulfilled":
+      request.status = "FULFILLED";
+      request.payer = event.args.payer;
+      request.transactionNumber = event.args.transactionNumber;
+      break;
+    case "PaymentCancelled":
+      request.status = "CANCELLED";
+      break;
+    case "PaymentExpired":
+      request.status = "EXPIRED";
+      break;
+    case "RequestExpiryExtended":
+      request.expiresAt = Number(event.args.expiresAt);
+      break;
+    case "PaymentRequestAmended":
+      request.amountINR = event.args.newAmountINR;
+      request.daiAmount = event.args.newTokenAmount;
+      request.payerFee = event.args.newPayerFee;
+      break;
+    case "PaymentDisputed":
+      request.status = "DISPUTED";
+      break;
+    case "DisputeResolved":
+      request.status = event.args.inFavorOfPayer ? "FULFILLED" : "REFUNDED";
+      break;
+    default:
+      return;
+  }
+
+  request.updatedBlock = event.blockNumber;
+}
+
+/**
+ * Replays PaymentEscrow events into a local store and keeps it in sync with the chain.
+ * Only blocks at least `confirmations` deep are indexed; if a deeper reorg still replaces
+ * an indexed block, the indexer rewinds to the last checkpoint that is still canonical.
+ */
+class EscrowIndexer {
+  constructor(contract, store, options = {}) {
+    this.contract = contract;
+    this.provider = contract.provider;
+    this.store = store;
+    this.confirmations = options.confirmations !== undefined ? options.confirmations : 3;
+    this.batchSize = options.batchSize || 2000;
+    this.startBlock = options.startBlock || 0;
+    this.logger = options.logger || (() => {});
+  }
+
+  async init() {
+    const network = await this.provider.getNetwork();
+    this.state = this.store.load({
+      chainId: network.chainId,
+      contractAddress: this.contract.address,
+      startBlock: this.startBlock
+    });
+    return this;
+  }
+
+  /**
+   * Index every confirmed block since the last run
+   * @return Number of events applied
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    let applied = 0;
+
+    for (let from = this.state.lastBlock + 1; from <= target; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const events = await this._fetchEvents(from, to);
+
+      for (const event of events) {
+        this.state.events.push(event);
+        applyEvent(this.state.requests, event);
+      }
+      applied += events.length;
+
+      const block = await this.provider.getBlock(to);
+      this.state.lastBlock = to;
+      this.state.checkpoints.push({ number: to, hash: block.hash });
+      if (this.state.checkpoints.length > MAX_CHECKPOINTS) {
+        this.state.checkpoints.shift();
+      }
+      this.store.save();
+
+      this.logger(`Indexed blocks ${from}-${to}: ${events.length} events`);
+    }
+
+    return applied;
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contract.address,
+      fromBlock,
+      toBlock
+    });
+
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (error) {
+        continue; // Not an escrow event we know about
+      }
+      if (!TRACKED_EVENTS.includes(parsed.name)) {
+        continue;
+      }
+
+      const args = {};
+      for (const input of parsed.eventFragment.inputs) {
+        const value = parsed.args[input.name];
+        args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+      }
+
+      events.push({
+        name: parsed.name,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Compare stored checkpoints against the chain and roll back to the newest one still canonical
+   */
+  async _handleReorg() {
+    const checkpoints = this.state.checkpoints;
+    if (checkpoints.length === 0) {
+      return;
+    }
+
+    let ancestor = null;
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        ancestor = checkpoints[i];
+        break;
+      }
+    }
+
+    if (ancestor === checkpoints[checkpoints.length - 1]) {
+      return;
+    }
+
+    const rewindTo = ancestor ? ancestor.number : this.state.startBlock - 1;
+    this.logger(`Reorg detected after block ${rewindTo}, rewinding from block ${this.state.lastBlock}`);
+    this.rewind(rewindTo);
+  }
+
+  /**
+   * Drop everything indexed after `blockNumber` and rebuild request state from the remaining events
+   */
+  rewind(blockNumber) {
+    this.state.events = this.state.events.filter(event => event.blockNumber <= blockNumber);
+    this.state.checkpoints = this.state.checkpoints.filter(checkpoint => checkpoint.number <= blockNumber);
+    this.state.lastBlock = blockNumber;
+    this.state.requests = {};
+    for (const event of this.state.events) {
+      applyEvent(this.state.requests, event);
+    }
+    this.store.save();
+  }
+
+  getRequest(requestId) {
+    return this.state.requests[requestId.toString()] || null;
+  }
+
+  /**
+   * Query indexed requests
+   * @param filter Optional { status, requester, payer }
+   */
+  getRequests(filter = {}) {
+    return Object.values(this.state.requests).filter(request => {
+      if (filter.status && request.status !== filter.status) return false;
+      if (filter.requester && request.requester.toLowerCase() !== filter.requester.toLowerCase()) return false;
+      if (filter.payer && (!request.payer || request.payer.toLowerCase() !== filter.payer.toLowerCase())) return false;
+      return true;
+    });
+  }
+}
+
+function parseArgs(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--once") {
+      options.once = true;
+    } else if (arg.startsWith("--")) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const chainId = parseInt(options.positional[0]);
+
+  if (!chainId) {
+    console.error("Usage: node scripts/indexer.js <chainId> [--deployment registry] [--store file] [--from-block n] [--confirmations n] [--poll ms] [--once]");
+    console.error("Example: node scripts/indexer.js 84532 --confirmations 5");
+    process.exit(1);
+  }
+
+  const deployment = getDeployment(chainId, options.deployment);
+  const provider = getProvider(chainId);
+
+  const escrowInfo = deployment.contracts.PaymentEscrow;
+  const paymentEscrow = await getPaymentEscrow(chainId, provider, { file: options.deployment });
+  console.log(`Using ${deployment.network} deployment from ${deployment.timestamp}`);
+
+  // Default to the deployment block so we never scan the chain from genesis
+  let startBlock = options["from-block"] !== undefined ? parseInt(options["from-block"]) : escrowInfo.blockNumber;
+  if (startBlock === undefined) {
+    const receipt = await provider.getTransactionReceipt(escrowInfo.transactionHash);
+    startBlock = receipt ? receipt.blockNumber : 0;
+  }
+
+  const storePath = options.store || path.join(__dirname, "..", `indexer-store-${chainId}.json`);
+  const indexer = await new EscrowIndexer(paymentEscrow, new JsonStore(storePath), {
+    startBlock,
+    confirmations: options.confirmations !== undefined ? parseInt(options.confirmations) : 3,
+    logger: console.log
+  }).init();
+
+  console.log(`Indexing PaymentEscrow ${escrowInfo.address} into ${storePath} (resuming after block ${indexer.state.lastBlock})`);
+
+  const pollInterval = parseInt(options.poll || "15000");
+  for (;;) {
+    await indexer.sync();
+    if (options.once) break;
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Indexer failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  JsonStore,
+  EscrowIndexer,
+  applyEvent
+};
@@ -0,0 +1,211 @@
+const { ethers } = require("ethers");
+const { getNetworkByChainId } = require("../networks");
+const { getPaymentEscrow, getProvider } = require("./deployments");
+
+// Mirrors PaymentEscrow.PaymentStatus
+const PENDING = 0;
+const COMMITTED = 1;
+
+// Batch calls sent each round: the escrow function, the event it emits per request acted on, and the result action
+const BATCHES = {
+  expire: { method: "expirePaymentRequests", event: "PaymentExpired", done: "expired" },
+  release: { method: "releaseTimedOutCommitments", event: "CommitmentTimedOut", done: "released" }
+};
+
+/**
+ * Write one structured JSON log line per keeper action
+ */
+function logJson(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Finds PENDING/COMMITTED requests past their expiry and expires them with one expirePaymentRequests call per round,
+ * then releases commitments that timed out on live requests with one releaseTimedOutCommitments call, so the
+ * payer's timeout is recorded and the bond forfeited even if no other payer takes the request over.
+ * Open requests are read from the status-indexed pages, so a scan costs one call per `pageSize` open requests
+ * however many requests were ever created. No transaction is sent while the network gas price is above `maxGasPrice`.
+ */
+class Keeper {
+  constructor(contract, signer, options = {}) {
+    this.contract = contract.connect(signer);
+    this.signer = signer;
+    this.maxGasPrice = options.maxGasPrice ? ethers.BigNumber.from(options.maxGasPrice) : null;
+    this.maxPerRound = options.maxPerRound || 50;
+    this.pageSize = options.pageSize || 100;
+    this.log = options.logger || logJson;
+  }
+
+  /**
+   * Scan the open requests
+   * @return { expired, timedOut }: IDs that can be expired, and IDs of live requests whose commitment timed out
+   */
+  async scan() {
+    const now = (await this.signer.provider.getBlock("latest")).timestamp;
+    const expired = [];
+    const timedOut = [];
+
+    for (const status of [PENDING, COMMITTED]) {
+      let cursor = 0;
+      do {
+        const [requests, nextCursor] = await this.contract.getRequestsByStatus(status, cursor, this.pageSize);
+        for (const request of requests) {
+          const requestId = request.requestId.toNumber();
+          if (now > request.expiresAt.toNumber()) {
+            expired.push(requestId);
+          } else if (status === COMMITTED) {
+            const window = await this.contract.commitmentWindows(requestId);
+            if (now > request.committedAt.add(window).toNumber()) {
+              timedOut.push(requestId);
+            }
+          }
+        }
+        cursor = nextCursor;
+      } while (!cursor.isZero());
+    }
+
+    const ascending = (a, b) => a - b;
+    return { expired: expired.sort(ascending), timedOut: timedOut.sort(ascending) };
+  }
+
+  /**
+   * Scan the open requests and return the IDs that can be expired right now
+   */
+  async findExpiredRequests() {
+    return (await this.scan()).expired;
+  }
+
+  /**
+   * Run a single sweep
+   * @return One result object per request acted on
+   */
+  async runOnce() {
+    const gasPrice = await this.signer.getGasPrice();
+    if (this.maxGasPrice && gasPrice.gt(this.maxGasPrice)) {
+      this.log({
+        action: "skip_round",
+        reason: "gas_price_above_cap",
+        gasPrice: gasPrice.toString(),
+        maxGasPrice: this.maxGasPrice.toString()
+      });
+      return [];
+    }
+
+    const { expired, timedOut } = await this.scan();
+    const toExpire = expired.slice(0, this.maxPerRound);
+    const toRelease = timedOut.slice(0, this.maxPerRound - toExpire.length);
+
+    return [
+      ...(await this._sendBatch("expire", toExpire, gasPrice)),
+      ...(await this._sendBatch("release", toRelease, gasPrice))
+    ];
+  }
+
+  /**
+   * Send one batch call and report which requests it acted on, from the events it emitted
+   * @param name Key of BATCHES, also the prefix of the `<name>_sent` / `<name>_failed` log actions
+   */
+  async _sendBatch(name, requestIds, gasPrice) {
+    if (requestIds.length === 0) {
+      return [];
+    }
+    const { method, event: eventName, done } = BATCHES[name];
+
+    let tx;
+    try {
+      const gasLimit = await this.contract.estimateGas[method](requestIds);
+      tx = await this.contract[method](requestIds, { gasPrice, gasLimit });
+      this.log({ action: `${name}_sent`, requestIds, txHash: tx.hash, nonce: tx.nonce, gasPrice: gasPrice.toString() });
+    } catch (error) {
+      const result = { action: `${name}_failed`, requestIds, reason: error.reason || error.message };
+      this.log(result);
+      return [result];
+    }
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      const result = { action: `${name}_failed`, requestIds, txHash: tx.hash, reason: error.reason || error.message };
+      this.log(result);
+      return [result];
+    }
+
+    // The batch skips requests someone else settled or took over since the scan
+    const actedOn = new Set(
+      receipt.events
+        .filter(event => event.event === eventName)
+        .map(event => event.args.requestId.toNumber())
+    );
+
+    return requestIds.map(requestId => {
+      const result = actedOn.has(requestId)
+        ? { action: done, requestId, txHash: receipt.transactionHash, blockNumber: receipt.blockNumber }
+        : { action: "skip", requestId, txHash: receipt.transactionHash, reason: "changed_since_scan" };
+      this.log(result);
+      return result;
+    });
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const once = args.includes("--once");
+  const positional = args.filter(arg => !arg.startsWith("--"));
+  const chainId = parseInt(positional[0]);
+  const intervalIndex = args.indexOf("--interval");
+  const interval = intervalIndex !== -1 ? parseInt(args[intervalIndex + 1]) : 60000;
+
+  if (!chainId || !process.env.PRIVATE_KEY) {
+    console.error("Usage: PRIVATE_KEY=0x... node scripts/keeper.js <chainId> [--once] [--interval ms] [--deployment registry]");
+    console.error("Example: PRIVATE_KEY=0x... node scripts/keeper.js 84532 --once");
+    process.exit(1);
+  }
+
+  const deploymentIndex = args.indexOf("--deployment");
+  const deploymentPath = deploymentIndex !== -1 ? args[deploymentIndex + 1] : undefined;
+
+  const network = getNetworkByChainId(chainId);
+  if (!network) {
+    console.error(`No network configured for chain ID ${chainId} in networks.js`);
+    process.exit(1);
+  }
+
+  const provider = getProvider(chainId);
+  const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const paymentEscrow = await getPaymentEscrow(chainId, provider, { file: deploymentPath });
+
+  const keeper = new Keeper(paymentEscrow, signer, { maxGasPrice: network.maxGasPrice });
+  logJson({
+    action: "start",
+    chainId,
+    keeper: signer.address,
+    paymentEscrow: paymentEscrow.address,
+    maxGasPrice: network.maxGasPrice ? network.maxGasPrice.toString() : null,
+    once
+  });
+
+  for (;;) {
+    try {
+      await keeper.runOnce();
+    } catch (error) {
+      logJson({ action: "round_failed", reason: error.message });
+      if (once) throw error;
+    }
+    if (once) break;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Keeper failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  Keeper
+};
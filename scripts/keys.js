@@ -0,0 +1,102 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const readline = require("readline");
+
+// First account of the standard BIP-44 Ethereum path, as used by most wallets
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+const PRIVATE_KEY_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+function isPrivateKey(value) {
+  return typeof value === "string" && PRIVATE_KEY_PATTERN.test(value);
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ */
+function promptHidden(question, input = process.stdin, output = process.stderr) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input, output, terminal: true });
+    let muted = false;
+    rl._writeToOutput = text => {
+      if (!muted) {
+        output.write(text);
+      }
+    };
+
+    rl.question(question, answer => {
+      rl.close();
+      output.write("\n");
+      resolve(answer);
+    });
+    rl.on("SIGINT", () => {
+      rl.close();
+      reject(new Error("Password prompt cancelled"));
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Wallet to deploy from, taken from exactly one of these sources:
+ *  - `options.keystore`: encrypted JSON keystore, unlocked with KEYSTORE_PASSWORD or a password prompt
+ *  - `options.privateKey`: a key passed on the command line (deprecated: it ends up in shell history and `ps`)
+ *  - PRIVATE_KEY: environment variable or .env entry
+ *  - MNEMONIC: environment variable or .env entry, derived at `options.derivationPath` (DERIVATION_PATH, or the first account)
+ * @param options { keystore, privateKey, derivationPath }
+ * @param env Environment to read, defaults to process.env
+ * @param prompt Password prompt, defaults to reading the terminal without echo
+ * @return { wallet, source } with the wallet not yet connected to a provider
+ */
+async function loadDeployerWallet(options = {}, env = process.env, prompt = promptHidden) {
+  const sources = [
+    options.keystore && "--keystore",
+    options.privateKey && "command line private key",
+    env.PRIVATE_KEY && "PRIVATE_KEY",
+    env.MNEMONIC && "MNEMONIC"
+  ].filter(Boolean);
+
+  if (sources.length === 0) {
+    throw new Error("No deployer key configured: pass --keystore <file>, or set PRIVATE_KEY or MNEMONIC in the environment or .env");
+  }
+  if (sources.length > 1) {
+    throw new Error(`Several deployer keys configured (${sources.join(", ")}); keep only one`);
+  }
+
+  if (options.keystore) {
+    const json = fs.readFileSync(options.keystore, "utf8");
+    if (env.KEYSTORE_PASSWORD === undefined && !process.stdin.isTTY && prompt === promptHidden) {
+      throw new Error("Set KEYSTORE_PASSWORD to unlock the keystore without a terminal");
+    }
+    const password = env.KEYSTORE_PASSWORD !== undefined ? env.KEYSTORE_PASSWORD : await prompt(`Password for ${options.keystore}: `);
+    try {
+      return { wallet: await hre.ethers.Wallet.fromEncryptedJson(json, password), source: `keystore ${options.keystore}` };
+    } catch (error) {
+      throw new Error(`Could not unlock keystore ${options.keystore}: ${error.message}`);
+    }
+  }
+
+  if (options.privateKey || env.PRIVATE_KEY) {
+    const privateKey = options.privateKey || env.PRIVATE_KEY;
+    if (!isPrivateKey(privateKey)) {
+      throw new Error(`${sources[0]} must be 0x followed by 64 hex characters`);
+    }
+    return { wallet: new hre.ethers.Wallet(privateKey), source: sources[0] };
+  }
+
+  const derivationPath = options.derivationPath || env.DERIVATION_PATH || DEFAULT_DERIVATION_PATH;
+  if (!hre.ethers.utils.isValidMnemonic(env.MNEMONIC.trim())) {
+    throw new Error("MNEMONIC is not a valid BIP-39 mnemonic");
+  }
+  return {
+    wallet: hre.ethers.Wallet.fromMnemonic(env.MNEMONIC.trim(), derivationPath),
+    source: `MNEMONIC at ${derivationPath}`
+  };
+}
+
+module.exports = {
+  DEFAULT_DERIVATION_PATH,
+  isPrivateKey,
+  promptHidden,
+  loadDeployerWallet
+};
@@ -0,0 +1,440 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getDeployment, getProvider } = require("./deployments");
+const { PaymentEscrowClient, REQUEST_EVENTS } = require("../sdk/client");
+
+// Header names of a webhook delivery
+const HEADERS = {
+  delivery: "X-Escrow-Delivery",
+  event: "X-Escrow-Event",
+  timestamp: "X-Escrow-Timestamp",
+  signature: "X-Escrow-Signature"
+};
+
+/**
+ * Write one structured JSON log line per notifier action
+ */
+function logJson(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, sent as `X-Escrow-Signature: sha256=<hex>`.
+ * The timestamp is signed with the body so a captured delivery cannot be replayed later with a new timestamp.
+ * @param secret Shared webhook secret
+ * @param timestamp Unix seconds, also sent as X-Escrow-Timestamp
+ * @param body Raw JSON body
+ */
+function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Check a delivery's signature, for receivers
+ * @param options Optional { tolerance: max age of the timestamp in seconds (default 300), now: unix seconds }
+ * @return True if the signature matches and the timestamp is recent
+ */
+function verifySignature(secret, timestamp, body, signature, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 300;
+  const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+  if (!signature || !/^\d+$/.test(String(timestamp)) || Math.abs(now - Number(timestamp)) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Outbox of events waiting to be delivered, persisted as a JSON file so deliveries survive restarts.
+ * Writes go through a temp file + rename so a crash never leaves a half-written outbox behind.
+ */
+class Outbox {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  load(defaults) {
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } else {
+      this.data = {
+        chainId: defaults.chainId,
+        contractAddress: defaults.contractAddress,
+        lastBlock: defaults.startBlock - 1,
+        events: []
+      };
+    }
+
+    if (this.data.contractAddress.toLowerCase() !== defaults.contractAddress.toLowerCase()) {
+      throw new Error(`Outbox ${this.filePath} belongs to ${this.data.contractAddress}, not ${defaults.contractAddress}`);
+    }
+
+    return this.data;
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * Pushes PaymentEscrow lifecycle events to webhook URLs so the backend does not have to poll the chain.
+ * Events are read once they are `confirmations` blocks deep, queued in the outbox under
+ * `<transactionHash>:<logIndex>` (so a rescan never queues an event twice) and POSTed to every webhook
+ * as signed JSON. Failed deliveries are retried with exponential backoff until `maxAttempts`.
+ * watch() runs a round on every new block; events are still read with getLogs over the confirmed range rather
+ * than taken from log subscriptions, which would hand them over before they are confirmed and lose any emitted
+ * while the notifier was down.
+ */
+class WebhookNotifier {
+  /**
+   * @param client PaymentEscrowClient on a provider
+   * @param outbox Outbox to persist queued events and the last scanned block
+   * @param options { webhooks: [url], secret, confirmations (default 3), startBlock, batchSize, events (default the
+   *                  request lifecycle events), maxAttempts (default 8), retryDelay / maxRetryDelay (ms),
+   *                  timeout (ms), retainDelivered (settled events kept in the outbox), fetch, now, logger }
+   */
+  constructor(client, outbox, options = {}) {
+    if (!options.webhooks || options.webhooks.length === 0) {
+      throw new Error("WebhookNotifier needs at least one webhook URL");
+    }
+    if (!options.secret) {
+      throw new Error("WebhookNotifier needs a webhook secret");
+    }
+
+    this.client = client;
+    this.outbox = outbox;
+    this.webhooks = options.webhooks;
+    this.secret = options.secret;
+    this.confirmations = options.confirmations !== undefined ? options.confirmations : 3;
+    this.startBlock = options.startBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.events = new Set(options.events || REQUEST_EVENTS);
+    this.maxAttempts = options.maxAttempts || 8;
+    this.retryDelay = options.retryDelay || 5000;
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+    this.timeout = options.timeout || 10000;
+    this.retainDelivered = options.retainDelivered !== undefined ? options.retainDelivered : 1000;
+    this.fetch = options.fetch || globalThis.fetch;
+    if (typeof this.fetch !== "function") {
+      throw new Error("WebhookNotifier needs Node.js 18 or later (global fetch), or a fetch option");
+    }
+    this.now = options.now || Date.now;
+    this.log = options.logger || logJson;
+  }
+
+  async init() {
+    const network = await this.client.provider.getNetwork();
+    this.chainId = network.chainId;
+    this.state = this.outbox.load({
+      chainId: this.chainId,
+      contractAddress: this.client.address,
+      startBlock: this.startBlock
+    });
+    return this;
+  }
+
+  /**
+   * Queue every tracked event in confirmed blocks since the last scan
+   * @return Number of events queued
+   */
+  async poll() {
+    const head = await this.client.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    const queued = new Set(this.state.events.map(entry => entry.id));
+    let added = 0;
+
+    for (let from = this.state.lastBlock + 1; from <= target; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const events = await this.client.queryEvents("*", { fromBlock: from, toBlock: to });
+
+      for (const event of events) {
+        const id = `${event.transactionHash}:${event.logIndex}`;
+        if (!this.events.has(event.name) || queued.has(id)) {
+          continue;
+        }
+        queued.add(id);
+        this.state.events.push({
+          id,
+          payload: {
+            id,
+            chainId: this.chainId,
+            contract: this.client.address,
+            event: event.name,
+            args: event.args,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex
+          },
+          deliveries: this.webhooks.map(url => ({ url, status: "pending", attempts: 0, nextAttemptAt: 0, lastError: null }))
+        });
+        added++;
+      }
+
+      this.state.lastBlock = to;
+      this.outbox.save();
+    }
+
+    if (added > 0) {
+      this.log({ action: "queued", events: added, lastBlock: this.state.lastBlock });
+    }
+
+    return added;
+  }
+
+  /**
+   * POST every queued delivery that is due
+   * @return { delivered, retrying, failed } counts for this round
+   */
+  async deliver() {
+    const counts = { delivered: 0, retrying: 0, failed: 0 };
+
+    for (const entry of this.state.events) {
+      for (const delivery of entry.deliveries) {
+        if (delivery.status !== "pending" || delivery.nextAttemptAt > this.now()) {
+          continue;
+        }
+
+        const error = await this._post(delivery.url, entry.payload);
+        delivery.attempts++;
+
+        if (!error) {
+          delivery.status = "delivered";
+          delivery.deliveredAt = this.now();
+          counts.delivered++;
+          this.log({ action: "delivered", id: entry.id, event: entry.payload.event, url: delivery.url, attempts: delivery.attempts });
+        } else if (delivery.attempts >= this.maxAttempts) {
+          delivery.status = "failed";
+          delivery.lastError = error;
+          counts.failed++;
+          this.log({ action: "delivery_failed", id: entry.id, url: delivery.url, attempts: delivery.attempts, reason: error });
+        } else {
+          // retryDelay, then doubling with every attempt up to maxRetryDelay
+          const delay = Math.min(this.retryDelay * 2 ** (delivery.attempts - 1), this.maxRetryDelay);
+          delivery.nextAttemptAt = this.now() + delay;
+          delivery.lastError = error;
+          counts.retrying++;
+          this.log({ action: "retry_scheduled", id: entry.id, url: delivery.url, attempts: delivery.attempts, delay, reason: error });
+        }
+        this.outbox.save();
+      }
+    }
+
+    this._prune();
+    return counts;
+  }
+
+  /**
+   * Poll for new events and deliver everything due
+   */
+  async runOnce() {
+    const queued = await this.poll();
+    return { queued, ...(await this.deliver()) };
+  }
+
+  /**
+   * Run a round on every new block the provider reports, and every `interval` ms to catch up on missed blocks
+   * and retries that come due. Rounds never overlap: a block arriving mid-round queues one more round.
+   * @return Function that stops watching and resolves once the current round is done
+   */
+  watch(interval = 5000) {
+    let running = null;
+    let again = false;
+
+    const round = () => {
+      if (running) {
+        again = true;
+        return;
+      }
+      running = this.runOnce()
+        .catch(error => this.log({ action: "round_failed", reason: error.message }))
+        .finally(() => {
+          running = null;
+          if (again) {
+            again = false;
+            round();
+          }
+        });
+    };
+
+    this.client.provider.on("block", round);
+    const timer = setInterval(round, interval);
+    round();
+
+    return async () => {
+      this.client.provider.off("block", round);
+      clearInterval(timer);
+      again = false;
+      while (running) {
+        await running;
+      }
+    };
+  }
+
+  /**
+   * Deliveries still waiting for a (re)try
+   */
+  getPending() {
+    return this._deliveries("pending");
+  }
+
+  /**
+   * Deliveries that ran out of attempts
+   */
+  getFailed() {
+    return this._deliveries("failed");
+  }
+
+  _deliveries(status) {
+    const deliveries = [];
+    for (const entry of this.state.events) {
+      for (const delivery of entry.deliveries) {
+        if (delivery.status === status) {
+          deliveries.push({ id: entry.id, event: entry.payload.event, ...delivery });
+        }
+      }
+    }
+    return deliveries;
+  }
+
+  /**
+   * POST a payload to a webhook
+   * @return null on a 2xx response, otherwise the reason the delivery failed
+   */
+  async _post(url, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(this.now() / 1000);
+
+    try {
+      const response = await this.fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [HEADERS.delivery]: payload.id,
+          [HEADERS.event]: payload.event,
+          [HEADERS.timestamp]: String(timestamp),
+          [HEADERS.signature]: signPayload(this.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      return response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Drop the oldest fully settled events beyond `retainDelivered`. Events are only ever queued from blocks after
+   * lastBlock, so dropping them cannot cause a redelivery.
+   */
+  _prune() {
+    const settled = this.state.events.filter(entry => entry.deliveries.every(delivery => delivery.status !== "pending"));
+    const excess = settled.length - this.retainDelivered;
+    if (excess <= 0) {
+      return;
+    }
+
+    const dropped = new Set(settled.slice(0, excess).map(entry => entry.id));
+    this.state.events = this.state.events.filter(entry => !dropped.has(entry.id));
+    this.outbox.save();
+  }
+}
+
+function parseArgs(argv) {
+  const options = { positional: [], webhooks: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--once") {
+      options.once = true;
+    } else if (arg === "--webhook") {
+      options.webhooks.push(argv[++i]);
+    } else if (arg.startsWith("--")) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  if (typeof globalThis.fetch !== "function") {
+    console.error(`The notifier needs Node.js 18 or later (global fetch), this is ${process.version}`);
+    process.exit(1);
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  const chainId = parseInt(options.positional[0]);
+  const webhooks = options.webhooks.length > 0
+    ? options.webhooks
+    : (process.env.WEBHOOK_URLS || "").split(",").map(url => url.trim()).filter(Boolean);
+
+  if (!chainId || webhooks.length === 0 || !process.env.WEBHOOK_SECRET) {
+    console.error("Usage: WEBHOOK_SECRET=... node scripts/notifier.js <chainId> --webhook url [--webhook url] [--outbox file] [--deployment registry] [--from-block n] [--confirmations n] [--poll ms] [--once]");
+    console.error("Webhook URLs can also be set as a comma-separated WEBHOOK_URLS");
+    console.error("Example: WEBHOOK_SECRET=... node scripts/notifier.js 84532 --webhook https://api.example.com/escrow-events");
+    process.exit(1);
+  }
+
+  const deployment = getDeployment(chainId, options.deployment);
+  const escrowInfo = deployment.contracts.PaymentEscrow;
+  const provider = getProvider(chainId);
+
+  // Default to the deployment block so we never scan the chain from genesis
+  let startBlock = options["from-block"] !== undefined ? parseInt(options["from-block"]) : escrowInfo.blockNumber;
+  if (startBlock === undefined) {
+    const receipt = await provider.getTransactionReceipt(escrowInfo.transactionHash);
+    startBlock = receipt ? receipt.blockNumber : 0;
+  }
+
+  const outboxPath = options.outbox || path.join(__dirname, "..", `notifier-outbox-${chainId}.json`);
+  const notifier = await new WebhookNotifier(new PaymentEscrowClient(escrowInfo.address, provider), new Outbox(outboxPath), {
+    webhooks,
+    secret: process.env.WEBHOOK_SECRET,
+    startBlock,
+    confirmations: options.confirmations !== undefined ? parseInt(options.confirmations) : 3
+  }).init();
+
+  logJson({
+    action: "start",
+    chainId,
+    paymentEscrow: escrowInfo.address,
+    webhooks,
+    outbox: outboxPath,
+    lastBlock: notifier.state.lastBlock,
+    pending: notifier.getPending().length
+  });
+
+  if (options.once) {
+    await notifier.runOnce();
+    return;
+  }
+
+  notifier.watch(parseInt(options.poll || "5000"));
+  // Runs until the process is stopped
+  await new Promise(() => {});
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Notifier failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  HEADERS,
+  Outbox,
+  WebhookNotifier,
+  signPayload,
+  verifySignature
+};
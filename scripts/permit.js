@@ -0,0 +1,94 @@
+const { ethers } = require("ethers");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Minimal ABI needed to build permits for any EIP-2612 token
+const PERMIT_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+// How long a permit stays valid when the caller does not set a deadline
+const DEFAULT_VALIDITY = 30 * 60;
+
+/**
+ * EIP-712 domain of a permit token. Uses the token's EIP-5267 eip712Domain() when available,
+ * otherwise falls back to its name with version "1" (the OpenZeppelin ERC20Permit default).
+ */
+async function getPermitDomain(token, chainId) {
+  try {
+    const domain = await token.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId,
+      verifyingContract: token.address
+    };
+  } catch (error) {
+    return {
+      name: await token.name(),
+      version: "1",
+      chainId,
+      verifyingContract: token.address
+    };
+  }
+}
+
+/**
+ * Build the EIP-2612 typed data for approving `value` tokens to `spender`
+ * @param tokenAddress Permit token
+ * @param provider Provider connected to the token's chain
+ * @param fields { owner, spender, value, deadline? }
+ * @return { domain, types, message } ready for signing
+ */
+async function buildPermitTypedData(tokenAddress, provider, fields) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_TOKEN_ABI, provider);
+  const { chainId } = await provider.getNetwork();
+  const deadline = fields.deadline !== undefined
+    ? fields.deadline
+    : (await provider.getBlock("latest")).timestamp + DEFAULT_VALIDITY;
+
+  return {
+    domain: await getPermitDomain(token, chainId),
+    types: PERMIT_TYPES,
+    message: {
+      owner: ethers.utils.getAddress(fields.owner),
+      spender: ethers.utils.getAddress(fields.spender),
+      value: ethers.BigNumber.from(fields.value).toString(),
+      nonce: (await token.nonces(fields.owner)).toString(),
+      deadline: ethers.BigNumber.from(deadline).toString()
+    }
+  };
+}
+
+/**
+ * Sign a permit letting PaymentEscrow pull `value` tokens from the signer
+ * @param signer Token holder, connected to a provider
+ * @param tokenAddress Permit token
+ * @param fields { spender, value, deadline? }
+ * @return { deadline, v, r, s } arguments for createPaymentRequestWithPermit
+ */
+async function signPermit(signer, tokenAddress, fields) {
+  const { domain, types, message } = await buildPermitTypedData(tokenAddress, signer.provider, {
+    ...fields,
+    owner: await signer.getAddress()
+  });
+
+  const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+  return { deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  buildPermitTypedData,
+  signPermit
+};
@@ -0,0 +1,274 @@
+const hre = require("hardhat");
+const http = require("http");
+const { getDeployment, getProvider } = require("./deployments");
+const { getDeployedContract } = require("./deployments-hardhat");
+
+// Largest request body accepted over HTTP
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Escrow functions the relayer pays gas for: a payer's commitment and fulfilment, nothing else
+const RELAYED_FUNCTIONS = [
+  "function commitToPay(uint256 requestId)",
+  "function commitToPayWithTerms(uint256 requestId, uint256 maxAmountINR, uint256 minTokenAmount)",
+  "function commitToSlice(uint256 requestId, uint256 sliceINR)",
+  "function commitToSliceWithTerms(uint256 requestId, uint256 sliceINR, uint256 maxAmountINR, uint256 minTokenAmount)",
+  "function fulfillPayment(uint256 requestId, string transactionNumber)",
+  "function fulfillPaymentWithAttestation(uint256 requestId, string transactionNumber, bytes signature)"
+];
+
+// Relayed functions that take the commitment bond as ETH value
+const COMMIT_FUNCTIONS = ["commitToPay", "commitToPayWithTerms", "commitToSlice", "commitToSliceWithTerms"];
+
+const RELAYED_INTERFACE = new hre.ethers.utils.Interface(RELAYED_FUNCTIONS);
+
+// Escrow views the relayer reads to decide on bond sponsorship
+const ESCROW_VIEWS = [
+  "function commitmentBond() view returns (uint256)",
+  "function getPayerStats(address payer) view returns (uint256 commits, uint256 fulfilments, uint256 timeouts, uint256 activeCommitments)"
+];
+
+/**
+ * Write one structured JSON log line per relayer action
+ */
+function logJson(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Error carrying the HTTP status returned to the client
+ */
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Submits EIP-712 signed forward requests to EscrowForwarder and pays their gas.
+ * Only the commit and fulfil functions of the configured PaymentEscrow are relayed. While the escrow asks
+ * for a commitment bond, relayed commits need `sponsorBonds`: the relayer then sends the bond with the call,
+ * for payers without a timed-out commitment on record. The escrow records the relayer account as the bond's
+ * sponsor: the bond is credited back to it on fulfilment, to be taken out with `withdraw()`, and goes to the
+ * requester on timeout, like any other bond.
+ */
+class Relayer {
+  /**
+   * @param options { allowedTargets: [escrow address], maxGas, sponsorBonds (default false), logger }
+   */
+  constructor(forwarder, signer, options = {}) {
+    this.forwarder = forwarder.connect(signer);
+    this.signer = signer;
+    this.allowedTargets = (options.allowedTargets || []).map(address => address.toLowerCase());
+    this.maxGas = hre.ethers.BigNumber.from(options.maxGas || 1000000);
+    this.sponsorBonds = Boolean(options.sponsorBonds);
+    this.log = options.logger || logJson;
+    this.server = null;
+  }
+
+  /**
+   * Check the call is a relayed escrow function and carries exactly the ETH the relayer will send with it
+   * @return ETH value to send with the forwarded call
+   */
+  async _checkCall(request) {
+    let fragment;
+    try {
+      fragment = RELAYED_INTERFACE.getFunction(hre.ethers.utils.hexDataSlice(request.data || "0x", 0, 4));
+    } catch (error) {
+      throw new RelayError(400, "Only commit and fulfil calls are relayed");
+    }
+
+    const value = hre.ethers.BigNumber.from(request.value || 0);
+    if (!COMMIT_FUNCTIONS.includes(fragment.name)) {
+      if (!value.isZero()) {
+        throw new RelayError(400, `${fragment.name} cannot carry ETH`);
+      }
+      return value;
+    }
+
+    const escrow = new hre.ethers.Contract(request.to, ESCROW_VIEWS, this.signer.provider);
+    const bond = await escrow.commitmentBond();
+    if (bond.isZero()) {
+      if (!value.isZero()) {
+        throw new RelayError(400, "The escrow takes no commitment bond, the call cannot carry ETH");
+      }
+      return value;
+    }
+
+    if (!this.sponsorBonds) {
+      throw new RelayError(400, `The escrow requires a commitment bond of ${bond.toString()} wei, which this relayer does not sponsor`);
+    }
+    if (!value.eq(bond)) {
+      throw new RelayError(400, `Sign the request with a value of ${bond.toString()} wei, the current commitment bond`);
+    }
+    const { timeouts } = await escrow.getPayerStats(request.from);
+    if (!timeouts.isZero()) {
+      throw new RelayError(403, "Bonds are not sponsored for payers with timed-out commitments");
+    }
+    return value;
+  }
+
+  /**
+   * Validate a signed request and submit it
+   * @param payload { request, signature } as built by scripts/forwarder.js
+   * @return { txHash, blockNumber, gasUsed } once the transaction is mined
+   */
+  async submit(payload) {
+    const { request, signature } = payload || {};
+    if (!request || !signature) {
+      throw new RelayError(400, "Body must contain request and signature");
+    }
+    if (!this.allowedTargets.includes(String(request.to).toLowerCase())) {
+      throw new RelayError(400, `Target ${request.to} is not relayed`);
+    }
+    if (hre.ethers.BigNumber.from(request.gas).gt(this.maxGas)) {
+      throw new RelayError(400, `Gas above relayer limit of ${this.maxGas.toString()}`);
+    }
+    if (!(await this.forwarder.verify(request, signature))) {
+      throw new RelayError(400, "Invalid signature, nonce or deadline");
+    }
+    const value = await this._checkCall(request);
+
+    let gasLimit;
+    try {
+      // Surfaces the escrow revert reason before any gas is spent
+      gasLimit = await this.forwarder.estimateGas.execute(request, signature, { value });
+    } catch (error) {
+      throw new RelayError(422, error.reason || error.message);
+    }
+
+    const tx = await this.forwarder.execute(request, signature, { gasLimit, value });
+    this.log({ action: "relay_sent", from: request.from, nonce: request.nonce, txHash: tx.hash, value: value.toString() });
+
+    const receipt = await tx.wait();
+    const result = {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+    this.log({ action: "relayed", from: request.from, ...result });
+    return result;
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname.startsWith("/nonce/")) {
+      const address = url.pathname.slice("/nonce/".length);
+      if (!hre.ethers.utils.isAddress(address)) {
+        throw new RelayError(400, "Invalid address");
+      }
+      return { nonce: (await this.forwarder.getNonce(address)).toString() };
+    }
+
+    if (req.method === "POST" && url.pathname === "/relay") {
+      return this.submit(await readJson(req));
+    }
+
+    throw new RelayError(404, "Not found");
+  }
+
+  /**
+   * Serve `POST /relay` and `GET /nonce/:address`
+   * @param port Port to listen on (0 picks a free port)
+   * @return The listening http.Server
+   */
+  listen(port, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res)
+        .then(body => sendJson(res, 200, body))
+        .catch(error => {
+          const status = error.status || 500;
+          this.log({ action: "relay_rejected", status, reason: error.message });
+          sendJson(res, status, { error: error.message });
+        });
+    });
+
+    return new Promise(resolve => this.server.listen(port, host, () => resolve(this.server)));
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayError(413, "Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayError(400, "Body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((arg, i) => !arg.startsWith("--") && !(i > 0 && args[i - 1].startsWith("--")));
+  const chainId = parseInt(positional[0]);
+  const portIndex = args.indexOf("--port");
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8787;
+
+  if (!chainId || !process.env.PRIVATE_KEY) {
+    console.error("Usage: PRIVATE_KEY=0x... node scripts/relayer.js <chainId> [--port n] [--deployment registry] [--sponsor-bonds]");
+    console.error("Example: PRIVATE_KEY=0x... node scripts/relayer.js 1337 --port 8787");
+    process.exit(1);
+  }
+
+  const deploymentIndex = args.indexOf("--deployment");
+  const deploymentPath = deploymentIndex !== -1 ? args[deploymentIndex + 1] : undefined;
+  const deployment = getDeployment(chainId, deploymentPath);
+  if (!deployment.contracts.EscrowForwarder) {
+    console.error(`The ${deployment.network} deployment has no EscrowForwarder, redeploy to enable relaying`);
+    process.exit(1);
+  }
+
+  const provider = getProvider(chainId);
+  const signer = new hre.ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const forwarder = await getDeployedContract(chainId, "EscrowForwarder", provider, { file: deploymentPath });
+
+  const relayer = new Relayer(forwarder, signer, {
+    allowedTargets: [deployment.contracts.PaymentEscrow.address],
+    sponsorBonds: args.includes("--sponsor-bonds")
+  });
+  await relayer.listen(port);
+
+  logJson({
+    action: "start",
+    chainId,
+    relayer: signer.address,
+    forwarder: forwarder.address,
+    paymentEscrow: deployment.contracts.PaymentEscrow.address,
+    sponsorBonds: relayer.sponsorBonds,
+    port
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Relayer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  RELAYED_FUNCTIONS,
+  Relayer,
+  RelayError
+};
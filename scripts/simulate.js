@@ -0,0 +1,628 @@
+const hre = require("hardhat");
+const { deployPaymentEscrow } = require("./escrow");
+const { Keeper } = require("./keeper");
+const { MockUpiGateway, UpiGatewayClient } = require("./upi-gateway");
+const { PaymentEscrowClient, PAYMENT_STATUSES } = require("../sdk/client");
+const { getRevertReason } = require("../sdk/errors");
+
+const DEFAULT_OPTIONS = {
+  seed: 1,
+  rounds: 30,
+  requesters: 4,
+  payers: 6,
+  // Chance per round that a requester creates a request, and that it cancels one of its open requests
+  createRate: 0.6,
+  cancelRate: 0.05,
+  // Chance per round that a requester amends one of its pending requests (more INR, tokens and payer fee)
+  amendRate: 0.1,
+  // Chance per available request that payers go for it, and how many race for it at most
+  commitRate: 0.7,
+  maxRacers: 3,
+  // Chance a payer walks away from a commitment, and that it pays a round or two late
+  abandonRate: 0.15,
+  delayRate: 0.3,
+  // Chance a payer tries to settle with a UTR that already settled another request
+  replayRate: 0.05,
+  // Chance a requester disputes a fulfilment while the dispute window is open
+  disputeRate: 0.1,
+  // Share of UPI payments the gateway declines
+  failureRate: 0.1,
+  disputeWindow: 30 * 60,
+  platformFeeBps: 50,
+  // Largest time jump between rounds, seconds
+  maxStep: 15 * 60
+};
+
+// Requests whose tokens are still held by the escrow
+const OPEN_STATUSES = ["PENDING", "COMMITTED", "DISPUTED"];
+
+// Events that move a request's tokens out of the escrow; each may happen at most once per request
+const PAYOUT_EVENTS = ["PaymentReleased", "PaymentCancelled", "PaymentExpired"];
+
+// DAI minted to each requester up front
+const REQUESTER_DAI = hre.ethers.utils.parseUnits("1000000", 18);
+
+/**
+ * Small deterministic PRNG (mulberry32), so a seed replays the same scenario
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)],
+    shuffle: items => {
+      const shuffled = [...items];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    }
+  };
+}
+
+/**
+ * Off-chain view of the escrow built only from its events, the way the production backend keeps MongoDB in sync.
+ * Every fulfilment is checked against the gateway: the UTR must be a successful payment for that request,
+ * made by that payer for the full INR amount.
+ */
+class Backend {
+  constructor(client, gateway) {
+    this.client = client;
+    this.gateway = gateway;
+    this.requests = new Map();
+    this.events = [];
+    this.mismatches = [];
+    this.fromBlock = 0;
+  }
+
+  /**
+   * Apply all escrow events since the last sync
+   */
+  async sync() {
+    const toBlock = await this.client.provider.getBlockNumber();
+    if (toBlock < this.fromBlock) {
+      return;
+    }
+    const events = await this.client.queryEvents("*", { fromBlock: this.fromBlock, toBlock });
+    this.fromBlock = toBlock + 1;
+    for (const event of events) {
+      this.events.push(event);
+      await this._apply(event);
+    }
+  }
+
+  async _apply({ name, args }) {
+    const request = this.requests.get(args.requestId);
+    switch (name) {
+      case "PaymentRequestCreated":
+        this.requests.set(args.requestId, {
+          requestId: args.requestId,
+          status: "PENDING",
+          requester: args.requester,
+          amountINR: Number(args.amountINR),
+          daiAmount: args.tokenAmount,
+          payer: null,
+          utr: null,
+          released: false
+        });
+        break;
+      case "PaymentRequestAmended":
+        request.amountINR = Number(args.newAmountINR);
+        request.daiAmount = args.newTokenAmount;
+        break;
+      case "CommitmentTimedOut":
+        request.status = "PENDING";
+        request.payer = null;
+        break;
+      case "PaymentCommitted":
+        request.status = "COMMITTED";
+        request.payer = args.payer;
+        break;
+      case "PaymentFulfilled":
+        request.status = "FULFILLED";
+        request.utr = args.transactionNumber;
+        await this._verifyUtr(request);
+        break;
+      case "PaymentReleased":
+        request.released = true;
+        break;
+      case "PaymentDisputed":
+        request.status = "DISPUTED";
+        break;
+      case "DisputeResolved":
+        request.status = args.inFavorOfPayer ? "FULFILLED" : "REFUNDED";
+        break;
+      case "PaymentCancelled":
+        request.status = "CANCELLED";
+        break;
+      case "PaymentExpired":
+        request.status = "EXPIRED";
+        break;
+    }
+  }
+
+  async _verifyUtr(request) {
+    const payment = await this.gateway.getPayment(request.utr);
+    if (!payment) {
+      this.mismatches.push(`Request ${request.requestId} settled with UTR ${request.utr} the gateway never issued`);
+    } else if (payment.reference !== String(request.requestId)) {
+      this.mismatches.push(`Request ${request.requestId} settled with UTR ${request.utr} paid for request ${payment.reference}`);
+    } else if (payment.payer !== request.payer || payment.amountINR !== request.amountINR) {
+      this.mismatches.push(`Request ${request.requestId} settled with UTR ${request.utr} for another payer or amount`);
+    }
+  }
+
+  inStatus(status) {
+    return [...this.requests.values()].filter(request => request.status === status);
+  }
+}
+
+/**
+ * Randomized end-to-end run of PaymentEscrow on the Hardhat network: requesters create, amend and cancel requests,
+ * payers race on commitToPay in the same block, pay through the mock UPI gateway (or time out and lose the
+ * request to a re-commit), requesters dispute, the arbitrator resolves from gateway records, payers claim and a
+ * keeper expires what is left. Invariants are checked at the end.
+ */
+class Simulation {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.random = createRandom(this.options.seed);
+    this.log = this.options.logger || (() => {});
+    this.actions = {};
+    // Planned next step of each commitment, by request ID: { payer, dueRound, abandon }
+    this.plans = new Map();
+    this.round = 0;
+  }
+
+  _count(action, entry = {}) {
+    this.actions[action] = (this.actions[action] || 0) + 1;
+    this.log({ round: this.round, action, ...entry });
+  }
+
+  async setup() {
+    const { ethers } = hre;
+    const signers = await ethers.getSigners();
+    const needed = 2 + this.options.requesters + this.options.payers;
+    if (signers.length < needed) {
+      throw new Error(`Simulation needs ${needed} accounts, the network has ${signers.length}`);
+    }
+
+    this.owner = signers[0];
+    this.keeperSigner = signers[1];
+    this.requesters = signers.slice(2, 2 + this.options.requesters);
+    this.payers = signers.slice(2 + this.options.requesters, needed);
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    this.mockDAI = await MockDAI.deploy();
+    await this.mockDAI.deployed();
+
+    this.paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero, this.owner);
+    await this.paymentEscrow.setSupportedToken(this.mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+    await this.paymentEscrow.setDisputeWindow(this.options.disputeWindow);
+    await this.paymentEscrow.setArbitrator(this.owner.address);
+    await this.paymentEscrow.setPlatformFeeBps(this.options.platformFeeBps);
+
+    for (const requester of this.requesters) {
+      await this.mockDAI.mint(requester.address, REQUESTER_DAI);
+      await this.mockDAI.connect(requester).approve(this.paymentEscrow.address, ethers.constants.MaxUint256);
+    }
+
+    this.gateway = new MockUpiGateway({
+      failureRate: this.options.failureRate,
+      random: this.random.next,
+      logger: entry => this.log({ round: this.round, ...entry })
+    });
+    await this.gateway.listen(0);
+    this.gatewayClient = new UpiGatewayClient(this.gateway.url);
+
+    this.keeper = new Keeper(this.paymentEscrow, this.keeperSigner, { logger: () => {} });
+    this.backend = new Backend(new PaymentEscrowClient(this.paymentEscrow.address, ethers.provider), this.gatewayClient);
+    this.limits = {
+      minExpiry: (await this.paymentEscrow.minExpiryDuration()).toNumber(),
+      minWindow: (await this.paymentEscrow.minCommitmentWindow()).toNumber()
+    };
+  }
+
+  async _now() {
+    return (await hre.ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async _send(action, entry, fn) {
+    try {
+      await (await fn()).wait();
+      this._count(action, entry);
+      return true;
+    } catch (error) {
+      this._count(`${action}_rejected`, { ...entry, reason: getRevertReason(error) || error.message });
+      return false;
+    }
+  }
+
+  async createRequests() {
+    const platformFee = await this.paymentEscrow.platformFee();
+    for (const requester of this.requesters) {
+      if (!this.random.chance(this.options.createRate)) continue;
+
+      const amountINR = this.random.int(100, 5000);
+      // Roughly 85-95 INR per DAI
+      const tokenAmount = hre.ethers.utils.parseUnits(String(amountINR), 18).mul(100).div(this.random.int(8500, 9500));
+      const payerFee = hre.ethers.utils.parseEther("0.0001").mul(this.random.int(0, 10));
+      const expiryDuration = this.limits.minExpiry + this.random.int(0, 2) * 60 * 60;
+      const commitmentWindow = this.limits.minWindow + this.random.int(0, 2) * 5 * 60;
+
+      await this._send("create", { requester: requester.address, amountINR }, () => this.paymentEscrow
+        .connect(requester)
+        .createPaymentRequestWithWindows(amountINR, this.mockDAI.address, tokenAmount, expiryDuration, commitmentWindow, {
+          value: platformFee.add(payerFee)
+        }));
+    }
+  }
+
+  async cancelRequests() {
+    for (const requester of this.requesters) {
+      if (!this.random.chance(this.options.cancelRate)) continue;
+
+      const open = [...this.backend.requests.values()]
+        .filter(request => request.requester === requester.address && ["PENDING", "COMMITTED"].includes(request.status));
+      if (open.length === 0) continue;
+
+      const { requestId } = this.random.pick(open);
+      await this._send("cancel", { requestId }, () => this.paymentEscrow.connect(requester).cancelPaymentRequest(requestId));
+    }
+  }
+
+  /**
+   * Requesters chase a moved rate: more INR for their pending request, topped up with DAI at the same rate
+   */
+  async amendRequests() {
+    for (const requester of this.requesters) {
+      if (!this.random.chance(this.options.amendRate)) continue;
+
+      const pending = [...this.backend.requests.values()]
+        .filter(request => request.requester === requester.address && request.status === "PENDING");
+      if (pending.length === 0) continue;
+
+      const { requestId, amountINR, daiAmount } = this.random.pick(pending);
+      const newAmountINR = amountINR + this.random.int(1, Math.ceil(amountINR / 10));
+      const topUp = hre.ethers.BigNumber.from(daiAmount).mul(newAmountINR - amountINR).div(amountINR);
+      const feeIncrease = hre.ethers.utils.parseEther("0.0001").mul(this.random.int(0, 5));
+
+      await this._send("amend", { requestId, amountINR: newAmountINR }, () => this.paymentEscrow
+        .connect(requester)
+        .amendPaymentRequest(requestId, newAmountINR, topUp, { value: feeIncrease }));
+    }
+  }
+
+  /**
+   * Several payers commit to the same requests in one block; only the first commit per request can win
+   */
+  async raceCommits() {
+    const available = [];
+    let cursor = 0;
+    do {
+      const [requests, nextCursor] = await this.paymentEscrow.getAvailableRequestsPage(cursor, 50);
+      available.push(...requests.map(request => request.requestId.toNumber()));
+      cursor = nextCursor.toNumber();
+    } while (cursor !== 0);
+
+    const bond = await this.paymentEscrow.commitmentBond();
+    const sent = [];
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+      for (const requestId of available) {
+        if (!this.random.chance(this.options.commitRate)) continue;
+
+        const racers = this.random.shuffle(this.payers).slice(0, this.random.int(1, this.options.maxRacers));
+        for (const payer of racers) {
+          // Explicit gas limit: estimating would already see the competing commit in the mempool
+          const tx = await this.paymentEscrow.connect(payer).commitToPay(requestId, { value: bond, gasLimit: 500000 });
+          sent.push({ requestId, payer, tx });
+        }
+      }
+      if (sent.length > 0) {
+        await hre.network.provider.send("evm_mine");
+      }
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+
+    for (const { requestId, payer, tx } of sent) {
+      const receipt = await hre.ethers.provider.getTransactionReceipt(tx.hash);
+      if (receipt.status !== 1) {
+        this._count("commit_lost", { requestId, payer: payer.address });
+        continue;
+      }
+
+      const recommit = this.plans.has(requestId);
+      this._count(recommit ? "recommit_won" : "commit_won", { requestId, payer: payer.address });
+      const delay = this.random.chance(this.options.delayRate) ? this.random.int(1, 2) : 0;
+      this.plans.set(requestId, {
+        payer,
+        dueRound: this.round + delay,
+        abandon: this.random.chance(this.options.abandonRate)
+      });
+    }
+  }
+
+  /**
+   * Committed payers pay over UPI and submit the UTR, unless they walk away or their commitment ran out
+   */
+  async settleCommitments() {
+    const settled = [...this.backend.requests.values()].filter(request => request.utr).map(request => request.utr);
+
+    for (const [requestId, plan] of this.plans) {
+      if (plan.dueRound > this.round) continue;
+
+      const request = this.backend.requests.get(requestId);
+      if (request.status !== "COMMITTED" || request.payer !== plan.payer.address) {
+        this.plans.delete(requestId);
+        continue;
+      }
+      if (plan.abandon) {
+        // Left to time out, so another payer can re-commit
+        plan.dueRound = Infinity;
+        this._count("abandon", { requestId, payer: plan.payer.address });
+        continue;
+      }
+      if (await this.paymentEscrow.isCommitmentTimedOut(requestId)) {
+        plan.dueRound = Infinity;
+        this._count("commitment_timed_out", { requestId, payer: plan.payer.address });
+        continue;
+      }
+
+      const escrow = this.paymentEscrow.connect(plan.payer);
+      if (settled.length > 0 && this.random.chance(this.options.replayRate)) {
+        const utr = this.random.pick(settled);
+        await this._send("replay", { requestId, utr }, () => escrow.fulfillPayment(requestId, utr));
+        continue;
+      }
+
+      const payment = await this.gatewayClient.pay({
+        payer: plan.payer.address,
+        payee: `${request.requester.slice(2, 10).toLowerCase()}@upi`,
+        amountINR: request.amountINR,
+        reference: String(requestId)
+      });
+      if (payment.status !== "SUCCESS") {
+        plan.dueRound = Infinity;
+        this._count("payment_failed", { requestId, payer: plan.payer.address });
+        continue;
+      }
+
+      this.plans.delete(requestId);
+      await this._send("fulfill", { requestId, utr: payment.utr }, () => escrow.fulfillPayment(requestId, payment.utr));
+    }
+  }
+
+  /**
+   * Requesters dispute some fulfilments; the arbitrator rules from the gateway's record of the UTR
+   */
+  async disputeAndResolve() {
+    for (const request of this.backend.inStatus("DISPUTED")) {
+      const payment = await this.gatewayClient.getPayment(request.utr);
+      const paid = payment !== null && payment.reference === String(request.requestId) && payment.amountINR === request.amountINR;
+      await this._send(paid ? "resolve_for_payer" : "resolve_for_requester", { requestId: request.requestId },
+        () => this.paymentEscrow.connect(this.owner).resolveDispute(request.requestId, paid));
+    }
+
+    const now = await this._now();
+    for (const request of this.backend.inStatus("FULFILLED")) {
+      if (request.released) continue;
+
+      const { disputeDeadline } = await this.paymentEscrow.paymentRequests(request.requestId);
+      if (now <= disputeDeadline.toNumber()) {
+        if (this.random.chance(this.options.disputeRate)) {
+          const requester = this.requesters.find(signer => signer.address === request.requester);
+          await this._send("dispute", { requestId: request.requestId },
+            () => this.paymentEscrow.connect(requester).raiseDispute(request.requestId));
+        }
+      } else {
+        const payer = this.payers.find(signer => signer.address === request.payer);
+        await this._send("claim", { requestId: request.requestId },
+          () => this.paymentEscrow.connect(payer).claimPayment(request.requestId));
+      }
+    }
+  }
+
+  async expireRequests() {
+    for (const result of await this.keeper.runOnce()) {
+      this._count(result.action === "expired" ? "expire" : "expire_rejected", { requestId: result.requestId });
+    }
+  }
+
+  async advanceTime() {
+    await hre.network.provider.send("evm_increaseTime", [this.random.int(60, this.options.maxStep)]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  async runRound() {
+    await this.createRequests();
+    await this.backend.sync();
+    await this.cancelRequests();
+    await this.amendRequests();
+    await this.backend.sync();
+    await this.raceCommits();
+    await this.backend.sync();
+    await this.settleCommitments();
+    await this.backend.sync();
+    await this.disputeAndResolve();
+    await this.expireRequests();
+    await this.advanceTime();
+    await this.backend.sync();
+  }
+
+  /**
+   * Check the invariants against the chain, the backend's event view and the gateway
+   * @return List of violations, empty if all hold
+   */
+  async checkInvariants() {
+    const violations = [];
+    const violate = (invariant, message) => violations.push({ invariant, message });
+
+    // Escrowed DAI equals the sum of the requests that still hold tokens
+    let held = hre.ethers.BigNumber.from(0);
+    const nextRequestId = (await this.paymentEscrow.getNextRequestId()).toNumber();
+    for (let requestId = 1; requestId < nextRequestId; requestId++) {
+      const request = await this.paymentEscrow.paymentRequests(requestId);
+      const status = PAYMENT_STATUSES[request.status];
+      if (OPEN_STATUSES.includes(status) || (status === "FULFILLED" && !request.disputeDeadline.isZero())) {
+        held = held.add(request.daiAmount);
+      }
+
+      const mirrored = this.backend.requests.get(requestId);
+      if (!mirrored || mirrored.status !== status) {
+        violate("backend_in_sync", `Request ${requestId} is ${status} on-chain but ${mirrored ? mirrored.status : "missing"} in the backend`);
+      } else if (!request.amountINR.eq(mirrored.amountINR)) {
+        violate("backend_in_sync", `Request ${requestId} is for ₹${request.amountINR} on-chain but ₹${mirrored.amountINR} in the backend`);
+      }
+    }
+    const balance = await this.mockDAI.balanceOf(this.paymentEscrow.address);
+    if (!balance.eq(held)) {
+      violate("escrow_balance", `Escrow holds ${balance.toString()} DAI base units but open requests add up to ${held.toString()}`);
+    }
+    const escrowed = await this.paymentEscrow.escrowedTokens(this.mockDAI.address);
+    if (!escrowed.eq(held)) {
+      violate("escrow_balance", `escrowedTokens is ${escrowed.toString()} but open requests add up to ${held.toString()}`);
+    }
+
+    // No DAI is created or lost: it is with the requesters, payers, fee recipient or the escrow
+    const holders = [this.owner, ...this.requesters, ...this.payers].map(signer => signer.address);
+    let total = balance;
+    for (const holder of holders) {
+      total = total.add(await this.mockDAI.balanceOf(holder));
+    }
+    const supply = await this.mockDAI.totalSupply();
+    if (!total.eq(supply)) {
+      violate("dai_conserved", `Accounts and escrow hold ${total.toString()} DAI base units, ${supply.toString()} were minted`);
+    }
+
+    // No request is paid out twice and no UTR settles two requests
+    const payouts = new Map();
+    const fulfilments = new Map();
+    const utrs = new Map();
+    for (const { name, args } of this.backend.events) {
+      if (PAYOUT_EVENTS.includes(name) || (name === "DisputeResolved" && !args.inFavorOfPayer)) {
+        payouts.set(args.requestId, (payouts.get(args.requestId) || 0) + 1);
+      }
+      if (name === "PaymentFulfilled") {
+        fulfilments.set(args.requestId, (fulfilments.get(args.requestId) || 0) + 1);
+        utrs.set(args.transactionNumber, (utrs.get(args.transactionNumber) || 0) + 1);
+      }
+    }
+    for (const [requestId, count] of payouts) {
+      if (count > 1) violate("single_payout", `Request ${requestId} was paid out ${count} times`);
+    }
+    for (const [requestId, count] of fulfilments) {
+      if (count > 1) violate("single_payout", `Request ${requestId} was fulfilled ${count} times`);
+    }
+    for (const [utr, count] of utrs) {
+      if (count > 1) violate("unique_utr", `UTR ${utr} settled ${count} requests`);
+    }
+    for (const mismatch of this.backend.mismatches) {
+      violate("utr_matches_gateway", mismatch);
+    }
+
+    return violations;
+  }
+
+  /**
+   * Run all rounds and check the invariants
+   * @return { seed, rounds, requests (count per status), actions (count per action), violations }
+   */
+  async run() {
+    await this.setup();
+    try {
+      for (this.round = 1; this.round <= this.options.rounds; this.round++) {
+        await this.runRound();
+      }
+      this.round = this.options.rounds;
+
+      const requests = {};
+      for (const { status } of this.backend.requests.values()) {
+        requests[status] = (requests[status] || 0) + 1;
+      }
+      return {
+        seed: this.options.seed,
+        rounds: this.options.rounds,
+        requests,
+        actions: this.actions,
+        violations: await this.checkInvariants()
+      };
+    } finally {
+      await this.gateway.close();
+    }
+  }
+}
+
+function printReport(report, log = console.log) {
+  log(`\n=== Simulation (seed ${report.seed}, ${report.rounds} rounds) ===`);
+  log("Requests: " + Object.entries(report.requests).map(([status, count]) => `${count} ${status}`).join(", "));
+  log("Actions:");
+  for (const [action, count] of Object.entries(report.actions).sort()) {
+    log(`  ${action.padEnd(24)} ${count}`);
+  }
+  if (report.violations.length === 0) {
+    log("All invariants hold.");
+  } else {
+    log(`${report.violations.length} invariant violation(s):`);
+    for (const { invariant, message } of report.violations) {
+      log(`  [${invariant}] ${message}`);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, parse) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? parse(args[index + 1]) : undefined;
+  };
+  const options = {
+    seed: option("seed", parseInt),
+    rounds: option("rounds", parseInt),
+    requesters: option("requesters", parseInt),
+    payers: option("payers", parseInt),
+    failureRate: option("failure-rate", parseFloat)
+  };
+  for (const [name, value] of Object.entries(options)) {
+    if (value === undefined) {
+      delete options[name];
+    } else if (Number.isNaN(value)) {
+      console.error("Usage: node scripts/simulate.js [--seed n] [--rounds n] [--requesters n] [--payers n] [--failure-rate 0-1] [--verbose]");
+      process.exit(1);
+    }
+  }
+  if (args.includes("--verbose")) {
+    options.logger = entry => console.log(JSON.stringify(entry));
+  }
+
+  const report = await new Simulation(options).run();
+  printReport(report);
+  process.exit(report.violations.length === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Simulation failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createRandom,
+  Backend,
+  Simulation,
+  printReport
+};
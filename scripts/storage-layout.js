@@ -0,0 +1,89 @@
+const hre = require("hardhat");
+
+/**
+ * Storage layout of a compiled contract in a form that can be saved with a deployment and compared after
+ * a recompile: AST IDs are replaced by type labels, and the members of every struct are listed by label.
+ * @param contractName Contract name or fully qualified name
+ * @return { storage: [{ label, slot, offset, type }], structs: { [typeLabel]: [{ label, slot, offset, type }] } }
+ */
+async function getStorageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const { storage, types } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+  const structs = {};
+  const describe = entry => ({
+    label: entry.label,
+    slot: entry.slot,
+    offset: entry.offset,
+    type: types[entry.type].label
+  });
+
+  for (const type of Object.values(types)) {
+    if (type.members) {
+      structs[type.label] = type.members.map(describe);
+    }
+  }
+
+  return { storage: storage.map(describe), structs };
+}
+
+function sameEntry(a, b) {
+  return a.label === b.label && a.slot === b.slot && a.offset === b.offset && a.type === b.type;
+}
+
+function formatEntry(entry) {
+  return `${entry.type} ${entry.label} (slot ${entry.slot}, offset ${entry.offset})`;
+}
+
+/**
+ * List the changes that would corrupt existing state if `next` replaced `previous` behind a proxy.
+ * Variables and struct members may only be appended; existing ones must keep their name, type and position.
+ * @return Array of error messages, empty when the layouts are compatible
+ */
+function compareStorageLayouts(previous, next) {
+  const errors = [];
+
+  previous.storage.forEach((entry, i) => {
+    const replacement = next.storage[i];
+    if (!replacement) {
+      errors.push(`Removed ${formatEntry(entry)}`);
+    } else if (!sameEntry(entry, replacement)) {
+      errors.push(`Replaced ${formatEntry(entry)} with ${formatEntry(replacement)}`);
+    }
+  });
+
+  for (const [struct, members] of Object.entries(previous.structs)) {
+    const nextMembers = next.structs[struct];
+    if (!nextMembers) {
+      // Only a problem if a variable still uses it, which the check above reports
+      continue;
+    }
+    members.forEach((member, i) => {
+      const replacement = nextMembers[i];
+      if (!replacement) {
+        errors.push(`Removed ${struct} member ${formatEntry(member)}`);
+      } else if (!sameEntry(member, replacement)) {
+        errors.push(`Replaced ${struct} member ${formatEntry(member)} with ${formatEntry(replacement)}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Throw if `next` is not a safe upgrade of `previous`
+ */
+function assertStorageCompatible(previous, next) {
+  const errors = compareStorageLayouts(previous, next);
+  if (errors.length > 0) {
+    throw new Error(`Incompatible storage layout:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+module.exports = {
+  getStorageLayout,
+  compareStorageLayouts,
+  assertStorageCompatible
+};
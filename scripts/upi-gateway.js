@@ -0,0 +1,242 @@
+const http = require("http");
+
+// Largest request body accepted over HTTP
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Write one structured JSON log line per gateway action
+ */
+function logJson(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Error carrying the HTTP status returned to the client
+ */
+class GatewayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Stand-in for a UPI payment gateway in local runs and simulations.
+ * Every payment either succeeds with a fresh 12-digit UTR (UPI transaction reference) or fails like a declined
+ * bank transfer, and stays queryable by UTR so the backend can check what a payer submitted on-chain.
+ */
+class MockUpiGateway {
+  /**
+   * @param options Optional { failureRate (0-1, default 0), random (() => [0, 1), default Math.random), logger }
+   */
+  constructor(options = {}) {
+    this.failureRate = options.failureRate || 0;
+    this.random = options.random || Math.random;
+    this.log = options.logger || logJson;
+    this.payments = new Map();
+    this.failed = 0;
+    this.server = null;
+  }
+
+  _newUtr() {
+    let utr;
+    do {
+      // UTRs never start with 0, so they survive a round trip through a number
+      utr = String(1 + Math.floor(this.random() * 9));
+      while (utr.length < 12) {
+        utr += String(Math.floor(this.random() * 10));
+      }
+    } while (this.payments.has(utr));
+    return utr;
+  }
+
+  /**
+   * Make a UPI payment
+   * @param payment { payer, payee, amountINR, reference } where reference is the escrow request ID
+   * @return { status: "SUCCESS", utr, ... } or { status: "FAILED", utr: null, reason, ... }
+   */
+  pay(payment) {
+    const { payer, payee, amountINR, reference } = payment || {};
+    if (!payer || !payee || reference === undefined || reference === null) {
+      throw new GatewayError(400, "Body must contain payer, payee, amountINR and reference");
+    }
+    if (!Number.isInteger(Number(amountINR)) || Number(amountINR) <= 0) {
+      throw new GatewayError(400, "amountINR must be a positive whole number of rupees");
+    }
+
+    const record = {
+      payer,
+      payee,
+      amountINR: Number(amountINR),
+      reference: String(reference),
+      createdAt: new Date().toISOString()
+    };
+
+    if (this.random() < this.failureRate) {
+      this.failed++;
+      const failed = { ...record, status: "FAILED", utr: null, reason: "Declined by payer bank" };
+      this.log({ action: "payment_failed", ...failed });
+      return failed;
+    }
+
+    const succeeded = { ...record, status: "SUCCESS", utr: this._newUtr() };
+    this.payments.set(succeeded.utr, succeeded);
+    this.log({ action: "payment_succeeded", ...succeeded });
+    return succeeded;
+  }
+
+  /**
+   * A successful payment by UTR, or null if the gateway never issued it
+   */
+  getPayment(utr) {
+    return this.payments.get(String(utr)) || null;
+  }
+
+  async _handle(req) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "POST" && url.pathname === "/payments") {
+      return this.pay(await readJson(req));
+    }
+
+    if (req.method === "GET" && url.pathname.startsWith("/payments/")) {
+      const payment = this.getPayment(url.pathname.slice("/payments/".length));
+      if (!payment) {
+        throw new GatewayError(404, "Unknown UTR");
+      }
+      return payment;
+    }
+
+    throw new GatewayError(404, "Not found");
+  }
+
+  /**
+   * Serve `POST /payments` and `GET /payments/:utr`
+   * @param port Port to listen on (0 picks a free port)
+   * @return The listening http.Server
+   */
+  listen(port, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this._handle(req)
+        .then(body => sendJson(res, 200, body))
+        .catch(error => {
+          const status = error.status || 500;
+          this.log({ action: "request_rejected", status, reason: error.message });
+          sendJson(res, status, { error: error.message });
+        });
+    });
+
+    return new Promise(resolve => this.server.listen(port, host, () => resolve(this.server)));
+  }
+
+  /**
+   * Base URL of the listening server
+   */
+  get url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+/**
+ * HTTP client for the gateway, as payers and the backend use it
+ */
+class UpiGatewayClient {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  async _request(method, path, body) {
+    const response = await fetch(this.baseUrl + path, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await response.json();
+    if (!response.ok) {
+      throw new GatewayError(response.status, json.error || `Gateway returned ${response.status}`);
+    }
+    return json;
+  }
+
+  /**
+   * @see MockUpiGateway.pay
+   */
+  pay(payment) {
+    return this._request("POST", "/payments", payment);
+  }
+
+  /**
+   * A successful payment by UTR, or null if the gateway does not know it
+   */
+  async getPayment(utr) {
+    try {
+      return await this._request("GET", `/payments/${encodeURIComponent(utr)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new GatewayError(413, "Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new GatewayError(400, "Body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf("--port");
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8788;
+  const failureIndex = args.indexOf("--failure-rate");
+  const failureRate = failureIndex !== -1 ? parseFloat(args[failureIndex + 1]) : 0;
+
+  if (!(failureRate >= 0 && failureRate <= 1)) {
+    console.error("Usage: node scripts/upi-gateway.js [--port n] [--failure-rate 0-1]");
+    process.exit(1);
+  }
+
+  const gateway = new MockUpiGateway({ failureRate });
+  await gateway.listen(port);
+  logJson({ action: "start", url: gateway.url, failureRate });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("UPI gateway failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MockUpiGateway,
+  UpiGatewayClient,
+  GatewayError
+};
@@ -0,0 +1,122 @@
+const http = require("http");
+const { HEADERS, verifySignature } = require("./notifier");
+
+// Largest delivery body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Write one structured JSON log line per received delivery
+ */
+function logJson(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Stand-in for the backend's webhook endpoint in local runs and tests.
+ * Accepts deliveries with a valid signature, answers 401 otherwise, and can be told to fail the next
+ * few deliveries with a 500 to exercise the notifier's retries.
+ */
+class WebhookReceiver {
+  /**
+   * @param options { secret, tolerance (seconds, default 300), logger }
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error("WebhookReceiver needs the webhook secret");
+    }
+    this.secret = options.secret;
+    this.tolerance = options.tolerance;
+    this.log = options.logger || logJson;
+    this.deliveries = [];
+    this.rejected = 0;
+    this.failNext = 0;
+    this.server = null;
+  }
+
+  /**
+   * Handle one delivery
+   * @return HTTP status to answer with
+   */
+  receive(headers, body) {
+    const timestamp = headers[HEADERS.timestamp.toLowerCase()];
+    const signature = headers[HEADERS.signature.toLowerCase()];
+    if (!verifySignature(this.secret, timestamp, body, signature, { tolerance: this.tolerance })) {
+      this.rejected++;
+      this.log({ action: "rejected", reason: "bad_signature", delivery: headers[HEADERS.delivery.toLowerCase()] });
+      return 401;
+    }
+
+    if (this.failNext > 0) {
+      this.failNext--;
+      this.log({ action: "failed_on_purpose", delivery: headers[HEADERS.delivery.toLowerCase()] });
+      return 500;
+    }
+
+    const payload = JSON.parse(body);
+    this.deliveries.push(payload);
+    this.log({ action: "received", id: payload.id, event: payload.event, args: payload.args });
+    return 200;
+  }
+
+  /**
+   * Serve `POST /` (any path) for deliveries
+   * @param port Port to listen on (0 picks a free port)
+   * @return The listening http.Server
+   */
+  listen(port, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          req.destroy();
+        }
+      });
+      req.on("end", () => {
+        const status = req.method === "POST" ? this.receive(req.headers, body) : 405;
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ ok: status === 200 }));
+      });
+    });
+
+    return new Promise(resolve => this.server.listen(port, host, () => resolve(this.server)));
+  }
+
+  /**
+   * Base URL of the listening server
+   */
+  get url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf("--port");
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8789;
+
+  if (!process.env.WEBHOOK_SECRET) {
+    console.error("Usage: WEBHOOK_SECRET=... node scripts/webhook-receiver.js [--port n]");
+    process.exit(1);
+  }
+
+  const receiver = new WebhookReceiver({ secret: process.env.WEBHOOK_SECRET });
+  await receiver.listen(port);
+  logJson({ action: "start", url: receiver.url });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Webhook receiver failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  WebhookReceiver
+};
@@ -0,0 +1,705 @@
+const { ethers } = require("ethers");
+const { toEscrowError } = require("./errors");
+
+// Mirrors PaymentEscrow.PaymentStatus
+const PAYMENT_STATUSES = ["PENDING", "COMMITTED", "FULFILLED", "CANCELLED", "EXPIRED", "DISPUTED", "REFUNDED"];
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// uint256 event arguments and struct fields that are IDs or timestamps and fit in a JS number
+const NUMERIC_FIELDS = new Set([
+  "requestId",
+  "parentRequestId",
+  "fillRequestId",
+  "expiresAt",
+  "commitmentExpiry",
+  "createdAt",
+  "committedAt",
+  "disputeDeadline"
+]);
+
+// Events that carry a requestId (or parent/fill request IDs) and change the state of that request
+const REQUEST_EVENTS = [
+  "PaymentRequestCreated",
+  "PaymentRequestSplit",
+  "PaymentCommitted",
+  "CommitmentTimedOut",
+  "PaymentFulfilled",
+  "PaymentReleased",
+  "PaymentCancelled",
+  "PaymentExpired",
+  "RequestExpiryExtended",
+  "PaymentRequestAmended",
+  "RequestSplittableSet",
+  "PaymentDisputed",
+  "DisputeResolved"
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+
+function statusIndex(status) {
+  const index = typeof status === "string" ? PAYMENT_STATUSES.indexOf(status.toUpperCase()) : Number(status);
+  if (!(index >= 0 && index < PAYMENT_STATUSES.length)) {
+    throw new Error(`Unknown payment status ${status}, expected one of ${PAYMENT_STATUSES.join(", ")}`);
+  }
+  return index;
+}
+
+function toPlain(key, value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return NUMERIC_FIELDS.has(key) ? value.toNumber() : value.toString();
+  }
+  return value;
+}
+
+/**
+ * Decoded event as a plain object: { name, args, blockNumber, transactionHash, logIndex }
+ */
+function toPlainEvent(event, iface) {
+  const args = {};
+  for (const input of iface.getEvent(event.eventSignature).inputs) {
+    args[input.name] = toPlain(input.name, event.args[input.name]);
+  }
+  return {
+    name: event.event,
+    args,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex
+  };
+}
+
+/**
+ * Shapes the client returns, declared in index.d.ts
+ * @typedef {import("./index").Token} Token
+ * @typedef {import("./index").SupportedToken} SupportedToken
+ * @typedef {import("./index").PaymentRequest} PaymentRequest
+ * @typedef {import("./index").RequestPage} RequestPage
+ * @typedef {import("./index").PayerStats} PayerStats
+ * @typedef {import("./index").EscrowConfig} EscrowConfig
+ * @typedef {import("./index").EscrowEvent} EscrowEvent
+ * @typedef {import("./index").TransactionResult} TransactionResult
+ * @typedef {import("./index").CreateRequestParams} CreateRequestParams
+ * @typedef {import("./index").AmendChanges} AmendChanges
+ */
+
+/**
+ * PaymentEscrow client for the web app, backend and scripts.
+ * Reads return plain objects: status names instead of enum values, token amounts formatted with the token's
+ * decimals (plus the raw base-unit string), ETH amounts in ETH (plus wei), IDs and timestamps as numbers.
+ * Reverts are thrown as the typed errors in ./errors.
+ */
+class PaymentEscrowClient {
+  /**
+   * @param address PaymentEscrow (proxy) address
+   * @param signerOrProvider Signer to send transactions, or a provider for read-only use
+   * @param options Optional { abi } to use another build of the combined PaymentEscrow ABI
+   */
+  constructor(address, signerOrProvider, options = {}) {
+    this.options = options;
+    // Read on first use: in this repository the ABI is written by the compile task, and Hardhat loads this module
+    // (through tasks/escrow.js) before compiling
+    this.contract = new ethers.Contract(address, options.abi || require("./abi/PaymentEscrow.json"), signerOrProvider);
+    this.address = this.contract.address;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+    this._tokens = options._tokens || new Map();
+  }
+
+  /**
+   * Same escrow through another signer or provider (token metadata stays cached)
+   */
+  connect(signerOrProvider) {
+    return new PaymentEscrowClient(this.address, signerOrProvider, { ...this.options, _tokens: this._tokens });
+  }
+
+  /**
+   * Symbol and decimals of a settlement token, looked up once
+   * @return {Promise<Token>} { address, symbol, decimals }
+   */
+  async getToken(tokenAddress) {
+    const address = ethers.utils.getAddress(tokenAddress);
+    if (!this._tokens.has(address)) {
+      const token = new ethers.Contract(address, ERC20_ABI, this.provider);
+      this._tokens.set(address, Promise.all([token.symbol(), token.decimals()])
+        .then(([symbol, decimals]) => ({ address, symbol, decimals })));
+    }
+    return this._tokens.get(address);
+  }
+
+  /**
+   * Convert a decimal token amount ("12.5") to base units
+   * @return {Promise<ethers.BigNumber>}
+   */
+  async parseTokenAmount(tokenAddress, amount) {
+    const { decimals } = await this.getToken(tokenAddress);
+    return ethers.utils.parseUnits(String(amount), decimals);
+  }
+
+  /**
+   * PaymentRequest struct as a plain object
+   * @return {Promise<PaymentRequest>}
+   */
+  async formatRequest(request) {
+    const token = await this.getToken(request.tokenAddress);
+    const time = value => (value.isZero() ? null : value.toNumber());
+    return {
+      requestId: request.requestId.toNumber(),
+      status: PAYMENT_STATUSES[request.status],
+      requester: request.requester,
+      payer: request.payer === ethers.constants.AddressZero ? null : request.payer,
+      amountINR: request.amountINR.toString(),
+      token,
+      tokenAmount: ethers.utils.formatUnits(request.daiAmount, token.decimals),
+      tokenAmountRaw: request.daiAmount.toString(),
+      payerFee: ethers.utils.formatEther(request.payerFee),
+      payerFeeWei: request.payerFee.toString(),
+      platformTokenFee: ethers.utils.formatUnits(request.platformTokenFee, token.decimals),
+      platformTokenFeeRaw: request.platformTokenFee.toString(),
+      createdAt: time(request.createdAt),
+      committedAt: time(request.committedAt),
+      expiresAt: time(request.expiresAt),
+      transactionNumber: request.transactionNumber || null,
+      disputeDeadline: time(request.disputeDeadline)
+    };
+  }
+
+  async _formatPage([requests, nextCursor]) {
+    return {
+      requests: await Promise.all(requests.map(request => this.formatRequest(request))),
+      nextCursor: nextCursor.toNumber()
+    };
+  }
+
+  /**
+   * Run a contract call, rethrowing reverts as typed errors
+   */
+  async _call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw toEscrowError(error);
+    }
+  }
+
+  /**
+   * A request by ID; throws RequestNotFoundError for unknown IDs
+   * @return {Promise<PaymentRequest>}
+   */
+  async getPaymentRequest(requestId) {
+    return this.formatRequest(await this._call(() => this.contract.getPaymentRequest(requestId)));
+  }
+
+  /**
+   * Page through requests in a status
+   * @param status Status name ("PENDING") or enum value
+   * @param page Optional { cursor, limit }
+   * @return {Promise<RequestPage>} { requests, nextCursor } where nextCursor is 0 on the last page
+   */
+  async getRequestsByStatus(status, { cursor = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this._formatPage(await this._call(() => this.contract.getRequestsByStatus(statusIndex(status), cursor, limit)));
+  }
+
+  /**
+   * Page through the requests a user created, oldest first
+   * @return {Promise<RequestPage>}
+   */
+  async getUserRequests(user, { cursor = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this._formatPage(await this._call(() => this.contract.getUserRequestsPage(user, cursor, limit)));
+  }
+
+  /**
+   * Page through requests a payer is committed to, including timed-out commitments
+   * @return {Promise<RequestPage>}
+   */
+  async getPayerCommittedRequests(payer, { cursor = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this._formatPage(await this._call(() => this.contract.getPayerCommittedRequestsPage(payer, cursor, limit)));
+  }
+
+  /**
+   * Page through requests payers can commit to now
+   * @return {Promise<RequestPage>}
+   */
+  async getAvailableRequests({ cursor = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this._formatPage(await this._call(() => this.contract.getAvailableRequestsPage(cursor, limit)));
+  }
+
+  /**
+   * Page through requests with an active commitment
+   * @return {Promise<RequestPage>}
+   */
+  async getCommittedRequests({ cursor = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this._formatPage(await this._call(() => this.contract.getCommittedRequestsPage(cursor, limit)));
+  }
+
+  /**
+   * Fill requests split off a request
+   * @return {Promise<PaymentRequest[]>}
+   */
+  async getRequestFills(requestId) {
+    const fills = await this._call(() => this.contract.getRequestFills(requestId));
+    return Promise.all(fills.map(fill => this.formatRequest(fill)));
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async getRequestCountByStatus(status) {
+    return (await this._call(() => this.contract.getRequestCountByStatus(statusIndex(status)))).toNumber();
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async getTotalRequests() {
+    return (await this._call(() => this.contract.getTotalRequests())).toNumber();
+  }
+
+  /**
+   * @return {Promise<number>}
+   */
+  async getNextRequestId() {
+    return (await this._call(() => this.contract.getNextRequestId())).toNumber();
+  }
+
+  /**
+   * When the current commitment of a COMMITTED request runs out (unix seconds)
+   * @return {Promise<number>}
+   */
+  async getCommitmentExpiry(requestId) {
+    return (await this._call(() => this.contract.getCommitmentExpiry(requestId))).toNumber();
+  }
+
+  /**
+   * Accepted settlement tokens with their per-request limits
+   * @return {Promise<SupportedToken[]>} [{ address, symbol, decimals, minAmount, maxAmount, minAmountRaw, maxAmountRaw }]
+   */
+  async getSupportedTokens() {
+    const addresses = await this._call(() => this.contract.getSupportedTokens());
+    return Promise.all(addresses.map(async address => {
+      const token = await this.getToken(address);
+      const config = await this.contract.tokenConfigs(address);
+      return {
+        ...token,
+        minAmount: ethers.utils.formatUnits(config.minAmount, token.decimals),
+        maxAmount: ethers.utils.formatUnits(config.maxAmount, token.decimals),
+        minAmountRaw: config.minAmount.toString(),
+        maxAmountRaw: config.maxAmount.toString()
+      };
+    }));
+  }
+
+  /**
+   * @return {Promise<PayerStats>} { commits, fulfilments, timeouts, activeCommitments }
+   */
+  async getPayerStats(payer) {
+    const stats = await this._call(() => this.contract.getPayerStats(payer));
+    return {
+      commits: stats.commits.toNumber(),
+      fulfilments: stats.fulfilments.toNumber(),
+      timeouts: stats.timeouts.toNumber(),
+      activeCommitments: stats.activeCommitments.toNumber()
+    };
+  }
+
+  /**
+   * ETH credited to an account and claimable with withdraw()
+   * @return {Promise<Object>} { amount, amountWei }
+   */
+  async getPendingWithdrawal(account) {
+    const amount = await this._call(() => this.contract.getPendingWithdrawal(account));
+    return { amount: ethers.utils.formatEther(amount), amountWei: amount.toString() };
+  }
+
+  /**
+   * Platform fees for a request of `tokenAmount` base units of a token
+   * @return {Promise<Object>} { ethFee, ethFeeWei, tokenFee, tokenFeeRaw }
+   */
+  async getPlatformFee(tokenAddress, tokenAmount) {
+    const { decimals } = await this.getToken(tokenAddress);
+    const { ethFee, tokenFee } = await this._call(() => this.contract.getPlatformFee(tokenAmount));
+    return {
+      ethFee: ethers.utils.formatEther(ethFee),
+      ethFeeWei: ethFee.toString(),
+      tokenFee: ethers.utils.formatUnits(tokenFee, decimals),
+      tokenFeeRaw: tokenFee.toString()
+    };
+  }
+
+  /**
+   * Token balance of the escrow above what open requests hold
+   * @return {Promise<Object>} { amount, amountRaw }
+   */
+  async getRescuableTokens(tokenAddress) {
+    const { decimals } = await this.getToken(tokenAddress);
+    const amount = await this._call(() => this.contract.getRescuableTokens(tokenAddress));
+    return { amount: ethers.utils.formatUnits(amount, decimals), amountRaw: amount.toString() };
+  }
+
+  /**
+   * How far a request's implied INR rate is from the oracle's reference rate
+   * @return {Promise<Object>} { premiumBps, referenceRate, impliedRate } as strings (premiumBps may be negative)
+   */
+  async getRequestRatePremium(requestId) {
+    const premium = await this._call(() => this.contract.getRequestRatePremium(requestId));
+    return {
+      premiumBps: premium.premiumBps.toString(),
+      referenceRate: premium.referenceRate.toString(),
+      impliedRate: premium.impliedRate.toString()
+    };
+  }
+
+  /**
+   * @return {Promise<boolean>}
+   */
+  async isRequestExpired(requestId) {
+    return this._call(() => this.contract.isRequestExpired(requestId));
+  }
+
+  /**
+   * @return {Promise<boolean>}
+   */
+  async isCommitmentTimedOut(requestId) {
+    return this._call(() => this.contract.isCommitmentTimedOut(requestId));
+  }
+
+  /**
+   * Escrow-wide settings in one object
+   * @return {Promise<EscrowConfig>}
+   */
+  async getConfig() {
+    const c = this.contract;
+    const [
+      owner, guardian, paused, feeRecipient, platformFee, platformFeeBps, commitmentBond, maxActiveCommitments,
+      disputeWindow, arbitrator, attestationVerifier, minExpiryDuration, maxExpiryDuration, minCommitmentWindow, maxCommitmentWindow
+    ] = await this._call(() => Promise.all([
+      c.owner(), c.guardian(), c.paused(), c.feeRecipient(), c.platformFee(), c.platformFeeBps(), c.commitmentBond(),
+      c.maxActiveCommitments(), c.disputeWindow(), c.arbitrator(), c.attestationVerifier(), c.minExpiryDuration(),
+      c.maxExpiryDuration(), c.minCommitmentWindow(), c.maxCommitmentWindow()
+    ]));
+
+    return {
+      owner,
+      guardian,
+      paused,
+      feeRecipient,
+      platformFee: ethers.utils.formatEther(platformFee),
+      platformFeeWei: platformFee.toString(),
+      platformFeeBps: platformFeeBps.toNumber(),
+      commitmentBond: ethers.utils.formatEther(commitmentBond),
+      commitmentBondWei: commitmentBond.toString(),
+      maxActiveCommitments: maxActiveCommitments.toNumber(),
+      disputeWindow: disputeWindow.toNumber(),
+      arbitrator,
+      attestationVerifier,
+      expiryDuration: { min: minExpiryDuration.toNumber(), max: maxExpiryDuration.toNumber() },
+      commitmentWindow: { min: minCommitmentWindow.toNumber(), max: maxCommitmentWindow.toNumber() }
+    };
+  }
+
+  _requireSigner() {
+    if (!this.signer) {
+      throw new Error("PaymentEscrowClient needs a signer to send transactions, use connect(signer)");
+    }
+  }
+
+  /**
+   * Send a transaction and wait for it
+   * @return {Promise<TransactionResult>} { transactionHash, blockNumber, gasUsed, events } with the escrow events it emitted
+   */
+  async _send(fn) {
+    this._requireSigner();
+    const receipt = await this._call(async () => (await fn()).wait());
+    const events = (receipt.events || []).filter(event => event.event && event.address === this.address).map(event => toPlainEvent(event, this.contract.interface));
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      events
+    };
+  }
+
+  /**
+   * Approve the escrow for `amount` of a token if the current allowance is lower
+   * @return Approval transaction hash, or null if none was needed
+   */
+  async _ensureAllowance(tokenAddress, amount) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
+    const owner = await this.signer.getAddress();
+    if ((await token.allowance(owner, this.address)).gte(amount)) {
+      return null;
+    }
+    const receipt = await this._call(async () => (await token.approve(this.address, amount)).wait());
+    return receipt.transactionHash;
+  }
+
+  /**
+   * Create a payment request, approving the token deposit first if needed.
+   * Sends the current platform fee plus `payerFee` as ETH.
+   * @param {CreateRequestParams} params { amountINR, token, tokenAmount (base units), payerFee (wei, default 0),
+   *                 expiryDuration, commitmentWindow (seconds, default the contract's) }
+   * @return {Promise<TransactionResult & { requestId: number, expiresAt: number, approvalTransactionHash: string|null }>} Transaction result with requestId, expiresAt and approvalTransactionHash (null if no approval was sent)
+   */
+  async createRequest({ amountINR, token, tokenAmount, payerFee = 0, expiryDuration = 0, commitmentWindow = 0 }) {
+    this._requireSigner();
+    const value = (await this.contract.platformFee()).add(payerFee);
+    const approvalTransactionHash = await this._ensureAllowance(token, tokenAmount);
+
+    const result = await this._send(() => (expiryDuration || commitmentWindow
+      ? this.contract.createPaymentRequestWithWindows(amountINR, token, tokenAmount, expiryDuration, commitmentWindow, { value })
+      : this.contract.createPaymentRequest(amountINR, token, tokenAmount, { value })));
+
+    const created = result.events.find(event => event.name === "PaymentRequestCreated");
+    return { ...result, requestId: created.args.requestId, expiresAt: created.args.expiresAt, approvalTransactionHash };
+  }
+
+  /**
+   * Create a payment request approving the deposit with an EIP-2612 permit (see scripts/permit.js signPermit)
+   * @param params Same as createRequest, plus permit: { deadline, v, r, s }
+   * @return {Promise<TransactionResult & { requestId: number, expiresAt: number }>}
+   */
+  async createRequestWithPermit({ amountINR, token, tokenAmount, payerFee = 0, permit }) {
+    this._requireSigner();
+    const value = (await this.contract.platformFee()).add(payerFee);
+    const result = await this._send(() => this.contract.createPaymentRequestWithPermit(
+      amountINR, token, tokenAmount, permit.deadline, permit.v, permit.r, permit.s, { value }
+    ));
+    const created = result.events.find(event => event.name === "PaymentRequestCreated");
+    return { ...result, requestId: created.args.requestId, expiresAt: created.args.expiresAt };
+  }
+
+  /**
+   * Create several requests in one token in a single transaction, approving the combined deposit first if needed.
+   * Sends the platform fee for every request plus their payer fees as ETH.
+   * @param token Settlement token of all requests
+   * @param requests [{ amountINR, tokenAmount (base units), payerFee (wei, default 0) }]
+   * @return {Promise<TransactionResult & { requestIds: number[], approvalTransactionHash: string|null }>} Transaction result with requestIds and approvalTransactionHash (null if no approval was sent)
+   */
+  async createRequests(token, requests) {
+    this._requireSigner();
+    const platformFee = await this.contract.platformFee();
+    const payerFees = requests.map(request => ethers.BigNumber.from(request.payerFee || 0));
+    const value = payerFees.reduce((total, fee) => total.add(fee), platformFee.mul(requests.length));
+    const tokenAmounts = requests.map(request => ethers.BigNumber.from(request.tokenAmount));
+    const approvalTransactionHash = await this._ensureAllowance(
+      token,
+      tokenAmounts.reduce((total, amount) => total.add(amount), ethers.constants.Zero)
+    );
+
+    const result = await this._send(() => this.contract.createPaymentRequests(
+      requests.map(request => request.amountINR), token, tokenAmounts, payerFees, { value }
+    ));
+    const requestIds = result.events.filter(event => event.name === "PaymentRequestCreated").map(event => event.args.requestId);
+    return { ...result, requestIds, approvalTransactionHash };
+  }
+
+  /**
+   * Commit to pay a request, sending the current commitment bond
+   * @param terms Optional { maxAmountINR, minTokenAmount }: revert instead of committing if the requester amended
+   *              the request to more INR or fewer tokens than the payer saw
+   * @return {Promise<TransactionResult & { commitmentExpiry: number }>} Transaction result with commitmentExpiry
+   */
+  async commit(requestId, terms) {
+    this._requireSigner();
+    const value = await this.contract.commitmentBond();
+    const result = await this._send(() => (terms
+      ? this.contract.commitToPayWithTerms(requestId, terms.maxAmountINR, terms.minTokenAmount, { value })
+      : this.contract.commitToPay(requestId, { value })));
+    const committed = result.events.find(event => event.name === "PaymentCommitted");
+    return { ...result, commitmentExpiry: committed.args.commitmentExpiry };
+  }
+
+  /**
+   * Commit to pay a slice of a splittable request; a slice of the whole remainder commits to the request itself
+   * @param terms Optional { maxAmountINR, minTokenAmount } of the whole request: revert instead of committing if the
+   *              slice gets fewer tokens per INR than those terms
+   * @return {Promise<TransactionResult & { fillRequestId: number }>} Transaction result with fillRequestId, the request to fulfil
+   */
+  async commitToSlice(requestId, sliceINR, terms) {
+    this._requireSigner();
+    const value = await this.contract.commitmentBond();
+    const result = await this._send(() => (terms
+      ? this.contract.commitToSliceWithTerms(requestId, sliceINR, terms.maxAmountINR, terms.minTokenAmount, { value })
+      : this.contract.commitToSlice(requestId, sliceINR, { value })));
+    const split = result.events.find(event => event.name === "PaymentRequestSplit");
+    if (split) {
+      return { ...result, fillRequestId: split.args.fillRequestId };
+    }
+    const committed = result.events.find(event => event.name === "PaymentCommitted");
+    return { ...result, fillRequestId: committed.args.requestId };
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async fulfill(requestId, transactionNumber) {
+    return this._send(() => this.contract.fulfillPayment(requestId, transactionNumber));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async fulfillWithAttestation(requestId, transactionNumber, signature) {
+    return this._send(() => this.contract.fulfillPaymentWithAttestation(requestId, transactionNumber, signature));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async cancel(requestId) {
+    return this._send(() => this.contract.cancelPaymentRequest(requestId));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async expire(requestId) {
+    return this._send(() => this.contract.expirePaymentRequest(requestId));
+  }
+
+  /**
+   * Cancel several of the signer's requests, skipping any that are not its open requests
+   * @return {Promise<TransactionResult & { requestIds: number[] }>} Transaction result with the requestIds that were cancelled
+   */
+  async cancelRequests(requestIds) {
+    const result = await this._send(() => this.contract.cancelPaymentRequests(requestIds));
+    return { ...result, requestIds: result.events.filter(event => event.name === "PaymentCancelled").map(event => event.args.requestId) };
+  }
+
+  /**
+   * Expire several requests, skipping any that are settled or not yet expired
+   * @return {Promise<TransactionResult & { requestIds: number[] }>} Transaction result with the requestIds that were expired
+   */
+  async expireRequests(requestIds) {
+    const result = await this._send(() => this.contract.expirePaymentRequests(requestIds));
+    return { ...result, requestIds: result.events.filter(event => event.name === "PaymentExpired").map(event => event.args.requestId) };
+  }
+
+  /**
+   * Put timed-out commitments back to PENDING, skipping requests that are not committed, still active or expired
+   * @return {Promise<TransactionResult & { requestIds: number[] }>} Transaction result with the requestIds that were released
+   */
+  async releaseTimedOutCommitments(requestIds) {
+    const result = await this._send(() => this.contract.releaseTimedOutCommitments(requestIds));
+    return { ...result, requestIds: result.events.filter(event => event.name === "CommitmentTimedOut").map(event => event.args.requestId) };
+  }
+
+  /**
+   * Push back the expiry of a pending request
+   * @param expiresAt New expiry, unix seconds
+   * @return {Promise<TransactionResult>}
+   */
+  async extendExpiry(requestId, expiresAt) {
+    return this._send(() => this.contract.extendRequestExpiry(requestId, expiresAt));
+  }
+
+  /**
+   * Amend a pending request in place, approving the token top-up first if needed
+   * @param {AmendChanges} changes { amountINR (default unchanged), tokenTopUp (base units, default 0), payerFeeIncrease (wei, default 0) }
+   * @return {Promise<TransactionResult & { approvalTransactionHash: string|null }>} Transaction result with the amended event's old and new values
+   */
+  async amend(requestId, { amountINR, tokenTopUp = 0, payerFeeIncrease = 0 }) {
+    this._requireSigner();
+    const request = await this._call(() => this.contract.getPaymentRequest(requestId));
+    const approvalTransactionHash = ethers.BigNumber.from(tokenTopUp).gt(0)
+      ? await this._ensureAllowance(request.tokenAddress, tokenTopUp)
+      : null;
+
+    const result = await this._send(() => this.contract.amendPaymentRequest(
+      requestId, amountINR !== undefined ? amountINR : request.amountINR, tokenTopUp, { value: payerFeeIncrease }
+    ));
+    const amended = result.events.find(event => event.name === "PaymentRequestAmended");
+    return { ...result, ...amended.args, approvalTransactionHash };
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async setSplittable(requestId, minSliceINR) {
+    return this._send(() => this.contract.setRequestSplittable(requestId, minSliceINR));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async raiseDispute(requestId) {
+    return this._send(() => this.contract.raiseDispute(requestId));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async resolveDispute(requestId, inFavorOfPayer) {
+    return this._send(() => this.contract.resolveDispute(requestId, inFavorOfPayer));
+  }
+
+  /**
+   * @return {Promise<TransactionResult>}
+   */
+  async claimPayment(requestId) {
+    return this._send(() => this.contract.claimPayment(requestId));
+  }
+
+  /**
+   * Claim all ETH credited to the signer
+   * @return {Promise<TransactionResult & { amount: string, amountWei: string }>} Transaction result with amount (ETH) and amountWei
+   */
+  async withdraw() {
+    const result = await this._send(() => this.contract.withdraw());
+    const withdrawn = result.events.find(event => event.name === "Withdrawn");
+    return { ...result, amount: ethers.utils.formatEther(withdrawn.args.amount), amountWei: withdrawn.args.amount };
+  }
+
+  /**
+   * Subscribe to an escrow event
+   * @param eventName Event name, e.g. "PaymentCommitted"
+   * @param listener Called with the plain event ({ name, args, blockNumber, transactionHash, logIndex })
+   * @param filterArgs Optional indexed argument values, e.g. [requestId]
+   * @return {Function} Function that removes the subscription
+   */
+  on(eventName, listener, filterArgs = []) {
+    const filter = this.contract.filters[eventName](...filterArgs);
+    const handler = (...args) => listener(toPlainEvent(args[args.length - 1], this.contract.interface));
+    this.contract.on(filter, handler);
+    return () => this.contract.off(filter, handler);
+  }
+
+  /**
+   * Subscribe to every event that changes a request (created, committed, fulfilled, split, ...)
+   * @param requestId Only events for this request, including fills split off it; omit for all requests
+   * @return {Function} Function that removes the subscriptions
+   */
+  onRequestUpdate(listener, requestId) {
+    const id = requestId === undefined ? null : Number(requestId);
+    const unsubscribers = REQUEST_EVENTS.map(eventName => this.on(eventName, event => {
+      const ids = [event.args.requestId, event.args.parentRequestId, event.args.fillRequestId];
+      if (id === null || ids.includes(id)) {
+        listener(event);
+      }
+    }));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Past events as plain objects, oldest first
+   * @param eventName Event name, or "*" for every escrow event
+   * @param options Optional { fromBlock, toBlock, args } where args are indexed argument values
+   * @return {Promise<EscrowEvent[]>}
+   */
+  async queryEvents(eventName, { fromBlock = 0, toBlock = "latest", args = [] } = {}) {
+    const filter = eventName === "*" ? "*" : this.contract.filters[eventName](...args);
+    const events = await this._call(() => this.contract.queryFilter(filter, fromBlock, toBlock));
+    return events.filter(event => event.event).map(event => toPlainEvent(event, this.contract.interface));
+  }
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  REQUEST_EVENTS,
+  PaymentEscrowClient
+};
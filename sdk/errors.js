@@ -0,0 +1,238 @@
+const { ethers } = require("ethers");
+
+/**
+ * Base class of every error the SDK maps from a PaymentEscrow revert.
+ * `code` is the revert reason in UPPER_SNAKE_CASE ("Commitment still active" -> COMMITMENT_STILL_ACTIVE),
+ * `reason` the revert string itself and `cause` the original ethers error.
+ * @property {string} code
+ * @property {string} reason
+ * @property {Error} cause
+ */
+class EscrowError extends Error {
+  constructor(reason, cause) {
+    super(reason);
+    this.name = this.constructor.name;
+    this.code = reasonToCode(reason);
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/** The request ID does not exist */
+class RequestNotFoundError extends EscrowError {}
+
+/** The sender is not allowed to do this (not the requester, payer, owner, arbitrator, ...) */
+class UnauthorizedError extends EscrowError {}
+
+/** The request or escrow is not in a state that allows this (already committed, expired, window closed, ...) */
+class InvalidStateError extends EscrowError {}
+
+/** An argument or the ETH sent with the call is out of range */
+class InvalidArgumentError extends EscrowError {}
+
+/** The escrow is paused */
+class PausedError extends EscrowError {}
+
+// Revert strings of PaymentEscrow, PaymentEscrowExtension and the OpenZeppelin contracts they use, by error class
+const REVERT_REASONS = [
+  [RequestNotFoundError, [
+    "Request does not exist"
+  ]],
+  [UnauthorizedError, [
+    "Only requester can cancel",
+    "Only requester can dispute",
+    "Only requester can extend",
+    "Only requester can amend",
+    "Only requester can set splitting",
+    "Only committed payer can fulfill",
+    "Only arbitrator can resolve",
+    "Only guardian or owner can pause",
+    "Cannot commit to own request",
+    "Ownable: caller is not the owner"
+  ]],
+  [InvalidStateError, [
+    "Request not pending",
+    "Request not committed",
+    "Request not cancellable",
+    "Request not expirable",
+    "Request not yet expired",
+    "Request expired",
+    "Request not available for commitment",
+    "Request not splittable",
+    "Request not disputable",
+    "Request not disputed",
+    "Fills cannot be split",
+    "Commitment still active",
+    "Request terms changed",
+    "Commitment timed out",
+    "Already committed by this payer",
+    "Too many active commitments",
+    "Dispute window closed",
+    "Dispute window still open",
+    "Attestation required",
+    "Attestation verifier not set",
+    "Transaction number already used",
+    "Nothing to claim",
+    "Nothing to withdraw",
+    "Rate oracle not set",
+    "Reference rate unavailable",
+    "Reference rate stale",
+    "Withdrawal failed",
+    "Pausable: not paused"
+  ]],
+  [PausedError, [
+    "Pausable: paused"
+  ]],
+  [InvalidArgumentError, [
+    "Amount must be greater than 0",
+    "Token not supported",
+    "Token amount below minimum",
+    "Token amount above maximum",
+    "Fee-on-transfer tokens not supported",
+    "Must pay atleast equal to platform fee",
+    "Empty batch",
+    "Batch length mismatch",
+    "ETH does not match batch fees",
+    "Incorrect commitment bond",
+    "Invalid slice amount",
+    "Invalid terms",
+    "Minimum slice must be below request amount",
+    "Expiry duration out of bounds",
+    "Commitment window out of bounds",
+    "Expiry must be later",
+    "Expiry beyond maximum",
+    "Nothing to amend",
+    "Transaction number must be exactly 12 digits",
+    "Transaction number must contain only digits",
+    "Invalid attestation",
+    "Rate outside tolerance band",
+    "Permit failed",
+    "Amount exceeds surplus",
+    "Recipient cannot be zero",
+    "Owner cannot be zero",
+    "Token address cannot be zero",
+    "Fee recipient cannot be zero",
+    "Arbitrator cannot be zero",
+    "Min amount must be greater than 0",
+    "Max amount below min amount",
+    "Platform fee above cap",
+    "Platform fee bps above cap",
+    "Commitment bond above cap",
+    "Dispute window above cap",
+    "Invalid expiry bounds",
+    "Invalid commitment window bounds",
+    "Invalid rate tolerance",
+    "Max age must be greater than 0",
+    "ERC20: insufficient allowance",
+    "ERC20: transfer amount exceeds balance"
+  ]]
+];
+
+const ERROR_CLASSES = new Map();
+for (const [ErrorClass, reasons] of REVERT_REASONS) {
+  for (const reason of reasons) {
+    ERROR_CLASSES.set(reason, ErrorClass);
+  }
+}
+
+function reasonToCode(reason) {
+  return reason.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+// Error(string) selector used by require() revert data
+const ERROR_SELECTOR = "0x08c379a0";
+
+/**
+ * Every object nested in an ethers or JSON-RPC error (error, data, cause and the parsed response body)
+ */
+function nestedErrors(error) {
+  const seen = new Set();
+  const pending = [error];
+  const found = [];
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+    found.push(current);
+
+    pending.push(current.error, current.data, current.cause);
+    if (typeof current.body === "string") {
+      try {
+        pending.push(JSON.parse(current.body).error);
+      } catch (parseError) {
+        // Not a JSON-RPC response body
+      }
+    }
+  }
+  return found;
+}
+
+// Messages providers put revert reasons in, most precise first; ethers also quotes them inside its own messages
+const REASON_PATTERNS = [
+  /reverted with reason string '(.*)'/,
+  /execution reverted: ([^"'\n]+)/
+];
+
+/**
+ * Find the revert string in an ethers or JSON-RPC error, wherever the provider put it.
+ * Decoded revert data is preferred over reasons parsed from messages.
+ * @return {string|null} The revert reason, or null if the error is not a revert with a reason string
+ */
+function getRevertReason(error) {
+  const errors = nestedErrors(error);
+
+  for (const current of errors) {
+    if (current.errorName === "Error" && Array.isArray(current.errorArgs) && typeof current.errorArgs[0] === "string") {
+      return current.errorArgs[0];
+    }
+    if (typeof current.data === "string" && current.data.startsWith(ERROR_SELECTOR)) {
+      try {
+        return ethers.utils.defaultAbiCoder.decode(["string"], "0x" + current.data.slice(10))[0];
+      } catch (decodeError) {
+        // Not ABI-encoded after all
+      }
+    }
+  }
+
+  for (const pattern of REASON_PATTERNS) {
+    for (const current of errors) {
+      const match = typeof current.message === "string" && current.message.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Map an error thrown by an escrow call to a typed EscrowError.
+ * Reverts with an unknown reason become a plain EscrowError; anything else (network errors, user rejections) is returned as is.
+ * @return {EscrowError|Error}
+ */
+function toEscrowError(error) {
+  if (error instanceof EscrowError) {
+    return error;
+  }
+  const reason = getRevertReason(error);
+  if (reason === null) {
+    return error;
+  }
+  const ErrorClass = ERROR_CLASSES.get(reason) || EscrowError;
+  return new ErrorClass(reason, error);
+}
+
+module.exports = {
+  EscrowError,
+  RequestNotFoundError,
+  UnauthorizedError,
+  InvalidStateError,
+  InvalidArgumentError,
+  PausedError,
+  REVERT_REASONS,
+  getRevertReason,
+  toEscrowError
+};
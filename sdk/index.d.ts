@@ -0,0 +1,232 @@
+import { BigNumber, BigNumberish, Signer, providers } from "ethers";
+
+export type PaymentStatus = "PENDING" | "COMMITTED" | "FULFILLED" | "CANCELLED" | "EXPIRED" | "DISPUTED" | "REFUNDED";
+
+export const PAYMENT_STATUSES: PaymentStatus[];
+export const REQUEST_EVENTS: string[];
+export const PAYMENT_ESCROW_ABI: any[];
+
+/** Settlement token metadata */
+export interface Token {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+/** PaymentRequest as returned by every read: token amounts formatted with the token's decimals, ETH in ETH */
+export interface PaymentRequest {
+  requestId: number;
+  status: PaymentStatus;
+  requester: string;
+  payer: string | null;
+  amountINR: string;
+  token: Token;
+  tokenAmount: string;
+  tokenAmountRaw: string;
+  payerFee: string;
+  payerFeeWei: string;
+  platformTokenFee: string;
+  platformTokenFeeRaw: string;
+  createdAt: number | null;
+  committedAt: number | null;
+  expiresAt: number | null;
+  transactionNumber: string | null;
+  disputeDeadline: number | null;
+}
+
+export interface PageOptions {
+  cursor?: number;
+  limit?: number;
+}
+
+/** One page of requests; nextCursor is 0 on the last page */
+export interface RequestPage {
+  requests: PaymentRequest[];
+  nextCursor: number;
+}
+
+/** Decoded escrow event; IDs and timestamps are numbers, other uint256 values decimal strings */
+export interface EscrowEvent {
+  name: string;
+  args: Record<string, any>;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+}
+
+/** Mined transaction with the escrow events it emitted */
+export interface TransactionResult {
+  transactionHash: string;
+  blockNumber: number;
+  gasUsed: string;
+  events: EscrowEvent[];
+}
+
+export interface SupportedToken extends Token {
+  minAmount: string;
+  maxAmount: string;
+  minAmountRaw: string;
+  maxAmountRaw: string;
+}
+
+export interface PayerStats {
+  commits: number;
+  fulfilments: number;
+  timeouts: number;
+  activeCommitments: number;
+}
+
+export interface EscrowConfig {
+  owner: string;
+  guardian: string;
+  paused: boolean;
+  feeRecipient: string;
+  platformFee: string;
+  platformFeeWei: string;
+  platformFeeBps: number;
+  commitmentBond: string;
+  commitmentBondWei: string;
+  maxActiveCommitments: number;
+  disputeWindow: number;
+  arbitrator: string;
+  attestationVerifier: string;
+  expiryDuration: { min: number; max: number };
+  commitmentWindow: { min: number; max: number };
+}
+
+export interface CreateRequestParams {
+  amountINR: BigNumberish;
+  token: string;
+  /** Base units of the token */
+  tokenAmount: BigNumberish;
+  /** Wei, default 0 */
+  payerFee?: BigNumberish;
+  /** Seconds, default the contract's */
+  expiryDuration?: BigNumberish;
+  /** Seconds, default the contract's */
+  commitmentWindow?: BigNumberish;
+}
+
+export interface Permit {
+  deadline: BigNumberish;
+  v: number;
+  r: string;
+  s: string;
+}
+
+export interface BatchRequest {
+  amountINR: BigNumberish;
+  tokenAmount: BigNumberish;
+  payerFee?: BigNumberish;
+}
+
+/** Terms a payer saw; the commitment reverts if the requester amended the request past them */
+export interface CommitTerms {
+  maxAmountINR: BigNumberish;
+  minTokenAmount: BigNumberish;
+}
+
+export interface AmendChanges {
+  amountINR?: BigNumberish;
+  tokenTopUp?: BigNumberish;
+  payerFeeIncrease?: BigNumberish;
+}
+
+export interface ClientOptions {
+  /** Another build of the combined PaymentEscrow ABI */
+  abi?: any[];
+}
+
+export class PaymentEscrowClient {
+  constructor(address: string, signerOrProvider: Signer | providers.Provider, options?: ClientOptions);
+
+  readonly address: string;
+  readonly signer: Signer | null;
+  readonly provider: providers.Provider;
+
+  connect(signerOrProvider: Signer | providers.Provider): PaymentEscrowClient;
+
+  getToken(tokenAddress: string): Promise<Token>;
+  parseTokenAmount(tokenAddress: string, amount: string | number): Promise<BigNumber>;
+
+  getPaymentRequest(requestId: BigNumberish): Promise<PaymentRequest>;
+  getRequestsByStatus(status: PaymentStatus | number, page?: PageOptions): Promise<RequestPage>;
+  getUserRequests(user: string, page?: PageOptions): Promise<RequestPage>;
+  getPayerCommittedRequests(payer: string, page?: PageOptions): Promise<RequestPage>;
+  getAvailableRequests(page?: PageOptions): Promise<RequestPage>;
+  getCommittedRequests(page?: PageOptions): Promise<RequestPage>;
+  getRequestFills(requestId: BigNumberish): Promise<PaymentRequest[]>;
+  getRequestCountByStatus(status: PaymentStatus | number): Promise<number>;
+  getTotalRequests(): Promise<number>;
+  getNextRequestId(): Promise<number>;
+  getCommitmentExpiry(requestId: BigNumberish): Promise<number>;
+  getSupportedTokens(): Promise<SupportedToken[]>;
+  getPayerStats(payer: string): Promise<PayerStats>;
+  getPendingWithdrawal(account: string): Promise<{ amount: string; amountWei: string }>;
+  getPlatformFee(tokenAddress: string, tokenAmount: BigNumberish): Promise<{ ethFee: string; ethFeeWei: string; tokenFee: string; tokenFeeRaw: string }>;
+  getRescuableTokens(tokenAddress: string): Promise<{ amount: string; amountRaw: string }>;
+  getRequestRatePremium(requestId: BigNumberish): Promise<{ premiumBps: string; referenceRate: string; impliedRate: string }>;
+  isRequestExpired(requestId: BigNumberish): Promise<boolean>;
+  isCommitmentTimedOut(requestId: BigNumberish): Promise<boolean>;
+  getConfig(): Promise<EscrowConfig>;
+
+  createRequest(params: CreateRequestParams): Promise<TransactionResult & { requestId: number; expiresAt: number; approvalTransactionHash: string | null }>;
+  createRequestWithPermit(params: CreateRequestParams & { permit: Permit }): Promise<TransactionResult & { requestId: number; expiresAt: number }>;
+  createRequests(token: string, requests: BatchRequest[]): Promise<TransactionResult & { requestIds: number[]; approvalTransactionHash: string | null }>;
+  commit(requestId: BigNumberish, terms?: CommitTerms): Promise<TransactionResult & { commitmentExpiry: number }>;
+  commitToSlice(requestId: BigNumberish, sliceINR: BigNumberish, terms?: CommitTerms): Promise<TransactionResult & { fillRequestId: number }>;
+  fulfill(requestId: BigNumberish, transactionNumber: string): Promise<TransactionResult>;
+  fulfillWithAttestation(requestId: BigNumberish, transactionNumber: string, signature: string): Promise<TransactionResult>;
+  cancel(requestId: BigNumberish): Promise<TransactionResult>;
+  expire(requestId: BigNumberish): Promise<TransactionResult>;
+  cancelRequests(requestIds: BigNumberish[]): Promise<TransactionResult & { requestIds: number[] }>;
+  expireRequests(requestIds: BigNumberish[]): Promise<TransactionResult & { requestIds: number[] }>;
+  releaseTimedOutCommitments(requestIds: BigNumberish[]): Promise<TransactionResult & { requestIds: number[] }>;
+  extendExpiry(requestId: BigNumberish, expiresAt: BigNumberish): Promise<TransactionResult>;
+  amend(requestId: BigNumberish, changes: AmendChanges): Promise<TransactionResult & {
+    requestId: number;
+    oldAmountINR: string;
+    newAmountINR: string;
+    oldTokenAmount: string;
+    newTokenAmount: string;
+    oldPayerFee: string;
+    newPayerFee: string;
+    approvalTransactionHash: string | null;
+  }>;
+  setSplittable(requestId: BigNumberish, minSliceINR: BigNumberish): Promise<TransactionResult>;
+  raiseDispute(requestId: BigNumberish): Promise<TransactionResult>;
+  resolveDispute(requestId: BigNumberish, inFavorOfPayer: boolean): Promise<TransactionResult>;
+  claimPayment(requestId: BigNumberish): Promise<TransactionResult>;
+  withdraw(): Promise<TransactionResult & { amount: string; amountWei: string }>;
+
+  /** @return Function that removes the subscription */
+  on(eventName: string, listener: (event: EscrowEvent) => void, filterArgs?: any[]): () => void;
+  /** @return Function that removes the subscriptions */
+  onRequestUpdate(listener: (event: EscrowEvent) => void, requestId?: BigNumberish): () => void;
+  queryEvents(eventName: string, options?: { fromBlock?: number; toBlock?: number | string; args?: any[] }): Promise<EscrowEvent[]>;
+}
+
+/** Base class of every error mapped from a PaymentEscrow revert */
+export class EscrowError extends Error {
+  constructor(reason: string, cause?: unknown);
+  /** Revert reason in UPPER_SNAKE_CASE, e.g. COMMITMENT_STILL_ACTIVE */
+  code: string;
+  /** The revert string itself */
+  reason: string;
+  /** The original ethers error */
+  cause: unknown;
+}
+
+export class RequestNotFoundError extends EscrowError {}
+export class UnauthorizedError extends EscrowError {}
+export class InvalidStateError extends EscrowError {}
+export class InvalidArgumentError extends EscrowError {}
+export class PausedError extends EscrowError {}
+
+export const REVERT_REASONS: Array<[typeof EscrowError, string[]]>;
+
+/** The revert string in an ethers or JSON-RPC error, or null if it is not a revert with a reason */
+export function getRevertReason(error: unknown): string | null;
+
+/** A typed EscrowError for reverts; anything else is returned as is */
+export function toEscrowError(error: unknown): unknown;
@@ -0,0 +1,11 @@
+const { PaymentEscrowClient, PAYMENT_STATUSES, REQUEST_EVENTS } = require("./client");
+const errors = require("./errors");
+const PAYMENT_ESCROW_ABI = require("./abi/PaymentEscrow.json");
+
+module.exports = {
+  PaymentEscrowClient,
+  PAYMENT_STATUSES,
+  REQUEST_EVENTS,
+  PAYMENT_ESCROW_ABI,
+  ...errors
+};
@@ -0,0 +1,405 @@
+const { task, types } = require("hardhat/config");
+const { PAYMENT_STATUSES: STATUSES } = require("../sdk/client");
+
+/**
+ * Add the options every escrow task shares
+ */
+function escrowTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "PaymentEscrow address (defaults to the network's deployment record)")
+    .addOptionalParam("deployment", "Deployment registry to read instead of deployments/<network>.json")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * Signer to send transactions from: the account matching `from`, or the first configured account
+ */
+async function getSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) {
+    if (signers.length === 0) {
+      throw new Error(`No accounts configured for network ${hre.network.name}`);
+    }
+    return signers[0];
+  }
+
+  const signer = signers.find(candidate => candidate.address.toLowerCase() === from.toLowerCase());
+  if (!signer) {
+    throw new Error(`Account ${from} is not configured for network ${hre.network.name}`);
+  }
+  return signer;
+}
+
+/**
+ * PaymentEscrow at --address, or the current deployment of the connected chain
+ */
+async function getEscrow(hre, taskArgs, signerOrProvider) {
+  // Required lazily: both modules load the Hardhat runtime, which is not available while the config loads
+  const { getPaymentEscrowAt } = require("../scripts/escrow");
+  const { getPaymentEscrow } = require("../scripts/deployments");
+
+  signerOrProvider = signerOrProvider || hre.ethers.provider;
+  if (taskArgs.address) {
+    return getPaymentEscrowAt(taskArgs.address, signerOrProvider);
+  }
+
+  const chainId = hre.network.config.chainId || (await hre.ethers.provider.getNetwork()).chainId;
+  return getPaymentEscrow(chainId, signerOrProvider, { file: taskArgs.deployment });
+}
+
+/**
+ * Symbol and decimals of settlement tokens, looked up once per token
+ */
+function tokenInfoCache(hre) {
+  const cache = {};
+  return async address => {
+    if (!cache[address]) {
+      const { abi } = await hre.artifacts.readArtifact("ERC20");
+      const token = new hre.ethers.Contract(address, abi, hre.ethers.provider);
+      cache[address] = { address, symbol: await token.symbol(), decimals: await token.decimals() };
+    }
+    return cache[address];
+  };
+}
+
+function parseStatus(status) {
+  const index = /^\d+$/.test(status) ? Number(status) : STATUSES.indexOf(status.toUpperCase());
+  if (index < 0 || index >= STATUSES.length) {
+    throw new Error(`Unknown status ${status}, expected one of ${STATUSES.join(", ")}`);
+  }
+  return index;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+/**
+ * "in 2h 5m" / "3m ago", relative to the latest block rather than the wall clock
+ */
+function formatRelative(timestamp, now) {
+  const seconds = Math.abs(timestamp - now);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const span = hours > 0 ? `${hours}h ${minutes}m` : minutes > 0 ? `${minutes}m` : `${seconds}s`;
+  return timestamp > now ? `in ${span}` : `${span} ago`;
+}
+
+/**
+ * Plain-object view of a PaymentRequest struct with amounts in token units and ETH, and ISO times
+ */
+async function describeRequest(hre, request, getTokenInfo) {
+  const { formatUnits, formatEther } = hre.ethers.utils;
+  const token = await getTokenInfo(request.tokenAddress);
+  return {
+    requestId: request.requestId.toNumber(),
+    status: STATUSES[request.status],
+    requester: request.requester,
+    payer: request.payer === hre.ethers.constants.AddressZero ? null : request.payer,
+    amountINR: request.amountINR.toString(),
+    token,
+    tokenAmount: formatUnits(request.daiAmount, token.decimals),
+    tokenAmountRaw: request.daiAmount.toString(),
+    payerFee: formatEther(request.payerFee),
+    payerFeeWei: request.payerFee.toString(),
+    createdAt: formatTime(request.createdAt.toNumber()),
+    committedAt: formatTime(request.committedAt.toNumber()),
+    expiresAt: formatTime(request.expiresAt.toNumber()),
+    transactionNumber: request.transactionNumber || null,
+    disputeDeadline: formatTime(request.disputeDeadline.toNumber())
+  };
+}
+
+function printRequest(request, now) {
+  const at = iso => `${iso} (${formatRelative(Date.parse(iso) / 1000, now)})`;
+  console.log(`Request #${request.requestId} [${request.status}]`);
+  console.log(`  Requester:    ${request.requester}`);
+  console.log(`  Payer:        ${request.payer || "-"}`);
+  console.log(`  Amount:       ${request.amountINR} INR for ${request.tokenAmount} ${request.token.symbol}`);
+  console.log(`  Payer fee:    ${request.payerFee} ETH`);
+  console.log(`  Created:      ${at(request.createdAt)}`);
+  if (request.committedAt) {
+    console.log(`  Committed:    ${at(request.committedAt)}`);
+  }
+  if (request.commitmentExpiry) {
+    console.log(`  Commitment:   expires ${at(request.commitmentExpiry)}`);
+  }
+  console.log(`  Expires:      ${at(request.expiresAt)}`);
+  if (request.transactionNumber) {
+    console.log(`  UPI txn:      ${request.transactionNumber}`);
+  }
+  if (request.disputeDeadline) {
+    console.log(`  Disputable:   until ${at(request.disputeDeadline)}`);
+  }
+}
+
+function printRequestLine(request) {
+  console.log(
+    `#${request.requestId}\t${request.status}\t${request.amountINR} INR\t${request.tokenAmount} ${request.token.symbol}\t` +
+    `fee ${request.payerFee} ETH\texpires ${request.expiresAt}\t${request.requester}`
+  );
+}
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Wait for a transaction and summarise it; `print` is used for the human-readable output
+ */
+async function reportTransaction(taskArgs, tx, result, print) {
+  const receipt = await tx.wait();
+  const output = { ...result, transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+  if (taskArgs.json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    print(output);
+    console.log(`  Transaction: ${output.transactionHash} (block ${output.blockNumber}, gas ${output.gasUsed})`);
+  }
+  return output;
+}
+
+escrowTask("escrow:show", "Show a payment request")
+  .addParam("id", "Request ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const escrow = await getEscrow(hre, taskArgs);
+    const raw = await escrow.getPaymentRequest(taskArgs.id);
+    const request = await describeRequest(hre, raw, tokenInfoCache(hre));
+
+    request.commitmentExpiry = null;
+    if (request.status === "COMMITTED") {
+      request.commitmentExpiry = formatTime((await escrow.getCommitmentExpiry(taskArgs.id)).toNumber());
+    }
+    const parentRequestId = (await escrow.parentRequestOf(taskArgs.id)).toNumber();
+    request.parentRequestId = parentRequestId || null;
+
+    if (taskArgs.json) {
+      console.log(JSON.stringify(request, null, 2));
+    } else {
+      printRequest(request, await latestTimestamp(hre));
+      if (request.parentRequestId) {
+        console.log(`  Fill of:      #${request.parentRequestId}`);
+      }
+    }
+    return request;
+  });
+
+escrowTask("escrow:list", "List payment requests by status and/or requester")
+  .addOptionalParam("status", `Status to list (${STATUSES.join(", ")}); defaults to PENDING without --user`)
+  .addOptionalParam("user", "Only requests created by this address")
+  .addOptionalParam("cursor", "Position to start from", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of requests to return", 50, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const escrow = await getEscrow(hre, taskArgs);
+    const status = taskArgs.status !== undefined ? parseStatus(taskArgs.status) : taskArgs.user ? null : 0;
+
+    // Status filters on a user's requests are applied here, so a page can hold fewer than `limit` requests
+    const [page, nextCursor] = taskArgs.user
+      ? await escrow.getUserRequestsPage(taskArgs.user, taskArgs.cursor, taskArgs.limit)
+      : await escrow.getRequestsByStatus(status, taskArgs.cursor, taskArgs.limit);
+
+    const getTokenInfo = tokenInfoCache(hre);
+    const requests = [];
+    for (const raw of page) {
+      if (status === null || raw.status === status) {
+        requests.push(await describeRequest(hre, raw, getTokenInfo));
+      }
+    }
+
+    const result = { requests, nextCursor: nextCursor.toNumber() };
+    if (taskArgs.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      const filters = [status !== null && STATUSES[status], taskArgs.user && `user ${taskArgs.user}`].filter(Boolean);
+      console.log(`${requests.length} request(s) (${filters.join(", ")})`);
+      requests.forEach(printRequestLine);
+      if (result.nextCursor) {
+        console.log(`More results: --cursor ${result.nextCursor}`);
+      }
+    }
+    return result;
+  });
+
+escrowTask("escrow:create", "Create a payment request, approving the token deposit first")
+  .addParam("inr", "Amount in INR", undefined, types.int)
+  .addParam("amount", "Token amount to deposit, in whole tokens (e.g. 100.5)")
+  .addOptionalParam("token", "Settlement token (defaults to the first supported token)")
+  .addOptionalParam("fee", "Payer fee in ETH, on top of the platform fee", "0")
+  .addOptionalParam("expiry", "Request lifetime in seconds (defaults to the contract's)", 0, types.int)
+  .addOptionalParam("window", "Commitment window in seconds (defaults to the contract's)", 0, types.int)
+  .addOptionalParam("from", "Account to send from (defaults to the first configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getSigner(hre, taskArgs.from);
+    const escrow = await getEscrow(hre, taskArgs, signer);
+
+    let tokenAddress = taskArgs.token;
+    if (!tokenAddress) {
+      [tokenAddress] = await escrow.getSupportedTokens();
+      if (!tokenAddress) {
+        throw new Error("The escrow has no supported tokens, pass --token");
+      }
+    }
+    const tokenInfo = await tokenInfoCache(hre)(tokenAddress);
+    const tokenAmount = hre.ethers.utils.parseUnits(taskArgs.amount, tokenInfo.decimals);
+    const value = (await escrow.platformFee()).add(hre.ethers.utils.parseEther(taskArgs.fee));
+
+    const { abi } = await hre.artifacts.readArtifact("ERC20");
+    const token = new hre.ethers.Contract(tokenAddress, abi, signer);
+    if ((await token.allowance(signer.address, escrow.address)).lt(tokenAmount)) {
+      await (await token.approve(escrow.address, tokenAmount)).wait();
+    }
+
+    const tx = taskArgs.expiry || taskArgs.window
+      ? await escrow.createPaymentRequestWithWindows(taskArgs.inr, tokenAddress, tokenAmount, taskArgs.expiry, taskArgs.window, { value })
+      : await escrow.createPaymentRequest(taskArgs.inr, tokenAddress, tokenAmount, { value });
+
+    const receipt = await tx.wait();
+    const created = receipt.events.find(event => event.event === "PaymentRequestCreated");
+
+    return reportTransaction(
+      taskArgs,
+      tx,
+      {
+        action: "create",
+        requestId: created.args.requestId.toNumber(),
+        requester: signer.address,
+        amountINR: taskArgs.inr.toString(),
+        tokenAmount: hre.ethers.utils.formatUnits(tokenAmount, tokenInfo.decimals),
+        token: tokenInfo,
+        value: hre.ethers.utils.formatEther(value),
+        expiresAt: formatTime(created.args.expiresAt.toNumber())
+      },
+      output => console.log(
+        `Created request #${output.requestId}: ${output.amountINR} INR for ${output.tokenAmount} ${output.token.symbol}, ` +
+        `paid ${output.value} ETH, expires ${output.expiresAt}`
+      )
+    );
+  });
+
+escrowTask("escrow:commit", "Commit to pay a request, locking the commitment bond")
+  .addParam("id", "Request ID", undefined, types.int)
+  .addOptionalParam("from", "Account to send from (defaults to the first configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getSigner(hre, taskArgs.from);
+    const escrow = await getEscrow(hre, taskArgs, signer);
+    const bond = await escrow.commitmentBond();
+
+    const tx = await escrow.commitToPay(taskArgs.id, { value: bond });
+    await tx.wait();
+    const commitmentExpiry = formatTime((await escrow.getCommitmentExpiry(taskArgs.id)).toNumber());
+
+    return reportTransaction(
+      taskArgs,
+      tx,
+      { action: "commit", requestId: taskArgs.id, payer: signer.address, bond: hre.ethers.utils.formatEther(bond), commitmentExpiry },
+      output => console.log(
+        `Committed to request #${output.requestId} as ${output.payer} (bond ${output.bond} ETH), fulfil before ${output.commitmentExpiry}`
+      )
+    );
+  });
+
+escrowTask("escrow:fulfill", "Fulfil a committed request with its UPI transaction number")
+  .addParam("id", "Request ID", undefined, types.int)
+  .addParam("utr", "12-digit UPI transaction number")
+  .addOptionalParam("from", "Account to send from (defaults to the first configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getSigner(hre, taskArgs.from);
+    const escrow = await getEscrow(hre, taskArgs, signer);
+
+    const tx = await escrow.fulfillPayment(taskArgs.id, taskArgs.utr);
+    return reportTransaction(
+      taskArgs,
+      tx,
+      { action: "fulfill", requestId: taskArgs.id, payer: signer.address, transactionNumber: taskArgs.utr },
+      output => console.log(`Fulfilled request #${output.requestId} with UPI transaction ${output.transactionNumber}`)
+    );
+  });
+
+escrowTask("escrow:cancel", "Cancel a pending request and refund its deposit")
+  .addParam("id", "Request ID", undefined, types.int)
+  .addOptionalParam("from", "Account to send from (defaults to the first configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getSigner(hre, taskArgs.from);
+    const escrow = await getEscrow(hre, taskArgs, signer);
+
+    const tx = await escrow.cancelPaymentRequest(taskArgs.id);
+    return reportTransaction(
+      taskArgs,
+      tx,
+      { action: "cancel", requestId: taskArgs.id },
+      output => console.log(`Cancelled request #${output.requestId}`)
+    );
+  });
+
+escrowTask("escrow:expire", "Expire a request past its expiry and refund the requester")
+  .addParam("id", "Request ID", undefined, types.int)
+  .addOptionalParam("from", "Account to send from (defaults to the first configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getSigner(hre, taskArgs.from);
+    const escrow = await getEscrow(hre, taskArgs, signer);
+
+    const tx = await escrow.expirePaymentRequest(taskArgs.id);
+    return reportTransaction(
+      taskArgs,
+      tx,
+      { action: "expire", requestId: taskArgs.id },
+      output => console.log(`Expired request #${output.requestId}`)
+    );
+  });
+
+escrowTask("escrow:stats", "Summarise the escrow: requests per status, fees, pause state and escrowed tokens")
+  .setAction(async (taskArgs, hre) => {
+    const escrow = await getEscrow(hre, taskArgs);
+    const { formatUnits, formatEther } = hre.ethers.utils;
+
+    const requests = { total: (await escrow.getTotalRequests()).toNumber() };
+    for (let status = 0; status < STATUSES.length; status++) {
+      requests[STATUSES[status]] = (await escrow.getRequestCountByStatus(status)).toNumber();
+    }
+
+    const getTokenInfo = tokenInfoCache(hre);
+    const tokens = [];
+    for (const address of await escrow.getSupportedTokens()) {
+      const token = await getTokenInfo(address);
+      tokens.push({
+        ...token,
+        escrowed: formatUnits(await escrow.escrowedTokens(address), token.decimals),
+        rescuable: formatUnits(await escrow.getRescuableTokens(address), token.decimals)
+      });
+    }
+
+    const stats = {
+      address: escrow.address,
+      requests,
+      paused: await escrow.paused(),
+      owner: await escrow.owner(),
+      guardian: await escrow.guardian(),
+      feeRecipient: await escrow.feeRecipient(),
+      platformFee: formatEther(await escrow.platformFee()),
+      platformFeeBps: (await escrow.platformFeeBps()).toNumber(),
+      commitmentBond: formatEther(await escrow.commitmentBond()),
+      ethBalance: formatEther(await hre.ethers.provider.getBalance(escrow.address)),
+      tokens
+    };
+
+    if (taskArgs.json) {
+      console.log(JSON.stringify(stats, null, 2));
+    } else {
+      console.log(`PaymentEscrow ${stats.address}${stats.paused ? " (PAUSED)" : ""}`);
+      console.log(`  Requests:        ${requests.total} total, ` + STATUSES.map(status => `${requests[status]} ${status}`).join(", "));
+      console.log(`  Owner:           ${stats.owner}`);
+      console.log(`  Guardian:        ${stats.guardian}`);
+      console.log(`  Fee recipient:   ${stats.feeRecipient}`);
+      console.log(`  Platform fee:    ${stats.platformFee} ETH + ${stats.platformFeeBps} bps of the token amount`);
+      console.log(`  Commitment bond: ${stats.commitmentBond} ETH`);
+      console.log(`  ETH balance:     ${stats.ethBalance} ETH`);
+      for (const token of tokens) {
+        console.log(`  ${token.symbol}:`.padEnd(19) + `${token.escrowed} escrowed, ${token.rescuable} rescuable (${token.address})`);
+      }
+    }
+    return stats;
+  });
+
+module.exports = {
+  STATUSES
+};
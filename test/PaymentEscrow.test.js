@@ -1,9 +1,20 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { buildDomain, signAttestation } = require("../scripts/attestation");
+const { signEscrowCall } = require("../scripts/forwarder");
+const { signPermit } = require("../scripts/permit");
+const {
+  deployPaymentEscrow,
+  deployPaymentEscrowImplementation,
+  getPaymentEscrowFactory,
+  getProxyAdmin,
+  upgradePaymentEscrow
+} = require("../scripts/escrow");
 
 describe("PaymentEscrow", function () {
   let paymentEscrow;
   let mockDAI;
+  let forwarder;
   let owner;
   let requester;
   let payer;
@@ -17,10 +28,14 @@ describe("PaymentEscrow", function () {
     mockDAI = await MockDAI.deploy();
     await mockDAI.deployed();
 
-    // Deploy PaymentEscrow with MockDAI address
-    const PaymentEscrow = await ethers.getContractFactory("PaymentEscrow");
-    paymentEscrow = await PaymentEscrow.deploy(mockDAI.address);
-    await paymentEscrow.deployed();
+    // Deploy the meta-transaction forwarder
+    const EscrowForwarder = await ethers.getContractFactory("EscrowForwarder");
+    forwarder = await EscrowForwarder.deploy();
+    await forwarder.deployed();
+
+    // Deploy PaymentEscrow and allow MockDAI as settlement token
+    paymentEscrow = await deployPaymentEscrow(forwarder.address);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
 
     // Give users some DAI for testing
     await mockDAI.connect(requester).faucet(); // 1000 DAI
@@ -39,6 +54,7 @@ describe("PaymentEscrow", function () {
       await expect(
         paymentEscrow.connect(requester).createPaymentRequest(
           amountINR,
+          mockDAI.address,
           daiAmount,
           { value: ethFee }
         )
@@ -62,6 +78,7 @@ describe("PaymentEscrow", function () {
       await expect(
         paymentEscrow.connect(requester).createPaymentRequest(
           amountINR,
+          mockDAI.address,
           daiAmount,
           { value: 0 }
         )
@@ -77,6 +94,7 @@ describe("PaymentEscrow", function () {
       await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
       await paymentEscrow.connect(requester).createPaymentRequest(
         amountINR,
+        mockDAI.address,
         daiAmount,
         { value: ethFee }
       );
@@ -85,6 +103,7 @@ describe("PaymentEscrow", function () {
       await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
       await paymentEscrow.connect(requester).createPaymentRequest(
         amountINR,
+        mockDAI.address,
         daiAmount,
         { value: ethFee }
       );
@@ -98,6 +117,520 @@ describe("PaymentEscrow", function () {
     });
   });
 
+  describe("Permit Request Creation", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+
+    function createWithPermit(permit, amount = daiAmount) {
+      return paymentEscrow.connect(requester).createPaymentRequestWithPermit(
+        amountINR,
+        mockDAI.address,
+        amount,
+        permit.deadline,
+        permit.v,
+        permit.r,
+        permit.s,
+        { value: ethFee }
+      );
+    }
+
+    it("Should create a request without a separate approve", async function () {
+      const permit = await signPermit(requester, mockDAI.address, { spender: paymentEscrow.address, value: daiAmount });
+
+      await expect(createWithPermit(permit)).to.emit(paymentEscrow, "PaymentRequestCreated");
+
+      const request = await paymentEscrow.getPaymentRequest(1);
+      expect(request.daiAmount).to.equal(daiAmount);
+      expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(daiAmount);
+      expect(await mockDAI.allowance(requester.address, paymentEscrow.address)).to.equal(0);
+      expect(await mockDAI.nonces(requester.address)).to.equal(1);
+    });
+
+    it("Should still create the request if the permit was already submitted by someone else", async function () {
+      const permit = await signPermit(requester, mockDAI.address, { spender: paymentEscrow.address, value: daiAmount });
+      await mockDAI.permit(requester.address, paymentEscrow.address, daiAmount, permit.deadline, permit.v, permit.r, permit.s);
+
+      await expect(createWithPermit(permit)).to.emit(paymentEscrow, "PaymentRequestCreated");
+    });
+
+    it("Should reject invalid or expired permits without an allowance", async function () {
+      const wrongSigner = await signPermit(payer, mockDAI.address, { spender: paymentEscrow.address, value: daiAmount });
+      await expect(createWithPermit(wrongSigner)).to.be.revertedWith("Permit failed");
+
+      const wrongAmount = await signPermit(requester, mockDAI.address, { spender: paymentEscrow.address, value: daiAmount });
+      await expect(createWithPermit(wrongAmount, daiAmount.add(1))).to.be.revertedWith("Permit failed");
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 60;
+      const expired = await signPermit(requester, mockDAI.address, { spender: paymentEscrow.address, value: daiAmount, deadline });
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+      await expect(createWithPermit(expired)).to.be.revertedWith("Permit failed");
+    });
+  });
+
+  describe("Settlement Tokens", function () {
+    let mockUSDC;
+    let feeToken;
+    const ethFee = ethers.utils.parseEther("0.1");
+
+    beforeEach(async function () {
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      mockUSDC = await MockUSDC.deploy();
+      await mockUSDC.deployed();
+      await mockUSDC.connect(requester).faucet(); // 1000 USDC
+
+      const MockFeeOnTransferToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      feeToken = await MockFeeOnTransferToken.deploy();
+      await feeToken.deployed();
+      await feeToken.mint(requester.address, ethers.utils.parseUnits("1000", 18));
+
+      await paymentEscrow.setSupportedToken(
+        mockUSDC.address,
+        ethers.utils.parseUnits("1", 6),
+        ethers.utils.parseUnits("500", 6)
+      );
+    });
+
+    it("Should settle a 6-decimal token request in that token", async function () {
+      const usdcAmount = ethers.utils.parseUnits("100", 6);
+      await mockUSDC.connect(requester).approve(paymentEscrow.address, usdcAmount);
+
+      await paymentEscrow.connect(requester).createPaymentRequest(8300, mockUSDC.address, usdcAmount, { value: ethFee });
+
+      const request = await paymentEscrow.getPaymentRequest(1);
+      expect(request.tokenAddress).to.equal(mockUSDC.address);
+      expect(request.daiAmount).to.equal(usdcAmount);
+
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await expect(paymentEscrow.connect(payer).fulfillPayment(1, "123456789012"))
+        .to.emit(paymentEscrow, "PaymentFulfilled")
+        .withArgs(1, payer.address, mockUSDC.address, usdcAmount, "123456789012");
+
+      expect(await mockUSDC.balanceOf(payer.address)).to.equal(usdcAmount);
+      expect(await mockUSDC.balanceOf(paymentEscrow.address)).to.equal(0);
+    });
+
+    it("Should refund each request in its own token", async function () {
+      const usdcAmount = ethers.utils.parseUnits("100", 6);
+      const daiAmount = ethers.utils.parseUnits("100", 18);
+      await mockUSDC.connect(requester).approve(paymentEscrow.address, usdcAmount);
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+
+      await paymentEscrow.connect(requester).createPaymentRequest(8300, mockUSDC.address, usdcAmount, { value: ethFee });
+      await paymentEscrow.connect(requester).createPaymentRequest(8300, mockDAI.address, daiAmount, { value: ethFee });
+
+      const usdcBefore = await mockUSDC.balanceOf(requester.address);
+      const daiBefore = await mockDAI.balanceOf(requester.address);
+
+      await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+
+      expect((await mockUSDC.balanceOf(requester.address)).sub(usdcBefore)).to.equal(usdcAmount);
+      expect((await mockDAI.balanceOf(requester.address)).sub(daiBefore)).to.equal(daiAmount);
+    });
+
+    it("Should enforce per-token min and max amounts", async function () {
+      await mockUSDC.connect(requester).approve(paymentEscrow.address, ethers.utils.parseUnits("1000", 6));
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequest(
+          100,
+          mockUSDC.address,
+          ethers.utils.parseUnits("0.5", 6),
+          { value: ethFee }
+        )
+      ).to.be.revertedWith("Token amount below minimum");
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequest(
+          100,
+          mockUSDC.address,
+          ethers.utils.parseUnits("501", 6),
+          { value: ethFee }
+        )
+      ).to.be.revertedWith("Token amount above maximum");
+    });
+
+    it("Should reject tokens that are not allowlisted", async function () {
+      const amount = ethers.utils.parseUnits("100", 18);
+      await feeToken.connect(requester).approve(paymentEscrow.address, amount);
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequest(1000, feeToken.address, amount, { value: ethFee })
+      ).to.be.revertedWith("Token not supported");
+    });
+
+    it("Should reject fee-on-transfer tokens", async function () {
+      const amount = ethers.utils.parseUnits("100", 18);
+      await paymentEscrow.setSupportedToken(feeToken.address, 1, ethers.utils.parseUnits("1000", 18));
+      await feeToken.connect(requester).approve(paymentEscrow.address, amount);
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequest(1000, feeToken.address, amount, { value: ethFee })
+      ).to.be.revertedWith("Fee-on-transfer tokens not supported");
+    });
+
+    it("Should let the owner remove a token while open requests still settle", async function () {
+      const usdcAmount = ethers.utils.parseUnits("100", 6);
+      await mockUSDC.connect(requester).approve(paymentEscrow.address, usdcAmount.mul(2));
+      await paymentEscrow.connect(requester).createPaymentRequest(8300, mockUSDC.address, usdcAmount, { value: ethFee });
+
+      await expect(paymentEscrow.removeSupportedToken(mockUSDC.address))
+        .to.emit(paymentEscrow, "SupportedTokenRemoved")
+        .withArgs(mockUSDC.address);
+      expect(await paymentEscrow.getSupportedTokens()).to.deep.equal([mockDAI.address]);
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequest(8300, mockUSDC.address, usdcAmount, { value: ethFee })
+      ).to.be.revertedWith("Token not supported");
+
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      expect(await mockUSDC.balanceOf(payer.address)).to.equal(usdcAmount);
+    });
+
+    it("Should only let the owner manage the allowlist", async function () {
+      await expect(
+        paymentEscrow.connect(requester).setSupportedToken(feeToken.address, 1, 2)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        paymentEscrow.connect(requester).removeSupportedToken(mockDAI.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Platform Fees", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    let feeRecipient;
+
+    beforeEach(async function () {
+      feeRecipient = addrs[0];
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(2));
+    });
+
+    it("Should let the owner update fee settings and emit events", async function () {
+      await expect(paymentEscrow.setPlatformFee(50000))
+        .to.emit(paymentEscrow, "PlatformFeeUpdated")
+        .withArgs(10000, 50000);
+      await expect(paymentEscrow.setPlatformFeeBps(100))
+        .to.emit(paymentEscrow, "PlatformFeeBpsUpdated")
+        .withArgs(0, 100);
+      await expect(paymentEscrow.setFeeRecipient(feeRecipient.address))
+        .to.emit(paymentEscrow, "FeeRecipientUpdated")
+        .withArgs(owner.address, feeRecipient.address);
+
+      const [quotedEthFee, quotedTokenFee] = await paymentEscrow.getPlatformFee(daiAmount);
+      expect(quotedEthFee).to.equal(50000);
+      expect(quotedTokenFee).to.equal(daiAmount.div(100));
+    });
+
+    it("Should enforce the hard fee caps", async function () {
+      const maxFee = await paymentEscrow.MAX_PLATFORM_FEE();
+      const maxBps = await paymentEscrow.MAX_PLATFORM_FEE_BPS();
+
+      await expect(paymentEscrow.setPlatformFee(maxFee.add(1))).to.be.revertedWith("Platform fee above cap");
+      await expect(paymentEscrow.setPlatformFeeBps(maxBps.add(1))).to.be.revertedWith("Platform fee bps above cap");
+      await expect(
+        paymentEscrow.setFeeRecipient(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Fee recipient cannot be zero");
+    });
+
+    it("Should only let the owner change fee settings", async function () {
+      await expect(paymentEscrow.connect(requester).setPlatformFee(0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(paymentEscrow.connect(requester).setPlatformFeeBps(0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        paymentEscrow.connect(requester).setFeeRecipient(requester.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should credit the flat fee to the fee recipient", async function () {
+      await paymentEscrow.setPlatformFee(50000);
+      await paymentEscrow.setFeeRecipient(feeRecipient.address);
+
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      expect(await paymentEscrow.getPendingWithdrawal(feeRecipient.address)).to.equal(50000);
+      expect(await paymentEscrow.getPendingWithdrawal(owner.address)).to.equal(0);
+      expect((await paymentEscrow.getPaymentRequest(1)).payerFee).to.equal(ethFee.sub(50000));
+    });
+
+    it("Should take the percentage fee from the tokens at fulfilment", async function () {
+      await paymentEscrow.setPlatformFeeBps(250); // 2.5%
+      await paymentEscrow.setFeeRecipient(feeRecipient.address);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      const tokenFee = daiAmount.mul(250).div(10000);
+      const payerBefore = await mockDAI.balanceOf(payer.address);
+
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await expect(paymentEscrow.connect(payer).fulfillPayment(1, "123456789012"))
+        .to.emit(paymentEscrow, "PaymentFulfilled")
+        .withArgs(1, payer.address, mockDAI.address, daiAmount.sub(tokenFee), "123456789012");
+
+      expect((await mockDAI.balanceOf(payer.address)).sub(payerBefore)).to.equal(daiAmount.sub(tokenFee));
+      expect(await mockDAI.balanceOf(feeRecipient.address)).to.equal(tokenFee);
+    });
+
+    it("Should keep the fee fixed at creation and refund it in full on cancel", async function () {
+      await paymentEscrow.setPlatformFeeBps(100);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.setPlatformFeeBps(500);
+
+      expect((await paymentEscrow.getPaymentRequest(1)).platformTokenFee).to.equal(daiAmount.div(100));
+
+      const requesterBefore = await mockDAI.balanceOf(requester.address);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+      expect((await mockDAI.balanceOf(requester.address)).sub(requesterBefore)).to.equal(daiAmount);
+    });
+
+    it("Should allow a zero flat fee", async function () {
+      await paymentEscrow.setPlatformFee(0);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: 0 });
+
+      expect((await paymentEscrow.getPaymentRequest(1)).payerFee).to.equal(0);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const payerFee = ethFee.sub(10000);
+    let receiver;
+
+    beforeEach(async function () {
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      receiver = await RevertingReceiver.deploy();
+      await receiver.deployed();
+
+      await mockDAI.mint(receiver.address, daiAmount);
+      await receiver.execute(
+        mockDAI.address,
+        mockDAI.interface.encodeFunctionData("approve", [paymentEscrow.address, daiAmount])
+      );
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    });
+
+    async function createFromReceiver() {
+      await receiver.execute(
+        paymentEscrow.address,
+        paymentEscrow.interface.encodeFunctionData("createPaymentRequest", [amountINR, mockDAI.address, daiAmount]),
+        { value: ethFee }
+      );
+    }
+
+    it("Should credit the payer fee and let the payer withdraw it", async function () {
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(payerFee);
+      expect(await paymentEscrow.totalPendingWithdrawals()).to.equal(ethFee);
+
+      const balanceBefore = await payer.getBalance();
+      const tx = await paymentEscrow.connect(payer).withdraw();
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      await expect(tx).to.emit(paymentEscrow, "Withdrawn").withArgs(payer.address, payerFee);
+      expect((await payer.getBalance()).sub(balanceBefore).add(gasCost)).to.equal(payerFee);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(0);
+      expect(await paymentEscrow.totalPendingWithdrawals()).to.equal(10000);
+    });
+
+    it("Should fail to withdraw with nothing owed", async function () {
+      await expect(paymentEscrow.connect(payer).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should settle to a payer that rejects ETH", async function () {
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      await receiver.execute(paymentEscrow.address, paymentEscrow.interface.encodeFunctionData("commitToPay", [1]));
+      await receiver.execute(
+        paymentEscrow.address,
+        paymentEscrow.interface.encodeFunctionData("fulfillPayment", [1, "123456789012"])
+      );
+
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(2); // FULFILLED
+      expect(await mockDAI.balanceOf(receiver.address)).to.equal(daiAmount.mul(2));
+      expect(await paymentEscrow.getPendingWithdrawal(receiver.address)).to.equal(payerFee);
+
+      // Withdrawing is the receiver's own problem until it accepts ETH
+      const withdrawData = paymentEscrow.interface.encodeFunctionData("withdraw");
+      await expect(receiver.execute(paymentEscrow.address, withdrawData)).to.be.revertedWith("Withdrawal failed");
+
+      await receiver.setAcceptEther(true);
+      await receiver.execute(paymentEscrow.address, withdrawData);
+      expect(await ethers.provider.getBalance(receiver.address)).to.equal(payerFee);
+    });
+
+    it("Should cancel and expire requests from a requester that rejects ETH", async function () {
+      await mockDAI.mint(receiver.address, daiAmount);
+      await receiver.execute(
+        mockDAI.address,
+        mockDAI.interface.encodeFunctionData("approve", [paymentEscrow.address, daiAmount.mul(2)])
+      );
+      await createFromReceiver();
+      await createFromReceiver();
+
+      await receiver.execute(paymentEscrow.address, paymentEscrow.interface.encodeFunctionData("cancelPaymentRequest", [1]));
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.expirePaymentRequest(2);
+
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(3); // CANCELLED
+      expect((await paymentEscrow.getPaymentRequest(2)).status).to.equal(4); // EXPIRED
+      expect(await mockDAI.balanceOf(receiver.address)).to.equal(daiAmount.mul(2));
+      expect(await paymentEscrow.getPendingWithdrawal(receiver.address)).to.equal(payerFee.mul(2));
+    });
+
+    it("Should keep creating requests when the fee recipient rejects ETH", async function () {
+      await paymentEscrow.setFeeRecipient(receiver.address);
+
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+      expect(await paymentEscrow.getPendingWithdrawal(receiver.address)).to.equal(10000);
+    });
+  });
+
+  describe("INR Rate Check", function () {
+    const ethFee = ethers.utils.parseEther("0.1");
+    const referenceRate = ethers.utils.parseUnits("83", 8); // ₹83 per DAI
+    let rateOracle;
+    let aggregator;
+
+    const createRequest = (amountINR, daiAmount) =>
+      paymentEscrow.connect(requester).createPaymentRequest(
+        amountINR,
+        mockDAI.address,
+        ethers.utils.parseUnits(daiAmount, 18),
+        { value: ethFee }
+      );
+
+    beforeEach(async function () {
+      const INRRateOracle = await ethers.getContractFactory("INRRateOracle");
+      rateOracle = await INRRateOracle.deploy();
+      await rateOracle.deployed();
+
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      aggregator = await MockAggregator.deploy(8);
+      await aggregator.deployed();
+      await aggregator.setAnswer(referenceRate, 0);
+      await rateOracle.setFeed(mockDAI.address, aggregator.address);
+
+      await paymentEscrow.setRateCheck(rateOracle.address, 200, 60 * 60); // 2% band, 1 hour max age
+      await mockDAI.connect(requester).approve(paymentEscrow.address, ethers.utils.parseUnits("1000", 18));
+    });
+
+    it("Should accept requests within the tolerance band", async function () {
+      await expect(createRequest(8300, "100")).to.emit(paymentEscrow, "PaymentRequestCreated");
+      await expect(createRequest(8300, "98.5")).to.emit(paymentEscrow, "PaymentRequestCreated");
+    });
+
+    it("Should reject requests outside the tolerance band in either direction", async function () {
+      await expect(createRequest(10000, "1")).to.be.revertedWith("Rate outside tolerance band");
+      await expect(createRequest(100, "100")).to.be.revertedWith("Rate outside tolerance band");
+      await expect(createRequest(8300, "95")).to.be.revertedWith("Rate outside tolerance band");
+    });
+
+    it("Should re-check the rate when a request is amended", async function () {
+      await createRequest(8300, "100");
+
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 9000, 0))
+        .to.be.revertedWith("Rate outside tolerance band");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 9000, ethers.utils.parseUnits("8", 18)))
+        .to.emit(paymentEscrow, "PaymentRequestAmended");
+
+      // Raising only the payer fee does not need a fresh rate
+      const latest = await ethers.provider.getBlock("latest");
+      await aggregator.setAnswer(referenceRate, latest.timestamp - 2 * 60 * 60);
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 9000, 0, { value: 1 }))
+        .to.emit(paymentEscrow, "PaymentRequestAmended");
+    });
+
+    it("Should reject stale reference rates", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      await aggregator.setAnswer(referenceRate, latest.timestamp - 2 * 60 * 60);
+
+      await expect(createRequest(8300, "100")).to.be.revertedWith("Reference rate stale");
+    });
+
+    it("Should reject requests when the reference rate is missing", async function () {
+      await aggregator.setAnswer(0, 0);
+      await expect(createRequest(8300, "100")).to.be.revertedWith("Reference rate unavailable");
+
+      // No feed and nothing pushed
+      await rateOracle.setFeed(mockDAI.address, ethers.constants.AddressZero);
+      await expect(createRequest(8300, "100")).to.be.revertedWith("Reference rate unavailable");
+    });
+
+    it("Should fall back to an owner-pushed rate", async function () {
+      await rateOracle.setFeed(mockDAI.address, ethers.constants.AddressZero);
+      await expect(rateOracle.pushRate(mockDAI.address, ethers.utils.parseUnits("90", 8)))
+        .to.emit(rateOracle, "RatePushed");
+
+      await expect(createRequest(8300, "100")).to.be.revertedWith("Rate outside tolerance band");
+      await expect(createRequest(9000, "100")).to.emit(paymentEscrow, "PaymentRequestCreated");
+
+      await expect(
+        rateOracle.connect(requester).pushRate(mockDAI.address, 1)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should normalize feeds with other decimals", async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed18 = await MockAggregator.deploy(18);
+      await feed18.deployed();
+      await feed18.setAnswer(ethers.utils.parseUnits("83", 18), 0);
+      await rateOracle.setFeed(mockDAI.address, feed18.address);
+
+      const [rate] = await rateOracle.getRate(mockDAI.address);
+      expect(rate).to.equal(referenceRate);
+      await expect(createRequest(8300, "100")).to.emit(paymentEscrow, "PaymentRequestCreated");
+    });
+
+    it("Should report each request's premium or discount", async function () {
+      await createRequest(8300, "100"); // At the reference rate
+      await createRequest(8300, "101"); // Payer receives more DAI than the reference rate implies
+
+      let [premiumBps, rate, impliedRate] = await paymentEscrow.getRequestRatePremium(1);
+      expect(premiumBps).to.equal(0);
+      expect(rate).to.equal(referenceRate);
+      expect(impliedRate).to.equal(referenceRate);
+
+      [premiumBps] = await paymentEscrow.getRequestRatePremium(2);
+      expect(premiumBps).to.equal(100); // +1%
+
+      await aggregator.setAnswer(ethers.utils.parseUnits("80", 8), 0);
+      [premiumBps] = await paymentEscrow.getRequestRatePremium(1);
+      expect(premiumBps).to.equal(-361); // 80 / 83 - 1, rounded toward zero
+    });
+
+    it("Should skip the check once the oracle is unset", async function () {
+      await expect(paymentEscrow.setRateCheck(ethers.constants.AddressZero, 0, 0))
+        .to.emit(paymentEscrow, "RateCheckUpdated")
+        .withArgs(ethers.constants.AddressZero, 0, 0);
+
+      await expect(createRequest(10000, "1")).to.emit(paymentEscrow, "PaymentRequestCreated");
+      await expect(paymentEscrow.getRequestRatePremium(1)).to.be.revertedWith("Rate oracle not set");
+    });
+
+    it("Should validate rate check settings", async function () {
+      await expect(paymentEscrow.setRateCheck(rateOracle.address, 0, 60)).to.be.revertedWith("Invalid rate tolerance");
+      await expect(paymentEscrow.setRateCheck(rateOracle.address, 100, 0)).to.be.revertedWith("Max age must be greater than 0");
+      await expect(
+        paymentEscrow.connect(requester).setRateCheck(rateOracle.address, 100, 60)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
   describe("Payment Fulfillment", function () {
     let requestId = 1;
     let amountINR;
@@ -113,6 +646,7 @@ describe("PaymentEscrow", function () {
       await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
       await paymentEscrow.connect(requester).createPaymentRequest(
         amountINR,
+        mockDAI.address,
         daiAmount,
         { value: ethFee }
       );
@@ -176,76 +710,1464 @@ describe("PaymentEscrow", function () {
     });
   });
 
-  describe("Payment Cancellation", function () {
-    let requestId = 1;
-    let amountINR;
-    let daiAmount;
-    let ethFee;
+  describe("UPI Attestation", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const transactionNumber = "123456789012";
+    let attestationVerifier;
+    let verifierKey;
+    let domain;
 
-    beforeEach(async function () {
-      amountINR = 1000;
-      daiAmount = ethers.utils.parseUnits("100", 18);
-      ethFee = ethers.utils.parseEther("0.1");
+    function attest(requestId, fields = {}, signer = verifierKey) {
+      return signAttestation(signer, domain, {
+        escrow: paymentEscrow.address,
+        requestId,
+        payer: payer.address,
+        transactionNumber,
+        amountINR,
+        ...fields
+      });
+    }
 
-      // Create a payment request
+    async function createCommittedRequest() {
       await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
-      await paymentEscrow.connect(requester).createPaymentRequest(
-        amountINR,
-        daiAmount,
-        { value: ethFee }
-      );
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      const requestId = (await paymentEscrow.getNextRequestId()).sub(1);
+      await paymentEscrow.connect(payer).commitToPay(requestId);
+      return requestId;
+    }
+
+    beforeEach(async function () {
+      verifierKey = addrs[0];
+
+      const UPIAttestationVerifier = await ethers.getContractFactory("UPIAttestationVerifier");
+      attestationVerifier = await UPIAttestationVerifier.deploy();
+      await attestationVerifier.deployed();
+      await attestationVerifier.setVerifier(verifierKey.address, true);
+
+      await expect(paymentEscrow.setAttestationVerifier(attestationVerifier.address))
+        .to.emit(paymentEscrow, "AttestationVerifierUpdated")
+        .withArgs(ethers.constants.AddressZero, attestationVerifier.address);
+
+      domain = buildDomain((await ethers.provider.getNetwork()).chainId, attestationVerifier.address);
     });
 
-    it("Should cancel request and refund crypto to requester", async function () {
-      const requesterDAIBalanceBefore = await mockDAI.balanceOf(requester.address);
+    it("Should fulfill with an attestation from a trusted verifier", async function () {
+      const requestId = await createCommittedRequest();
+      const signature = await attest(requestId);
 
-      await expect(paymentEscrow.connect(requester).cancelPaymentRequest(requestId))
-        .to.emit(paymentEscrow, "PaymentCancelled");
+      await expect(paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, signature))
+        .to.emit(paymentEscrow, "PaymentFulfilled");
 
-      // Check that DAI was refunded to requester
-      const requesterDAIBalanceAfter = await mockDAI.balanceOf(requester.address);
-      expect(requesterDAIBalanceAfter.sub(requesterDAIBalanceBefore)).to.equal(daiAmount);
+      expect((await paymentEscrow.getPaymentRequest(requestId)).status).to.equal(2); // FULFILLED
+      const utrHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(transactionNumber));
+      expect(await paymentEscrow.usedTransactionNumbers(utrHash)).to.equal(true);
+    });
 
-      // Check request status
-      const request = await paymentEscrow.getPaymentRequest(requestId);
-      expect(request.status).to.equal(3); // CANCELLED
+    it("Should require an attestation while a verifier is set", async function () {
+      const requestId = await createCommittedRequest();
+
+      await expect(
+        paymentEscrow.connect(payer).fulfillPayment(requestId, transactionNumber)
+      ).to.be.revertedWith("Attestation required");
+
+      await paymentEscrow.setAttestationVerifier(ethers.constants.AddressZero);
+      await paymentEscrow.connect(payer).fulfillPayment(requestId, transactionNumber);
+      await expect(
+        paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, "0x")
+      ).to.be.revertedWith("Attestation verifier not set");
     });
 
-    it("Should fail if non-requester tries to cancel", async function () {
+    it("Should reject attestations from untrusted or removed signers", async function () {
+      const requestId = await createCommittedRequest();
+
+      const untrusted = await attest(requestId, {}, addrs[1]);
       await expect(
-        paymentEscrow.connect(payer).cancelPaymentRequest(requestId)
-      ).to.be.revertedWith("Only requester can cancel");
+        paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, untrusted)
+      ).to.be.revertedWith("Invalid attestation");
+
+      const signature = await attest(requestId);
+      await expect(attestationVerifier.setVerifier(verifierKey.address, false))
+        .to.emit(attestationVerifier, "VerifierSet")
+        .withArgs(verifierKey.address, false);
+      await expect(
+        paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, signature)
+      ).to.be.revertedWith("Invalid attestation");
+
+      await expect(
+        paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, "0x1234")
+      ).to.be.revertedWith("Invalid attestation");
     });
-  });
 
-  describe("Request Queries", function () {
-    it("Should get available requests correctly", async function () {
-      const amountINR = 1000;
-      const daiAmount = ethers.utils.parseUnits("100", 18);
-      const ethFee = ethers.utils.parseEther("0.1");
+    it("Should reject attestations that do not match the fulfilment", async function () {
+      const requestId = await createCommittedRequest();
 
-      // Create multiple requests
-      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(2));
-      
-      await paymentEscrow.connect(requester).createPaymentRequest(
-        amountINR,
-        daiAmount,
-        { value: ethFee }
-      );
-      
-      await paymentEscrow.connect(requester).createPaymentRequest(
-        amountINR,
-        daiAmount,
-        { value: ethFee }
-      );
+      const wrongUtr = await attest(requestId, { transactionNumber: "999999999999" });
+      const wrongAmount = await attest(requestId, { amountINR: amountINR + 1 });
+      const wrongPayer = await attest(requestId, { payer: addrs[1].address });
+      const wrongRequest = await attest(requestId.add(1));
+      const wrongEscrow = await attest(requestId, { escrow: attestationVerifier.address });
 
-      const availableRequests = await paymentEscrow.getAvailableRequests();
-      expect(availableRequests.length).to.equal(2);
-      expect(availableRequests[0].requestId).to.equal(1);
-      expect(availableRequests[1].requestId).to.equal(2);
+      for (const signature of [wrongUtr, wrongAmount, wrongPayer, wrongRequest, wrongEscrow]) {
+        await expect(
+          paymentEscrow.connect(payer).fulfillPaymentWithAttestation(requestId, transactionNumber, signature)
+        ).to.be.revertedWith("Invalid attestation");
+      }
     });
 
-    it("Should get user requests correctly", async function () {
+    it("Should reject a UTR already used for another request", async function () {
+      const firstId = await createCommittedRequest();
+      const secondId = await createCommittedRequest();
+
+      await paymentEscrow.connect(payer).fulfillPaymentWithAttestation(firstId, transactionNumber, await attest(firstId));
+
+      await expect(
+        paymentEscrow.connect(payer).fulfillPaymentWithAttestation(secondId, transactionNumber, await attest(secondId))
+      ).to.be.revertedWith("Transaction number already used");
+
+      // Replay protection applies without attestations too
+      await paymentEscrow.setAttestationVerifier(ethers.constants.AddressZero);
+      await expect(
+        paymentEscrow.connect(payer).fulfillPayment(secondId, transactionNumber)
+      ).to.be.revertedWith("Transaction number already used");
+    });
+
+    it("Should only let the owner manage verifiers", async function () {
+      await expect(
+        paymentEscrow.connect(requester).setAttestationVerifier(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        attestationVerifier.connect(requester).setVerifier(requester.address, true)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        attestationVerifier.setVerifier(ethers.constants.AddressZero, true)
+      ).to.be.revertedWith("Verifier cannot be zero");
+    });
+  });
+
+  describe("Meta-transactions", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    let gaslessPayer;
+    let relayer;
+
+    beforeEach(async function () {
+      relayer = addrs[0];
+      // Payer wallet that holds no ETH at all
+      gaslessPayer = ethers.Wallet.createRandom().connect(ethers.provider);
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+    });
+
+    it("Should let a relayer commit and fulfill for a payer without ETH", async function () {
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+      await expect(forwarder.connect(relayer).execute(commit.request, commit.signature))
+        .to.emit(paymentEscrow, "PaymentCommitted");
+      expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(gaslessPayer.address);
+
+      const fulfill = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "fulfillPayment", [1, "123456789012"]);
+      await expect(forwarder.connect(relayer).execute(fulfill.request, fulfill.signature))
+        .to.emit(forwarder, "RequestExecuted")
+        .withArgs(gaslessPayer.address, paymentEscrow.address, 1, relayer.address);
+
+      const request = await paymentEscrow.getPaymentRequest(1);
+      expect(request.status).to.equal(2); // FULFILLED
+      expect(request.payer).to.equal(gaslessPayer.address);
+      expect(await mockDAI.balanceOf(gaslessPayer.address)).to.equal(daiAmount);
+      expect(await ethers.provider.getBalance(gaslessPayer.address)).to.equal(0);
+      expect(await paymentEscrow.getPendingWithdrawal(gaslessPayer.address)).to.equal(ethFee.sub(10000));
+    });
+
+    it("Should reject a replayed request", async function () {
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+      await forwarder.connect(relayer).execute(commit.request, commit.signature);
+
+      expect(await forwarder.getNonce(gaslessPayer.address)).to.equal(1);
+      expect(await forwarder.verify(commit.request, commit.signature)).to.equal(false);
+      await expect(
+        forwarder.connect(relayer).execute(commit.request, commit.signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject a request past its deadline", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 60;
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1], { deadline });
+
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        forwarder.connect(relayer).execute(commit.request, commit.signature)
+      ).to.be.revertedWith("Forward request expired");
+    });
+
+    it("Should reject a request signed by someone other than its sender", async function () {
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+      const forged = { ...commit.request, from: payer.address };
+
+      await expect(
+        forwarder.connect(relayer).execute(forged, commit.signature)
+      ).to.be.revertedWith("Signature does not match request");
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+    });
+
+    it("Should bubble up escrow reverts and leave the nonce unused", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      const fulfill = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "fulfillPayment", [1, "123456789012"]);
+
+      await expect(
+        forwarder.connect(relayer).execute(fulfill.request, fulfill.signature)
+      ).to.be.revertedWith("Only committed payer can fulfill");
+      expect(await forwarder.getNonce(gaslessPayer.address)).to.equal(0);
+    });
+
+    it("Should only trust the configured forwarder", async function () {
+      expect(await paymentEscrow.isTrustedForwarder(forwarder.address)).to.equal(true);
+
+      // Appending an address to calldata from any other sender has no effect
+      const data = paymentEscrow.interface.encodeFunctionData("commitToPay", [1]);
+      await relayer.sendTransaction({
+        to: paymentEscrow.address,
+        data: ethers.utils.hexConcat([data, gaslessPayer.address])
+      });
+      expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(relayer.address);
+    });
+  });
+
+  describe("Extension", function () {
+    it("Should run extension functions against the escrow's state", async function () {
+      const extension = await ethers.getContractAt("PaymentEscrowExtension", await paymentEscrow.extension());
+
+      await paymentEscrow.setPlatformFee(20000);
+      expect(await paymentEscrow.platformFee()).to.equal(20000);
+      expect(await paymentEscrow.getSupportedTokens()).to.deep.equal([mockDAI.address]);
+
+      expect(await extension.platformFee()).to.equal(0); // Never initialized
+      expect(await extension.getSupportedTokens()).to.deep.equal([]);
+    });
+
+    it("Should reject an extension trusting a different forwarder", async function () {
+      const PaymentEscrowExtension = await ethers.getContractFactory("PaymentEscrowExtension");
+      const extension = await PaymentEscrowExtension.deploy(ethers.constants.AddressZero);
+      await extension.deployed();
+
+      const PaymentEscrow = await getPaymentEscrowFactory();
+      await expect(
+        PaymentEscrow.deploy(forwarder.address, extension.address)
+      ).to.be.revertedWith("Extension forwarder mismatch");
+    });
+
+    it("Should reject unknown functions and plain ETH transfers", async function () {
+      await expect(owner.sendTransaction({ to: paymentEscrow.address, data: "0x12345678" })).to.be.reverted;
+      await expect(owner.sendTransaction({ to: paymentEscrow.address, value: 1 })).to.be.reverted;
+    });
+  });
+
+  describe("Upgrades", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+
+    it("Should initialize the proxy like the former constructor", async function () {
+      expect(await paymentEscrow.owner()).to.equal(owner.address);
+      expect(await paymentEscrow.feeRecipient()).to.equal(owner.address);
+      expect(await paymentEscrow.platformFee()).to.equal(10000);
+      expect(await paymentEscrow.getNextRequestId()).to.equal(1);
+      expect(await paymentEscrow.minExpiryDuration()).to.equal(60 * 60);
+      expect(await paymentEscrow.maxCommitmentWindow()).to.equal(60 * 60);
+    });
+
+    it("Should not initialize twice or initialize implementations", async function () {
+      await expect(paymentEscrow.initialize(requester.address)).to.be.revertedWith("Initializable: contract is already initialized");
+
+      const { extension, implementation } = await deployPaymentEscrowImplementation(forwarder.address);
+      await expect(extension.initialize(requester.address)).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(
+        (await getPaymentEscrowFactory()).attach(implementation.address).initialize(requester.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should keep state and open requests across an upgrade", async function () {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(2));
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.setPlatformFee(20000);
+
+      const previousExtension = await paymentEscrow.extension();
+      const { extension, implementation } = await upgradePaymentEscrow(paymentEscrow.address, forwarder.address);
+
+      expect(await (await getProxyAdmin(paymentEscrow.address)).getProxyImplementation(paymentEscrow.address))
+        .to.equal(implementation.address);
+      expect(await paymentEscrow.extension()).to.equal(extension.address).and.not.equal(previousExtension);
+
+      expect(await paymentEscrow.owner()).to.equal(owner.address);
+      expect(await paymentEscrow.platformFee()).to.equal(20000);
+      expect(await paymentEscrow.getSupportedTokens()).to.deep.equal([mockDAI.address]);
+      expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(payer.address);
+
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+      expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(0);
+      expect(await paymentEscrow.getNextRequestId()).to.equal(3);
+    });
+
+    it("Should only let the ProxyAdmin owner upgrade", async function () {
+      const proxyAdmin = await getProxyAdmin(paymentEscrow.address, requester);
+      const { implementation } = await deployPaymentEscrowImplementation(forwarder.address);
+
+      await expect(
+        proxyAdmin.upgrade(paymentEscrow.address, implementation.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Payer Limits", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("10", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const bond = ethers.utils.parseEther("0.01");
+    let bot;
+
+    async function createRequests(count) {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(count));
+      for (let i = 0; i < count; i++) {
+        await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      }
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function stats(account) {
+      const result = await paymentEscrow.getPayerStats(account.address);
+      return [result.commits, result.fulfilments, result.timeouts, result.activeCommitments].map(n => n.toNumber());
+    }
+
+    beforeEach(async function () {
+      bot = addrs[0];
+      await createRequests(5);
+    });
+
+    it("Should track commits, fulfilments and timeouts per payer", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(bot).commitToPay(2);
+      expect(await stats(payer)).to.deep.equal([1, 1, 0, 0]);
+      expect(await stats(bot)).to.deep.equal([1, 0, 0, 1]);
+
+      await increaseTime(5 * 60 + 1);
+      expect(await stats(bot)).to.deep.equal([1, 0, 0, 0]);
+
+      await expect(paymentEscrow.connect(payer).commitToPay(2))
+        .to.emit(paymentEscrow, "CommitmentTimedOut")
+        .withArgs(2, bot.address, 0);
+      expect(await stats(bot)).to.deep.equal([1, 0, 1, 0]);
+      expect(await stats(payer)).to.deep.equal([2, 1, 0, 1]);
+    });
+
+    it("Should cap active commitments per payer", async function () {
+      await expect(paymentEscrow.setCommitmentLimits(2, 0))
+        .to.emit(paymentEscrow, "CommitmentLimitsUpdated")
+        .withArgs(2, 0);
+
+      await paymentEscrow.connect(bot).commitToPay(1);
+      await paymentEscrow.connect(bot).commitToPay(2);
+      await expect(paymentEscrow.connect(bot).commitToPay(3)).to.be.revertedWith("Too many active commitments");
+
+      // Other payers are unaffected
+      await paymentEscrow.connect(payer).commitToPay(3);
+
+      // Timed-out commitments no longer count towards the cap
+      await increaseTime(5 * 60 + 1);
+      await paymentEscrow.connect(bot).commitToPay(4);
+    });
+
+    it("Should hold a commitment bond and return it on fulfilment", async function () {
+      await paymentEscrow.setCommitmentLimits(0, bond);
+
+      await expect(paymentEscrow.connect(payer).commitToPay(1)).to.be.revertedWith("Incorrect commitment bond");
+      await expect(
+        paymentEscrow.connect(payer).commitToPay(1, { value: bond.add(1) })
+      ).to.be.revertedWith("Incorrect commitment bond");
+
+      await paymentEscrow.connect(payer).commitToPay(1, { value: bond });
+      expect(await paymentEscrow.commitmentBonds(1)).to.equal(bond);
+
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      expect(await paymentEscrow.commitmentBonds(1)).to.equal(0);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(ethFee.sub(10000).add(bond));
+    });
+
+    it("Should return the bond if the requester cancels during an active commitment", async function () {
+      await paymentEscrow.setCommitmentLimits(0, bond);
+      await paymentEscrow.connect(payer).commitToPay(1, { value: bond });
+
+      await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(bond);
+      expect(await stats(payer)).to.deep.equal([1, 0, 0, 0]);
+    });
+
+    it("Should forfeit the bond to the requester when a committed request expires", async function () {
+      await paymentEscrow.setCommitmentLimits(0, bond);
+      await paymentEscrow.connect(payer).commitToPay(1, { value: bond });
+
+      await increaseTime(24 * 60 * 60 + 1);
+      await expect(paymentEscrow.expirePaymentRequest(1))
+        .to.emit(paymentEscrow, "CommitmentTimedOut")
+        .withArgs(1, payer.address, bond);
+
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(0);
+      expect(await paymentEscrow.getPendingWithdrawal(requester.address)).to.equal(ethFee.sub(10000).add(bond));
+    });
+
+    it("Should make a griefing bot pay for locking the order book", async function () {
+      await paymentEscrow.setCommitmentLimits(3, bond);
+
+      // The bot tries to lock every open request without paying any of them
+      const locked = [];
+      for (let requestId = 1; requestId <= 5; requestId++) {
+        try {
+          await paymentEscrow.connect(bot).commitToPay(requestId, { value: bond });
+          locked.push(requestId);
+        } catch (error) {
+          expect(error.message).to.include("Too many active commitments");
+        }
+      }
+      expect(locked).to.deep.equal([1, 2, 3]);
+
+      // Honest payers can still take the requests the bot could not lock
+      await paymentEscrow.connect(payer).commitToPay(4, { value: bond });
+      await paymentEscrow.connect(payer).fulfillPayment(4, "123456789012");
+
+      // Once the bot's commitments time out, honest payers take them over and the bonds go to the requester
+      await increaseTime(5 * 60 + 1);
+      const requesterBefore = await paymentEscrow.getPendingWithdrawal(requester.address);
+      for (const requestId of locked) {
+        await paymentEscrow.connect(payer).commitToPay(requestId, { value: bond });
+      }
+
+      const requesterAfter = await paymentEscrow.getPendingWithdrawal(requester.address);
+      expect(requesterAfter.sub(requesterBefore)).to.equal(bond.mul(3));
+      expect(await stats(bot)).to.deep.equal([3, 0, 3, 0]);
+      expect(await stats(payer)).to.deep.equal([4, 1, 0, 3]);
+
+      // Escrow ETH = credited balances + payer fees of the 4 open requests + bonds of the 3 live commitments
+      const held = ethFee.sub(10000).mul(4).add(bond.mul(3));
+      const totalPending = await paymentEscrow.totalPendingWithdrawals();
+      expect(await ethers.provider.getBalance(paymentEscrow.address)).to.equal(totalPending.add(held));
+    });
+
+    it("Should release timed-out commitments, counting the timeout and forfeiting the bond", async function () {
+      await paymentEscrow.setCommitmentLimits(0, bond);
+      await paymentEscrow.connect(bot).commitToPay(1, { value: bond });
+      await paymentEscrow.connect(bot).commitToPay(2, { value: bond });
+      await increaseTime(5 * 60 + 1);
+      await paymentEscrow.connect(payer).commitToPay(3, { value: bond });
+
+      // 3 is still active, 4 is pending and 5 does not exist
+      const tx = paymentEscrow.releaseTimedOutCommitments([1, 2, 3, 4, 6]);
+      await expect(tx)
+        .to.emit(paymentEscrow, "CommitmentTimedOut")
+        .withArgs(1, bot.address, bond);
+      expect((await (await tx).wait()).events.filter(event => event.event === "CommitmentTimedOut")).to.have.length(2);
+
+      expect(await stats(bot)).to.deep.equal([2, 0, 2, 0]);
+      expect(await paymentEscrow.getPayerCommittedRequests(bot.address)).to.have.length(0);
+      expect(await paymentEscrow.getPendingWithdrawal(requester.address)).to.equal(bond.mul(2));
+
+      const released = await paymentEscrow.getPaymentRequest(1);
+      expect(released.status).to.equal(0); // PENDING
+      expect(released.payer).to.equal(ethers.constants.AddressZero);
+      expect(await paymentEscrow.commitmentBonds(1)).to.equal(0);
+      expect((await paymentEscrow.getPaymentRequest(3)).status).to.equal(1); // COMMITTED
+
+      // Released requests are open to any payer, including the one that timed out
+      await paymentEscrow.connect(bot).commitToPay(1, { value: bond });
+      expect(await stats(bot)).to.deep.equal([3, 0, 2, 1]);
+    });
+
+    it("Should not release commitments on expired requests", async function () {
+      await paymentEscrow.connect(bot).commitToPay(1);
+      await increaseTime(24 * 60 * 60 + 1);
+
+      await expect(paymentEscrow.releaseTimedOutCommitments([1])).to.not.emit(paymentEscrow, "CommitmentTimedOut");
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(1); // COMMITTED
+    });
+
+    it("Should drop requests from the payer's set once they are settled", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(payer).commitToPay(3);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+      expect((await paymentEscrow.getPayerCommittedRequests(payer.address)).map(r => r.requestId.toNumber())).to.deep.equal([3]);
+
+      await increaseTime(24 * 60 * 60 + 1);
+      await paymentEscrow.expirePaymentRequests([3]);
+      expect(await paymentEscrow.getPayerCommittedRequests(payer.address)).to.have.length(0);
+      expect(await stats(payer)).to.deep.equal([3, 1, 1, 0]);
+    });
+
+    it("Should validate commitment limit settings", async function () {
+      await expect(
+        paymentEscrow.setCommitmentLimits(0, ethers.utils.parseEther("0.2"))
+      ).to.be.revertedWith("Commitment bond above cap");
+      await expect(
+        paymentEscrow.connect(requester).setCommitmentLimits(1, 0)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Partial Fills", function () {
+    const amountINR = 50000;
+    const minSlice = 10000;
+    const daiAmount = ethers.utils.parseUnits("600", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const payerFee = ethFee.sub(10000);
+    let payer2;
+
+    beforeEach(async function () {
+      payer2 = addrs[0];
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await expect(paymentEscrow.connect(requester).setRequestSplittable(1, minSlice))
+        .to.emit(paymentEscrow, "RequestSplittableSet")
+        .withArgs(1, minSlice);
+    });
+
+    it("Should split a slice into its own committed fill request", async function () {
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 20000))
+        .to.emit(paymentEscrow, "PaymentRequestSplit")
+        .withArgs(1, 2, 20000, daiAmount.mul(2).div(5));
+
+      const fill = await paymentEscrow.getPaymentRequest(2);
+      expect(fill.status).to.equal(1); // COMMITTED
+      expect(fill.payer).to.equal(payer.address);
+      expect(fill.requester).to.equal(requester.address);
+      expect(fill.amountINR).to.equal(20000);
+      expect(fill.daiAmount).to.equal(daiAmount.mul(2).div(5));
+      expect(fill.payerFee).to.equal(payerFee.mul(2).div(5));
+      expect(fill.expiresAt).to.equal((await paymentEscrow.getPaymentRequest(1)).expiresAt);
+      expect(await paymentEscrow.parentRequestOf(2)).to.equal(1);
+
+      const parent = await paymentEscrow.getPaymentRequest(1);
+      expect(parent.status).to.equal(0); // PENDING
+      expect(parent.amountINR).to.equal(30000);
+      expect(parent.daiAmount).to.equal(daiAmount.sub(fill.daiAmount));
+      expect(parent.payerFee).to.equal(payerFee.sub(fill.payerFee));
+    });
+
+    it("Should let several payers fill a request with their own UTRs", async function () {
+      await paymentEscrow.connect(payer).commitToSlice(1, 20000); // fill 2
+      await paymentEscrow.connect(payer2).commitToSlice(1, 15000); // fill 3
+      await paymentEscrow.connect(addrs[1]).commitToSlice(1, 15000); // remainder on request 1
+
+      await paymentEscrow.connect(payer).fulfillPayment(2, "111111111111");
+      await paymentEscrow.connect(payer2).fulfillPayment(3, "222222222222");
+      await paymentEscrow.connect(addrs[1]).fulfillPayment(1, "333333333333");
+
+      const payerGot = daiAmount.mul(20000).div(50000);
+      const payer2Got = daiAmount.sub(payerGot).mul(15000).div(30000);
+      expect(await mockDAI.balanceOf(payer2.address)).to.equal(payer2Got);
+      expect(await mockDAI.balanceOf(addrs[1].address)).to.equal(daiAmount.sub(payerGot).sub(payer2Got));
+      expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(0);
+
+      const fills = await paymentEscrow.getRequestFills(1);
+      expect(fills.map(fill => fill.requestId.toNumber())).to.deep.equal([2, 3]);
+      expect(fills.map(fill => fill.transactionNumber)).to.deep.equal(["111111111111", "222222222222"]);
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(2); // FULFILLED
+
+      // Payer fees add up to the original payer fee
+      const fees = await Promise.all([payer, payer2, addrs[1]].map(account => paymentEscrow.getPendingWithdrawal(account.address)));
+      expect(fees.reduce((sum, fee) => sum.add(fee))).to.equal(payerFee);
+    });
+
+    it("Should enforce the minimum slice and leave a fillable remainder", async function () {
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 5000)).to.be.revertedWith("Invalid slice amount");
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 45000)).to.be.revertedWith("Invalid slice amount");
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 60000)).to.be.revertedWith("Invalid slice amount");
+
+      // The whole remainder commits the request itself
+      await paymentEscrow.connect(payer).commitToSlice(1, 50000);
+      expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(payer.address);
+      expect(await paymentEscrow.getNextRequestId()).to.equal(2);
+    });
+
+    it("Should refund only the unfilled remainder on expiry", async function () {
+      await paymentEscrow.connect(payer).commitToSlice(1, 20000);
+      await paymentEscrow.connect(payer).fulfillPayment(2, "111111111111");
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      const requesterBefore = await mockDAI.balanceOf(requester.address);
+      await paymentEscrow.expirePaymentRequest(1);
+
+      const remainder = daiAmount.sub(daiAmount.mul(2).div(5));
+      expect((await mockDAI.balanceOf(requester.address)).sub(requesterBefore)).to.equal(remainder);
+      expect(await paymentEscrow.getPendingWithdrawal(requester.address)).to.equal(payerFee.sub(payerFee.mul(2).div(5)));
+      expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(0);
+    });
+
+    it("Should reopen a timed-out fill to other payers", async function () {
+      await paymentEscrow.connect(payer).commitToSlice(1, 20000);
+
+      await ethers.provider.send("evm_increaseTime", [5 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      await paymentEscrow.connect(payer2).commitToPay(2);
+      await paymentEscrow.connect(payer2).fulfillPayment(2, "111111111111");
+      expect(await mockDAI.balanceOf(payer2.address)).to.equal(daiAmount.mul(2).div(5));
+    });
+
+    it("Should only allow slicing requests the requester marked splittable", async function () {
+      await expect(
+        paymentEscrow.connect(payer).setRequestSplittable(1, minSlice)
+      ).to.be.revertedWith("Only requester can set splitting");
+      await expect(
+        paymentEscrow.connect(requester).setRequestSplittable(1, amountINR)
+      ).to.be.revertedWith("Minimum slice must be below request amount");
+
+      await paymentEscrow.connect(requester).setRequestSplittable(1, 0);
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 20000)).to.be.revertedWith("Request not splittable");
+
+      await paymentEscrow.connect(requester).setRequestSplittable(1, minSlice);
+      await paymentEscrow.connect(payer).commitToSlice(1, 20000);
+      await expect(
+        paymentEscrow.connect(requester).setRequestSplittable(2, 1000)
+      ).to.be.revertedWith("Fills cannot be split");
+    });
+  });
+
+  describe("Dispute Window", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const payerFee = ethFee.sub(10000);
+    const disputeWindow = 24 * 60 * 60;
+    let arbitrator;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      arbitrator = addrs[0];
+      await paymentEscrow.setDisputeWindow(disputeWindow);
+      await paymentEscrow.setArbitrator(arbitrator.address);
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(payer).commitToPay(1);
+    });
+
+    it("Should hold funds after fulfilment until the window closes", async function () {
+      const payerDAIBefore = await mockDAI.balanceOf(payer.address);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+
+      const request = await paymentEscrow.getPaymentRequest(1);
+      expect(request.status).to.equal(2); // FULFILLED
+      expect(request.disputeDeadline).to.be.gt(0);
+      expect(await mockDAI.balanceOf(payer.address)).to.equal(payerDAIBefore);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(0);
+
+      await expect(paymentEscrow.connect(payer).claimPayment(1)).to.be.revertedWith("Dispute window still open");
+
+      await increaseTime(disputeWindow + 1);
+      await expect(paymentEscrow.connect(payer).claimPayment(1))
+        .to.emit(paymentEscrow, "PaymentReleased")
+        .withArgs(1, payer.address, mockDAI.address, daiAmount);
+
+      expect((await mockDAI.balanceOf(payer.address)).sub(payerDAIBefore)).to.equal(daiAmount);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(payerFee);
+      expect((await paymentEscrow.getPaymentRequest(1)).disputeDeadline).to.equal(0);
+
+      await expect(paymentEscrow.connect(payer).claimPayment(1)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should let anyone trigger the release to the payer after the window", async function () {
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await increaseTime(disputeWindow + 1);
+
+      await paymentEscrow.connect(arbitrator).claimPayment(1);
+      expect(await mockDAI.balanceOf(payer.address)).to.equal(ethers.utils.parseUnits("1100", 18));
+    });
+
+    it("Should freeze funds on dispute and refund the requester if the arbitrator agrees", async function () {
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+
+      await expect(paymentEscrow.connect(requester).raiseDispute(1))
+        .to.emit(paymentEscrow, "PaymentDisputed")
+        .withArgs(1, requester.address);
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(5); // DISPUTED
+
+      await increaseTime(disputeWindow + 1);
+      await expect(paymentEscrow.connect(payer).claimPayment(1)).to.be.revertedWith("Nothing to claim");
+
+      const requesterDAIBefore = await mockDAI.balanceOf(requester.address);
+      await expect(paymentEscrow.connect(arbitrator).resolveDispute(1, false))
+        .to.emit(paymentEscrow, "DisputeResolved")
+        .withArgs(1, arbitrator.address, false);
+
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(6); // REFUNDED
+      expect((await mockDAI.balanceOf(requester.address)).sub(requesterDAIBefore)).to.equal(daiAmount);
+      expect(await paymentEscrow.getPendingWithdrawal(requester.address)).to.equal(payerFee);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(0);
+    });
+
+    it("Should release disputed funds to the payer if the arbitrator sides with them", async function () {
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(requester).raiseDispute(1);
+
+      const payerDAIBefore = await mockDAI.balanceOf(payer.address);
+      await expect(paymentEscrow.connect(arbitrator).resolveDispute(1, true))
+        .to.emit(paymentEscrow, "PaymentReleased")
+        .withArgs(1, payer.address, mockDAI.address, daiAmount);
+
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(2); // FULFILLED
+      expect((await mockDAI.balanceOf(payer.address)).sub(payerDAIBefore)).to.equal(daiAmount);
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(payerFee);
+
+      await expect(paymentEscrow.connect(arbitrator).resolveDispute(1, true)).to.be.revertedWith("Request not disputed");
+    });
+
+    it("Should only allow the requester to dispute within the window", async function () {
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+
+      await expect(paymentEscrow.connect(payer).raiseDispute(1)).to.be.revertedWith("Only requester can dispute");
+
+      await increaseTime(disputeWindow + 1);
+      await expect(paymentEscrow.connect(requester).raiseDispute(1)).to.be.revertedWith("Dispute window closed");
+    });
+
+    it("Should only allow the arbitrator to resolve disputes", async function () {
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(requester).raiseDispute(1);
+
+      await expect(paymentEscrow.connect(requester).resolveDispute(1, false)).to.be.revertedWith("Only arbitrator can resolve");
+      await expect(paymentEscrow.resolveDispute(1, false)).to.be.revertedWith("Only arbitrator can resolve");
+    });
+
+    it("Should release immediately with no dispute possible when the window is disabled", async function () {
+      await expect(paymentEscrow.setDisputeWindow(0))
+        .to.emit(paymentEscrow, "DisputeWindowUpdated")
+        .withArgs(disputeWindow, 0);
+
+      await expect(paymentEscrow.connect(payer).fulfillPayment(1, "123456789012"))
+        .to.emit(paymentEscrow, "PaymentReleased");
+      await expect(paymentEscrow.connect(requester).raiseDispute(1)).to.be.revertedWith("Request not disputable");
+    });
+
+    it("Should validate dispute settings", async function () {
+      await expect(paymentEscrow.setDisputeWindow(8 * 24 * 60 * 60)).to.be.revertedWith("Dispute window above cap");
+      await expect(
+        paymentEscrow.setArbitrator(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Arbitrator cannot be zero");
+      await expect(
+        paymentEscrow.connect(requester).setArbitrator(requester.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        paymentEscrow.connect(requester).setDisputeWindow(0)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Request Windows", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    const hour = 60 * 60;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function createWithWindows(expiryDuration, commitmentWindow) {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      return paymentEscrow.connect(requester).createPaymentRequestWithWindows(
+        amountINR, mockDAI.address, daiAmount, expiryDuration, commitmentWindow, { value: ethFee }
+      );
+    }
+
+    async function blockTime(tx) {
+      const receipt = await tx.wait();
+      return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    }
+
+    it("Should store the chosen expiry and commitment window on the request", async function () {
+      const tx = await createWithWindows(2 * hour, 30 * 60);
+      const createdAt = await blockTime(tx);
+      await expect(tx)
+        .to.emit(paymentEscrow, "PaymentRequestCreated")
+        .withArgs(1, requester.address, amountINR, mockDAI.address, daiAmount, ethFee.sub(10000), createdAt + 2 * hour);
+
+      expect((await paymentEscrow.getPaymentRequest(1)).expiresAt).to.equal(createdAt + 2 * hour);
+      expect(await paymentEscrow.commitmentWindows(1)).to.equal(30 * 60);
+
+      const commitTx = await paymentEscrow.connect(payer).commitToPay(1);
+      const committedAt = await blockTime(commitTx);
+      await expect(commitTx)
+        .to.emit(paymentEscrow, "PaymentCommitted")
+        .withArgs(1, payer.address, committedAt + 30 * 60);
+      expect(await paymentEscrow.getCommitmentExpiry(1)).to.equal(committedAt + 30 * 60);
+    });
+
+    it("Should use the default durations when none are chosen", async function () {
+      const createdAt = await blockTime(await createWithWindows(0, 0));
+      expect((await paymentEscrow.getPaymentRequest(1)).expiresAt).to.equal(createdAt + 24 * hour);
+      expect(await paymentEscrow.commitmentWindows(1)).to.equal(5 * 60);
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      expect(await paymentEscrow.commitmentWindows(2)).to.equal(5 * 60);
+    });
+
+    it("Should reject windows outside the owner-set bounds", async function () {
+      await expect(createWithWindows(30 * 60, 0)).to.be.revertedWith("Expiry duration out of bounds");
+      await expect(createWithWindows(8 * 24 * hour, 0)).to.be.revertedWith("Expiry duration out of bounds");
+      await expect(createWithWindows(0, 60)).to.be.revertedWith("Commitment window out of bounds");
+      await expect(createWithWindows(0, 2 * hour)).to.be.revertedWith("Commitment window out of bounds");
+
+      await expect(paymentEscrow.setWindowBounds(10 * 60, 2 * 24 * hour, 60, 2 * hour))
+        .to.emit(paymentEscrow, "WindowBoundsUpdated")
+        .withArgs(10 * 60, 2 * 24 * hour, 60, 2 * hour);
+      await createWithWindows(30 * 60, 2 * hour);
+      expect(await paymentEscrow.commitmentWindows(1)).to.equal(2 * hour);
+    });
+
+    it("Should validate window bounds", async function () {
+      await expect(paymentEscrow.setWindowBounds(0, hour, 60, hour)).to.be.revertedWith("Invalid expiry bounds");
+      await expect(paymentEscrow.setWindowBounds(2 * hour, hour, 60, hour)).to.be.revertedWith("Invalid expiry bounds");
+      await expect(paymentEscrow.setWindowBounds(hour, 2 * hour, 0, hour)).to.be.revertedWith("Invalid commitment window bounds");
+      await expect(paymentEscrow.setWindowBounds(hour, 2 * hour, hour, 60)).to.be.revertedWith("Invalid commitment window bounds");
+      await expect(
+        paymentEscrow.connect(requester).setWindowBounds(hour, 2 * hour, 60, hour)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should time out commitments and list requests by their own window", async function () {
+      await createWithWindows(0, 30 * 60); // 1: long window
+      await createWithWindows(0, 0); // 2: default window
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).commitToPay(2);
+
+      await increaseTime(10 * 60);
+
+      expect(await paymentEscrow.isCommitmentTimedOut(1)).to.equal(false);
+      expect(await paymentEscrow.isCommitmentTimedOut(2)).to.equal(true);
+      expect((await paymentEscrow.getAvailableRequests()).map(request => request.requestId.toNumber())).to.deep.equal([2]);
+      expect((await paymentEscrow.getCommittedRequests()).map(request => request.requestId.toNumber())).to.deep.equal([1]);
+
+      await expect(paymentEscrow.connect(addrs[0]).commitToPay(1)).to.be.revertedWith("Commitment still active");
+      await expect(paymentEscrow.connect(payer).fulfillPayment(2, "123456789012")).to.be.revertedWith("Commitment timed out");
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+    });
+
+    it("Should let the requester extend a pending request", async function () {
+      const createdAt = await blockTime(await createWithWindows(2 * hour, 0));
+      const newExpiry = createdAt + 5 * hour;
+
+      await expect(paymentEscrow.connect(requester).extendRequestExpiry(1, newExpiry))
+        .to.emit(paymentEscrow, "RequestExpiryExtended")
+        .withArgs(1, newExpiry);
+      expect((await paymentEscrow.getPaymentRequest(1)).expiresAt).to.equal(newExpiry);
+
+      await increaseTime(3 * hour);
+      expect(await paymentEscrow.isRequestExpired(1)).to.equal(false);
+      await expect(paymentEscrow.expirePaymentRequest(1)).to.be.revertedWith("Request not yet expired");
+      await paymentEscrow.connect(payer).commitToPay(1);
+    });
+
+    it("Should validate expiry extensions", async function () {
+      const createdAt = await blockTime(await createWithWindows(2 * hour, 0));
+
+      await expect(
+        paymentEscrow.connect(payer).extendRequestExpiry(1, createdAt + 3 * hour)
+      ).to.be.revertedWith("Only requester can extend");
+      await expect(
+        paymentEscrow.connect(requester).extendRequestExpiry(1, createdAt + hour)
+      ).to.be.revertedWith("Expiry must be later");
+      await expect(
+        paymentEscrow.connect(requester).extendRequestExpiry(1, createdAt + 8 * 24 * hour)
+      ).to.be.revertedWith("Expiry beyond maximum");
+      await expect(
+        paymentEscrow.connect(requester).extendRequestExpiry(2, createdAt + 3 * hour)
+      ).to.be.revertedWith("Request does not exist");
+
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await expect(
+        paymentEscrow.connect(requester).extendRequestExpiry(1, createdAt + 3 * hour)
+      ).to.be.revertedWith("Request not pending");
+    });
+
+    it("Should not revive an expired request", async function () {
+      const createdAt = await blockTime(await createWithWindows(hour, 0));
+      await increaseTime(hour + 1);
+
+      await expect(
+        paymentEscrow.connect(requester).extendRequestExpiry(1, createdAt + 3 * hour)
+      ).to.be.revertedWith("Request expired");
+    });
+
+    it("Should give fills the commitment window of their parent", async function () {
+      await createWithWindows(0, 20 * 60);
+      await paymentEscrow.connect(requester).setRequestSplittable(1, 200);
+      await paymentEscrow.connect(payer).commitToSlice(1, 400);
+
+      expect(await paymentEscrow.commitmentWindows(2)).to.equal(20 * 60);
+      await increaseTime(10 * 60);
+      expect(await paymentEscrow.isCommitmentTimedOut(2)).to.equal(false);
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    let guardian;
+
+    async function createRequest() {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      return paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+    }
+
+    beforeEach(async function () {
+      guardian = addrs[0];
+      await expect(paymentEscrow.setGuardian(guardian.address))
+        .to.emit(paymentEscrow, "GuardianUpdated")
+        .withArgs(ethers.constants.AddressZero, guardian.address);
+    });
+
+    it("Should let the guardian pause creation and commitment", async function () {
+      await createRequest();
+      await paymentEscrow.connect(requester).setRequestSplittable(1, 200);
+
+      await expect(paymentEscrow.connect(guardian).pause())
+        .to.emit(paymentEscrow, "Paused")
+        .withArgs(guardian.address);
+      expect(await paymentEscrow.paused()).to.equal(true);
+
+      await expect(createRequest()).to.be.revertedWith("Pausable: paused");
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequestWithWindows(amountINR, mockDAI.address, daiAmount, 0, 0, { value: ethFee })
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(paymentEscrow.connect(payer).commitToPay(1)).to.be.revertedWith("Pausable: paused");
+      await expect(paymentEscrow.connect(payer).commitToSlice(1, 400)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should keep refunds and open commitments working while paused", async function () {
+      await createRequest(); // 1: cancelled while paused
+      await createRequest(); // 2: fulfilled while paused
+      await createRequest(); // 3: expired while paused
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(guardian).pause();
+
+      const requesterDAIBefore = await mockDAI.balanceOf(requester.address);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+      await paymentEscrow.connect(payer).fulfillPayment(2, "123456789012");
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.expirePaymentRequest(3);
+
+      expect((await mockDAI.balanceOf(requester.address)).sub(requesterDAIBefore)).to.equal(daiAmount.mul(2));
+      expect((await paymentEscrow.getPaymentRequest(2)).status).to.equal(2); // FULFILLED
+      await paymentEscrow.connect(requester).withdraw();
+    });
+
+    it("Should only let the owner unpause", async function () {
+      await paymentEscrow.pause();
+      await expect(paymentEscrow.connect(guardian).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(paymentEscrow.unpause())
+        .to.emit(paymentEscrow, "Unpaused")
+        .withArgs(owner.address);
+      await createRequest();
+    });
+
+    it("Should restrict pausing and guardian changes", async function () {
+      await expect(paymentEscrow.connect(requester).pause()).to.be.revertedWith("Only guardian or owner can pause");
+      await expect(
+        paymentEscrow.connect(guardian).setGuardian(requester.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await paymentEscrow.setGuardian(ethers.constants.AddressZero);
+      await expect(paymentEscrow.connect(guardian).pause()).to.be.revertedWith("Only guardian or owner can pause");
+    });
+  });
+
+  describe("Token Rescue", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const strayAmount = ethers.utils.parseUnits("25", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    let recipient;
+
+    beforeEach(async function () {
+      recipient = addrs[0];
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(2));
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      // Tokens sent straight to the escrow instead of through a request
+      await mockDAI.connect(payer).transfer(paymentEscrow.address, strayAmount);
+    });
+
+    it("Should track escrowed tokens separately from stray transfers", async function () {
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount.mul(2));
+      expect(await paymentEscrow.getRescuableTokens(mockDAI.address)).to.equal(strayAmount);
+
+      await paymentEscrow.connect(requester).setRequestSplittable(1, 200);
+      await paymentEscrow.connect(payer).commitToSlice(1, 400);
+      await paymentEscrow.connect(payer).fulfillPayment(3, "123456789012");
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount.mul(6).div(10));
+      expect(await paymentEscrow.getRescuableTokens(mockDAI.address)).to.equal(strayAmount);
+    });
+
+    it("Should rescue only the surplus", async function () {
+      await expect(
+        paymentEscrow.rescueTokens(mockDAI.address, recipient.address, strayAmount.add(1))
+      ).to.be.revertedWith("Amount exceeds surplus");
+
+      await expect(paymentEscrow.rescueTokens(mockDAI.address, recipient.address, strayAmount))
+        .to.emit(paymentEscrow, "TokensRescued")
+        .withArgs(mockDAI.address, recipient.address, strayAmount);
+      expect(await mockDAI.balanceOf(recipient.address)).to.equal(strayAmount);
+      expect(await paymentEscrow.getRescuableTokens(mockDAI.address)).to.equal(0);
+
+      // Escrowed requests still refund in full
+      await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+      expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(0);
+    });
+
+    it("Should keep disputed refunds escrowed until resolved", async function () {
+      const arbitrator = addrs[1];
+      await paymentEscrow.setDisputeWindow(60 * 60);
+      await paymentEscrow.setArbitrator(arbitrator.address);
+
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      await paymentEscrow.connect(requester).raiseDispute(1);
+      expect(await paymentEscrow.getRescuableTokens(mockDAI.address)).to.equal(strayAmount);
+
+      await paymentEscrow.connect(arbitrator).resolveDispute(1, false);
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount);
+      expect(await paymentEscrow.getRescuableTokens(mockDAI.address)).to.equal(strayAmount);
+    });
+
+    it("Should restrict rescues to the owner", async function () {
+      await expect(
+        paymentEscrow.connect(requester).rescueTokens(mockDAI.address, requester.address, strayAmount)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        paymentEscrow.rescueTokens(mockDAI.address, ethers.constants.AddressZero, strayAmount)
+      ).to.be.revertedWith("Recipient cannot be zero");
+    });
+  });
+
+  describe("Payment Cancellation", function () {
+    let requestId = 1;
+    let amountINR;
+    let daiAmount;
+    let ethFee;
+
+    beforeEach(async function () {
+      amountINR = 1000;
+      daiAmount = ethers.utils.parseUnits("100", 18);
+      ethFee = ethers.utils.parseEther("0.1");
+
+      // Create a payment request
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(
+        amountINR,
+        mockDAI.address,
+        daiAmount,
+        { value: ethFee }
+      );
+    });
+
+    it("Should cancel request and refund crypto to requester", async function () {
+      const requesterDAIBalanceBefore = await mockDAI.balanceOf(requester.address);
+
+      await expect(paymentEscrow.connect(requester).cancelPaymentRequest(requestId))
+        .to.emit(paymentEscrow, "PaymentCancelled");
+
+      // Check that DAI was refunded to requester
+      const requesterDAIBalanceAfter = await mockDAI.balanceOf(requester.address);
+      expect(requesterDAIBalanceAfter.sub(requesterDAIBalanceBefore)).to.equal(daiAmount);
+
+      // Check request status
+      const request = await paymentEscrow.getPaymentRequest(requestId);
+      expect(request.status).to.equal(3); // CANCELLED
+    });
+
+    it("Should fail if non-requester tries to cancel", async function () {
+      await expect(
+        paymentEscrow.connect(payer).cancelPaymentRequest(requestId)
+      ).to.be.revertedWith("Only requester can cancel");
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    let platformFee;
+
+    beforeEach(async function () {
+      platformFee = await paymentEscrow.platformFee();
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(10));
+      await mockDAI.connect(payer).approve(paymentEscrow.address, daiAmount.mul(10));
+    });
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    function createBatch(signer, count, payerFee = ethers.utils.parseEther("0.01")) {
+      const fees = Array(count).fill(payerFee);
+      return paymentEscrow.connect(signer).createPaymentRequests(
+        Array(count).fill(1000),
+        mockDAI.address,
+        Array(count).fill(daiAmount),
+        fees,
+        { value: platformFee.add(payerFee).mul(count) }
+      );
+    }
+
+    it("Should create a ladder of requests with their own payer fees", async function () {
+      const amounts = [500, 1000, 2000];
+      const tokenAmounts = [daiAmount.div(2), daiAmount, daiAmount.mul(2)];
+      const payerFees = [0, ethers.utils.parseEther("0.01"), ethers.utils.parseEther("0.02")];
+      const value = platformFee.mul(3).add(ethers.utils.parseEther("0.03"));
+
+      const requestIds = await paymentEscrow.connect(requester).callStatic.createPaymentRequests(
+        amounts, mockDAI.address, tokenAmounts, payerFees, { value }
+      );
+      expect(requestIds.map(id => id.toNumber())).to.deep.equal([1, 2, 3]);
+
+      const tx = await paymentEscrow.connect(requester).createPaymentRequests(
+        amounts, mockDAI.address, tokenAmounts, payerFees, { value }
+      );
+      const receipt = await tx.wait();
+      const created = receipt.events.filter(event => event.event === "PaymentRequestCreated");
+      expect(created.map(event => event.args.requestId.toNumber())).to.deep.equal([1, 2, 3]);
+      expect(created[2].args.requester).to.equal(requester.address);
+
+      for (let i = 0; i < 3; i++) {
+        const request = await paymentEscrow.getPaymentRequest(i + 1);
+        expect(request.amountINR).to.equal(amounts[i]);
+        expect(request.daiAmount).to.equal(tokenAmounts[i]);
+        expect(request.payerFee).to.equal(payerFees[i]);
+      }
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount.mul(7).div(2));
+      expect(await paymentEscrow.getPendingWithdrawal(owner.address)).to.equal(platformFee.mul(3));
+    });
+
+    it("Should revert the whole batch if any request is invalid", async function () {
+      const payerFee = ethers.utils.parseEther("0.01");
+      const value = platformFee.add(payerFee).mul(2);
+
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequests(
+          [1000, 0], mockDAI.address, [daiAmount, daiAmount], [payerFee, payerFee], { value }
+        )
+      ).to.be.revertedWith("Amount must be greater than 0");
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequests(
+          [1000, 1000], mockDAI.address, [daiAmount, daiAmount], [payerFee, payerFee], { value: value.sub(1) }
+        )
+      ).to.be.revertedWith("ETH does not match batch fees");
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequests(
+          [1000, 1000], mockDAI.address, [daiAmount], [payerFee, payerFee], { value }
+        )
+      ).to.be.revertedWith("Batch length mismatch");
+      await expect(
+        paymentEscrow.connect(requester).createPaymentRequests([], mockDAI.address, [], [])
+      ).to.be.revertedWith("Empty batch");
+
+      await paymentEscrow.pause();
+      await expect(createBatch(requester, 2)).to.be.revertedWith("Pausable: paused");
+
+      expect(await paymentEscrow.getTotalRequests()).to.equal(0);
+    });
+
+    it("Should expire eligible requests and skip the rest", async function () {
+      await createBatch(requester, 4);
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(3);
+      await increaseTime(24 * 60 * 60 + 1);
+      await createBatch(requester, 1); // 5: not expired yet
+
+      const ids = [1, 2, 3, 5, 99, 4, 1];
+      expect(await paymentEscrow.callStatic.expirePaymentRequests(ids)).to.equal(3);
+
+      const tx = await paymentEscrow.connect(addrs[0]).expirePaymentRequests(ids);
+      const receipt = await tx.wait();
+      const expired = receipt.events.filter(event => event.event === "PaymentExpired").map(event => event.args.requestId.toNumber());
+      expect(expired).to.deep.equal([1, 2, 4]);
+      await expect(tx).to.emit(paymentEscrow, "CommitmentTimedOut");
+
+      expect((await paymentEscrow.getPaymentRequest(3)).status).to.equal(3); // CANCELLED
+      expect((await paymentEscrow.getPaymentRequest(5)).status).to.equal(0); // PENDING
+      expect(await paymentEscrow.getRequestCountByStatus(4)).to.equal(3); // EXPIRED
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount);
+
+      // Nothing left to expire is not an error
+      expect(await paymentEscrow.callStatic.expirePaymentRequests([1, 2, 4])).to.equal(0);
+    });
+
+    it("Should cancel only the caller's open requests", async function () {
+      await createBatch(requester, 3);
+      await createBatch(payer, 1); // 4: someone else's
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(owner).commitToPay(3);
+      await paymentEscrow.connect(owner).fulfillPayment(3, "123456789012");
+
+      const balanceBefore = await mockDAI.balanceOf(requester.address);
+      const tx = await paymentEscrow.connect(requester).cancelPaymentRequests([1, 2, 3, 4, 99]);
+      const receipt = await tx.wait();
+      const cancelled = receipt.events.filter(event => event.event === "PaymentCancelled").map(event => event.args.requestId.toNumber());
+      expect(cancelled).to.deep.equal([1, 2]);
+
+      expect((await mockDAI.balanceOf(requester.address)).sub(balanceBefore)).to.equal(daiAmount.mul(2));
+      expect((await paymentEscrow.getPaymentRequest(3)).status).to.equal(2); // FULFILLED
+      expect((await paymentEscrow.getPaymentRequest(4)).status).to.equal(0); // PENDING
+      expect(await paymentEscrow.getPayerCommittedRequests(payer.address)).to.deep.equal([]);
+      expect(await paymentEscrow.callStatic.cancelPaymentRequests([1, 2])).to.equal(0);
+    });
+  });
+
+  describe("Request Amendments", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+    const topUp = ethers.utils.parseUnits("20", 18);
+    const ethFee = ethers.utils.parseEther("0.1");
+    let payerFee;
+
+    beforeEach(async function () {
+      payerFee = ethFee.sub(await paymentEscrow.platformFee());
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.add(topUp));
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+    });
+
+    it("Should revise the INR amount, top up tokens and raise the payer fee in place", async function () {
+      const feeIncrease = ethers.utils.parseEther("0.05");
+
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1200, topUp, { value: feeIncrease }))
+        .to.emit(paymentEscrow, "PaymentRequestAmended")
+        .withArgs(1, amountINR, 1200, daiAmount, daiAmount.add(topUp), payerFee, payerFee.add(feeIncrease));
+
+      const request = await paymentEscrow.getPaymentRequest(1);
+      expect(request.requestId).to.equal(1);
+      expect(request.status).to.equal(0); // PENDING
+      expect(request.amountINR).to.equal(1200);
+      expect(request.daiAmount).to.equal(daiAmount.add(topUp));
+      expect(request.payerFee).to.equal(payerFee.add(feeIncrease));
+      expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(daiAmount.add(topUp));
+      expect(await paymentEscrow.getTotalRequests()).to.equal(1);
+
+      // Each part can be amended on its own
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1100, 0))
+        .to.emit(paymentEscrow, "PaymentRequestAmended")
+        .withArgs(1, 1200, 1100, daiAmount.add(topUp), daiAmount.add(topUp), payerFee.add(feeIncrease), payerFee.add(feeIncrease));
+
+      // The payer settles the amended terms
+      await paymentEscrow.connect(payer).commitToPay(1);
+      const payerDAIBefore = await mockDAI.balanceOf(payer.address);
+      await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+      expect((await mockDAI.balanceOf(payer.address)).sub(payerDAIBefore)).to.equal(daiAmount.add(topUp));
+      expect(await paymentEscrow.getPendingWithdrawal(payer.address)).to.equal(payerFee.add(feeIncrease));
+    });
+
+    it("Should scale the token fee at the rate the request was created with", async function () {
+      await paymentEscrow.setPlatformFeeBps(100); // 1%, only for new requests
+      await paymentEscrow.connect(requester).amendPaymentRequest(1, amountINR, topUp);
+      expect((await paymentEscrow.getPaymentRequest(1)).platformTokenFee).to.equal(0);
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.add(topUp));
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      await paymentEscrow.setPlatformFeeBps(300);
+      await paymentEscrow.connect(requester).amendPaymentRequest(2, amountINR, topUp);
+      expect((await paymentEscrow.getPaymentRequest(2)).platformTokenFee).to.equal(daiAmount.add(topUp).div(100));
+    });
+
+    it("Should validate amendments", async function () {
+      await expect(paymentEscrow.connect(payer).amendPaymentRequest(1, 1200, 0))
+        .to.be.revertedWith("Only requester can amend");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(2, 1200, 0))
+        .to.be.revertedWith("Request does not exist");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, amountINR, 0))
+        .to.be.revertedWith("Nothing to amend");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 0, topUp))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, amountINR, ethers.utils.parseUnits("99901", 18)))
+        .to.be.revertedWith("Token amount above maximum");
+
+      await paymentEscrow.connect(requester).setRequestSplittable(1, 500);
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 500, 0))
+        .to.be.revertedWith("Minimum slice must be below request amount");
+
+      await paymentEscrow.removeSupportedToken(mockDAI.address);
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, amountINR, topUp))
+        .to.be.revertedWith("Token not supported");
+      // Without new tokens a delisted token's request can still be amended
+      await paymentEscrow.connect(requester).amendPaymentRequest(1, 1200, 0);
+
+      await paymentEscrow.pause();
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1300, 0)).to.be.revertedWith("Pausable: paused");
+      await paymentEscrow.unpause();
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1300, 0)).to.be.revertedWith("Request expired");
+    });
+
+    it("Should block amendments once a payer has committed", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1200, topUp))
+        .to.be.revertedWith("Request not pending");
+
+      // A timed-out commitment still blocks amendments, another payer can take it over at any moment
+      await ethers.provider.send("evm_increaseTime", [5 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await expect(paymentEscrow.connect(requester).amendPaymentRequest(1, 1200, 0, { value: 1 }))
+        .to.be.revertedWith("Request not pending");
+    });
+
+    describe("Races with commitToPay", function () {
+      const gasLimit = 500000;
+
+      afterEach(async function () {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      });
+
+      // Send both transactions into the same block, in this order
+      async function sameBlock(...sends) {
+        await ethers.provider.send("evm_setAutomine", [false]);
+        const txs = [];
+        for (const send of sends) {
+          txs.push(await send());
+        }
+        await ethers.provider.send("evm_mine");
+        await ethers.provider.send("evm_setAutomine", [true]);
+        return Promise.all(txs.map(tx => tx.wait().then(() => "success", () => "reverted")));
+      }
+
+      it("Should reject an amendment mined after a commitment in the same block", async function () {
+        const outcomes = await sameBlock(
+          () => paymentEscrow.connect(payer).commitToPay(1, { gasLimit }),
+          () => paymentEscrow.connect(requester).amendPaymentRequest(1, 2000, 0, { gasLimit })
+        );
+        expect(outcomes).to.deep.equal(["success", "reverted"]);
+
+        const request = await paymentEscrow.getPaymentRequest(1);
+        expect(request.status).to.equal(1); // COMMITTED
+        expect(request.amountINR).to.equal(amountINR);
+      });
+
+      it("Should commit to the amended terms when the amendment is mined first", async function () {
+        const outcomes = await sameBlock(
+          () => paymentEscrow.connect(requester).amendPaymentRequest(1, amountINR, topUp, { gasLimit }),
+          () => paymentEscrow.connect(payer).commitToPay(1, { gasLimit })
+        );
+        expect(outcomes).to.deep.equal(["success", "success"]);
+
+        const request = await paymentEscrow.getPaymentRequest(1);
+        expect(request.payer).to.equal(payer.address);
+        expect(request.daiAmount).to.equal(daiAmount.add(topUp));
+      });
+
+      it("Should let payers refuse terms that changed under them", async function () {
+        const outcomes = await sameBlock(
+          () => paymentEscrow.connect(requester).amendPaymentRequest(1, 2000, 0, { gasLimit }),
+          () => paymentEscrow.connect(payer).commitToPayWithTerms(1, amountINR, daiAmount, { gasLimit })
+        );
+        expect(outcomes).to.deep.equal(["success", "reverted"]);
+        expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+
+        await expect(paymentEscrow.connect(payer).commitToPayWithTerms(1, 1999, daiAmount))
+          .to.be.revertedWith("Request terms changed");
+        await expect(paymentEscrow.connect(payer).commitToPayWithTerms(1, 2000, daiAmount.add(1)))
+          .to.be.revertedWith("Request terms changed");
+        await expect(paymentEscrow.connect(payer).commitToPayWithTerms(1, 2000, daiAmount))
+          .to.emit(paymentEscrow, "PaymentCommitted");
+      });
+
+      it("Should let slice payers refuse terms that changed under them", async function () {
+        await paymentEscrow.connect(requester).setRequestSplittable(1, 100);
+
+        const outcomes = await sameBlock(
+          () => paymentEscrow.connect(requester).amendPaymentRequest(1, 2000, 0, { gasLimit }),
+          () => paymentEscrow.connect(payer).commitToSliceWithTerms(1, 400, amountINR, daiAmount, { gasLimit })
+        );
+        expect(outcomes).to.deep.equal(["success", "reverted"]);
+        expect(await paymentEscrow.getNextRequestId()).to.equal(2);
+
+        await expect(paymentEscrow.connect(payer).commitToSliceWithTerms(1, 333, 0, daiAmount))
+          .to.be.revertedWith("Invalid terms");
+
+        // The seen rate still holds for a slice, including rounding down its pro-rata share
+        await expect(paymentEscrow.connect(payer).commitToSliceWithTerms(1, 333, 1000, daiAmount))
+          .to.be.revertedWith("Request terms changed");
+        await expect(paymentEscrow.connect(payer).commitToSliceWithTerms(1, 333, 2000, daiAmount))
+          .to.emit(paymentEscrow, "PaymentRequestSplit")
+          .withArgs(1, 2, 333, daiAmount.mul(333).div(2000));
+        expect((await paymentEscrow.getPaymentRequest(2)).payer).to.equal(payer.address);
+
+        // Taking the whole remainder is checked the same way
+        const parent = await paymentEscrow.getPaymentRequest(1);
+        await expect(paymentEscrow.connect(payer).commitToSliceWithTerms(1, parent.amountINR, parent.amountINR, parent.daiAmount.add(1)))
+          .to.be.revertedWith("Request terms changed");
+        await paymentEscrow.connect(payer).commitToSliceWithTerms(1, parent.amountINR, parent.amountINR, parent.daiAmount);
+        expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(1); // COMMITTED
+      });
+    });
+  });
+
+  describe("Request Queries", function () {
+    it("Should get available requests correctly", async function () {
+      const amountINR = 1000;
+      const daiAmount = ethers.utils.parseUnits("100", 18);
+      const ethFee = ethers.utils.parseEther("0.1");
+
+      // Create multiple requests
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(2));
+      
+      await paymentEscrow.connect(requester).createPaymentRequest(
+        amountINR,
+        mockDAI.address,
+        daiAmount,
+        { value: ethFee }
+      );
+      
+      await paymentEscrow.connect(requester).createPaymentRequest(
+        amountINR,
+        mockDAI.address,
+        daiAmount,
+        { value: ethFee }
+      );
+
+      const availableRequests = await paymentEscrow.getAvailableRequests();
+      expect(availableRequests.length).to.equal(2);
+      expect(availableRequests[0].requestId).to.equal(1);
+      expect(availableRequests[1].requestId).to.equal(2);
+    });
+
+    it("Should get user requests correctly", async function () {
       const amountINR = 1000;
       const daiAmount = ethers.utils.parseUnits("100", 18);
       const ethFee = ethers.utils.parseEther("0.1");
@@ -253,6 +2175,7 @@ describe("PaymentEscrow", function () {
       await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
       await paymentEscrow.connect(requester).createPaymentRequest(
         amountINR,
+        mockDAI.address,
         daiAmount,
         { value: ethFee }
       );
@@ -262,4 +2185,177 @@ describe("PaymentEscrow", function () {
       expect(userRequests[0].requestId).to.equal(1);
     });
   });
+
+  describe("Paginated Queries", function () {
+    const amountINR = 1000;
+    const daiAmount = ethers.utils.parseUnits("10", 18);
+    const ethFee = ethers.utils.parseEther("0.01");
+
+    const ids = (requests) => requests.map(request => request.requestId.toNumber());
+
+    beforeEach(async function () {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(5));
+      for (let i = 0; i < 5; i++) {
+        await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      }
+    });
+
+    it("Should page through user requests with a cursor", async function () {
+      let [page, nextCursor] = await paymentEscrow.getUserRequestsPage(requester.address, 0, 2);
+      expect(ids(page)).to.deep.equal([1, 2]);
+      expect(nextCursor).to.equal(2);
+
+      [page, nextCursor] = await paymentEscrow.getUserRequestsPage(requester.address, nextCursor, 2);
+      expect(ids(page)).to.deep.equal([3, 4]);
+      expect(nextCursor).to.equal(4);
+
+      [page, nextCursor] = await paymentEscrow.getUserRequestsPage(requester.address, nextCursor, 2);
+      expect(ids(page)).to.deep.equal([5]);
+      expect(nextCursor).to.equal(0);
+
+      [page, nextCursor] = await paymentEscrow.getUserRequestsPage(requester.address, 10, 2);
+      expect(page.length).to.equal(0);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should keep status index sets in sync on every state change", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(payer).fulfillPayment(2, "123456789012");
+      await paymentEscrow.connect(requester).cancelPaymentRequest(3);
+
+      expect(await paymentEscrow.getRequestCountByStatus(0)).to.equal(2); // PENDING
+      expect(await paymentEscrow.getRequestCountByStatus(1)).to.equal(1); // COMMITTED
+      expect(await paymentEscrow.getRequestCountByStatus(2)).to.equal(1); // FULFILLED
+      expect(await paymentEscrow.getRequestCountByStatus(3)).to.equal(1); // CANCELLED
+
+      const [pending] = await paymentEscrow.getRequestsByStatus(0, 0, 10);
+      expect(ids(pending).sort()).to.deep.equal([4, 5]);
+
+      const [committed] = await paymentEscrow.getRequestsByStatus(1, 0, 10);
+      expect(ids(committed)).to.deep.equal([1]);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.expirePaymentRequest(1);
+      await paymentEscrow.expirePaymentRequest(4);
+
+      expect(await paymentEscrow.getRequestCountByStatus(1)).to.equal(0); // COMMITTED
+      expect(await paymentEscrow.getRequestCountByStatus(4)).to.equal(2); // EXPIRED
+      expect((await paymentEscrow.getPayerCommittedRequests(payer.address)).length).to.equal(0);
+    });
+
+    it("Should move payer index entries when a timed-out commitment is taken over", async function () {
+      const otherPayer = addrs[0];
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(payer).commitToPay(2);
+
+      let [payerPage, nextCursor] = await paymentEscrow.getPayerCommittedRequestsPage(payer.address, 0, 1);
+      expect(payerPage.length).to.equal(1);
+      expect(nextCursor).to.equal(1);
+
+      await ethers.provider.send("evm_increaseTime", [5 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.connect(otherPayer).commitToPay(1);
+
+      expect(ids(await paymentEscrow.getPayerCommittedRequests(payer.address))).to.deep.equal([2]);
+      expect(ids(await paymentEscrow.getPayerCommittedRequests(otherPayer.address))).to.deep.equal([1]);
+    });
+
+    it("Should not skip or repeat requests when the sets change between pages", async function () {
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount.mul(3));
+      for (let i = 0; i < 3; i++) {
+        await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+      }
+
+      let [page, nextCursor] = await paymentEscrow.getRequestsByStatus(0, 0, 3);
+      expect(ids(page)).to.deep.equal([1, 2, 3]);
+      expect(nextCursor).to.equal(3);
+
+      // Requests leave the set both before and after the cursor
+      await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+      await paymentEscrow.connect(payer).commitToPay(2);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(5);
+
+      const seen = ids(page);
+      while (!nextCursor.isZero()) {
+        [page, nextCursor] = await paymentEscrow.getRequestsByStatus(0, nextCursor, 3);
+        seen.push(...ids(page));
+      }
+      expect(seen).to.deep.equal([1, 2, 3, 4, 6, 7, 8]);
+
+      [page, nextCursor] = await paymentEscrow.getAvailableRequestsPage(0, 2);
+      expect(ids(page)).to.deep.equal([3]);
+      await paymentEscrow.connect(payer).commitToPay(3);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(4);
+      [page, nextCursor] = await paymentEscrow.getAvailableRequestsPage(nextCursor, 2);
+      expect(ids(page)).to.deep.equal([6, 7]);
+      [page, nextCursor] = await paymentEscrow.getAvailableRequestsPage(nextCursor, 2);
+      expect(ids(page)).to.deep.equal([8]);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should page a status set at a cost that does not grow with its size", async function () {
+      // Dozens of requests, slow under coverage instrumentation
+      this.timeout(10 * 60 * 1000);
+      const platformFee = await paymentEscrow.platformFee();
+      let nextId = 6;
+
+      async function createAndCancel(count) {
+        // Small batches keep each transaction light enough for coverage instrumentation
+        for (let batch = 0; batch < count; batch += 10) {
+          const size = Math.min(10, count - batch);
+          await paymentEscrow.connect(requester).createPaymentRequests(
+            Array(size).fill(amountINR), mockDAI.address, Array(size).fill(1), Array(size).fill(0), { value: platformFee.mul(size) }
+          );
+          const created = Array.from({ length: size }, (_, i) => nextId + i);
+          await paymentEscrow.connect(requester).cancelPaymentRequests(created);
+          nextId += size;
+        }
+      }
+
+      await mockDAI.connect(requester).approve(paymentEscrow.address, 70);
+      await createAndCancel(10);
+      const smallSetGas = await paymentEscrow.estimateGas.getRequestsByStatus(3, 0, 10); // CANCELLED
+      await createAndCancel(60);
+      const largeSetGas = await paymentEscrow.estimateGas.getRequestsByStatus(3, 0, 10);
+      expect(largeSetGas.sub(smallSetGas).abs()).to.be.below(smallSetGas.div(20));
+
+      // Pages run in ID order across the whole set
+      const seen = [];
+      let page;
+      let nextCursor = ethers.constants.Zero;
+      do {
+        [page, nextCursor] = await paymentEscrow.getRequestsByStatus(3, nextCursor, 32);
+        seen.push(...ids(page));
+      } while (!nextCursor.isZero());
+      expect(seen).to.deep.equal(Array.from({ length: 70 }, (_, i) => i + 6));
+    });
+
+    it("Should page available and committed requests over open requests only", async function () {
+      await paymentEscrow.connect(payer).commitToPay(1);
+      await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+
+      // Open requests are 1 (committed), 3, 4 and 5, scanned in ID order
+      let [available, nextCursor] = await paymentEscrow.getAvailableRequestsPage(0, 2);
+      expect(ids(available)).to.deep.equal([3]); // Request 1 is actively committed, so skipped
+      expect(nextCursor).to.equal(3);
+
+      [available, nextCursor] = await paymentEscrow.getAvailableRequestsPage(nextCursor, 2);
+      expect(ids(available)).to.deep.equal([4, 5]);
+      expect(nextCursor).to.equal(0);
+
+      const [committed] = await paymentEscrow.getCommittedRequestsPage(0, 10);
+      expect(ids(committed)).to.deep.equal([1]);
+
+      expect(ids(await paymentEscrow.getAvailableRequests()).sort()).to.deep.equal([3, 4, 5]);
+      expect(ids(await paymentEscrow.getCommittedRequests())).to.deep.equal([1]);
+
+      // Once the commitment times out the request shows up as available again
+      await ethers.provider.send("evm_increaseTime", [5 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      expect(ids(await paymentEscrow.getAvailableRequests()).sort()).to.deep.equal([1, 3, 4, 5]);
+      expect((await paymentEscrow.getCommittedRequests()).length).to.equal(0);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  buildDomain,
+  buildAttestation,
+  signAttestation,
+  hashAttestation,
+  recoverAttestationSigner
+} = require("../scripts/attestation");
+
+describe("UPI attestation helper", function () {
+  let attestationVerifier;
+  let verifierKey;
+  let escrow;
+  let payer;
+  let domain;
+  let fields;
+
+  beforeEach(async function () {
+    [verifierKey, escrow, payer] = await ethers.getSigners();
+
+    const UPIAttestationVerifier = await ethers.getContractFactory("UPIAttestationVerifier");
+    attestationVerifier = await UPIAttestationVerifier.deploy();
+    await attestationVerifier.deployed();
+    await attestationVerifier.setVerifier(verifierKey.address, true);
+
+    domain = buildDomain((await ethers.provider.getNetwork()).chainId, attestationVerifier.address);
+    fields = {
+      escrow: escrow.address,
+      requestId: 7,
+      payer: payer.address,
+      transactionNumber: "123456789012",
+      amountINR: 1000
+    };
+  });
+
+  it("Should compute the same digest as the verifier contract", async function () {
+    const onChain = await attestationVerifier.hashAttestation(
+      fields.escrow,
+      fields.requestId,
+      fields.payer,
+      fields.transactionNumber,
+      fields.amountINR
+    );
+    expect(hashAttestation(domain, fields)).to.equal(onChain);
+    expect(await attestationVerifier.domainSeparator()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+  });
+
+  it("Should produce signatures the verifier accepts for the attested escrow only", async function () {
+    const signature = await signAttestation(verifierKey, domain, fields);
+    expect(recoverAttestationSigner(domain, fields, signature)).to.equal(verifierKey.address);
+
+    const verify = (caller) => attestationVerifier.connect(caller).verifyAttestation(
+      fields.requestId,
+      fields.payer,
+      fields.transactionNumber,
+      fields.amountINR,
+      signature
+    );
+    expect(await verify(escrow)).to.equal(true);
+    expect(await verify(payer)).to.equal(false);
+  });
+
+  it("Should reject malformed transaction numbers", function () {
+    expect(() => buildAttestation({ ...fields, transactionNumber: "12345" })).to.throw("exactly 12 digits");
+    expect(() => buildAttestation({ ...fields, transactionNumber: "12345678901a" })).to.throw("exactly 12 digits");
+    expect(buildAttestation({ ...fields, requestId: ethers.BigNumber.from(7) }).requestId).to.equal("7");
+  });
+});
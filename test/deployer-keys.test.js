@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { loadEnv } = require("../scripts/env");
+const { loadDeployerWallet, promptHidden, DEFAULT_DERIVATION_PATH } = require("../scripts/keys");
+const { startDryRun, finishDryRun, printDryRunReport } = require("../scripts/dry-run");
+const { getNetworkByChainId } = require("../networks");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+// Well-known Hardhat test mnemonic, never used for real funds
+const MNEMONIC = "test test test test test test test test test test test junk";
+
+describe("Deployer keys", function () {
+  let dir;
+  let wallet;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployer-keys-test-"));
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should load .env without overriding the environment", function () {
+    const file = path.join(dir, ".env");
+    fs.writeFileSync(file, [
+      "# comment",
+      "ENV_TEST_KEY=0xabc # trailing comment",
+      "export ENV_TEST_QUOTED=\"two words\"",
+      "ENV_TEST_SET=from-file",
+      ""
+    ].join("\n"));
+    process.env.ENV_TEST_SET = "from-env";
+
+    try {
+      expect(loadEnv(file)).to.deep.equal(["ENV_TEST_KEY", "ENV_TEST_QUOTED"]);
+      expect(process.env.ENV_TEST_KEY).to.equal("0xabc");
+      expect(process.env.ENV_TEST_QUOTED).to.equal("two words");
+      expect(process.env.ENV_TEST_SET).to.equal("from-env");
+      expect(loadEnv(path.join(dir, "missing.env"))).to.deep.equal([]);
+    } finally {
+      delete process.env.ENV_TEST_KEY;
+      delete process.env.ENV_TEST_QUOTED;
+      delete process.env.ENV_TEST_SET;
+    }
+  });
+
+  it("Should use PRIVATE_KEY from the environment", async function () {
+    const { wallet: loaded, source } = await loadDeployerWallet({}, { PRIVATE_KEY: wallet.privateKey });
+    expect(loaded.address).to.equal(wallet.address);
+    expect(source).to.equal("PRIVATE_KEY");
+
+    const error = await loadDeployerWallet({}, { PRIVATE_KEY: "your_private_key_here" }).catch(err => err);
+    expect(error.message).to.equal("PRIVATE_KEY must be 0x followed by 64 hex characters");
+  });
+
+  it("Should derive the key from MNEMONIC at the derivation path", async function () {
+    const first = await loadDeployerWallet({}, { MNEMONIC });
+    expect(first.wallet.address).to.equal(ethers.Wallet.fromMnemonic(MNEMONIC, DEFAULT_DERIVATION_PATH).address);
+    expect(first.source).to.equal(`MNEMONIC at ${DEFAULT_DERIVATION_PATH}`);
+
+    const second = await loadDeployerWallet({ derivationPath: "m/44'/60'/0'/0/1" }, { MNEMONIC });
+    expect(second.wallet.address).to.equal((await ethers.getSigners())[1].address);
+
+    const fromEnv = await loadDeployerWallet({}, { MNEMONIC, DERIVATION_PATH: "m/44'/60'/0'/0/1" });
+    expect(fromEnv.wallet.address).to.equal(second.wallet.address);
+
+    const error = await loadDeployerWallet({}, { MNEMONIC: "not a mnemonic" }).catch(err => err);
+    expect(error.message).to.equal("MNEMONIC is not a valid BIP-39 mnemonic");
+  });
+
+  it("Should unlock a keystore with KEYSTORE_PASSWORD or a prompt", async function () {
+    const keystore = path.join(dir, "deployer.json");
+    fs.writeFileSync(keystore, await wallet.encrypt("correct horse", { scrypt: { N: 1024 } }));
+
+    const fromEnv = await loadDeployerWallet({ keystore }, { KEYSTORE_PASSWORD: "correct horse" });
+    expect(fromEnv.wallet.address).to.equal(wallet.address);
+
+    const questions = [];
+    const prompt = async question => {
+      questions.push(question);
+      return "correct horse";
+    };
+    const prompted = await loadDeployerWallet({ keystore }, {}, prompt);
+    expect(prompted.wallet.address).to.equal(wallet.address);
+    expect(questions).to.deep.equal([`Password for ${keystore}: `]);
+
+    const error = await loadDeployerWallet({ keystore }, { KEYSTORE_PASSWORD: "wrong" }).catch(err => err);
+    expect(error.message).to.include(`Could not unlock keystore ${keystore}`);
+  });
+
+  it("Should refuse missing or ambiguous keys", async function () {
+    const missing = await loadDeployerWallet({}, {}).catch(err => err);
+    expect(missing.message).to.include("No deployer key configured");
+
+    const ambiguous = await loadDeployerWallet({}, { PRIVATE_KEY: wallet.privateKey, MNEMONIC }).catch(err => err);
+    expect(ambiguous.message).to.equal("Several deployer keys configured (PRIVATE_KEY, MNEMONIC); keep only one");
+  });
+
+  it("Should not echo prompted passwords", async function () {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let echoed = "";
+    output.on("data", chunk => {
+      echoed += chunk.toString();
+    });
+
+    const answer = promptHidden("Password: ", input, output);
+    input.write("hunter2\r");
+    expect(await answer).to.equal("hunter2");
+    expect(echoed).to.include("Password: ");
+    expect(echoed).to.not.include("hunter2");
+  });
+});
+
+describe("Deployment dry run", function () {
+  it("Should report the transactions it sent and undo them", async function () {
+    const [deployer, guardian] = await ethers.getSigners();
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const dryRun = await startDryRun(1337, getNetworkByChainId(1337), deployer.address);
+    const paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero, dryRun.signer);
+    await (await paymentEscrow.setGuardian(guardian.address)).wait();
+    const report = await finishDryRun(dryRun);
+
+    expect(report.transactions.map(tx => tx.description)).to.deep.equal([
+      "Deploy PaymentEscrowExtension",
+      "Deploy PaymentEscrow implementation",
+      "Deploy ProxyAdmin",
+      "Deploy PaymentEscrow proxy",
+      `PaymentEscrow.setGuardian(${guardian.address})`
+    ]);
+    expect(report.totalGas).to.equal(report.transactions.reduce((sum, tx) => sum.add(tx.gasUsed), ethers.BigNumber.from(0)));
+    expect(report.totalCost).to.equal(report.totalGas.mul(report.gasPrice));
+    expect(report.sufficient).to.equal(true);
+
+    // Nothing the dry run sent is left on the chain
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await ethers.provider.getCode(paymentEscrow.address)).to.equal("0x");
+
+    const lines = [];
+    printDryRunReport(report, line => lines.push(line));
+    expect(lines.join("\n")).to.include("Total: 5 transactions");
+    expect(lines.join("\n")).to.include("nothing was broadcast");
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const {
+  getRegistryPath,
+  loadRegistry,
+  getDeployment,
+  recordDeployment,
+  updateDeployment,
+  getPaymentEscrow
+} = require("../scripts/deployments");
+const { describeContract, getDeployedContract } = require("../scripts/deployments-hardhat");
+const { getNetworkByChainId } = require("../networks");
+const { deployPaymentEscrow, getPaymentEscrowAbi } = require("../scripts/escrow");
+
+describe("Deployment registry", function () {
+  let dir;
+
+  function deployment(address) {
+    return { timestamp: new Date().toISOString(), contracts: { PaymentEscrow: { address } } };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-test-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should look up networks by chain ID", function () {
+    expect(getNetworkByChainId(84532)).to.include({ name: "base-sepolia", url: "https://sepolia.base.org", live: true });
+    expect(getNetworkByChainId("8453").name).to.equal("base");
+    expect(getNetworkByChainId(1)).to.equal(null);
+    expect(getRegistryPath(1337, dir)).to.equal(path.join(dir, "localhost.json"));
+    expect(() => getRegistryPath(1, dir)).to.throw("Unsupported chain ID 1");
+  });
+
+  it("Should keep replaced deployments newest first", function () {
+    expect(loadRegistry(84532, undefined, dir)).to.equal(null);
+    expect(() => getDeployment(84532, undefined, dir)).to.throw("No deployment recorded for chain ID 84532");
+
+    const first = ethers.Wallet.createRandom().address;
+    const second = ethers.Wallet.createRandom().address;
+    const third = ethers.Wallet.createRandom().address;
+    recordDeployment(84532, deployment(first), dir);
+    recordDeployment(84532, deployment(second), dir);
+    const registryPath = recordDeployment(84532, deployment(third), dir);
+
+    const registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+    expect(registryPath).to.equal(path.join(dir, "base-sepolia.json"));
+    expect(registry.network).to.equal("base-sepolia");
+    expect(registry.chainId).to.equal(84532);
+    expect(registry.current.contracts.PaymentEscrow.address).to.equal(third);
+    expect(registry.previous.map(entry => entry.contracts.PaymentEscrow.address)).to.deep.equal([second, first]);
+  });
+
+  it("Should update the current deployment in place", function () {
+    recordDeployment(8453, deployment(ethers.constants.AddressZero), dir);
+    const current = getDeployment(8453, undefined, dir);
+    current.implementationHistory = [{ implementation: ethers.constants.AddressZero }];
+    updateDeployment(8453, current, undefined, dir);
+
+    const registry = loadRegistry(8453, undefined, dir);
+    expect(registry.current.implementationHistory).to.have.lengthOf(1);
+    expect(registry.previous).to.deep.equal([]);
+  });
+
+  it("Should read a deployment file from before the registry", function () {
+    const legacyPath = path.join(dir, "deployment-84532-1700000000000.json");
+    const legacy = { network: "base-sepolia", chainId: 84532, ...deployment(ethers.constants.AddressZero) };
+    fs.writeFileSync(legacyPath, JSON.stringify(legacy));
+
+    expect(getDeployment(84532, legacyPath, dir)).to.deep.equal(legacy);
+
+    updateDeployment(84532, getDeployment(84532, legacyPath, dir), legacyPath, dir);
+    expect(getDeployment(84532, undefined, dir)).to.deep.equal(legacy);
+  });
+
+  it("Should load the registry and the off-chain services without Hardhat", function () {
+    const script = [
+      "for (const file of ['deployments', 'keeper', 'indexer', 'notifier']) require('./scripts/' + file);",
+      "const hardhat = require.resolve('hardhat').split('node_modules')[0] + 'node_modules/hardhat/';",
+      "console.log(Object.keys(require.cache).some(file => file.startsWith(hardhat)));"
+    ].join("\n");
+    const output = execFileSync(process.execPath, ["-e", script], { cwd: path.join(__dirname, "..") }).toString();
+    expect(output.trim()).to.equal("false");
+  });
+
+  it("Should connect to recorded contracts", async function () {
+    const [owner] = await ethers.getSigners();
+    const paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    const mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    const escrowRecord = await describeContract(paymentEscrow, "TransparentUpgradeableProxy", [], await getPaymentEscrowAbi());
+    expect(escrowRecord.blockNumber).to.equal((await paymentEscrow.deployTransaction.wait()).blockNumber);
+    expect(escrowRecord.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    recordDeployment(1337, {
+      contracts: {
+        PaymentEscrow: escrowRecord,
+        MockDAI: await describeContract(mockDAI, "MockDAI")
+      }
+    }, dir);
+
+    const loaded = await getPaymentEscrow(1337, owner, { dir });
+    expect(loaded.address).to.equal(paymentEscrow.address);
+    expect(await loaded.owner()).to.equal(owner.address);
+    expect(await loaded.getNextRequestId()).to.equal(1);
+
+    const loadedDAI = await getDeployedContract(1337, "MockDAI", ethers.provider, { dir });
+    expect(await loadedDAI.symbol()).to.equal(await mockDAI.symbol());
+    const error = await getDeployedContract(1337, "EscrowForwarder", ethers.provider, { dir }).catch(err => err);
+    expect(error.message).to.include("has no EscrowForwarder");
+  });
+});
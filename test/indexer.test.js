@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EscrowIndexer, JsonStore } = require("../scripts/indexer");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+describe("EscrowIndexer", function () {
+  let paymentEscrow;
+  let mockDAI;
+  let requester;
+  let payer;
+  let storePath;
+  let startBlock;
+
+  const amountINR = 1000;
+  const daiAmount = ethers.utils.parseUnits("100", 18);
+  const ethFee = ethers.utils.parseEther("0.1");
+
+  async function createRequest() {
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+  }
+
+  async function newIndexer() {
+    return new EscrowIndexer(paymentEscrow, new JsonStore(storePath), {
+      startBlock,
+      confirmations: 0
+    }).init();
+  }
+
+  beforeEach(async function () {
+    [, requester, payer] = await ethers.getSigners();
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+    startBlock = (await paymentEscrow.deployTransaction.wait()).blockNumber;
+
+    await mockDAI.connect(requester).faucet();
+
+    storePath = path.join(os.tmpdir(), `indexer-store-test-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) {
+      fs.unlinkSync(storePath);
+    }
+  });
+
+  it("Should rebuild request status from escrow events", async function () {
+    await createRequest(); // 1: fulfilled
+    await createRequest(); // 2: cancelled
+    await createRequest(); // 3: committed
+    await createRequest(); // 4: pending
+
+    await paymentEscrow.connect(payer).commitToPay(1);
+    await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+    await paymentEscrow.connect(requester).cancelPaymentRequest(2);
+    await paymentEscrow.connect(payer).commitToPay(3);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRequest(1).status).to.equal("FULFILLED");
+    expect(indexer.getRequest(1).transactionNumber).to.equal("123456789012");
+    expect(indexer.getRequest(2).status).to.equal("CANCELLED");
+    expect(indexer.getRequest(3).status).to.equal("COMMITTED");
+    expect(indexer.getRequest(3).payer).to.equal(payer.address);
+    expect(indexer.getRequest(4).status).to.equal("PENDING");
+    expect(indexer.getRequest(4).daiAmount).to.equal(daiAmount.toString());
+
+    expect(indexer.getRequests({ status: "PENDING" }).length).to.equal(1);
+    expect(indexer.getRequests({ payer: payer.address }).length).to.equal(2);
+    expect(indexer.getRequests({ requester: requester.address }).length).to.equal(4);
+  });
+
+  it("Should index expired requests", async function () {
+    await createRequest();
+
+    await network.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+    await paymentEscrow.expirePaymentRequest(1);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRequest(1).status).to.equal("EXPIRED");
+  });
+
+  it("Should track expiry extensions", async function () {
+    await createRequest();
+    const expiresAt = (await paymentEscrow.getPaymentRequest(1)).expiresAt.add(60 * 60);
+    await paymentEscrow.connect(requester).extendRequestExpiry(1, expiresAt);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRequest(1).expiresAt).to.equal(expiresAt.toNumber());
+    expect(indexer.getRequest(1).status).to.equal("PENDING");
+  });
+
+  it("Should track amendments", async function () {
+    await createRequest();
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    await paymentEscrow.connect(requester).amendPaymentRequest(1, 1200, daiAmount, { value: 5 });
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRequest(1)).to.include({
+      status: "PENDING",
+      amountINR: "1200",
+      daiAmount: daiAmount.mul(2).toString(),
+      payerFee: ethFee.sub(await paymentEscrow.platformFee()).add(5).toString()
+    });
+  });
+
+  it("Should index disputes and their resolution", async function () {
+    const arbitrator = (await ethers.getSigners())[3];
+    await paymentEscrow.setDisputeWindow(60 * 60);
+    await paymentEscrow.setArbitrator(arbitrator.address);
+
+    await createRequest();
+    await paymentEscrow.connect(payer).commitToPay(1);
+    await paymentEscrow.connect(payer).fulfillPayment(1, "123456789012");
+    await paymentEscrow.connect(requester).raiseDispute(1);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+    expect(indexer.getRequest(1).status).to.equal("DISPUTED");
+
+    await paymentEscrow.connect(arbitrator).resolveDispute(1, false);
+    await indexer.sync();
+    expect(indexer.getRequest(1).status).to.equal("REFUNDED");
+  });
+
+  it("Should index partial fills against their parent request", async function () {
+    await createRequest();
+    await paymentEscrow.connect(requester).setRequestSplittable(1, 200);
+    await paymentEscrow.connect(payer).commitToSlice(1, 400);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRequest(2).parentRequestId).to.equal("1");
+    expect(indexer.getRequest(2).status).to.equal("COMMITTED");
+    expect(indexer.getRequest(2).amountINR).to.equal("400");
+    expect(indexer.getRequest(1).amountINR).to.equal("600");
+    expect(indexer.getRequest(1).daiAmount).to.equal(daiAmount.mul(6).div(10).toString());
+    expect(indexer.getRequest(1).status).to.equal("PENDING");
+  });
+
+  it("Should resume from the last processed block", async function () {
+    await createRequest();
+
+    const indexer = await newIndexer();
+    expect(await indexer.sync()).to.equal(1);
+    const lastBlock = indexer.state.lastBlock;
+
+    await paymentEscrow.connect(payer).commitToPay(1);
+
+    const resumed = await newIndexer();
+    expect(resumed.state.lastBlock).to.equal(lastBlock);
+    expect(await resumed.sync()).to.equal(1); // Only the new commitment
+    expect(resumed.getRequest(1).status).to.equal("COMMITTED");
+    expect(resumed.state.events.length).to.equal(2);
+  });
+
+  it("Should leave unconfirmed blocks for a later sync", async function () {
+    await createRequest();
+
+    const indexer = await new EscrowIndexer(paymentEscrow, new JsonStore(storePath), {
+      startBlock,
+      confirmations: 2
+    }).init();
+    await indexer.sync();
+    expect(indexer.getRequest(1)).to.equal(null);
+
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    await indexer.sync();
+    expect(indexer.getRequest(1).status).to.equal("PENDING");
+  });
+
+  it("Should rewind indexed state after a reorg", async function () {
+    await createRequest();
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    // Fork the chain: commit on one branch, then replace it with a cancellation
+    const snapshot = await network.provider.send("evm_snapshot");
+    await paymentEscrow.connect(payer).commitToPay(1);
+    await indexer.sync();
+    expect(indexer.getRequest(1).status).to.equal("COMMITTED");
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+
+    await indexer.sync();
+    expect(indexer.getRequest(1).status).to.equal("CANCELLED");
+    expect(indexer.getRequest(1).payer).to.equal(null);
+    expect(indexer.state.events.map(event => event.name)).to.deep.equal([
+      "PaymentRequestCreated",
+      "PaymentCancelled"
+    ]);
+  });
+});
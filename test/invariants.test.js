@@ -0,0 +1,423 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fc = require("fast-check");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+// Random action sequences per property; raise FUZZ_RUNS for a longer soak, replay a failure with FUZZ_SEED
+const NUM_RUNS = parseInt(process.env.FUZZ_RUNS || "20");
+const SEED = process.env.FUZZ_SEED ? parseInt(process.env.FUZZ_SEED) : undefined;
+
+// Mirrors PaymentEscrow.PaymentStatus
+const PENDING = 0;
+const COMMITTED = 1;
+const FULFILLED = 2;
+const CANCELLED = 3;
+const EXPIRED = 4;
+const DISPUTED = 5;
+const REFUNDED = 6;
+
+// Statuses a request may move to from each status in a single step (staying put is always allowed)
+const ALLOWED_TRANSITIONS = {
+  [PENDING]: [COMMITTED, CANCELLED, EXPIRED],
+  [COMMITTED]: [PENDING, FULFILLED, CANCELLED, EXPIRED], // PENDING when a timed-out commitment is released
+  [FULFILLED]: [DISPUTED],
+  [CANCELLED]: [],
+  [EXPIRED]: [],
+  [DISPUTED]: [FULFILLED, REFUNDED],
+  [REFUNDED]: []
+};
+
+const commitmentBond = ethers.utils.parseEther("0.001");
+
+/**
+ * Actions the fuzzer strings together. Actors and requests are picked by index, so any sequence is valid
+ * input; actions the escrow refuses simply revert and must leave the invariants intact.
+ */
+const actionArbitrary = fc.oneof(
+  {
+    weight: 3,
+    arbitrary: fc.record({
+      type: fc.constant("create"),
+      requester: fc.nat(1),
+      amountINR: fc.integer({ min: 1, max: 100000 }),
+      tokens: fc.integer({ min: 1, max: 500 }),
+      payerFeeMilli: fc.nat(5),
+      expiryHours: fc.integer({ min: 1, max: 3 }),
+      windowMinutes: fc.integer({ min: 5, max: 15 })
+    })
+  },
+  { weight: 3, arbitrary: fc.record({ type: fc.constant("commit"), payer: fc.nat(2), request: fc.nat() }) },
+  {
+    weight: 3,
+    arbitrary: fc.record({
+      type: fc.constant("fulfill"),
+      // Mostly the committed payer (null), sometimes someone else
+      payer: fc.oneof({ weight: 3, arbitrary: fc.constant(null) }, { weight: 1, arbitrary: fc.nat(2) }),
+      request: fc.nat(),
+      reuseUtr: fc.oneof({ weight: 4, arbitrary: fc.constant(false) }, { weight: 1, arbitrary: fc.constant(true) })
+    })
+  },
+  { weight: 1, arbitrary: fc.record({ type: fc.constant("cancel"), byRequester: fc.boolean(), request: fc.nat() }) },
+  {
+    weight: 1,
+    arbitrary: fc.record({
+      type: fc.constant("amend"),
+      byRequester: fc.boolean(),
+      request: fc.nat(),
+      amountINR: fc.integer({ min: 1, max: 100000 }),
+      tokens: fc.nat(50),
+      payerFeeMilli: fc.nat(3)
+    })
+  },
+  { weight: 2, arbitrary: fc.record({ type: fc.constant("expire"), request: fc.nat() }) },
+  { weight: 1, arbitrary: fc.record({ type: fc.constant("release"), request: fc.nat() }) },
+  { weight: 1, arbitrary: fc.record({ type: fc.constant("withdraw"), account: fc.nat(5) }) },
+  {
+    weight: 2,
+    arbitrary: fc.record({
+      type: fc.constant("warp"),
+      // Mostly within a commitment window, sometimes past it or past the request expiry
+      seconds: fc.oneof(
+        { weight: 2, arbitrary: fc.integer({ min: 1, max: 5 * 60 }) },
+        { weight: 1, arbitrary: fc.integer({ min: 5 * 60, max: 4 * 60 * 60 }) }
+      )
+    })
+  }
+);
+
+describe("PaymentEscrow invariants", function () {
+  let paymentEscrow;
+  let mockDAI;
+  let owner;
+  let requesters;
+  let payers;
+  let snapshot;
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    requesters = signers.slice(1, 3);
+    payers = signers.slice(3, 6);
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("1000", 18));
+    await paymentEscrow.setPlatformFeeBps(100);
+    await paymentEscrow.setCommitmentLimits(0, commitmentBond);
+
+    for (const requester of requesters) {
+      await mockDAI.mint(requester.address, ethers.utils.parseUnits("1000000", 18));
+      await mockDAI.connect(requester).approve(paymentEscrow.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  beforeEach(async function () {
+    snapshot = await network.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshot]);
+  });
+
+  /**
+   * Every request as stored on-chain, by ID
+   */
+  async function readRequests() {
+    const requests = new Map();
+    const nextRequestId = (await paymentEscrow.getNextRequestId()).toNumber();
+    for (let requestId = 1; requestId < nextRequestId; requestId++) {
+      requests.set(requestId, await paymentEscrow.paymentRequests(requestId));
+    }
+    return requests;
+  }
+
+  /**
+   * Conservation of funds and consistency of the counters against the stored requests
+   */
+  async function checkFunds(requests) {
+    let heldTokens = ethers.BigNumber.from(0);
+    let heldEth = ethers.BigNumber.from(0);
+    const counts = Object.keys(ALLOWED_TRANSITIONS).map(() => 0);
+
+    for (const [requestId, request] of requests) {
+      counts[request.status]++;
+      const holdsFunds = request.status === PENDING || request.status === COMMITTED || request.status === DISPUTED ||
+        (request.status === FULFILLED && !request.disputeDeadline.isZero());
+      if (holdsFunds) {
+        heldTokens = heldTokens.add(request.daiAmount);
+        heldEth = heldEth.add(request.payerFee);
+      }
+      heldEth = heldEth.add(await paymentEscrow.commitmentBonds(requestId));
+    }
+
+    // DAI: exactly the deposits of requests that have not settled
+    expect(await mockDAI.balanceOf(paymentEscrow.address)).to.equal(heldTokens);
+    expect(await paymentEscrow.escrowedTokens(mockDAI.address)).to.equal(heldTokens);
+
+    // ETH: open payer fees, live commitment bonds and everything credited but not yet withdrawn
+    let credited = ethers.BigNumber.from(0);
+    for (const account of [owner, ...requesters, ...payers]) {
+      credited = credited.add(await paymentEscrow.getPendingWithdrawal(account.address));
+    }
+    expect(await paymentEscrow.totalPendingWithdrawals()).to.equal(credited);
+    expect(await ethers.provider.getBalance(paymentEscrow.address)).to.equal(heldEth.add(credited));
+
+    for (let status = 0; status < counts.length; status++) {
+      expect(await paymentEscrow.getRequestCountByStatus(status)).to.equal(counts[status]);
+    }
+    expect(await paymentEscrow.getTotalRequests()).to.equal(requests.size);
+  }
+
+  function checkTransitions(before, after) {
+    for (const [requestId, request] of before) {
+      const next = after.get(requestId);
+      expect(next, `request ${requestId} disappeared`).to.not.equal(undefined);
+      if (next.status !== request.status) {
+        expect(ALLOWED_TRANSITIONS[request.status], `request ${requestId}: ${request.status} -> ${next.status}`)
+          .to.include(next.status);
+      }
+    }
+    for (const [requestId, request] of after) {
+      if (!before.has(requestId)) {
+        expect(request.status, `new request ${requestId}`).to.equal(PENDING);
+      }
+    }
+  }
+
+  /**
+   * Send one fuzzed action; reverts are expected and ignored
+   */
+  async function perform(action, state) {
+    const ids = [...state.requests.keys()];
+    const pickRequest = () => (ids.length > 0 ? ids[action.request % ids.length] : 1);
+
+    let tx;
+    switch (action.type) {
+      case "create": {
+        const platformFee = await paymentEscrow.platformFee();
+        const payerFee = ethers.utils.parseEther("0.001").mul(action.payerFeeMilli);
+        tx = () => paymentEscrow.connect(requesters[action.requester]).createPaymentRequestWithWindows(
+          action.amountINR,
+          mockDAI.address,
+          ethers.utils.parseUnits(String(action.tokens), 18),
+          action.expiryHours * 60 * 60,
+          action.windowMinutes * 60,
+          { value: platformFee.add(payerFee) }
+        );
+        break;
+      }
+      case "commit":
+        tx = () => paymentEscrow.connect(payers[action.payer]).commitToPay(pickRequest(), { value: commitmentBond });
+        break;
+      case "fulfill": {
+        const requestId = pickRequest();
+        const request = state.requests.get(requestId);
+        const payer = action.payer === null && request
+          ? payers.find(signer => signer.address === request.payer) || payers[0]
+          : payers[action.payer || 0];
+        const utr = action.reuseUtr && state.utrs.length > 0
+          ? state.utrs[0]
+          : String(100000000000 + state.utrs.length + state.attempts++);
+        tx = async () => {
+          const sent = await paymentEscrow.connect(payer).fulfillPayment(requestId, utr);
+          state.utrs.push(utr);
+          return sent;
+        };
+        break;
+      }
+      case "cancel": {
+        const requestId = pickRequest();
+        const request = state.requests.get(requestId);
+        const requester = action.byRequester && request
+          ? requesters.find(signer => signer.address === request.requester)
+          : payers[0];
+        tx = () => paymentEscrow.connect(requester).cancelPaymentRequest(requestId);
+        break;
+      }
+      case "amend": {
+        const requestId = pickRequest();
+        const request = state.requests.get(requestId);
+        const requester = action.byRequester && request
+          ? requesters.find(signer => signer.address === request.requester)
+          : payers[0];
+        tx = () => paymentEscrow.connect(requester).amendPaymentRequest(
+          requestId,
+          action.amountINR,
+          ethers.utils.parseUnits(String(action.tokens), 18),
+          { value: ethers.utils.parseEther("0.001").mul(action.payerFeeMilli) }
+        );
+        break;
+      }
+      case "expire":
+        tx = () => paymentEscrow.connect(payers[0]).expirePaymentRequest(pickRequest());
+        break;
+      case "release":
+        tx = () => paymentEscrow.connect(payers[0]).releaseTimedOutCommitments([pickRequest()]);
+        break;
+      case "withdraw":
+        tx = () => paymentEscrow.connect([owner, ...requesters, ...payers][action.account]).withdraw();
+        break;
+      case "warp":
+        await network.provider.send("evm_increaseTime", [action.seconds]);
+        await network.provider.send("evm_mine");
+        return;
+    }
+
+    try {
+      await (await tx()).wait();
+    } catch (error) {
+      // Refused by the escrow (wrong status, wrong sender, timed out, reused UTR, ...)
+    }
+  }
+
+  it("Should conserve funds and only make valid status transitions under random actions", async function () {
+    this.timeout(0);
+
+    await fc.assert(
+      fc.asyncProperty(fc.array(actionArbitrary, { minLength: 5, maxLength: 30 }), async actions => {
+        const runSnapshot = await network.provider.send("evm_snapshot", []);
+        const state = { requests: new Map(), utrs: [], attempts: 0 };
+        try {
+          for (const action of actions) {
+            await perform(action, state);
+            const requests = await readRequests();
+            checkTransitions(state.requests, requests);
+            await checkFunds(requests);
+            state.requests = requests;
+          }
+        } finally {
+          await network.provider.send("evm_revert", [runSnapshot]);
+        }
+      }),
+      { numRuns: NUM_RUNS, seed: SEED }
+    );
+  });
+
+  it("Should never settle a UTR twice or pay out a request twice", async function () {
+    this.timeout(0);
+
+    await fc.assert(
+      fc.asyncProperty(fc.array(actionArbitrary, { minLength: 5, maxLength: 30 }), async actions => {
+        const runSnapshot = await network.provider.send("evm_snapshot", []);
+        const fromBlock = await ethers.provider.getBlockNumber();
+        const state = { requests: new Map(), utrs: [], attempts: 0 };
+        try {
+          for (const action of actions) {
+            await perform(action, state);
+            state.requests = await readRequests();
+          }
+
+          const settlements = await paymentEscrow.queryFilter("*", fromBlock + 1);
+          const payouts = new Map();
+          const utrs = new Set();
+          for (const event of settlements) {
+            if (["PaymentFulfilled", "PaymentCancelled", "PaymentExpired"].includes(event.event)) {
+              const requestId = event.args.requestId.toNumber();
+              expect(payouts.has(requestId), `request ${requestId} settled twice`).to.equal(false);
+              payouts.set(requestId, event.event);
+            }
+            if (event.event === "PaymentFulfilled") {
+              expect(utrs.has(event.args.transactionNumber), `UTR ${event.args.transactionNumber} reused`).to.equal(false);
+              utrs.add(event.args.transactionNumber);
+            }
+          }
+        } finally {
+          await network.provider.send("evm_revert", [runSnapshot]);
+        }
+      }),
+      { numRuns: NUM_RUNS, seed: SEED }
+    );
+  });
+
+  describe("Getter edge cases", function () {
+    const daiAmount = ethers.utils.parseUnits("100", 18);
+
+    async function createRequest(requester = requesters[0]) {
+      await paymentEscrow.connect(requester).createPaymentRequest(1000, mockDAI.address, daiAmount, {
+        value: await paymentEscrow.platformFee()
+      });
+    }
+
+    it("Should reject lookups of request 0 and unknown IDs", async function () {
+      await createRequest();
+      const nextRequestId = await paymentEscrow.getNextRequestId();
+
+      for (const requestId of [0, nextRequestId]) {
+        await expect(paymentEscrow.getPaymentRequest(requestId)).to.be.revertedWith("Request does not exist");
+        await expect(paymentEscrow.isRequestExpired(requestId)).to.be.revertedWith("Request does not exist");
+        await expect(paymentEscrow.isCommitmentTimedOut(requestId)).to.be.revertedWith("Request does not exist");
+        await expect(paymentEscrow.getCommitmentExpiry(requestId)).to.be.revertedWith("Request does not exist");
+      }
+      expect(await paymentEscrow.getRequestFills(nextRequestId)).to.deep.equal([]);
+    });
+
+    it("Should return empty pages with no requests, past the end and for a zero limit", async function () {
+      const empty = await paymentEscrow.getRequestsByStatus(PENDING, 0, 10);
+      expect(empty.requests).to.deep.equal([]);
+      expect(empty.nextCursor).to.equal(0);
+      expect((await paymentEscrow.getAvailableRequestsPage(0, 10)).available).to.deep.equal([]);
+      expect(await paymentEscrow.getAvailableRequests()).to.deep.equal([]);
+
+      await createRequest();
+      await createRequest();
+      await createRequest();
+
+      const all = await paymentEscrow.getUserRequestsPage(requesters[0].address, 0, 100);
+      expect(all.requests.length).to.equal(3);
+      expect(all.nextCursor).to.equal(0);
+
+      const pastEnd = await paymentEscrow.getUserRequestsPage(requesters[0].address, 5, 10);
+      expect(pastEnd.requests).to.deep.equal([]);
+      expect(pastEnd.nextCursor).to.equal(0);
+
+      const noLimit = await paymentEscrow.getRequestsByStatus(PENDING, 0, 0);
+      expect(noLimit.requests).to.deep.equal([]);
+
+      const lastPage = await paymentEscrow.getRequestsByStatus(PENDING, 2, 1);
+      expect(lastPage.requests.map(request => request.requestId.toNumber())).to.deep.equal([3]);
+      expect(lastPage.nextCursor).to.equal(0);
+    });
+
+    it("Should treat a request as expired only after its expiry second", async function () {
+      await createRequest();
+      const { expiresAt } = await paymentEscrow.getPaymentRequest(1);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [expiresAt.toNumber()]);
+      await network.provider.send("evm_mine");
+      expect(await paymentEscrow.isRequestExpired(1)).to.equal(false);
+      expect((await paymentEscrow.getAvailableRequests()).length).to.equal(1);
+
+      await network.provider.send("evm_mine");
+      expect(await paymentEscrow.isRequestExpired(1)).to.equal(true);
+      expect(await paymentEscrow.getAvailableRequests()).to.deep.equal([]);
+    });
+
+    it("Should report commitment expiry and timeouts only for committed requests", async function () {
+      await createRequest();
+      await expect(paymentEscrow.getCommitmentExpiry(1)).to.be.revertedWith("Request not committed");
+      expect(await paymentEscrow.isCommitmentTimedOut(1)).to.equal(false);
+
+      await paymentEscrow.connect(payers[0]).commitToPay(1, { value: commitmentBond });
+      const commitmentExpiry = await paymentEscrow.getCommitmentExpiry(1);
+      expect(await paymentEscrow.isCommitmentTimedOut(1)).to.equal(false);
+      expect((await paymentEscrow.getCommittedRequestsPage(0, 10)).committed.length).to.equal(1);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [commitmentExpiry.toNumber() + 1]);
+      await network.provider.send("evm_mine");
+      expect(await paymentEscrow.isCommitmentTimedOut(1)).to.equal(true);
+      // Timed out: back in the available list, no longer an active commitment, still the payer's until taken over
+      expect((await paymentEscrow.getAvailableRequests()).length).to.equal(1);
+      expect((await paymentEscrow.getCommittedRequestsPage(0, 10)).committed).to.deep.equal([]);
+      expect((await paymentEscrow.getPayerCommittedRequestsPage(payers[0].address, 0, 10)).requests.length).to.equal(1);
+
+      await paymentEscrow.connect(payers[1]).commitToPay(1, { value: commitmentBond });
+      expect((await paymentEscrow.getPayerCommittedRequestsPage(payers[0].address, 0, 10)).requests).to.deep.equal([]);
+      expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(payers[1].address);
+      // The first payer's bond went to the requester
+      expect(await paymentEscrow.getPendingWithdrawal(requesters[0].address)).to.equal(commitmentBond);
+    });
+  });
+});
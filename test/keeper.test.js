@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Keeper } = require("../scripts/keeper");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+describe("Keeper", function () {
+  let paymentEscrow;
+  let mockDAI;
+  let keeperSigner;
+  let requester;
+  let payer;
+  let logs;
+
+  const amountINR = 1000;
+  const daiAmount = ethers.utils.parseUnits("100", 18);
+  const ethFee = ethers.utils.parseEther("0.1");
+
+  async function createRequest() {
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+  }
+
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+
+  function newKeeper(options = {}) {
+    return new Keeper(paymentEscrow, keeperSigner, { logger: entry => logs.push(entry), ...options });
+  }
+
+  beforeEach(async function () {
+    [keeperSigner, requester, payer] = await ethers.getSigners();
+    logs = [];
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+
+    await mockDAI.connect(requester).faucet();
+  });
+
+  it("Should expire exactly the requests past their expiry", async function () {
+    await createRequest(); // 1: pending, expires
+    await createRequest(); // 2: committed, expires
+    await createRequest(); // 3: cancelled before expiry
+    await paymentEscrow.connect(payer).commitToPay(2);
+    await paymentEscrow.connect(requester).cancelPaymentRequest(3);
+
+    await increaseTime(12 * 60 * 60);
+    await createRequest(); // 4: created later, still live after the warp below
+
+    await increaseTime(12 * 60 * 60 + 1);
+
+    const requesterDAIBefore = await mockDAI.balanceOf(requester.address);
+    const results = await newKeeper().runOnce();
+
+    expect(results.map(result => result.action)).to.deep.equal(["expired", "expired"]);
+    expect(results.map(result => result.requestId)).to.deep.equal([1, 2]);
+
+    expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(4); // EXPIRED
+    expect((await paymentEscrow.getPaymentRequest(2)).status).to.equal(4); // EXPIRED
+    expect((await paymentEscrow.getPaymentRequest(3)).status).to.equal(3); // CANCELLED
+    expect((await paymentEscrow.getPaymentRequest(4)).status).to.equal(0); // PENDING
+
+    const requesterDAIAfter = await mockDAI.balanceOf(requester.address);
+    expect(requesterDAIAfter.sub(requesterDAIBefore)).to.equal(daiAmount.mul(2));
+  });
+
+  it("Should do nothing before any request expires", async function () {
+    await createRequest();
+    await increaseTime(60 * 60);
+
+    const results = await newKeeper().runOnce();
+    expect(results).to.deep.equal([]);
+    expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+  });
+
+  it("Should not resend expiries on the next round", async function () {
+    await createRequest();
+    await increaseTime(24 * 60 * 60 + 1);
+
+    const keeper = newKeeper();
+    expect((await keeper.runOnce()).length).to.equal(1);
+    expect(await keeper.runOnce()).to.deep.equal([]);
+  });
+
+  it("Should expire every due request in one batch transaction", async function () {
+    for (let i = 0; i < 3; i++) {
+      await createRequest();
+    }
+    await increaseTime(24 * 60 * 60 + 1);
+
+    const nonceBefore = await keeperSigner.getTransactionCount();
+    const results = await newKeeper().runOnce();
+
+    expect(results.map(result => result.action)).to.deep.equal(["expired", "expired", "expired"]);
+    expect(new Set(results.map(result => result.txHash)).size).to.equal(1);
+    expect(await keeperSigner.getTransactionCount()).to.equal(nonceBefore + 1);
+    expect(logs.filter(entry => entry.action === "expire_sent")[0].requestIds).to.deep.equal([1, 2, 3]);
+  });
+
+  it("Should page through open requests and cap each round", async function () {
+    for (let i = 0; i < 5; i++) {
+      await createRequest();
+    }
+    await paymentEscrow.connect(payer).commitToPay(2);
+    await increaseTime(24 * 60 * 60 + 1);
+
+    const keeper = newKeeper({ pageSize: 2, maxPerRound: 3 });
+    expect(await keeper.findExpiredRequests()).to.deep.equal([1, 2, 3, 4, 5]);
+
+    expect((await keeper.runOnce()).map(result => result.requestId)).to.deep.equal([1, 2, 3]);
+    expect((await keeper.runOnce()).map(result => result.requestId)).to.deep.equal([4, 5]);
+    expect(await paymentEscrow.getRequestCountByStatus(4)).to.equal(5); // EXPIRED
+  });
+
+  it("Should release timed-out commitments after expiring due requests", async function () {
+    await createRequest(); // 1: pending, expires
+    await increaseTime(12 * 60 * 60);
+    await createRequest(); // 2: committed, times out before expiry
+    await createRequest(); // 3: committed, still active
+    await paymentEscrow.connect(payer).commitToPay(2);
+    await increaseTime(12 * 60 * 60 + 1);
+    await paymentEscrow.connect(payer).commitToPay(3);
+
+    const keeper = newKeeper();
+    expect(await keeper.scan()).to.deep.equal({ expired: [1], timedOut: [2] });
+
+    const results = await keeper.runOnce();
+    expect(results.map(result => [result.action, result.requestId])).to.deep.equal([["expired", 1], ["released", 2]]);
+    expect(logs.filter(entry => entry.action === "release_sent")[0].requestIds).to.deep.equal([2]);
+
+    expect((await paymentEscrow.getPaymentRequest(2)).status).to.equal(0); // PENDING
+    expect((await paymentEscrow.getPayerStats(payer.address)).timeouts).to.equal(1);
+    expect(await keeper.runOnce()).to.deep.equal([]);
+  });
+
+  it("Should skip the round when gas price is above the cap", async function () {
+    await createRequest();
+    await increaseTime(24 * 60 * 60 + 1);
+
+    const results = await newKeeper({ maxGasPrice: 1 }).runOnce();
+
+    expect(results).to.deep.equal([]);
+    expect(logs[0].action).to.equal("skip_round");
+    expect(logs[0].reason).to.equal("gas_price_above_cap");
+    expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Outbox, WebhookNotifier, signPayload, verifySignature } = require("../scripts/notifier");
+const { WebhookReceiver } = require("../scripts/webhook-receiver");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+const { PaymentEscrowClient } = require("../sdk");
+
+describe("WebhookNotifier", function () {
+  const secret = "test-webhook-secret";
+  const amountINR = 1000;
+  const daiAmount = ethers.utils.parseUnits("100", 18);
+  const ethFee = ethers.utils.parseEther("0.1");
+
+  let paymentEscrow;
+  let mockDAI;
+  let requester;
+  let payer;
+  let receiver;
+  let outboxPath;
+  let startBlock;
+  let clock;
+
+  async function createRequest() {
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+  }
+
+  function newNotifier(options = {}) {
+    return new WebhookNotifier(new PaymentEscrowClient(paymentEscrow.address, ethers.provider), new Outbox(outboxPath), {
+      webhooks: [receiver.url],
+      secret,
+      startBlock,
+      confirmations: 0,
+      retryDelay: 1000,
+      now: () => clock,
+      logger: () => {},
+      ...options
+    }).init();
+  }
+
+  beforeEach(async function () {
+    [, requester, payer] = await ethers.getSigners();
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+    startBlock = (await paymentEscrow.deployTransaction.wait()).blockNumber;
+
+    await mockDAI.connect(requester).faucet();
+
+    receiver = new WebhookReceiver({ secret, logger: () => {} });
+    await receiver.listen(0);
+
+    outboxPath = path.join(os.tmpdir(), `notifier-outbox-test-${Date.now()}.json`);
+    clock = Date.now();
+  });
+
+  afterEach(async function () {
+    await receiver.close();
+    for (const file of [outboxPath, `${outboxPath}.tmp`]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  it("Should post signed lifecycle events once they are confirmed", async function () {
+    await createRequest();
+    await paymentEscrow.connect(payer).commitToPay(1);
+    await network.provider.send("evm_mine");
+
+    // The commitment is only one block deep
+    const notifier = await newNotifier({ confirmations: 2 });
+    expect(await notifier.runOnce()).to.deep.equal({ queued: 1, delivered: 1, retrying: 0, failed: 0 });
+    expect(receiver.deliveries.map(delivery => delivery.event)).to.deep.equal(["PaymentRequestCreated"]);
+
+    await network.provider.send("evm_mine");
+    await notifier.runOnce();
+
+    expect(receiver.deliveries.map(delivery => delivery.event)).to.deep.equal(["PaymentRequestCreated", "PaymentCommitted"]);
+    const committed = receiver.deliveries[1];
+    expect(committed.args).to.include({ requestId: 1, payer: payer.address });
+    expect(committed.contract).to.equal(paymentEscrow.address);
+    expect(committed.chainId).to.equal(network.config.chainId);
+    expect(committed.id).to.equal(`${committed.transactionHash}:${committed.logIndex}`);
+    expect(receiver.rejected).to.equal(0);
+  });
+
+  it("Should deliver events as new blocks arrive while watching", async function () {
+    const notifier = await newNotifier();
+    const stop = notifier.watch(60 * 60 * 1000);
+
+    try {
+      await createRequest();
+      ethers.provider.emit("block", await ethers.provider.getBlockNumber());
+      for (let i = 0; i < 100 && receiver.deliveries.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    } finally {
+      await stop();
+    }
+
+    expect(receiver.deliveries.map(delivery => delivery.event)).to.deep.equal(["PaymentRequestCreated"]);
+    expect(ethers.provider.listenerCount("block")).to.equal(0);
+  });
+
+  it("Should retry failed deliveries with backoff and give up after maxAttempts", async function () {
+    await createRequest();
+    receiver.failNext = 2;
+
+    const notifier = await newNotifier({ maxAttempts: 4 });
+    expect(await notifier.runOnce()).to.include({ queued: 1, retrying: 1 });
+    expect(notifier.getPending()[0]).to.include({ attempts: 1, nextAttemptAt: clock + 1000, lastError: "HTTP 500" });
+
+    // Not due yet
+    expect(await notifier.deliver()).to.include({ retrying: 0 });
+    clock += 1000;
+    expect(await notifier.deliver()).to.include({ retrying: 1 });
+    expect(notifier.getPending()[0].nextAttemptAt).to.equal(clock + 2000);
+    clock += 2000;
+    expect(await notifier.deliver()).to.include({ delivered: 1 });
+    expect(receiver.deliveries).to.have.length(1);
+
+    // An endpoint that never answers runs out of attempts
+    const unreachable = await newNotifier({ webhooks: ["http://127.0.0.1:9"], maxAttempts: 2, retryDelay: 1, timeout: 1000 });
+    await paymentEscrow.connect(requester).cancelPaymentRequest(1);
+    await unreachable.poll();
+    await unreachable.deliver();
+    clock += 1;
+    expect(await unreachable.deliver()).to.include({ failed: 1 });
+    expect(unreachable.getFailed()).to.have.length(1);
+    expect(unreachable.getFailed()[0]).to.include({ event: "PaymentCancelled", attempts: 2 });
+  });
+
+  it("Should keep queued events across restarts without delivering twice", async function () {
+    await createRequest();
+    await createRequest();
+    receiver.failNext = 2;
+
+    const first = await newNotifier();
+    await first.runOnce();
+    expect(first.getPending()).to.have.length(2);
+
+    // A new process picks up the outbox and delivers what the first one could not
+    clock += 1000;
+    const restarted = await newNotifier();
+    expect(restarted.state.lastBlock).to.equal(first.state.lastBlock);
+    expect(await restarted.runOnce()).to.include({ queued: 0, delivered: 2 });
+
+    // Rescanning the same blocks does not queue the same logs again
+    restarted.state.lastBlock = startBlock - 1;
+    expect(await restarted.runOnce()).to.deep.equal({ queued: 0, delivered: 0, retrying: 0, failed: 0 });
+    expect(receiver.deliveries.map(delivery => delivery.args.requestId)).to.deep.equal([1, 2]);
+
+    const other = new WebhookNotifier(new PaymentEscrowClient(mockDAI.address, ethers.provider), new Outbox(outboxPath), {
+      webhooks: [receiver.url],
+      secret
+    });
+    const error = await other.init().catch(err => err);
+    expect(error.message).to.include("belongs to");
+  });
+
+  it("Should sign deliveries so receivers can reject forgeries and replays", async function () {
+    const body = JSON.stringify({ id: "0xabc:0" });
+    const now = 1700000000;
+    const signature = signPayload(secret, now, body);
+
+    expect(verifySignature(secret, now, body, signature, { now })).to.equal(true);
+    expect(verifySignature("other-secret", now, body, signature, { now })).to.equal(false);
+    expect(verifySignature(secret, now, body.replace("0", "1"), signature, { now })).to.equal(false);
+    expect(verifySignature(secret, now, body, signature, { now: now + 301 })).to.equal(false);
+
+    const response = await fetch(receiver.url, {
+      method: "POST",
+      headers: { "X-Escrow-Timestamp": String(now), "X-Escrow-Signature": signature },
+      body
+    });
+    expect(response.status).to.equal(401);
+    expect(receiver.rejected).to.equal(1);
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { Relayer } = require("../scripts/relayer");
+const { signEscrowCall } = require("../scripts/forwarder");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+describe("Relayer", function () {
+  let paymentEscrow;
+  let forwarder;
+  let mockDAI;
+  let relayerSigner;
+  let requester;
+  let gaslessPayer;
+  let relayer;
+  let baseUrl;
+
+  const amountINR = 1000;
+  const daiAmount = ethers.utils.parseUnits("100", 18);
+  const ethFee = ethers.utils.parseEther("0.1");
+
+  async function post(body) {
+    const response = await fetch(`${baseUrl}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async function () {
+    [relayerSigner, requester] = await ethers.getSigners();
+    gaslessPayer = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    const EscrowForwarder = await ethers.getContractFactory("EscrowForwarder");
+    forwarder = await EscrowForwarder.deploy();
+    await forwarder.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(forwarder.address);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+
+    await mockDAI.connect(requester).faucet();
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+    relayer = new Relayer(forwarder, relayerSigner, {
+      allowedTargets: [paymentEscrow.address],
+      logger: () => {}
+    });
+    const server = await relayer.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await relayer.close();
+  });
+
+  it("Should relay a signed commitment over HTTP", async function () {
+    const payload = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+
+    const { status, body } = await post(payload);
+    expect(status).to.equal(200);
+    expect(body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    expect((await paymentEscrow.getPaymentRequest(1)).payer).to.equal(gaslessPayer.address);
+
+    const nonce = await (await fetch(`${baseUrl}/nonce/${gaslessPayer.address}`)).json();
+    expect(nonce).to.deep.equal({ nonce: "1" });
+  });
+
+  it("Should reject replayed and forged payloads without sending a transaction", async function () {
+    const payload = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+    await post(payload);
+
+    const nonceBefore = await relayerSigner.getTransactionCount();
+
+    const replay = await post(payload);
+    expect(replay.status).to.equal(400);
+    expect(replay.body.error).to.equal("Invalid signature, nonce or deadline");
+
+    const forged = await post({ ...payload, request: { ...payload.request, from: requester.address } });
+    expect(forged.status).to.equal(400);
+
+    expect(await relayerSigner.getTransactionCount()).to.equal(nonceBefore);
+  });
+
+  it("Should only relay calls to the escrow", async function () {
+    const payload = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+    const { status, body } = await post({ ...payload, request: { ...payload.request, to: mockDAI.address } });
+
+    expect(status).to.equal(400);
+    expect(body.error).to.include("is not relayed");
+  });
+
+  it("Should return the escrow revert reason", async function () {
+    const payload = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "fulfillPayment", [1, "123456789012"]);
+    const { status, body } = await post(payload);
+
+    expect(status).to.equal(422);
+    expect(body.error).to.include("Request not committed");
+  });
+
+  it("Should only pay gas for commit and fulfil calls", async function () {
+    const nonceBefore = await relayerSigner.getTransactionCount();
+
+    for (const [method, args] of [
+      ["cancelPaymentRequest", [1]],
+      ["amendPaymentRequest", [1, 1200, 0]],
+      ["expirePaymentRequests", [[1]]]
+    ]) {
+      const payload = await signEscrowCall(requester, forwarder, paymentEscrow, method, args);
+      const { status, body } = await post(payload);
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Only commit and fulfil calls are relayed");
+    }
+
+    const withValue = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1], { value: 1 });
+    expect((await post(withValue)).body.error).to.equal("The escrow takes no commitment bond, the call cannot carry ETH");
+
+    expect(await relayerSigner.getTransactionCount()).to.equal(nonceBefore);
+  });
+
+  describe("Commitment bonds", function () {
+    const commitmentBond = ethers.utils.parseEther("0.01");
+
+    beforeEach(async function () {
+      await paymentEscrow.setCommitmentLimits(0, commitmentBond);
+    });
+
+    it("Should refuse relayed commits while the escrow takes a bond and sponsoring is off", async function () {
+      const payload = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+      const { status, body } = await post(payload);
+
+      expect(status).to.equal(400);
+      expect(body.error).to.include(`commitment bond of ${commitmentBond.toString()} wei`);
+      expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(0); // PENDING
+    });
+
+    it("Should send a sponsored bond with the commit and return it to the relayer on fulfilment", async function () {
+      relayer.sponsorBonds = true;
+      // The relayer account is also the deployer, so it already holds the platform fee as fee recipient
+      const relayerCreditBefore = await paymentEscrow.getPendingWithdrawal(relayerSigner.address);
+
+      const unsigned = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1]);
+      expect((await post(unsigned)).body.error).to.include(`value of ${commitmentBond.toString()} wei`);
+
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1], { value: commitmentBond });
+      expect((await post(commit)).status).to.equal(200);
+      expect(await paymentEscrow.commitmentBonds(1)).to.equal(commitmentBond);
+      expect(await paymentEscrow.bondSponsors(1)).to.equal(relayerSigner.address);
+      expect(await ethers.provider.getBalance(gaslessPayer.address)).to.equal(0);
+
+      const fulfil = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "fulfillPayment", [1, "123456789012"]);
+      expect((await post(fulfil)).status).to.equal(200);
+      expect(await paymentEscrow.bondSponsors(1)).to.equal(ethers.constants.AddressZero);
+
+      // The payer keeps only the payer fee; the bond goes back to the relayer that paid it
+      expect(await paymentEscrow.getPendingWithdrawal(gaslessPayer.address)).to.equal(ethFee.sub(await paymentEscrow.platformFee()));
+      expect(await paymentEscrow.getPendingWithdrawal(relayerSigner.address)).to.equal(relayerCreditBefore.add(commitmentBond));
+      await expect(paymentEscrow.connect(relayerSigner).withdraw())
+        .to.emit(paymentEscrow, "Withdrawn")
+        .withArgs(relayerSigner.address, relayerCreditBefore.add(commitmentBond));
+    });
+
+    it("Should return a sponsored bond to the relayer when the request expires within the commitment", async function () {
+      relayer.sponsorBonds = true;
+      const relayerCreditBefore = await paymentEscrow.getPendingWithdrawal(relayerSigner.address);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 - 60]);
+      await ethers.provider.send("evm_mine");
+
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1], { value: commitmentBond });
+      expect((await post(commit)).status).to.equal(200);
+
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.connect(requester).expirePaymentRequest(1);
+
+      expect(await paymentEscrow.getPendingWithdrawal(gaslessPayer.address)).to.equal(0);
+      expect(await paymentEscrow.getPendingWithdrawal(relayerSigner.address)).to.equal(relayerCreditBefore.add(commitmentBond));
+      expect((await paymentEscrow.getPayerStats(gaslessPayer.address)).timeouts).to.equal(0);
+    });
+
+    it("Should not sponsor bonds for payers who let a commitment time out", async function () {
+      relayer.sponsorBonds = true;
+      await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+      await paymentEscrow.connect(requester).createPaymentRequest(amountINR, mockDAI.address, daiAmount, { value: ethFee });
+
+      const commit = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [1], { value: commitmentBond });
+      expect((await post(commit)).status).to.equal(200);
+
+      // Time out and get taken over, forfeiting the sponsored bond
+      await ethers.provider.send("evm_increaseTime", [5 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await paymentEscrow.commitToPay(1, { value: commitmentBond });
+
+      const next = await signEscrowCall(gaslessPayer, forwarder, paymentEscrow, "commitToPay", [2], { value: commitmentBond });
+      const { status, body } = await post(next);
+      expect(status).to.equal(403);
+      expect(body.error).to.equal("Bonds are not sponsored for payers with timed-out commitments");
+    });
+  });
+});
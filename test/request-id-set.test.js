@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RequestIdSet", function () {
+  let set;
+
+  // Largest ID the tests use is below this, like nextRequestId bounds the escrow's sets
+  const end = 300000;
+
+  async function walk(from = 0) {
+    const found = [];
+    for (let id = (await set.next(from, end)).toNumber(); id !== 0; id = (await set.next(id, end)).toNumber()) {
+      found.push(id);
+    }
+    return found;
+  }
+
+  beforeEach(async function () {
+    const MockRequestIdSet = await ethers.getContractFactory("MockRequestIdSet");
+    set = await MockRequestIdSet.deploy();
+    await set.deployed();
+  });
+
+  it("Should add and remove IDs once", async function () {
+    expect(await set.callStatic.add(7)).to.equal(true);
+    await set.add(7);
+    expect(await set.callStatic.add(7)).to.equal(false);
+    expect(await set.contains(7)).to.equal(true);
+    expect(await set.length()).to.equal(1);
+
+    expect(await set.callStatic.remove(8)).to.equal(false);
+    await set.remove(7);
+    expect(await set.callStatic.remove(7)).to.equal(false);
+    expect(await set.contains(7)).to.equal(false);
+    expect(await set.length()).to.equal(0);
+    expect(await set.next(0, end)).to.equal(0);
+  });
+
+  it("Should find IDs in order across words and summary words", async function () {
+    // Word edges at multiples of 256, summary edges at multiples of 65,536
+    const ids = [1, 255, 256, 511, 65535, 65536, 65537, 200000, end - 1];
+    for (const id of [...ids].reverse()) {
+      await set.add(id);
+    }
+
+    expect(await walk()).to.deep.equal(ids);
+    expect(await walk(256)).to.deep.equal(ids.slice(3));
+    expect(await walk(65000)).to.deep.equal(ids.slice(4));
+    expect(await walk(65536)).to.deep.equal(ids.slice(6));
+
+    // Emptied words and summary words are skipped
+    await set.remove(65535);
+    await set.remove(65536);
+    await set.remove(65537);
+    expect(await walk(511)).to.deep.equal([200000, end - 1]);
+    await set.remove(200000);
+    expect(await walk(511)).to.deep.equal([end - 1]);
+  });
+
+  it("Should stop searching at the end bound", async function () {
+    await set.add(70000);
+    await set.add(200000);
+
+    expect(await set.next(0, 70001)).to.equal(70000);
+    expect(await set.next(70000, 70001)).to.equal(0);
+    expect(await set.next(70000, end)).to.equal(200000);
+    expect(await set.next(ethers.constants.MaxUint256, end)).to.equal(0);
+  });
+
+  it("Should match a plain set under random adds and removes", async function () {
+    const model = new Set();
+    let seed = 42;
+    const random = (max) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % max;
+    };
+
+    for (let i = 0; i < 120; i++) {
+      // Mostly IDs close together, now and then one far off
+      const id = 1 + (random(8) === 0 ? random(end - 1) : random(1000));
+      if (model.has(id)) {
+        await set.remove(id);
+        model.delete(id);
+      } else {
+        await set.add(id);
+        model.add(id);
+      }
+    }
+
+    expect(await set.length()).to.equal(model.size);
+    expect(await walk()).to.deep.equal([...model].sort((a, b) => a - b));
+  });
+});
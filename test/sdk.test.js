@@ -0,0 +1,295 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deployPaymentEscrow, getPaymentEscrowAbi } = require("../scripts/escrow");
+const {
+  PaymentEscrowClient,
+  PAYMENT_ESCROW_ABI,
+  EscrowError,
+  RequestNotFoundError,
+  UnauthorizedError,
+  InvalidStateError,
+  PausedError,
+  getRevertReason,
+  toEscrowError
+} = require("../sdk");
+
+describe("PaymentEscrowClient", function () {
+  let paymentEscrow;
+  let mockDAI;
+  let owner;
+  let requester;
+  let payer;
+  let requesterClient;
+  let payerClient;
+
+  const amountINR = 1000;
+  const daiAmount = ethers.utils.parseUnits("100", 18);
+
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+
+  function createRequest(params = {}) {
+    return requesterClient.createRequest({ amountINR, token: mockDAI.address, tokenAmount: daiAmount, ...params });
+  }
+
+  beforeEach(async function () {
+    [owner, requester, payer] = await ethers.getSigners();
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+
+    await mockDAI.connect(requester).faucet();
+
+    requesterClient = new PaymentEscrowClient(paymentEscrow.address, requester);
+    payerClient = requesterClient.connect(payer);
+  });
+
+  it("Should ship the current PaymentEscrow ABI", async function () {
+    // Written by the compile task, so tests always run against the ABI of the contracts they deploy
+    expect(PAYMENT_ESCROW_ABI).to.deep.equal(JSON.parse(JSON.stringify(await getPaymentEscrowAbi())));
+  });
+
+  it("Should approve the deposit and create a request", async function () {
+    const first = await createRequest({ payerFee: ethers.utils.parseEther("0.01") });
+    expect(first.requestId).to.equal(1);
+    expect(first.approvalTransactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(first.events.map(event => event.name)).to.include("PaymentRequestCreated");
+
+    const request = await requesterClient.getPaymentRequest(1);
+    expect(request).to.include({
+      requestId: 1,
+      status: "PENDING",
+      requester: requester.address,
+      payer: null,
+      amountINR: "1000",
+      tokenAmount: "100.0",
+      tokenAmountRaw: daiAmount.toString(),
+      payerFee: "0.01",
+      committedAt: null,
+      expiresAt: first.expiresAt,
+      transactionNumber: null
+    });
+    expect(request.token).to.deep.equal({ address: mockDAI.address, symbol: "DAI", decimals: 18 });
+
+    // An existing allowance is reused
+    await mockDAI.connect(requester).approve(paymentEscrow.address, daiAmount);
+    const second = await createRequest({ expiryDuration: 2 * 60 * 60 });
+    expect(second.approvalTransactionHash).to.equal(null);
+    expect(second.expiresAt - (await requesterClient.getPaymentRequest(2)).createdAt).to.equal(2 * 60 * 60);
+  });
+
+  it("Should commit, fulfil and page through requests", async function () {
+    await createRequest();
+    await createRequest();
+    expect(await payerClient.getRequestCountByStatus("PENDING")).to.equal(2);
+
+    const { commitmentExpiry } = await payerClient.commit(1);
+    expect(await payerClient.getCommitmentExpiry(1)).to.equal(commitmentExpiry);
+    expect((await payerClient.getPaymentRequest(1)).payer).to.equal(payer.address);
+
+    const available = await payerClient.getAvailableRequests();
+    expect(available.requests.map(request => request.requestId)).to.deep.equal([2]);
+    expect(available.nextCursor).to.equal(0);
+    const committed = await payerClient.getPayerCommittedRequests(payer.address);
+    expect(committed.requests.map(request => request.status)).to.deep.equal(["COMMITTED"]);
+
+    const page = await requesterClient.getUserRequests(requester.address, { limit: 1 });
+    expect(page.requests.map(request => request.requestId)).to.deep.equal([1]);
+    expect(page.nextCursor).to.not.equal(0);
+
+    const payerDAIBefore = await mockDAI.balanceOf(payer.address);
+    const fulfilled = await payerClient.fulfill(1, "123456789012");
+    expect(fulfilled.events.map(event => event.name)).to.include("PaymentFulfilled");
+    expect(await mockDAI.balanceOf(payer.address)).to.equal(payerDAIBefore.add(daiAmount));
+
+    const request = await payerClient.getPaymentRequest(1);
+    expect(request.status).to.equal("FULFILLED");
+    expect(request.transactionNumber).to.equal("123456789012");
+    expect(await payerClient.getPayerStats(payer.address)).to.deep.equal({
+      commits: 1,
+      fulfilments: 1,
+      timeouts: 0,
+      activeCommitments: 0
+    });
+    expect((await payerClient.getRequestsByStatus("FULFILLED")).requests).to.have.length(1);
+  });
+
+  it("Should commit to slices, including the whole remainder", async function () {
+    await createRequest();
+    await requesterClient.setSplittable(1, 200);
+
+    const slice = await payerClient.commitToSlice(1, 400, { maxAmountINR: amountINR, minTokenAmount: daiAmount });
+    expect(slice.fillRequestId).to.equal(2);
+    expect(await payerClient.getPaymentRequest(2)).to.include({ status: "COMMITTED", amountINR: "400", payer: payer.address });
+    expect((await payerClient.getRequestFills(1)).map(request => request.requestId)).to.deep.equal([2]);
+
+    const remainder = await payerClient.commitToSlice(1, 600);
+    expect(remainder.fillRequestId).to.equal(1);
+    expect(remainder.events.map(event => event.name)).to.not.include("PaymentRequestSplit");
+    expect(await payerClient.getPaymentRequest(1)).to.include({ status: "COMMITTED", amountINR: "600", payer: payer.address });
+  });
+
+  it("Should cancel and expire requests", async function () {
+    await createRequest();
+    await createRequest();
+
+    await requesterClient.cancel(1);
+    expect((await requesterClient.getPaymentRequest(1)).status).to.equal("CANCELLED");
+
+    await increaseTime(24 * 60 * 60 + 1);
+    expect(await payerClient.isRequestExpired(2)).to.equal(true);
+    await payerClient.expire(2);
+    expect((await requesterClient.getPaymentRequest(2)).status).to.equal("EXPIRED");
+    expect(await requesterClient.getTotalRequests()).to.equal(2);
+  });
+
+  it("Should create, cancel, release and expire requests in batches", async function () {
+    const created = await requesterClient.createRequests(mockDAI.address, [
+      { amountINR: 500, tokenAmount: daiAmount.div(2) },
+      { amountINR, tokenAmount: daiAmount, payerFee: ethers.utils.parseEther("0.01") },
+      { amountINR, tokenAmount: daiAmount }
+    ]);
+    expect(created.requestIds).to.deep.equal([1, 2, 3]);
+    expect(created.approvalTransactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect((await requesterClient.getPaymentRequest(2)).payerFee).to.equal("0.01");
+
+    await payerClient.commit(2);
+    await payerClient.commit(3);
+    const cancelled = await requesterClient.cancelRequests([1, 99]);
+    expect(cancelled.requestIds).to.deep.equal([1]);
+
+    await increaseTime(5 * 60 + 1);
+    const released = await requesterClient.releaseTimedOutCommitments([2, 99]);
+    expect(released.requestIds).to.deep.equal([2]);
+    expect((await requesterClient.getPaymentRequest(2)).status).to.equal("PENDING");
+
+    await increaseTime(24 * 60 * 60 + 1);
+    const expired = await payerClient.expireRequests([1, 2, 3]);
+    expect(expired.requestIds).to.deep.equal([2, 3]);
+    expect(expired.events.map(event => event.name)).to.include("CommitmentTimedOut");
+  });
+
+  it("Should amend requests and commit only at the agreed terms", async function () {
+    await createRequest();
+    const seen = await payerClient.getPaymentRequest(1);
+
+    const amended = await requesterClient.amend(1, {
+      amountINR: 1100,
+      tokenTopUp: daiAmount.div(10),
+      payerFeeIncrease: ethers.utils.parseEther("0.01")
+    });
+    expect(amended.approvalTransactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(amended).to.include({ requestId: 1, oldAmountINR: "1000", newAmountINR: "1100" });
+    expect(amended.newTokenAmount).to.equal(daiAmount.add(daiAmount.div(10)).toString());
+
+    // Leaving amountINR out keeps it
+    await requesterClient.amend(1, { payerFeeIncrease: 1 });
+    expect((await requesterClient.getPaymentRequest(1)).amountINR).to.equal("1100");
+
+    const changed = await payerClient.commit(1, { maxAmountINR: seen.amountINR, minTokenAmount: seen.tokenAmountRaw }).catch(err => err);
+    expect(changed).to.be.instanceOf(InvalidStateError);
+    expect(changed.code).to.equal("REQUEST_TERMS_CHANGED");
+
+    await payerClient.commit(1, { maxAmountINR: 1100, minTokenAmount: seen.tokenAmountRaw });
+    const locked = await requesterClient.amend(1, { amountINR: 1200 }).catch(err => err);
+    expect(locked.code).to.equal("REQUEST_NOT_PENDING");
+  });
+
+  it("Should read escrow settings and tokens", async function () {
+    const config = await requesterClient.getConfig();
+    expect(config.owner).to.equal(owner.address);
+    expect(config.paused).to.equal(false);
+    expect(config.platformFeeWei).to.equal((await paymentEscrow.platformFee()).toString());
+    expect(config.expiryDuration.min).to.be.below(config.expiryDuration.max);
+
+    const [token] = await requesterClient.getSupportedTokens();
+    expect(token).to.include({ address: mockDAI.address, symbol: "DAI", minAmountRaw: "1", maxAmount: "100000.0" });
+
+    const fee = await requesterClient.getPlatformFee(mockDAI.address, daiAmount);
+    expect(fee.ethFeeWei).to.equal(config.platformFeeWei);
+    expect(await requesterClient.parseTokenAmount(mockDAI.address, "12.5")).to.equal(ethers.utils.parseUnits("12.5", 18));
+  });
+
+  it("Should throw typed errors for reverts", async function () {
+    await createRequest();
+    await payerClient.commit(1);
+
+    const active = await payerClient.connect(owner).commit(1).catch(err => err);
+    expect(active).to.be.instanceOf(InvalidStateError);
+    expect(active).to.be.instanceOf(EscrowError);
+    expect(active.code).to.equal("COMMITMENT_STILL_ACTIVE");
+
+    const notPayer = await requesterClient.fulfill(1, "123456789012").catch(err => err);
+    expect(notPayer).to.be.instanceOf(UnauthorizedError);
+
+    const missing = await requesterClient.getPaymentRequest(99).catch(err => err);
+    expect(missing).to.be.instanceOf(RequestNotFoundError);
+    expect(missing.reason).to.equal("Request does not exist");
+
+    await paymentEscrow.pause();
+    const paused = await createRequest().catch(err => err);
+    expect(paused).to.be.instanceOf(PausedError);
+    expect(paused.code).to.equal("PAUSABLE_PAUSED");
+
+    const readOnly = new PaymentEscrowClient(paymentEscrow.address, ethers.provider);
+    const noSigner = await readOnly.cancel(1).catch(err => err);
+    expect(noSigner.message).to.include("needs a signer");
+  });
+
+  it("Should find revert reasons in provider errors", function () {
+    const data = "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], ["Commitment still active"]).slice(2);
+    expect(getRevertReason({ error: { data } })).to.equal("Commitment still active");
+    expect(getRevertReason({ body: JSON.stringify({ error: { message: "execution reverted: Request expired" } }) }))
+      .to.equal("Request expired");
+
+    const error = toEscrowError({ message: "VM Exception while processing transaction: reverted with reason string 'Commitment still active'" });
+    expect(error).to.be.instanceOf(InvalidStateError);
+    expect(error.code).to.equal("COMMITMENT_STILL_ACTIVE");
+
+    const unknown = toEscrowError({ message: "reverted with reason string 'Something new'" });
+    expect(unknown.constructor).to.equal(EscrowError);
+
+    const networkError = new Error("could not detect network");
+    expect(toEscrowError(networkError)).to.equal(networkError);
+  });
+
+  it("Should subscribe to and query request events", async function () {
+    const provider = new ethers.providers.Web3Provider(network.provider);
+    provider.pollingInterval = 50;
+    const listenerClient = new PaymentEscrowClient(paymentEscrow.address, provider);
+    const updates = [];
+    const received = new Promise(resolve => {
+      const unsubscribe = listenerClient.onRequestUpdate(event => {
+        updates.push(event);
+        if (event.name === "PaymentCommitted") {
+          unsubscribe();
+          resolve();
+        }
+      }, 1);
+    });
+
+    await createRequest();
+    await createRequest();
+    await payerClient.commit(1);
+    await Promise.race([
+      received,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error("No PaymentCommitted event")), 5000))
+    ]);
+
+    expect(updates.map(event => event.name)).to.deep.equal(["PaymentRequestCreated", "PaymentCommitted"]);
+    expect(updates[1].args).to.include({ requestId: 1, payer: payer.address });
+
+    const created = await payerClient.queryEvents("PaymentRequestCreated", { args: [2] });
+    expect(created).to.have.length(1);
+    expect(created[0].args).to.include({ requestId: 2, requester: requester.address, tokenAmount: daiAmount.toString() });
+
+    const all = await payerClient.queryEvents("*");
+    expect(all.map(event => event.name)).to.include.members(["PaymentRequestCreated", "PaymentCommitted"]);
+  });
+});
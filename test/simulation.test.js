@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MockUpiGateway, UpiGatewayClient, GatewayError } = require("../scripts/upi-gateway");
+const { createRandom, Backend, Simulation } = require("../scripts/simulate");
+
+describe("Mock UPI gateway", function () {
+  let gateway;
+  let client;
+
+  beforeEach(async function () {
+    gateway = new MockUpiGateway({ random: createRandom(5).next, logger: () => {} });
+    await gateway.listen(0);
+    client = new UpiGatewayClient(gateway.url);
+  });
+
+  afterEach(async function () {
+    await gateway.close();
+  });
+
+  it("Should issue unique 12-digit UTRs and look them up", async function () {
+    const payment = { payer: "0xpayer", payee: "requester@upi", amountINR: 1000, reference: "7" };
+    const first = await client.pay(payment);
+    const second = await client.pay(payment);
+
+    expect(first).to.include({ status: "SUCCESS", amountINR: 1000, reference: "7" });
+    expect(first.utr).to.match(/^[1-9][0-9]{11}$/);
+    expect(second.utr).to.not.equal(first.utr);
+    expect(await client.getPayment(first.utr)).to.deep.equal(first);
+    expect(await client.getPayment("999999999999")).to.equal(null);
+  });
+
+  it("Should decline payments at the failure rate and reject bad requests", async function () {
+    gateway.failureRate = 1;
+    const declined = await client.pay({ payer: "0xpayer", payee: "requester@upi", amountINR: 500, reference: "1" });
+    expect(declined).to.include({ status: "FAILED", utr: null });
+    expect(gateway.payments.size).to.equal(0);
+
+    const error = await client.pay({ payer: "0xpayer", payee: "requester@upi", amountINR: 12.5, reference: "1" }).catch(err => err);
+    expect(error).to.be.instanceOf(GatewayError);
+    expect(error.status).to.equal(400);
+  });
+});
+
+describe("Simulation", function () {
+  it("Should replay the same random choices for a seed", function () {
+    const draws = seed => {
+      const random = createRandom(seed);
+      return [random.int(1, 100), random.chance(0.5), random.shuffle([1, 2, 3, 4])];
+    };
+    expect(draws(42)).to.deep.equal(draws(42));
+    expect(draws(42)).to.not.deep.equal(draws(43));
+  });
+
+  it("Should run racing, timed-out and disputed flows without breaking invariants", async function () {
+    // A few hundred transactions, slow under coverage instrumentation
+    this.timeout(10 * 60 * 1000);
+
+    const simulation = new Simulation({ seed: 11, rounds: 10 });
+    const report = await simulation.run();
+
+    expect(report.violations).to.deep.equal([]);
+    expect(report.actions.create).to.be.above(0);
+    expect(report.actions.amend).to.be.above(0);
+    expect(report.actions.fulfill).to.be.above(0);
+    expect(report.actions.commit_lost).to.be.above(0);
+    expect(report.actions.recommit_won).to.be.above(0);
+
+    // The checks catch tokens that no open request accounts for
+    const [requester] = simulation.requesters;
+    await simulation.mockDAI.connect(requester).transfer(simulation.paymentEscrow.address, 1);
+    const violations = await simulation.checkInvariants();
+    expect(violations.map(violation => violation.invariant)).to.deep.equal(["escrow_balance"]);
+  });
+
+  it("Should flag fulfilments whose UTR the gateway issued for another request", async function () {
+    const gateway = {
+      getPayment: async utr => (utr === "123456789012" ? { reference: "2", payer: "0xpayer", amountINR: 1000 } : null)
+    };
+    const backend = new Backend(null, gateway);
+
+    await backend._apply({ name: "PaymentRequestCreated", args: { requestId: 1, requester: "0xrequester", amountINR: "1000" } });
+    await backend._apply({ name: "PaymentCommitted", args: { requestId: 1, payer: "0xpayer" } });
+    await backend._apply({ name: "PaymentFulfilled", args: { requestId: 1, transactionNumber: "123456789012" } });
+
+    expect(backend.requests.get(1).status).to.equal("FULFILLED");
+    expect(backend.mismatches).to.deep.equal(["Request 1 settled with UTR 123456789012 paid for request 2"]);
+  });
+});
@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { getStorageLayout, compareStorageLayouts, assertStorageCompatible } = require("../scripts/storage-layout");
+
+describe("Storage layout", function () {
+  function entry(label, slot, type, offset = 0) {
+    return { label, slot: String(slot), offset, type };
+  }
+
+  const previous = {
+    storage: [
+      entry("owner", 0, "address"),
+      entry("requests", 1, "mapping(uint256 => struct Base.Request)"),
+      entry("nextRequestId", 2, "uint256")
+    ],
+    structs: {
+      "struct Base.Request": [entry("requester", 0, "address"), entry("amount", 1, "uint256")]
+    }
+  };
+
+  it("Should share one layout between PaymentEscrow and its extension", async function () {
+    const escrow = await getStorageLayout("PaymentEscrow");
+    const extension = await getStorageLayout("PaymentEscrowExtension");
+
+    expect(extension).to.deep.equal(escrow);
+    expect(escrow.storage.map(variable => variable.label)).to.include.members(["paymentRequests", "escrowedTokens"]);
+    expect(escrow.structs["struct PaymentEscrowBase.PaymentRequest"][0].label).to.equal("requestId");
+  });
+
+  it("Should accept appended variables and struct members", function () {
+    const next = {
+      storage: [...previous.storage, entry("guardian", 3, "address")],
+      structs: {
+        "struct Base.Request": [...previous.structs["struct Base.Request"], entry("expiresAt", 2, "uint256")]
+      }
+    };
+
+    expect(compareStorageLayouts(previous, previous)).to.deep.equal([]);
+    expect(compareStorageLayouts(previous, next)).to.deep.equal([]);
+  });
+
+  it("Should reject inserted, retyped or removed variables", function () {
+    const inserted = {
+      storage: [previous.storage[0], entry("guardian", 1, "address"), ...previous.storage.slice(1)],
+      structs: previous.structs
+    };
+    expect(compareStorageLayouts(previous, inserted)).to.have.lengthOf(2);
+
+    const retyped = {
+      storage: [previous.storage[0], previous.storage[1], entry("nextRequestId", 2, "uint128")],
+      structs: previous.structs
+    };
+    expect(compareStorageLayouts(previous, retyped)).to.deep.equal([
+      "Replaced uint256 nextRequestId (slot 2, offset 0) with uint128 nextRequestId (slot 2, offset 0)"
+    ]);
+
+    const removed = { storage: previous.storage.slice(0, 2), structs: previous.structs };
+    expect(() => assertStorageCompatible(previous, removed)).to.throw("Removed uint256 nextRequestId");
+  });
+
+  it("Should reject reordered struct members", function () {
+    const next = {
+      storage: previous.storage,
+      structs: {
+        "struct Base.Request": [entry("amount", 0, "uint256"), entry("requester", 1, "address")]
+      }
+    };
+
+    expect(compareStorageLayouts(previous, next)).to.have.lengthOf(2);
+  });
+});
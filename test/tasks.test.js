@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployPaymentEscrow } = require("../scripts/escrow");
+
+const { ethers, network } = hre;
+
+describe("Escrow tasks", function () {
+  let paymentEscrow;
+  let mockDAI;
+  let requester;
+  let payer;
+  let logs;
+  let originalLog;
+
+  // Run a task against the test escrow, capturing what it prints
+  function run(name, args = {}) {
+    return hre.run(name, { address: paymentEscrow.address, ...args });
+  }
+
+  function create(args = {}) {
+    return run("escrow:create", { inr: 1000, amount: "100", fee: "0.1", from: requester.address, ...args });
+  }
+
+  beforeEach(async function () {
+    [, requester, payer] = await ethers.getSigners();
+
+    const MockDAI = await ethers.getContractFactory("MockDAI");
+    mockDAI = await MockDAI.deploy();
+    await mockDAI.deployed();
+
+    paymentEscrow = await deployPaymentEscrow(ethers.constants.AddressZero);
+    await paymentEscrow.setSupportedToken(mockDAI.address, 1, ethers.utils.parseUnits("100000", 18));
+    await mockDAI.connect(requester).faucet();
+
+    logs = [];
+    originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should create a request with the token approval and fees handled", async function () {
+    const result = await create();
+
+    expect(result.requestId).to.equal(1);
+    expect(result.tokenAmount).to.equal("100.0");
+    expect(result.token.symbol).to.equal(await mockDAI.symbol());
+    expect(logs.join("\n")).to.include("Created request #1: 1000 INR for 100.0");
+
+    const request = await paymentEscrow.getPaymentRequest(1);
+    expect(request.requester).to.equal(requester.address);
+    expect(request.daiAmount).to.equal(ethers.utils.parseUnits("100", 18));
+    expect(request.payerFee).to.equal(ethers.utils.parseEther("0.1"));
+  });
+
+  it("Should create a request with its own windows", async function () {
+    await create({ expiry: 2 * 60 * 60, window: 10 * 60 });
+
+    const request = await paymentEscrow.getPaymentRequest(1);
+    expect(request.expiresAt.sub(request.createdAt)).to.equal(2 * 60 * 60);
+    expect(await paymentEscrow.commitmentWindows(1)).to.equal(10 * 60);
+  });
+
+  it("Should show a request in human-readable and JSON form", async function () {
+    await create();
+
+    await run("escrow:show", { id: 1 });
+    const text = logs.join("\n");
+    expect(text).to.include("Request #1 [PENDING]");
+    expect(text).to.include("1000 INR for 100.0 DAI");
+    expect(text).to.include("0.1 ETH");
+    // Measured against the latest block, which an instrumented (coverage) run may mine a minute later
+    expect(text).to.match(/Expires: +\d{4}-\d\d-\d\dT.*\(in (24h 0m|23h 59m)\)/);
+
+    logs = [];
+    const request = await run("escrow:show", { id: 1, json: true });
+    expect(JSON.parse(logs.join("\n"))).to.deep.equal(request);
+    expect(request.status).to.equal("PENDING");
+    expect(request.payer).to.equal(null);
+    expect(request.tokenAmountRaw).to.equal(ethers.utils.parseUnits("100", 18).toString());
+  });
+
+  it("Should commit to and fulfil a request", async function () {
+    await create();
+
+    const committed = await run("escrow:commit", { id: 1, from: payer.address });
+    expect(committed.payer).to.equal(payer.address);
+    expect((await run("escrow:show", { id: 1 })).commitmentExpiry).to.not.equal(null);
+
+    const fulfilled = await run("escrow:fulfill", { id: 1, utr: "123456789012", from: payer.address, json: true });
+    expect(fulfilled.transactionNumber).to.equal("123456789012");
+
+    const request = await paymentEscrow.getPaymentRequest(1);
+    expect(request.status).to.equal(2); // FULFILLED
+    expect(request.payer).to.equal(payer.address);
+  });
+
+  it("Should cancel and expire requests", async function () {
+    await create();
+    await create();
+
+    await run("escrow:cancel", { id: 1, from: requester.address });
+    expect((await paymentEscrow.getPaymentRequest(1)).status).to.equal(3); // CANCELLED
+
+    await network.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+    await run("escrow:expire", { id: 2 });
+    expect((await paymentEscrow.getPaymentRequest(2)).status).to.equal(4); // EXPIRED
+  });
+
+  it("Should list requests by status and by user", async function () {
+    await create();
+    await create();
+    await run("escrow:cancel", { id: 1, from: requester.address });
+
+    const pending = await run("escrow:list", { json: true });
+    expect(pending.requests.map(request => request.requestId)).to.deep.equal([2]);
+
+    const cancelled = await run("escrow:list", { status: "cancelled", json: true });
+    expect(cancelled.requests.map(request => request.requestId)).to.deep.equal([1]);
+
+    const mine = await run("escrow:list", { user: requester.address, json: true });
+    expect(mine.requests.map(request => request.status)).to.deep.equal(["CANCELLED", "PENDING"]);
+
+    const minePending = await run("escrow:list", { user: requester.address, status: "PENDING", json: true });
+    expect(minePending.requests.map(request => request.requestId)).to.deep.equal([2]);
+
+    const firstPage = await run("escrow:list", { user: requester.address, limit: 1, json: true });
+    expect(firstPage.nextCursor).to.equal(1);
+
+    logs = [];
+    await run("escrow:list", { status: "PENDING" });
+    expect(logs[0]).to.equal("1 request(s) (PENDING)");
+    expect(logs[1]).to.match(/^#2\tPENDING\t1000 INR\t100.0 DAI/);
+  });
+
+  it("Should reject unknown statuses", async function () {
+    const error = await run("escrow:list", { status: "SETTLED" }).catch(err => err);
+    expect(error.message).to.include("Unknown status SETTLED");
+  });
+
+  it("Should summarise the escrow", async function () {
+    await create();
+    await create();
+    await run("escrow:commit", { id: 2, from: payer.address });
+
+    const stats = await run("escrow:stats", { json: true });
+    expect(stats.requests.total).to.equal(2);
+    expect(stats.requests.PENDING).to.equal(1);
+    expect(stats.requests.COMMITTED).to.equal(1);
+    expect(stats.paused).to.equal(false);
+    expect(stats.tokens).to.have.length(1);
+    expect(stats.tokens[0].escrowed).to.equal("200.0");
+    expect(stats.tokens[0].rescuable).to.equal("0.0");
+
+    logs = [];
+    await run("escrow:stats");
+    expect(logs.join("\n")).to.include("2 total, 1 PENDING, 1 COMMITTED");
+  });
+
+  it("Should read the escrow address from a deployment registry", async function () {
+    await create();
+    const registryPath = path.join(os.tmpdir(), `tasks-registry-test-${Date.now()}.json`);
+    fs.writeFileSync(registryPath, JSON.stringify({
+      network: "localhost",
+      chainId: 1337,
+      current: { contracts: { PaymentEscrow: { address: paymentEscrow.address } } },
+      previous: []
+    }));
+
+    try {
+      const request = await hre.run("escrow:show", { id: 1, deployment: registryPath, json: true });
+      expect(request.requester).to.equal(requester.address);
+    } finally {
+      fs.unlinkSync(registryPath);
+    }
+  });
+
+  it("Should refuse to send from an account that is not configured", async function () {
+    const error = await create({ from: ethers.Wallet.createRandom().address }).catch(err => err);
+    expect(error.message).to.include("is not configured for network hardhat");
+  });
+});